@@ -0,0 +1,155 @@
+// src/app.js
+// Express 앱 구성 (미들웨어, 라우트). 서버 실행과 백그라운드 작업 예약은 server.js
+const express = require('express');
+const cors = require('cors');
+require('dotenv').config();
+
+const incomeRoutes = require('./routes/income.routes');
+const expenseRoutes = require('./routes/expense.routes');
+const swaggerUi = require('swagger-ui-express');
+const swaggerSpec = require('./swagger');
+const summaryRoutes = require('./routes/summary.routes');
+const recurringRoutes = require('./routes/recurring.routes');
+const statsRoutes = require('./routes/stats.routes');
+const categoryRoutes = require('./routes/category.routes');
+const budgetRoutes = require('./routes/budget.routes');
+const goalRoutes = require('./routes/goal.routes');
+const alertRoutes = require('./routes/alert.routes');
+const notificationRoutes = require('./routes/notification.routes');
+const tagRoutes = require('./routes/tag.routes');
+const jobRoutes = require('./routes/job.routes');
+const authRoutes = require('./routes/auth.routes');
+const exchangeRateRoutes = require('./routes/exchange-rate.routes');
+const importRoutes = require('./routes/import.routes');
+const backupRoutes = require('./routes/backup.routes');
+const ruleRoutes = require('./routes/rule.routes');
+const forecastRoutes = require('./routes/forecast.routes');
+const anomalyRoutes = require('./routes/anomaly.routes');
+const accountRoutes = require('./routes/account.routes');
+const transferRoutes = require('./routes/transfer.routes');
+const { requireAuth } = require('./middleware/auth.middleware');
+const { validateRequest } = require('./middleware/validate.middleware');
+const { errorEnvelope, notFound, errorHandler } = require('./middleware/error.middleware');
+const { evaluateAlerts } = require('./services/alert.service');
+
+let db = null;
+try {
+    db = require('./db');
+} catch (e) {
+    db = null;
+}
+
+const app = express();
+// 요청을 허용할 프론트엔드 주소 (쉼표로 구분)
+const corsOrigins = (process.env.CORS_ORIGINS || 'http://localhost:3000').split(',').map(o => o.trim()).filter(Boolean);
+
+// 미들웨어 설정
+app.use(cors({ origin: corsOrigins }));
+// 오류 응답은 모두 { code, message, details } 형식으로
+app.use(errorEnvelope);
+// 거래내역 CSV 를 JSON 본문(base64)으로 받을 수 있도록 기본값(100kb)보다 넉넉하게
+app.use(express.json({ limit: '10mb' }));
+app.use(express.urlencoded({ extended: true }));
+
+// 기본 라우트
+app.get('/', (req, res) => {
+    res.json({ message: 'Welcome to Money Map API' });
+});
+
+// Swagger UI 제공
+app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
+// Swagger JSON (raw)
+app.get('/api-docs.json', (req, res) => res.json(swaggerSpec));
+
+// 회원 가입/로그인 관련 라우트 (로그인 없이 사용)
+app.use('/api/auth', validateRequest, authRoutes);
+
+// 나머지 API 는 로그인한 사용자만 사용 가능 (req.user 에 사용자 정보)
+app.use('/api', requireAuth);
+
+// 요청 파라미터/본문을 라우트 주석의 OpenAPI 스키마로 먼저 검사
+app.use('/api', validateRequest);
+
+// 수입/지출(반복 규칙, 파일 가져오기로 생성되는 거래, 분류 규칙 재적용 포함)이 변경되면 응답을 보낸 뒤 알림 규칙 평가
+app.use(['/api/income', '/api/expense', '/api/recurring', '/api/imports', '/api/rules'], (req, res, next) => {
+    if (req.method !== 'GET') {
+        res.on('finish', () => {
+            if (res.statusCode < 400) setImmediate(runAlertEvaluation);
+        });
+    }
+    next();
+});
+
+// 수입 관련 라우트
+app.use('/api/income', incomeRoutes);
+
+// 지출 관련 라우트
+app.use('/api/expense', expenseRoutes);
+
+// 요약(잔액) 관련 라우트
+app.use('/api/summary', summaryRoutes);
+
+// 반복 수입/지출 관련 라우트
+app.use('/api/recurring', recurringRoutes);
+
+// 통계 관련 라우트
+app.use('/api/stats', statsRoutes);
+
+// 잔액 예측 관련 라우트
+app.use('/api/forecast', forecastRoutes);
+
+// 이상 지출 분석 관련 라우트
+app.use('/api/anomalies', anomalyRoutes);
+
+// 계좌 / 계좌 간 이체 관련 라우트
+app.use('/api/accounts', accountRoutes);
+app.use('/api/transfers', transferRoutes);
+
+// 카테고리 관련 라우트
+app.use('/api/categories', categoryRoutes);
+
+// 자동 분류 규칙 관련 라우트
+app.use('/api/rules', ruleRoutes);
+
+// 예산 관련 라우트
+app.use('/api/budgets', budgetRoutes);
+
+// 재무 목표 관련 라우트
+app.use('/api/goals', goalRoutes);
+
+// 알림 규칙 / 알림 피드 관련 라우트
+app.use('/api/alerts', alertRoutes);
+app.use('/api/notifications', notificationRoutes);
+
+// 태그 관련 라우트
+app.use('/api/tags', tagRoutes);
+
+// 환율 조회/변환 라우트 (읽기 전용, 등록은 npm run import:rates)
+app.use('/api/exchange-rates', exchangeRateRoutes);
+
+// 거래내역 파일 가져오기 관련 라우트
+app.use('/api/imports', importRoutes);
+
+// 장부 백업(/api/backup)/복원(/api/restore) 라우트
+app.use('/api', backupRoutes);
+
+// 백그라운드 작업 이력 관련 라우트
+app.use('/api/jobs', jobRoutes);
+
+// 없는 API, 본문 파싱 오류 등
+app.use('/api', notFound);
+app.use(errorHandler);
+
+// 알림 규칙 평가 후 새로 만든 알림 수 반환 (실패하면 0, 요청 처리나 서버 실행에는 영향 없음)
+// 만든 알림은 notifications 에 기록되어 /api/notifications 의 unreadCount 로 보이므로 따로 로그를 남기지 않음
+function runAlertEvaluation() {
+    if (!db) return 0;
+    try {
+        return evaluateAlerts(db).length;
+    } catch (error) {
+        console.error('알림 평가 실패:', error.message);
+        return 0;
+    }
+}
+
+module.exports = { app, runAlertEvaluation };
@@ -0,0 +1,47 @@
+// src/middleware/auth.middleware.js
+// Authorization: Bearer <토큰> 을 검증해 req.user 를 채우는 미들웨어
+// 헤더를 보낼 수 없는 캘린더 구독(.ics)만 ?token= 쿼리로 캘린더 구독 토큰을 받음 (로그인 토큰은 쿼리로 받지 않음)
+const { verifyToken, getUser, toUser, findUserByCalendarToken } = require('../services/auth.service');
+
+let db = null;
+try {
+    db = require('../db');
+} catch (e) {
+    db = null;
+}
+
+// ?token= 으로 캘린더 구독 토큰을 받는 GET 경로
+const CALENDAR_FEED_PATHS = ['/api/recurring/calendar.ics'];
+
+function readToken(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    return scheme && scheme.toLowerCase() === 'bearer' && token ? token : null;
+}
+
+// 캘린더 피드 요청이면 쿼리의 캘린더 구독 토큰, 아니면 null
+function readCalendarToken(req) {
+    if (req.method !== 'GET' || !CALENDAR_FEED_PATHS.includes(req.baseUrl + req.path)) return null;
+    return typeof req.query.token === 'string' ? req.query.token : null;
+}
+
+function requireAuth(req, res, next) {
+    if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+    const token = readToken(req);
+    const calendarToken = token ? null : readCalendarToken(req);
+    if (!token && !calendarToken) return res.status(401).json({ message: '로그인이 필요합니다.' });
+
+    let user;
+    if (token) {
+        const payload = verifyToken(token);
+        user = payload && getUser(db, payload.sub);
+    } else {
+        user = findUserByCalendarToken(db, calendarToken);
+    }
+    if (!user) return res.status(401).json({ message: '인증 토큰이 유효하지 않거나 만료되었습니다.' });
+
+    req.user = toUser(user);
+    next();
+}
+
+module.exports = { requireAuth };
@@ -0,0 +1,79 @@
+// src/middleware/error.middleware.js
+// 모든 오류 응답을 한 가지 형식으로 맞춤
+//   { code, message, details: [{ in?, field?, code?, message }] }
+// code 는 클라이언트가 분기에 쓸 수 있는 고정 문자열이다. 라우트가 보내는 { message }, { message, error }, { message, errors }
+// 응답은 상태 코드로 code 를 정하고, error(내부 오류 내용)와 errors(항목별 오류)는 details 로 옮긴다.
+
+// 상태 코드별 기본 오류 코드
+const ERROR_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    413: 'PAYLOAD_TOO_LARGE',
+    415: 'UNSUPPORTED_MEDIA_TYPE',
+    422: 'UNPROCESSABLE_ENTITY',
+    500: 'INTERNAL_ERROR'
+};
+// 요청 검사(validate.middleware) 실패
+const VALIDATION_FAILED = 'VALIDATION_FAILED';
+// JSON 본문을 읽을 수 없음
+const INVALID_JSON = 'INVALID_JSON';
+// 요청한 경로/메서드의 API 가 없음 (NOT_FOUND 는 API 는 있지만 데이터가 없을 때)
+const ROUTE_NOT_FOUND = 'ROUTE_NOT_FOUND';
+
+function codeForStatus(status) {
+    return ERROR_CODES[status] || (status >= 500 ? ERROR_CODES[500] : ERROR_CODES[400]);
+}
+
+// 라우트가 보낸 오류 본문 → 공통 형식
+function toErrorBody(status, body) {
+    if (typeof body !== 'object' || body === null) return { code: codeForStatus(status), message: String(body), details: [] };
+    if (body.code && Array.isArray(body.details)) return body;
+    const { message, error, errors, code, ...rest } = body;
+    const details = [
+        ...(Array.isArray(errors) ? errors.map(e => (typeof e === 'string' ? { message: e } : e)) : []),
+        ...(error ? [{ message: typeof error === 'string' ? error : String(error.message || error) }] : [])
+    ];
+    return { code: code || codeForStatus(status), message: message || '요청을 처리할 수 없습니다.', details, ...rest };
+}
+
+// 오류 응답을 보내는 함수 (미들웨어/라우트 공용)
+function sendError(res, status, code, message, details = []) {
+    return res.status(status).json({ code, message, details });
+}
+
+// res.json 을 감싸 상태 코드가 400 이상인 응답을 공통 형식으로 바꿈
+function errorEnvelope(req, res, next) {
+    const json = res.json.bind(res);
+    res.json = (body) => json(res.statusCode >= 400 ? toErrorBody(res.statusCode, body) : body);
+    next();
+}
+
+// 어떤 라우트에도 맞지 않는 /api 요청
+function notFound(req, res) {
+    sendError(res, 404, ROUTE_NOT_FOUND, `${req.method} ${req.baseUrl}${req.path} 에 해당하는 API 가 없습니다.`);
+}
+
+// next(error) 나 본문 파서 오류 처리 (Express 의 기본 HTML 오류 페이지 대신 JSON)
+function errorHandler(err, req, res, next) {
+    if (res.headersSent) return next(err);
+    if (err.type === 'entity.parse.failed') return sendError(res, 400, INVALID_JSON, '요청 본문이 올바른 JSON 이 아닙니다.', [{ in: 'body', message: err.message }]);
+    if (err.type === 'entity.too.large') return sendError(res, 413, ERROR_CODES[413], '요청 본문이 너무 큽니다.');
+    const status = err.status || err.statusCode || 500;
+    if (status >= 500) console.error('요청 처리 실패:', err);
+    sendError(res, status, codeForStatus(status), status >= 500 ? '요청을 처리하는 중 오류가 발생했습니다.' : err.message, status >= 500 ? [{ message: err.message }] : []);
+}
+
+module.exports = {
+    ERROR_CODES,
+    VALIDATION_FAILED,
+    INVALID_JSON,
+    ROUTE_NOT_FOUND,
+    toErrorBody,
+    sendError,
+    errorEnvelope,
+    notFound,
+    errorHandler
+};
@@ -0,0 +1,321 @@
+// src/migrations/001_baseline.js
+// 마이그레이션 도입 시점의 전체 스키마 (기존 initDatabase 와 동일)
+// 이미 테이블이 있는 DB 에서도 실행될 수 있도록 IF NOT EXISTS / addColumnIfMissing 을 사용
+const { v4: uuidv4 } = require('uuid');
+const { addColumnIfMissing } = require('../migrator');
+
+// 자식 테이블부터 삭제
+const TABLES = [
+    'expense_tags',
+    'income_tags',
+    'tags',
+    'job_runs',
+    'notifications',
+    'alerts',
+    'goal_contributions',
+    'financial_goals',
+    'recurring_exceptions',
+    'budgets',
+    'expenses',
+    'incomes',
+    'recurring_rules',
+    'categories'
+];
+
+// expenses.tags 에 JSON 배열로 남아있는 태그를 tags / expense_tags 로 옮기고 컬럼을 비움
+function migrateExpenseTagColumn(db) {
+    const rows = db.prepare("SELECT id, tags FROM expenses WHERE tags IS NOT NULL AND tags NOT IN ('', '[]')").all();
+    if (!rows.length) return;
+
+    const findTag = db.prepare('SELECT id FROM tags WHERE name = ?');
+    const insertTag = db.prepare('INSERT INTO tags (id, name, createdAt, updatedAt) VALUES (?, ?, ?, ?)');
+    const link = db.prepare('INSERT OR IGNORE INTO expense_tags (expenseId, tagId) VALUES (?, ?)');
+    const clear = db.prepare('UPDATE expenses SET tags = NULL WHERE id = ?');
+
+    db.transaction(() => {
+        for (const row of rows) {
+            let names = [];
+            try {
+                names = JSON.parse(row.tags);
+            } catch (e) {
+                names = String(row.tags).split(',');
+            }
+            if (!Array.isArray(names)) names = [names];
+            for (const name of new Set(names.map(n => String(n).trim()).filter(Boolean))) {
+                let tag = findTag.get(name);
+                if (!tag) {
+                    const now = new Date().toISOString();
+                    tag = { id: uuidv4() };
+                    insertTag.run(tag.id, name, now, now);
+                }
+                link.run(row.id, tag.id);
+            }
+            clear.run(row.id);
+        }
+    })();
+    console.log(`지출 태그 ${rows.length}건을 expense_tags 로 이관했습니다.`);
+}
+
+module.exports = {
+    description: '카테고리, 수입/지출, 반복 규칙, 예산, 알림, 목표, 태그, 작업 이력 테이블',
+
+    up(db) {
+        // 카테고리 마스터 테이블 생성
+        db.prepare(`
+            CREATE TABLE IF NOT EXISTS categories (
+                id TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                type TEXT NOT NULL CHECK(type IN ('income', 'expense')), -- 수입 또는 지출
+                description TEXT,
+                isDefault INTEGER DEFAULT 0, -- 기본 카테고리 여부
+                createdAt TEXT NOT NULL,
+                updatedAt TEXT
+            )
+        `).run();
+
+        // 기본 카테고리 데이터 삽입
+        const defaultCategories = [
+            // 수입 카테고리
+            { id: 'salary', name: '급여', type: 'income', isDefault: 1, description: '정규직 급여' },
+            { id: 'bonus', name: '보너스', type: 'income', isDefault: 1, description: '성과급, 상여금' },
+            { id: 'interest', name: '이자수입', type: 'income', isDefault: 1, description: '예금 이자, 투자 수익' },
+            { id: 'side', name: '부수입', type: 'income', isDefault: 1, description: '아르바이트, 프리랜서 수입' },
+            { id: 'other_income', name: '기타', type: 'income', isDefault: 1, description: '분류되지 않은 수입' },
+        
+            // 지출 카테고리
+            { id: 'coffee', name: '커피/음료', type: 'expense', isDefault: 1, description: '카페, 음료 구매' },
+            { id: 'rent', name: '월세', type: 'expense', isDefault: 1, description: '주거비, 월세' },
+            { id: 'food', name: '식비', type: 'expense', isDefault: 1, description: '식사, 식료품' },
+            { id: 'savings', name: '저축/적금', type: 'expense', isDefault: 1, description: '저축, 적금' },
+            { id: 'transport', name: '교통비', type: 'expense', isDefault: 1, description: '대중교통, 주유비' },
+            { id: 'utility', name: '공과금', type: 'expense', isDefault: 1, description: '전기, 수도, 가스비' },
+            { id: 'entertainment', name: '문화/여가', type: 'expense', isDefault: 1, description: '영화, 공연, 취미' },
+            { id: 'shopping', name: '쇼핑', type: 'expense', isDefault: 1, description: '의류, 잡화' },
+            { id: 'other_expense', name: '기타', type: 'expense', isDefault: 1, description: '분류되지 않은 지출' }
+        ];
+
+        const insertCategory = db.prepare(`
+            INSERT OR IGNORE INTO categories (id, name, type, description, isDefault, createdAt, updatedAt)
+            VALUES (?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+        `);
+
+        defaultCategories.forEach(cat => {
+            insertCategory.run(cat.id, cat.name, cat.type, cat.description, cat.isDefault);
+        });
+
+        // 수입 테이블 생성
+        db.prepare(`
+      CREATE TABLE IF NOT EXISTS incomes (
+        id TEXT PRIMARY KEY,
+        amount REAL NOT NULL,
+        categoryId TEXT NOT NULL,
+        description TEXT,
+        date TEXT NOT NULL,
+        isRecurring INTEGER DEFAULT 0,
+        recurringId TEXT,
+        createdAt TEXT NOT NULL,
+        updatedAt TEXT,
+        FOREIGN KEY(categoryId) REFERENCES categories(id),
+        FOREIGN KEY(recurringId) REFERENCES recurring_rules(id)
+      )
+    `).run();
+
+        // expenses 테이블 생성
+        db.prepare(`
+            CREATE TABLE IF NOT EXISTS expenses (
+                id TEXT PRIMARY KEY,
+                amount REAL NOT NULL,
+                categoryId TEXT NOT NULL,
+                description TEXT,
+                date TEXT NOT NULL,
+                paymentMethod TEXT CHECK(paymentMethod IN ('현금', '카드', '계좌이체', '기타')),
+                location TEXT,
+                isFixed INTEGER NOT NULL DEFAULT 0,
+                tags TEXT, -- (사용 중지) 예전 JSON 태그 배열, expense_tags 로 이관됨
+                recurringId TEXT, -- 반복 규칙으로 생성된 지출
+                createdAt TEXT NOT NULL,
+                updatedAt TEXT,
+                FOREIGN KEY(categoryId) REFERENCES categories(id),
+                FOREIGN KEY(recurringId) REFERENCES recurring_rules(id)
+            )
+        `).run();
+        addColumnIfMissing(db, 'expenses', 'recurringId', 'TEXT REFERENCES recurring_rules(id)');
+
+        // 반복 규칙 테이블 (수입/지출 공통)
+        db.prepare(`
+            CREATE TABLE IF NOT EXISTS recurring_rules (
+                id TEXT PRIMARY KEY,
+                type TEXT NOT NULL CHECK(type IN ('income', 'expense')),
+                amount REAL NOT NULL,
+                categoryId TEXT NOT NULL,
+                description TEXT,
+                startDate TEXT NOT NULL,
+                frequency TEXT NOT NULL CHECK(frequency IN ('daily', 'weekly', 'monthly', 'yearly')),
+                interval INTEGER DEFAULT 1,
+                occurrences INTEGER,
+                endDate TEXT,
+                rrule TEXT, -- RFC 5545 RRULE (있으면 frequency/interval 대신 이 규칙으로 회차 계산)
+                lastProcessedDate TEXT,
+                isActive INTEGER DEFAULT 1,
+                createdAt TEXT NOT NULL,
+                updatedAt TEXT,
+                FOREIGN KEY(categoryId) REFERENCES categories(id)
+            )
+        `).run();
+        addColumnIfMissing(db, 'recurring_rules', 'rrule', 'TEXT');
+
+        // 반복 규칙의 특정 회차 예외 (건너뛰기 또는 금액/날짜/설명 변경)
+        db.prepare(`
+            CREATE TABLE IF NOT EXISTS recurring_exceptions (
+                id TEXT PRIMARY KEY,
+                ruleId TEXT NOT NULL,
+                occurrenceDate TEXT NOT NULL, -- 규칙상 원래 발생일
+                action TEXT NOT NULL CHECK(action IN ('skip', 'override')),
+                amount REAL,
+                date TEXT, -- 변경된 거래일 (없으면 원래 발생일)
+                description TEXT,
+                createdAt TEXT NOT NULL,
+                updatedAt TEXT,
+                UNIQUE(ruleId, occurrenceDate),
+                FOREIGN KEY(ruleId) REFERENCES recurring_rules(id) ON DELETE CASCADE
+            )
+        `).run();
+
+        // 예산 테이블
+        db.prepare(`
+            CREATE TABLE IF NOT EXISTS budgets (
+                id TEXT PRIMARY KEY,
+                categoryId TEXT NOT NULL,
+                amount REAL NOT NULL,
+                startDate TEXT NOT NULL,
+                endDate TEXT NOT NULL,
+                repeat TEXT NOT NULL DEFAULT 'none' CHECK(repeat IN ('none', 'monthly')), -- 매월 반복 여부
+                rollover INTEGER NOT NULL DEFAULT 0, -- 남은 예산을 다음 기간으로 이월
+                createdAt TEXT NOT NULL,
+                updatedAt TEXT,
+                FOREIGN KEY(categoryId) REFERENCES categories(id)
+            )
+        `).run();
+        addColumnIfMissing(db, 'budgets', 'repeat', "TEXT NOT NULL DEFAULT 'none' CHECK(repeat IN ('none', 'monthly'))");
+        addColumnIfMissing(db, 'budgets', 'rollover', 'INTEGER NOT NULL DEFAULT 0');
+
+        // 알림 설정 테이블
+        db.prepare(`
+            CREATE TABLE IF NOT EXISTS alerts (
+                id TEXT PRIMARY KEY,
+                type TEXT NOT NULL CHECK(type IN ('budget', 'recurring', 'goal')),
+                condition TEXT NOT NULL, -- JSON 형식으로 저장된 알림 조건
+                message TEXT,
+                isActive INTEGER DEFAULT 1,
+                createdAt TEXT NOT NULL,
+                updatedAt TEXT
+            )
+        `).run();
+
+        // 알림 발생 내역 (같은 알림 규칙은 dedupKey 당 한 번만 기록)
+        db.prepare(`
+            CREATE TABLE IF NOT EXISTS notifications (
+                id TEXT PRIMARY KEY,
+                alertId TEXT NOT NULL,
+                type TEXT NOT NULL,
+                dedupKey TEXT NOT NULL, -- 예: budget:<budgetId>:<기간 시작일>
+                message TEXT NOT NULL,
+                data TEXT, -- JSON 형식으로 저장된 평가 결과
+                isRead INTEGER NOT NULL DEFAULT 0,
+                createdAt TEXT NOT NULL,
+                readAt TEXT,
+                UNIQUE(alertId, dedupKey),
+                FOREIGN KEY(alertId) REFERENCES alerts(id) ON DELETE CASCADE
+            )
+        `).run();
+
+        // 재무 목표 테이블
+        db.prepare(`
+            CREATE TABLE IF NOT EXISTS financial_goals (
+                id TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                targetAmount REAL NOT NULL,
+                currentAmount REAL DEFAULT 0,
+                startDate TEXT NOT NULL,
+                targetDate TEXT NOT NULL,
+                description TEXT,
+                isCompleted INTEGER DEFAULT 0,
+                createdAt TEXT NOT NULL,
+                updatedAt TEXT
+            )
+        `).run();
+
+        // 재무 목표 입출금 내역 (financial_goals.currentAmount 는 이 내역의 합계로 계산)
+        db.prepare(`
+            CREATE TABLE IF NOT EXISTS goal_contributions (
+                id TEXT PRIMARY KEY,
+                goalId TEXT NOT NULL,
+                type TEXT NOT NULL CHECK(type IN ('deposit', 'withdrawal', 'expense')), -- 입금, 출금, 저축 지출 연결
+                amount REAL, -- expense 유형은 연결된 지출 금액을 사용
+                expenseId TEXT,
+                date TEXT NOT NULL,
+                description TEXT,
+                createdAt TEXT NOT NULL,
+                UNIQUE(goalId, expenseId),
+                FOREIGN KEY(goalId) REFERENCES financial_goals(id) ON DELETE CASCADE,
+                FOREIGN KEY(expenseId) REFERENCES expenses(id) ON DELETE CASCADE
+            )
+        `).run();
+
+        // 태그 마스터 테이블
+        db.prepare(`
+            CREATE TABLE IF NOT EXISTS tags (
+                id TEXT PRIMARY KEY,
+                name TEXT NOT NULL UNIQUE,
+                color TEXT,
+                description TEXT,
+                createdAt TEXT NOT NULL,
+                updatedAt TEXT
+            )
+        `).run();
+
+        // 백그라운드 작업 실행 이력
+        db.prepare(`
+            CREATE TABLE IF NOT EXISTS job_runs (
+                id TEXT PRIMARY KEY,
+                job TEXT NOT NULL, -- 작업 이름 (예: recurring-materializer)
+                trigger TEXT NOT NULL CHECK(trigger IN ('startup', 'schedule', 'manual')),
+                status TEXT NOT NULL CHECK(status IN ('running', 'success', 'partial', 'failed')),
+                rulesProcessed INTEGER NOT NULL DEFAULT 0,
+                rowsCreated INTEGER NOT NULL DEFAULT 0,
+                errors TEXT, -- JSON 형식으로 저장된 오류 목록
+                startedAt TEXT NOT NULL,
+                finishedAt TEXT
+            )
+        `).run();
+
+        // 수입/지출 ↔ 태그 연결 테이블 (거래나 태그가 삭제되면 연결도 삭제)
+        db.prepare(`
+            CREATE TABLE IF NOT EXISTS income_tags (
+                incomeId TEXT NOT NULL,
+                tagId TEXT NOT NULL,
+                PRIMARY KEY(incomeId, tagId),
+                FOREIGN KEY(incomeId) REFERENCES incomes(id) ON DELETE CASCADE,
+                FOREIGN KEY(tagId) REFERENCES tags(id) ON DELETE CASCADE
+            )
+        `).run();
+
+        db.prepare(`
+            CREATE TABLE IF NOT EXISTS expense_tags (
+                expenseId TEXT NOT NULL,
+                tagId TEXT NOT NULL,
+                PRIMARY KEY(expenseId, tagId),
+                FOREIGN KEY(expenseId) REFERENCES expenses(id) ON DELETE CASCADE,
+                FOREIGN KEY(tagId) REFERENCES tags(id) ON DELETE CASCADE
+            )
+        `).run();
+        db.prepare('CREATE INDEX IF NOT EXISTS idx_income_tags_tag ON income_tags(tagId)').run();
+        db.prepare('CREATE INDEX IF NOT EXISTS idx_expense_tags_tag ON expense_tags(tagId)').run();
+
+        migrateExpenseTagColumn(db);
+    },
+
+    down(db) {
+        TABLES.forEach(table => db.prepare(`DROP TABLE IF EXISTS ${table}`).run());
+    }
+};
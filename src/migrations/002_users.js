@@ -0,0 +1,38 @@
+// src/migrations/002_users.js
+// 사용자 계정 테이블과 사용자별 데이터 분리를 위한 userId 컬럼
+// 기본 카테고리(userId 가 NULL)는 모든 사용자가 함께 사용
+const { addColumnIfMissing } = require('../migrator');
+
+// 사용자별로 나뉘는 테이블
+const OWNED_TABLES = ['incomes', 'expenses', 'recurring_rules', 'budgets', 'financial_goals', 'alerts', 'notifications', 'categories'];
+
+module.exports = {
+    description: '사용자 계정과 수입/지출, 반복 규칙, 예산, 목표, 알림, 사용자 카테고리의 소유자(userId)',
+
+    up(db) {
+        db.prepare(`
+            CREATE TABLE IF NOT EXISTS users (
+                id TEXT PRIMARY KEY,
+                email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                passwordHash TEXT NOT NULL, -- scrypt$<salt>$<hash>
+                name TEXT,
+                createdAt TEXT NOT NULL,
+                updatedAt TEXT
+            )
+        `).run();
+
+        // 마이그레이션 이전 데이터는 userId 가 NULL 이며 처음 가입한 사용자에게 귀속됨
+        OWNED_TABLES.forEach(table => {
+            addColumnIfMissing(db, table, 'userId', 'TEXT');
+            db.prepare(`CREATE INDEX IF NOT EXISTS idx_${table}_user ON ${table}(userId)`).run();
+        });
+    },
+
+    down(db) {
+        OWNED_TABLES.forEach(table => {
+            db.prepare(`DROP INDEX IF EXISTS idx_${table}_user`).run();
+            db.prepare(`ALTER TABLE ${table} DROP COLUMN userId`).run();
+        });
+        db.prepare('DROP TABLE IF EXISTS users').run();
+    }
+};
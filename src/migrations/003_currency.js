@@ -0,0 +1,50 @@
+// src/migrations/003_currency.js
+// 통화 코드와 환율 테이블, 사용자별 기준 통화
+// 금액(amount)은 이 버전부터 해당 통화의 최소 단위 정수(KRW 는 원, USD 는 센트)로 저장
+const { addColumnIfMissing } = require('../migrator');
+
+// 통화 코드를 갖는 테이블 (기존 행은 모두 KRW)
+const CURRENCY_TABLES = ['incomes', 'expenses', 'recurring_rules', 'budgets'];
+
+// 기존 금액은 KRW 이므로 최소 단위(원)로 반올림만 하면 됨
+const AMOUNT_COLUMNS = [
+    ['incomes', 'amount'],
+    ['expenses', 'amount'],
+    ['recurring_rules', 'amount'],
+    ['recurring_exceptions', 'amount'],
+    ['budgets', 'amount']
+];
+
+module.exports = {
+    description: '수입/지출, 반복 규칙, 예산의 통화 코드와 환율(exchange_rates), 금액을 최소 단위 정수로 저장',
+
+    up(db) {
+        CURRENCY_TABLES.forEach(table => addColumnIfMissing(db, table, 'currency', "TEXT NOT NULL DEFAULT 'KRW'"));
+        addColumnIfMissing(db, 'users', 'baseCurrency', "TEXT NOT NULL DEFAULT 'KRW'");
+
+        AMOUNT_COLUMNS.forEach(([table, column]) => {
+            db.prepare(`UPDATE ${table} SET ${column} = CAST(ROUND(${column}) AS INTEGER) WHERE ${column} IS NOT NULL`).run();
+        });
+
+        // 1 base = rate quote (date 부터 다음 환율이 등록될 때까지 적용)
+        db.prepare(`
+            CREATE TABLE IF NOT EXISTS exchange_rates (
+                id TEXT PRIMARY KEY,
+                base TEXT NOT NULL,
+                quote TEXT NOT NULL,
+                rate REAL NOT NULL CHECK(rate > 0),
+                date TEXT NOT NULL, -- 적용 시작일
+                source TEXT NOT NULL DEFAULT 'manual' CHECK(source IN ('manual', 'file')),
+                createdAt TEXT NOT NULL,
+                updatedAt TEXT,
+                UNIQUE(base, quote, date)
+            )
+        `).run();
+    },
+
+    down(db) {
+        db.prepare('DROP TABLE IF EXISTS exchange_rates').run();
+        db.prepare('ALTER TABLE users DROP COLUMN baseCurrency').run();
+        CURRENCY_TABLES.forEach(table => db.prepare(`ALTER TABLE ${table} DROP COLUMN currency`).run());
+    }
+};
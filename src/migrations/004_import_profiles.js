@@ -0,0 +1,29 @@
+// src/migrations/004_import_profiles.js
+// 은행/카드사별 CSV 열 매핑 프로필
+module.exports = {
+    description: '은행/카드사 거래내역 CSV 가져오기용 열 매핑 프로필(import_profiles)',
+
+    up(db) {
+        db.prepare(`
+            CREATE TABLE IF NOT EXISTS import_profiles (
+                id TEXT PRIMARY KEY,
+                userId TEXT,
+                name TEXT NOT NULL,
+                type TEXT NOT NULL DEFAULT 'expense' CHECK(type IN ('income', 'expense', 'mixed')),
+                encoding TEXT NOT NULL DEFAULT 'auto', -- auto, utf-8, euc-kr(cp949)
+                delimiter TEXT NOT NULL DEFAULT ',',
+                skipRows INTEGER NOT NULL DEFAULT 0, -- 헤더 앞에 건너뛸 줄 수
+                mapping TEXT NOT NULL, -- JSON: { date, amount, withdrawal, deposit, description, category, currency, paymentMethod } → 헤더 이름 또는 0부터 시작하는 열 번호
+                currency TEXT NOT NULL DEFAULT 'KRW', -- 통화 열이 없을 때 사용
+                paymentMethod TEXT, -- 결제 수단 열이 없을 때 지출에 사용
+                createdAt TEXT NOT NULL,
+                updatedAt TEXT,
+                UNIQUE(userId, name)
+            )
+        `).run();
+    },
+
+    down(db) {
+        db.prepare('DROP TABLE IF EXISTS import_profiles').run();
+    }
+};
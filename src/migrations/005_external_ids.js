@@ -0,0 +1,23 @@
+// src/migrations/005_external_ids.js
+// 은행/카드사가 붙인 거래 고유 번호(OFX 의 FITID)를 저장해 같은 거래를 다시 가져오지 않도록 함
+const { addColumnIfMissing } = require('../migrator');
+
+const TRANSACTION_TABLES = ['incomes', 'expenses'];
+
+module.exports = {
+    description: '수입/지출의 외부 거래 번호(externalId, OFX FITID)',
+
+    up(db) {
+        TRANSACTION_TABLES.forEach(table => {
+            addColumnIfMissing(db, table, 'externalId', 'TEXT');
+            db.prepare(`CREATE INDEX IF NOT EXISTS idx_${table}_external ON ${table}(userId, externalId)`).run();
+        });
+    },
+
+    down(db) {
+        TRANSACTION_TABLES.forEach(table => {
+            db.prepare(`DROP INDEX IF EXISTS idx_${table}_external`).run();
+            db.prepare(`ALTER TABLE ${table} DROP COLUMN externalId`).run();
+        });
+    }
+};
@@ -0,0 +1,30 @@
+// src/migrations/006_category_rules.js
+// 거래 내용/장소/금액/결제 수단으로 카테고리, 태그, 고정 지출 여부를 정하는 자동 분류 규칙
+module.exports = {
+    description: '수입/지출 자동 분류 규칙(category_rules)',
+
+    up(db) {
+        db.prepare(`
+            CREATE TABLE IF NOT EXISTS category_rules (
+                id TEXT PRIMARY KEY,
+                userId TEXT,
+                name TEXT NOT NULL,
+                type TEXT NOT NULL CHECK(type IN ('income', 'expense')),
+                priority INTEGER NOT NULL DEFAULT 0, -- 작을수록 먼저 검사
+                condition TEXT NOT NULL, -- JSON: { descriptionContains, descriptionRegex, locationContains, locationRegex, minAmount, maxAmount, currency, paymentMethod }
+                categoryId TEXT, -- 일치하면 지정할 카테고리 (없으면 카테고리는 바꾸지 않음)
+                tags TEXT, -- JSON 배열: 일치하면 붙일 태그 이름
+                isFixed INTEGER, -- 일치하면 지정할 고정 지출 여부 (NULL 이면 바꾸지 않음)
+                isActive INTEGER NOT NULL DEFAULT 1,
+                createdAt TEXT NOT NULL,
+                updatedAt TEXT,
+                FOREIGN KEY(categoryId) REFERENCES categories(id)
+            )
+        `).run();
+        db.prepare('CREATE INDEX IF NOT EXISTS idx_category_rules_user ON category_rules(userId, type, priority)').run();
+    },
+
+    down(db) {
+        db.prepare('DROP TABLE IF EXISTS category_rules').run();
+    }
+};
@@ -0,0 +1,53 @@
+// src/migrations/007_anomalies.js
+// 이상 지출 알림 유형(alerts.type = 'anomaly')과 사용자가 무시한 이상 지출 기록(anomaly_dismissals)
+//
+// SQLite 는 CHECK 제약을 바꿀 수 없으므로 alerts 를 새로 만들어 옮긴다.
+// 트랜잭션 안에서는 foreign_keys 를 끌 수 없어 alerts 를 지우면 notifications 가 ON DELETE CASCADE 로 함께 지워지므로
+// notifications 를 임시 테이블에 옮겨 두었다가 되돌린다.
+const ALERT_TYPE_CHECK = /CHECK\s*\(\s*type\s+IN\s*\([^)]*\)\s*\)/i;
+
+function rebuildAlerts(db, types) {
+    const table = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'alerts'").get();
+    const indexes = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'index' AND tbl_name = 'alerts' AND sql IS NOT NULL").all();
+    const check = `CHECK(type IN (${types.map(t => `'${t}'`).join(', ')}))`;
+    const createSql = table.sql
+        .replace(/^CREATE TABLE\s+(IF NOT EXISTS\s+)?["`]?alerts["`]?/i, 'CREATE TABLE alerts_rebuild')
+        .replace(ALERT_TYPE_CHECK, check);
+
+    db.prepare('CREATE TABLE notifications_rebuild AS SELECT * FROM notifications').run();
+    db.prepare(createSql).run();
+    db.prepare('INSERT INTO alerts_rebuild SELECT * FROM alerts').run();
+    db.prepare('DROP TABLE alerts').run();
+    db.prepare('ALTER TABLE alerts_rebuild RENAME TO alerts').run();
+    indexes.forEach(index => db.prepare(index.sql).run());
+    db.prepare('INSERT INTO notifications SELECT * FROM notifications_rebuild').run();
+    db.prepare('DROP TABLE notifications_rebuild').run();
+}
+
+module.exports = {
+    description: "이상 지출 알림 유형(alerts.type 'anomaly')과 무시한 이상 지출(anomaly_dismissals)",
+
+    up(db) {
+        rebuildAlerts(db, ['budget', 'recurring', 'goal', 'anomaly']);
+
+        // 사용자가 "정상"으로 확인해 다시 표시하지 않을 이상 지출 (지출이 지워지면 함께 삭제)
+        db.prepare(`
+            CREATE TABLE IF NOT EXISTS anomaly_dismissals (
+                id TEXT PRIMARY KEY,
+                userId TEXT,
+                expenseId TEXT NOT NULL,
+                kind TEXT NOT NULL CHECK(kind IN ('amount', 'duplicate', 'recurringIncrease')),
+                note TEXT,
+                createdAt TEXT NOT NULL,
+                UNIQUE(userId, expenseId, kind),
+                FOREIGN KEY(expenseId) REFERENCES expenses(id) ON DELETE CASCADE
+            )
+        `).run();
+    },
+
+    down(db) {
+        db.prepare('DROP TABLE IF EXISTS anomaly_dismissals').run();
+        db.prepare("DELETE FROM alerts WHERE type = 'anomaly'").run();
+        rebuildAlerts(db, ['budget', 'recurring', 'goal']);
+    }
+};
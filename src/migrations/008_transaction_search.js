@@ -0,0 +1,45 @@
+// src/migrations/008_transaction_search.js
+// 수입/지출 내용(description)과 장소(location) 검색용 FTS5 색인
+//
+// trigram 토크나이저는 글자 3개 단위로 색인하므로 띄어쓰기 없이 붙여 쓰는 한국어도 단어 일부로 찾을 수 있다.
+// 색인은 트리거로 원본 테이블과 맞추며, 원본의 rowid 는 VACUUM 때 바뀔 수 있어 거래 id 로 연결한다.
+const SEARCH_INDEXES = [
+    { table: 'incomes', index: 'income_search', columns: ['description'] },
+    { table: 'expenses', index: 'expense_search', columns: ['description', 'location'] }
+];
+
+module.exports = {
+    description: '수입/지출 내용, 장소 검색 색인(income_search, expense_search)',
+
+    up(db) {
+        SEARCH_INDEXES.forEach(({ table, index, columns }) => {
+            const values = (row) => columns.map(c => `${row}.${c}`).join(', ');
+            db.prepare(`CREATE VIRTUAL TABLE IF NOT EXISTS ${index} USING fts5(id UNINDEXED, ${columns.join(', ')}, tokenize = 'trigram')`).run();
+            db.prepare(`
+                CREATE TRIGGER IF NOT EXISTS ${index}_insert AFTER INSERT ON ${table} BEGIN
+                    INSERT INTO ${index} (id, ${columns.join(', ')}) VALUES (new.id, ${values('new')});
+                END
+            `).run();
+            db.prepare(`
+                CREATE TRIGGER IF NOT EXISTS ${index}_update AFTER UPDATE OF id, ${columns.join(', ')} ON ${table} BEGIN
+                    DELETE FROM ${index} WHERE id = old.id;
+                    INSERT INTO ${index} (id, ${columns.join(', ')}) VALUES (new.id, ${values('new')});
+                END
+            `).run();
+            db.prepare(`
+                CREATE TRIGGER IF NOT EXISTS ${index}_delete AFTER DELETE ON ${table} BEGIN
+                    DELETE FROM ${index} WHERE id = old.id;
+                END
+            `).run();
+            db.prepare(`DELETE FROM ${index}`).run();
+            db.prepare(`INSERT INTO ${index} (id, ${columns.join(', ')}) SELECT id, ${columns.join(', ')} FROM ${table}`).run();
+        });
+    },
+
+    down(db) {
+        SEARCH_INDEXES.forEach(({ index }) => {
+            ['insert', 'update', 'delete'].forEach(event => db.prepare(`DROP TRIGGER IF EXISTS ${index}_${event}`).run());
+            db.prepare(`DROP TABLE IF EXISTS ${index}`).run();
+        });
+    }
+};
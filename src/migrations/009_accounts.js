@@ -0,0 +1,123 @@
+// src/migrations/009_accounts.js
+// 은행 계좌/카드/현금/저축 계좌(accounts), 계좌 간 이체(transfers), 명세서 잔액 대사 기록(account_reconciliations)
+// 수입/지출과 반복 규칙에 계좌(accountId)를 연결
+//
+// accountId 는 REFERENCES 없이 추가한다. SQLite 는 외래 키가 걸린 컬럼을 DROP COLUMN 할 수 없어 down 이 불가능해지기 때문이며,
+// 계좌 소유자 확인과 사용 중인 계좌의 삭제 방지는 account.service 에서 한다.
+// 기존 수입/지출은 사용자별로 결제 수단에 맞는 계좌(현금, 카드, 은행 계좌)를 만들어 연결한다.
+const { v4: uuidv4 } = require('uuid');
+const { addColumnIfMissing } = require('../migrator');
+
+const LINKED_TABLES = ['incomes', 'expenses', 'recurring_rules'];
+
+// 결제 수단 → 계좌 유형 (계좌이체, 기타와 수입은 은행 계좌)
+const TYPE_BY_PAYMENT_METHOD = { 현금: 'cash', 카드: 'card' };
+const ACCOUNT_NAMES = { bank: '은행 계좌', card: '카드', cash: '현금' };
+
+module.exports = {
+    description: '계좌(accounts), 계좌 간 이체(transfers), 잔액 대사 기록(account_reconciliations)과 수입/지출, 반복 규칙의 계좌(accountId)',
+
+    up(db) {
+        db.prepare(`
+            CREATE TABLE IF NOT EXISTS accounts (
+                id TEXT PRIMARY KEY,
+                userId TEXT,
+                name TEXT NOT NULL,
+                type TEXT NOT NULL CHECK(type IN ('bank', 'card', 'cash', 'savings')),
+                currency TEXT NOT NULL DEFAULT 'KRW',
+                openingBalance INTEGER NOT NULL DEFAULT 0, -- 첫 거래 이전 잔액 (currency 의 최소 단위, 카드는 미결제 금액만큼 음수)
+                institution TEXT, -- 은행/카드사 이름
+                note TEXT,
+                isDefault INTEGER NOT NULL DEFAULT 0, -- 계좌를 지정하지 않은 거래가 들어가는 계좌
+                isArchived INTEGER NOT NULL DEFAULT 0, -- 보관된 계좌에는 새 거래를 추가할 수 없음
+                createdAt TEXT NOT NULL,
+                updatedAt TEXT,
+                UNIQUE(userId, name)
+            )
+        `).run();
+
+        // 수입/지출이 아닌 계좌 간 자금 이동 (amount 는 보내는 계좌 통화, toAmount 는 받는 계좌 통화)
+        db.prepare(`
+            CREATE TABLE IF NOT EXISTS transfers (
+                id TEXT PRIMARY KEY,
+                userId TEXT,
+                fromAccountId TEXT NOT NULL,
+                toAccountId TEXT NOT NULL,
+                amount INTEGER NOT NULL CHECK(amount > 0),
+                toAmount INTEGER NOT NULL CHECK(toAmount > 0),
+                date TEXT NOT NULL,
+                description TEXT,
+                createdAt TEXT NOT NULL,
+                updatedAt TEXT,
+                CHECK(fromAccountId <> toAccountId),
+                FOREIGN KEY(fromAccountId) REFERENCES accounts(id),
+                FOREIGN KEY(toAccountId) REFERENCES accounts(id)
+            )
+        `).run();
+        db.prepare('CREATE INDEX IF NOT EXISTS idx_transfers_user ON transfers(userId, date)').run();
+        db.prepare('CREATE INDEX IF NOT EXISTS idx_transfers_from ON transfers(fromAccountId)').run();
+        db.prepare('CREATE INDEX IF NOT EXISTS idx_transfers_to ON transfers(toAccountId)').run();
+
+        // 명세서 잔액과 장부 잔액을 비교한 기록 (difference = statementBalance - balance)
+        db.prepare(`
+            CREATE TABLE IF NOT EXISTS account_reconciliations (
+                id TEXT PRIMARY KEY,
+                userId TEXT,
+                accountId TEXT NOT NULL,
+                date TEXT NOT NULL, -- 명세서 기준일
+                statementBalance INTEGER NOT NULL,
+                balance INTEGER NOT NULL,
+                difference INTEGER NOT NULL,
+                note TEXT,
+                createdAt TEXT NOT NULL,
+                FOREIGN KEY(accountId) REFERENCES accounts(id) ON DELETE CASCADE
+            )
+        `).run();
+        db.prepare('CREATE INDEX IF NOT EXISTS idx_account_reconciliations_account ON account_reconciliations(accountId, date)').run();
+
+        LINKED_TABLES.forEach(table => {
+            addColumnIfMissing(db, table, 'accountId', 'TEXT');
+            db.prepare(`CREATE INDEX IF NOT EXISTS idx_${table}_account ON ${table}(accountId)`).run();
+        });
+
+        // 기존 거래를 사용자별 계좌로 연결 (은행 계좌가 있으면 기본 계좌)
+        const owners = db.prepare(`
+            SELECT DISTINCT t.userId, u.baseCurrency FROM (
+                SELECT userId FROM incomes UNION SELECT userId FROM expenses
+            ) t LEFT JOIN users u ON u.id = t.userId
+        `).all();
+        const insertAccount = db.prepare(`
+            INSERT INTO accounts (id, userId, name, type, currency, isDefault, createdAt, updatedAt)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        const now = new Date().toISOString();
+        owners.forEach(({ userId, baseCurrency }) => {
+            const methods = db.prepare('SELECT DISTINCT paymentMethod FROM expenses WHERE userId IS ?').all(userId).map(row => row.paymentMethod);
+            const hasIncome = !!db.prepare('SELECT 1 FROM incomes WHERE userId IS ? LIMIT 1').get(userId);
+            const types = new Set(methods.map(method => TYPE_BY_PAYMENT_METHOD[method] || 'bank'));
+            if (hasIncome) types.add('bank');
+            const defaultType = types.has('bank') ? 'bank' : [...types][0];
+
+            const accountIds = {};
+            [...types].forEach(type => {
+                accountIds[type] = uuidv4();
+                insertAccount.run(accountIds[type], userId, ACCOUNT_NAMES[type], type, baseCurrency || 'KRW', type === defaultType ? 1 : 0, now, now);
+            });
+            db.prepare('UPDATE incomes SET accountId = ? WHERE userId IS ?').run(accountIds.bank || accountIds[defaultType], userId);
+            methods.forEach(method => {
+                db.prepare('UPDATE expenses SET accountId = ? WHERE userId IS ? AND paymentMethod IS ?')
+                    .run(accountIds[TYPE_BY_PAYMENT_METHOD[method] || 'bank'], userId, method);
+            });
+        });
+    },
+
+    down(db) {
+        LINKED_TABLES.forEach(table => {
+            db.prepare(`DROP INDEX IF EXISTS idx_${table}_account`).run();
+            db.prepare(`ALTER TABLE ${table} DROP COLUMN accountId`).run();
+        });
+        db.prepare('DROP TABLE IF EXISTS account_reconciliations').run();
+        db.prepare('DROP TABLE IF EXISTS transfers').run();
+        db.prepare('DROP TABLE IF EXISTS accounts').run();
+    }
+};
@@ -0,0 +1,22 @@
+// src/migrations/010_card_billing.js
+// 카드 계좌의 결제 주기(마감일 statementDay, 결제일 paymentDay)와 지출의 할부 개월 수(installmentMonths), 할부 수수료율(installmentRate)
+//
+// 모두 NULL 을 허용한다. 결제 주기가 없는 카드는 card.service 의 기본 주기(말일 마감, 다음 달 14일 결제)를,
+// 할부 개월 수가 없는 지출은 일시불, 수수료율이 없으면 무이자로 본다.
+const { addColumnIfMissing } = require('../migrator');
+
+module.exports = {
+    description: '카드 계좌의 마감일/결제일(statementDay, paymentDay)과 지출의 할부 개월 수/수수료율(installmentMonths, installmentRate)',
+
+    up(db) {
+        addColumnIfMissing(db, 'accounts', 'statementDay', 'INTEGER CHECK(statementDay BETWEEN 1 AND 31)');
+        addColumnIfMissing(db, 'accounts', 'paymentDay', 'INTEGER CHECK(paymentDay BETWEEN 1 AND 31)');
+        addColumnIfMissing(db, 'expenses', 'installmentMonths', 'INTEGER CHECK(installmentMonths >= 2)');
+        addColumnIfMissing(db, 'expenses', 'installmentRate', 'REAL CHECK(installmentRate >= 0)');
+    },
+
+    down(db) {
+        ['installmentRate', 'installmentMonths'].forEach(column => db.prepare(`ALTER TABLE expenses DROP COLUMN ${column}`).run());
+        ['paymentDay', 'statementDay'].forEach(column => db.prepare(`ALTER TABLE accounts DROP COLUMN ${column}`).run());
+    }
+};
@@ -0,0 +1,53 @@
+// src/migrations/011_transaction_splits.js
+// 수입/지출 한 건을 카테고리가 다른 여러 줄로 나눈 분할 내역(income_splits, expense_splits)과 분할 줄의 태그 연결
+//
+// 분할 줄의 amount 는 부모 거래 통화의 최소 단위이며 합계는 부모 거래의 amount 와 같다 (split.service 에서 검사).
+// 부모 거래를 지우면 분할 줄과 그 태그 연결도 함께 지워진다.
+const KINDS = [
+    { table: 'income_splits', tagTable: 'income_split_tags', column: 'incomeId', parent: 'incomes' },
+    { table: 'expense_splits', tagTable: 'expense_split_tags', column: 'expenseId', parent: 'expenses' }
+];
+
+module.exports = {
+    description: '수입/지출 분할 내역(income_splits, expense_splits)과 분할 줄 태그 연결(income_split_tags, expense_split_tags)',
+
+    up(db) {
+        KINDS.forEach(({ table, tagTable, column, parent }) => {
+            db.prepare(`
+                CREATE TABLE IF NOT EXISTS ${table} (
+                    id TEXT PRIMARY KEY,
+                    userId TEXT,
+                    ${column} TEXT NOT NULL,
+                    categoryId TEXT NOT NULL,
+                    amount INTEGER NOT NULL CHECK(amount > 0),
+                    description TEXT,
+                    position INTEGER NOT NULL DEFAULT 0, -- 부모 거래 안에서의 순서
+                    createdAt TEXT NOT NULL,
+                    updatedAt TEXT,
+                    FOREIGN KEY(${column}) REFERENCES ${parent}(id) ON DELETE CASCADE,
+                    FOREIGN KEY(categoryId) REFERENCES categories(id)
+                )
+            `).run();
+            db.prepare(`CREATE INDEX IF NOT EXISTS idx_${table}_parent ON ${table}(${column}, position)`).run();
+            db.prepare(`CREATE INDEX IF NOT EXISTS idx_${table}_category ON ${table}(userId, categoryId)`).run();
+
+            db.prepare(`
+                CREATE TABLE IF NOT EXISTS ${tagTable} (
+                    splitId TEXT NOT NULL,
+                    tagId TEXT NOT NULL,
+                    PRIMARY KEY(splitId, tagId),
+                    FOREIGN KEY(splitId) REFERENCES ${table}(id) ON DELETE CASCADE,
+                    FOREIGN KEY(tagId) REFERENCES tags(id) ON DELETE CASCADE
+                )
+            `).run();
+            db.prepare(`CREATE INDEX IF NOT EXISTS idx_${tagTable}_tag ON ${tagTable}(tagId)`).run();
+        });
+    },
+
+    down(db) {
+        KINDS.forEach(({ table, tagTable }) => {
+            db.prepare(`DROP TABLE IF EXISTS ${tagTable}`).run();
+            db.prepare(`DROP TABLE IF EXISTS ${table}`).run();
+        });
+    }
+};
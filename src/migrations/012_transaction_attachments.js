@@ -0,0 +1,49 @@
+// src/migrations/012_transaction_attachments.js
+// 수입/지출에 붙인 영수증/문서 첨부(income_attachments, expense_attachments)와 디스크에 저장한 파일 내용(attachment_files)
+//
+// 파일 내용은 SHA-256 체크섬으로 한 번만 저장하고 여러 첨부가 함께 참조한다 (attachment.service).
+// 거래를 지우면 첨부도 함께 지워지며, 더 이상 참조되지 않는 파일은 attachment.service 가 디스크에서 지운다.
+const KINDS = [
+    { table: 'income_attachments', column: 'incomeId', parent: 'incomes' },
+    { table: 'expense_attachments', column: 'expenseId', parent: 'expenses' }
+];
+
+module.exports = {
+    description: '첨부 파일 내용(attachment_files)과 수입/지출 첨부(income_attachments, expense_attachments)',
+
+    up(db) {
+        db.prepare(`
+            CREATE TABLE IF NOT EXISTS attachment_files (
+                checksum TEXT PRIMARY KEY, -- 내용의 SHA-256 (16진수), 디스크 파일 이름
+                size INTEGER NOT NULL CHECK(size > 0),
+                mimeType TEXT NOT NULL, -- 내용으로 판별한 형식
+                width INTEGER, -- 이미지 크기 (픽셀, 읽을 수 없으면 NULL)
+                height INTEGER,
+                pageCount INTEGER, -- PDF 쪽 수
+                createdAt TEXT NOT NULL
+            )
+        `).run();
+
+        KINDS.forEach(({ table, column, parent }) => {
+            db.prepare(`
+                CREATE TABLE IF NOT EXISTS ${table} (
+                    id TEXT PRIMARY KEY,
+                    userId TEXT,
+                    ${column} TEXT NOT NULL,
+                    checksum TEXT NOT NULL,
+                    fileName TEXT NOT NULL,
+                    createdAt TEXT NOT NULL,
+                    UNIQUE(${column}, checksum),
+                    FOREIGN KEY(${column}) REFERENCES ${parent}(id) ON DELETE CASCADE,
+                    FOREIGN KEY(checksum) REFERENCES attachment_files(checksum)
+                )
+            `).run();
+            db.prepare(`CREATE INDEX IF NOT EXISTS idx_${table}_checksum ON ${table}(checksum)`).run();
+        });
+    },
+
+    down(db) {
+        KINDS.forEach(({ table }) => db.prepare(`DROP TABLE IF EXISTS ${table}`).run());
+        db.prepare('DROP TABLE IF EXISTS attachment_files').run();
+    }
+};
@@ -0,0 +1,102 @@
+// src/migrations/013_user_tags.js
+// 태그(tags)를 사용자별로 나눔: userId 컬럼과 사용자 안에서만 겹치지 않는 이름 UNIQUE(userId, name)
+//
+// 이름의 UNIQUE 제약을 바꾸려면 테이블을 다시 만들어야 하는데, 외래 키가 켜져 있으면 DROP TABLE 이
+// 태그 연결을 ON DELETE CASCADE 로 지우므로 연결을 먼저 읽어 두었다가 다시 넣는다.
+// 여러 사용자가 함께 쓰던 태그는 처음 만난 사용자가 원래 id 를 갖고 나머지 사용자에게는 새 id 로 복사한다.
+// 어느 거래에도 연결되지 않은 태그와 사용자 도입 이전 거래의 태그는 userId 가 NULL 이며 처음 가입한 사용자에게 귀속된다.
+const { v4: uuidv4 } = require('uuid');
+
+// 태그 연결 테이블과 연결된 행의 소유자를 찾는 부모 테이블
+const LINKS = [
+    { table: 'income_tags', column: 'incomeId', parent: 'incomes' },
+    { table: 'expense_tags', column: 'expenseId', parent: 'expenses' },
+    { table: 'income_split_tags', column: 'splitId', parent: 'income_splits' },
+    { table: 'expense_split_tags', column: 'splitId', parent: 'expense_splits' }
+];
+
+// 연결을 모두 읽은 뒤 tags 를 columns 정의로 다시 만들고, tagIdFor(원래 tagId, 소유자) 로 연결을 다시 넣음
+function rebuildTags(db, definition, copyTags, tagIdFor) {
+    const links = LINKS.map(link => ({
+        ...link,
+        rows: db.prepare(`
+            SELECT l.${link.column} as parentId, l.tagId, p.userId
+            FROM ${link.table} l JOIN ${link.parent} p ON p.id = l.${link.column}
+        `).all()
+    }));
+    const tags = db.prepare('SELECT * FROM tags').all();
+
+    db.prepare('DROP TABLE tags').run();
+    db.prepare(definition).run();
+    copyTags(tags, links);
+
+    links.forEach(({ table, column, rows }) => {
+        const insert = db.prepare(`INSERT OR IGNORE INTO ${table} (${column}, tagId) VALUES (?, ?)`);
+        rows.forEach(row => insert.run(row.parentId, tagIdFor(row.tagId, row.userId)));
+    });
+}
+
+module.exports = {
+    description: '사용자별 태그 (tags.userId, 사용자 안에서 이름 UNIQUE)',
+
+    up(db) {
+        if (db.prepare('PRAGMA table_info(tags)').all().some(c => c.name === 'userId')) return;
+        // 태그 id + 소유자 → 새 태그 id (소유자가 NULL 이면 '' 키)
+        const ids = new Map();
+        const key = (tagId, userId) => `${tagId}:${userId || ''}`;
+
+        rebuildTags(db, `
+            CREATE TABLE tags (
+                id TEXT PRIMARY KEY,
+                userId TEXT,
+                name TEXT NOT NULL,
+                color TEXT,
+                description TEXT,
+                createdAt TEXT NOT NULL,
+                updatedAt TEXT,
+                UNIQUE(userId, name)
+            )
+        `, (tags, links) => {
+            const owners = new Map(tags.map(tag => [tag.id, []]));
+            links.forEach(({ rows }) => rows.forEach(row => {
+                const list = owners.get(row.tagId);
+                if (list && !list.includes(row.userId)) list.push(row.userId);
+            }));
+            const insert = db.prepare('INSERT INTO tags (id, userId, name, color, description, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?, ?, ?)');
+            tags.forEach(tag => {
+                const users = owners.get(tag.id).length ? owners.get(tag.id) : [null];
+                users.forEach((userId, index) => {
+                    const id = index === 0 ? tag.id : uuidv4();
+                    ids.set(key(tag.id, userId), id);
+                    insert.run(id, userId, tag.name, tag.color, tag.description, tag.createdAt, tag.updatedAt);
+                });
+            });
+        }, (tagId, userId) => ids.get(key(tagId, userId)));
+        db.prepare('CREATE INDEX IF NOT EXISTS idx_tags_user ON tags(userId)').run();
+    },
+
+    down(db) {
+        // 이름이 같은 태그는 하나로 합침 (먼저 만든 태그의 id)
+        const byName = new Map();
+        const merged = new Map();
+        rebuildTags(db, `
+            CREATE TABLE tags (
+                id TEXT PRIMARY KEY,
+                name TEXT NOT NULL UNIQUE,
+                color TEXT,
+                description TEXT,
+                createdAt TEXT NOT NULL,
+                updatedAt TEXT
+            )
+        `, (tags) => {
+            const insert = db.prepare('INSERT INTO tags (id, name, color, description, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?, ?)');
+            tags.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt))).forEach(tag => {
+                if (!byName.has(tag.name)) {
+                    byName.set(tag.name, tag.id);
+                    insert.run(tag.id, tag.name, tag.color, tag.description, tag.createdAt, tag.updatedAt);
+                }
+                merged.set(tag.id, byName.get(tag.name));
+            });
+        }, (tagId) => merged.get(tagId));
+    }
+};
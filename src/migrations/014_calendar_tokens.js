@@ -0,0 +1,19 @@
+// src/migrations/014_calendar_tokens.js
+// 캘린더 구독(.ics) 전용 토큰: 로그인 토큰(JWT)을 URL 에 넣지 않도록 사용자마다 따로 발급하고 취소할 수 있는 토큰
+// 토큰 값은 저장하지 않고 SHA-256 해시만 저장한다.
+const { addColumnIfMissing } = require('../migrator');
+
+module.exports = {
+    description: '캘린더 구독 토큰 (users.calendarTokenHash, calendarTokenCreatedAt)',
+
+    up(db) {
+        addColumnIfMissing(db, 'users', 'calendarTokenHash', 'TEXT');
+        addColumnIfMissing(db, 'users', 'calendarTokenCreatedAt', 'TEXT');
+        db.prepare('CREATE UNIQUE INDEX IF NOT EXISTS idx_users_calendar_token ON users(calendarTokenHash)').run();
+    },
+
+    down(db) {
+        db.prepare('DROP INDEX IF EXISTS idx_users_calendar_token').run();
+        ['calendarTokenCreatedAt', 'calendarTokenHash'].forEach(column => db.prepare(`ALTER TABLE users DROP COLUMN ${column}`).run());
+    }
+};
@@ -0,0 +1,19 @@
+// src/migrations/015_job_run_owner.js
+// 작업 실행 이력(job_runs)의 실행한 사용자(userId)
+// 사용자가 직접 실행한 작업은 그 사용자의 규칙만 처리하고 그 사용자에게만 보인다.
+// 서버 시작/매일 예약 실행은 모든 사용자의 규칙을 처리하며 userId 가 NULL 이다 (API 로 조회되지 않음).
+const { addColumnIfMissing } = require('../migrator');
+
+module.exports = {
+    description: '작업 실행 이력의 실행한 사용자 (job_runs.userId)',
+
+    up(db) {
+        addColumnIfMissing(db, 'job_runs', 'userId', 'TEXT');
+        db.prepare('CREATE INDEX IF NOT EXISTS idx_job_runs_user ON job_runs(userId, startedAt)').run();
+    },
+
+    down(db) {
+        db.prepare('DROP INDEX IF EXISTS idx_job_runs_user').run();
+        db.prepare('ALTER TABLE job_runs DROP COLUMN userId').run();
+    }
+};
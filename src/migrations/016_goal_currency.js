@@ -0,0 +1,15 @@
+// src/migrations/016_goal_currency.js
+// 재무 목표의 통화 (목표 금액, 입출금 금액은 이 통화의 최소 단위이며 다른 통화의 저축 지출은 지출일 환율로 변환해 적립)
+const { addColumnIfMissing } = require('../migrator');
+
+module.exports = {
+    description: '재무 목표의 통화 (financial_goals.currency)',
+
+    up(db) {
+        addColumnIfMissing(db, 'financial_goals', 'currency', "TEXT NOT NULL DEFAULT 'KRW'");
+    },
+
+    down(db) {
+        db.prepare('ALTER TABLE financial_goals DROP COLUMN currency').run();
+    }
+};
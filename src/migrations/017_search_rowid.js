@@ -0,0 +1,52 @@
+// src/migrations/017_search_rowid.js
+// 검색 색인(income_search, expense_search)을 원본 테이블의 rowid 로 연결하는 외부 콘텐츠 FTS5 테이블로 다시 만듦
+//
+// 008 의 색인은 거래 id 를 UNINDEXED 열로 두어 트리거의 DELETE ... WHERE id = old.id 가 색인 전체를 훑었다.
+// 색인 행의 rowid 를 원본 행의 rowid 로 맞추면 수정/삭제가 rowid 로 바로 찾아가고, 내용은 원본 테이블에서 읽으므로 따로 저장하지 않는다.
+// VACUUM 은 INTEGER PRIMARY KEY 가 없는 테이블의 rowid 를 바꿀 수 있으므로 VACUUM 뒤에는
+// INSERT INTO <색인>(<색인>) VALUES ('rebuild') 로 색인을 다시 만들어야 한다.
+const previous = require('./008_transaction_search');
+
+const SEARCH_INDEXES = [
+    { table: 'incomes', index: 'income_search', columns: ['description'] },
+    { table: 'expenses', index: 'expense_search', columns: ['description', 'location'] }
+];
+
+module.exports = {
+    description: '검색 색인을 원본 rowid 로 연결 (income_search, expense_search 외부 콘텐츠 FTS5)',
+
+    up(db) {
+        previous.down(db);
+        SEARCH_INDEXES.forEach(({ table, index, columns }) => {
+            const list = columns.join(', ');
+            const values = (row) => columns.map(c => `${row}.${c}`).join(', ');
+            db.prepare(`CREATE VIRTUAL TABLE ${index} USING fts5(${list}, content = '${table}', content_rowid = 'rowid', tokenize = 'trigram')`).run();
+            // 외부 콘텐츠 색인은 'delete' 명령에 색인할 때의 값을 넘겨야 해당 trigram 이 지워진다
+            db.prepare(`
+                CREATE TRIGGER ${index}_insert AFTER INSERT ON ${table} BEGIN
+                    INSERT INTO ${index} (rowid, ${list}) VALUES (new.rowid, ${values('new')});
+                END
+            `).run();
+            db.prepare(`
+                CREATE TRIGGER ${index}_update AFTER UPDATE OF ${list} ON ${table} BEGIN
+                    INSERT INTO ${index} (${index}, rowid, ${list}) VALUES ('delete', old.rowid, ${values('old')});
+                    INSERT INTO ${index} (rowid, ${list}) VALUES (new.rowid, ${values('new')});
+                END
+            `).run();
+            db.prepare(`
+                CREATE TRIGGER ${index}_delete AFTER DELETE ON ${table} BEGIN
+                    INSERT INTO ${index} (${index}, rowid, ${list}) VALUES ('delete', old.rowid, ${values('old')});
+                END
+            `).run();
+            db.prepare(`INSERT INTO ${index} (${index}) VALUES ('rebuild')`).run();
+        });
+    },
+
+    down(db) {
+        SEARCH_INDEXES.forEach(({ index }) => {
+            ['insert', 'update', 'delete'].forEach(event => db.prepare(`DROP TRIGGER IF EXISTS ${index}_${event}`).run());
+            db.prepare(`DROP TABLE IF EXISTS ${index}`).run();
+        });
+        previous.up(db);
+    }
+};
@@ -0,0 +1,143 @@
+// src/migrator.js
+// src/migrations 의 번호가 붙은 마이그레이션 파일을 순서대로 적용/되돌리고 schema_version 에 기록
+//
+// 마이그레이션 파일: src/migrations/<버전>_<이름>.js
+//   module.exports = { description, up(db) { ... }, down(db) { ... } }
+// 각 단계는 트랜잭션 안에서 실행되므로 중간에 실패하면 그 단계 전체가 취소된다.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// dryRun 일 때 트랜잭션을 되돌리기 위해 던지는 값
+class DryRunRollback extends Error {}
+
+// 파일 이름 순이 아니라 버전 숫자 순으로 정렬된 마이그레이션 목록
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir)
+        .map(file => ({ file, match: FILE_PATTERN.exec(file) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => {
+            const migration = require(path.join(dir, file));
+            if (typeof migration.up !== 'function') throw new Error(`${file}: up 함수가 없습니다.`);
+            return { version: Number(match[1]), name: match[2], file, ...migration };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((m, i) => {
+        if (i > 0 && m.version === migrations[i - 1].version) {
+            throw new Error(`마이그레이션 버전이 중복됩니다: ${migrations[i - 1].file}, ${m.file}`);
+        }
+    });
+    return migrations;
+}
+
+function ensureVersionTable(db) {
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS schema_version (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            appliedAt TEXT NOT NULL
+        )
+    `).run();
+}
+
+function appliedVersions(db) {
+    ensureVersionTable(db);
+    return db.prepare('SELECT * FROM schema_version ORDER BY version').all();
+}
+
+function currentVersion(db) {
+    const applied = appliedVersions(db);
+    return applied.length ? applied[applied.length - 1].version : 0;
+}
+
+// 마이그레이션별 적용 여부
+function migrationStatus(db, migrations = loadMigrations()) {
+    const applied = new Map(appliedVersions(db).map(row => [row.version, row]));
+    return migrations.map(m => ({
+        version: m.version,
+        name: m.name,
+        description: m.description || null,
+        appliedAt: applied.has(m.version) ? applied.get(m.version).appliedAt : null
+    }));
+}
+
+// steps 를 하나의 바깥 트랜잭션으로 실행, dryRun 이면 실행해 본 뒤 모두 되돌림
+function runSteps(db, steps, dryRun) {
+    try {
+        db.transaction(() => {
+            steps.forEach(step => db.transaction(step.run)());
+            if (dryRun) throw new DryRunRollback();
+        })();
+    } catch (error) {
+        if (!(error instanceof DryRunRollback)) throw error;
+    }
+}
+
+// 적용되지 않은 마이그레이션을 to 버전(기본: 최신)까지 적용하고 적용한 목록을 반환
+function migrate(db, { to = Infinity, dryRun = false, migrations = loadMigrations() } = {}) {
+    const applied = new Set(appliedVersions(db).map(row => row.version));
+    const pending = migrations.filter(m => !applied.has(m.version) && m.version <= to);
+    const record = db.prepare('INSERT INTO schema_version (version, name, appliedAt) VALUES (?, ?, ?)');
+
+    runSteps(db, pending.map(m => ({
+        run: () => {
+            try {
+                m.up(db);
+            } catch (error) {
+                throw new Error(`${m.file} 적용 실패: ${error.message}`);
+            }
+            record.run(m.version, m.name, new Date().toISOString());
+        }
+    })), dryRun);
+
+    return pending.map(({ version, name }) => ({ version, name }));
+}
+
+// 최근에 적용된 마이그레이션부터 steps 개(또는 to 버전 초과분 전부)를 되돌리고 되돌린 목록을 반환
+function rollback(db, { steps = 1, to, dryRun = false, migrations = loadMigrations() } = {}) {
+    const byVersion = new Map(migrations.map(m => [m.version, m]));
+    const applied = appliedVersions(db).map(row => row.version).reverse();
+    const targets = to !== undefined ? applied.filter(v => v > to) : applied.slice(0, steps);
+    const unrecord = db.prepare('DELETE FROM schema_version WHERE version = ?');
+
+    const plan = targets.map(version => {
+        const m = byVersion.get(version);
+        if (!m) throw new Error(`버전 ${version} 의 마이그레이션 파일을 찾을 수 없습니다.`);
+        if (typeof m.down !== 'function') throw new Error(`${m.file}: down 함수가 없어 되돌릴 수 없습니다.`);
+        return m;
+    });
+
+    runSteps(db, plan.map(m => ({
+        run: () => {
+            try {
+                m.down(db);
+            } catch (error) {
+                throw new Error(`${m.file} 되돌리기 실패: ${error.message}`);
+            }
+            unrecord.run(m.version);
+        }
+    })), dryRun);
+
+    return plan.map(({ version, name }) => ({ version, name }));
+}
+
+// 마이그레이션에서 쓰는 헬퍼: 기존 DB 에 없는 컬럼 추가
+function addColumnIfMissing(db, table, column, definition) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(c => c.name === column)) {
+        db.prepare(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`).run();
+    }
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    loadMigrations,
+    currentVersion,
+    migrationStatus,
+    migrate,
+    rollback,
+    addColumnIfMissing
+};
@@ -0,0 +1,649 @@
+const express = require('express');
+const router = express.Router();
+const { format } = require('date-fns');
+const { parseBoolean } = require('../services/expense.service');
+const { DEFAULT_CURRENCY, MissingRateError, normalizeCurrency, isValidCurrency, convertMinor, resolveBaseCurrency } = require('../services/currency.service');
+const {
+    AccountError,
+    toAccount,
+    getAccount,
+    validateAccount,
+    createAccount,
+    resolveAccount,
+    accountUsage,
+    accountBalance,
+    reconcileAccount
+} = require('../services/account.service');
+const { MAX_INSTALLMENT_MONTHS, billingCycle, cardStatements } = require('../services/card.service');
+
+let db = null;
+try {
+    db = require('../db');
+} catch (e) {
+    db = null;
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     AccountInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: 계좌 이름 (사용자별로 중복 불가)
+ *         type:
+ *           type: string
+ *           enum: [bank, card, cash, savings]
+ *           description: 은행 계좌, 카드, 현금, 저축 계좌
+ *         currency:
+ *           type: string
+ *           default: KRW
+ *           description: 잔액을 계산할 통화 (ISO 4217). 이체나 대사 기록이 있으면 바꿀 수 없음
+ *         openingBalance:
+ *           type: integer
+ *           default: 0
+ *           description: 첫 거래 이전 잔액 (currency 의 최소 단위, 카드는 미결제 금액만큼 음수)
+ *         institution:
+ *           type: string
+ *           description: 은행/카드사 이름
+ *         note:
+ *           type: string
+ *         statementDay:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 31
+ *           nullable: true
+ *           description: 카드 명세서 마감일 (카드 계좌만, 그 달에 없는 날은 말일). 없으면 말일
+ *         paymentDay:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 31
+ *           nullable: true
+ *           description: 카드 결제일 (카드 계좌만, 마감일 다음에 처음 오는 이 날에 청구). 없으면 14일
+ *         isDefault:
+ *           type: boolean
+ *           description: 계좌를 지정하지 않은 거래가 들어갈 기본 계좌 (하나만 지정됨)
+ *         isArchived:
+ *           type: boolean
+ *           description: 보관된 계좌는 목록에서 숨기고 새 거래를 추가할 수 없음
+ *     AccountBalance:
+ *       type: object
+ *       properties:
+ *         asOf:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         openingBalance:
+ *           type: integer
+ *         income:
+ *           type: integer
+ *         expense:
+ *           type: integer
+ *         transfersIn:
+ *           type: integer
+ *         transfersOut:
+ *           type: integer
+ *         balance:
+ *           type: integer
+ *           description: openingBalance + income - expense + transfersIn - transfersOut (계좌 통화)
+ */
+
+/**
+ * @openapi
+ * /api/accounts:
+ *   get:
+ *     summary: 계좌 목록 조회 (계좌별 잔액 포함)
+ *     parameters:
+ *       - in: query
+ *         name: includeArchived
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: asOf
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: 이 날짜까지의 거래로 잔액 계산 (기본값 모든 거래)
+ *     responses:
+ *       200:
+ *         description: 계좌 목록 (balance 는 계좌 통화)
+ *       422:
+ *         description: 계좌 통화로 바꿀 환율이 없음
+ */
+router.get('/', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const asOf = req.query.asOf || null;
+        if (asOf && !DATE_PATTERN.test(asOf)) return res.status(400).json({ message: 'asOf 는 YYYY-MM-DD 형식이어야 합니다.' });
+        res.json(listAccounts(req.user.id, parseBoolean(req.query.includeArchived)).map(account => ({
+            ...toAccount(account),
+            balance: accountBalance(db, account, asOf).balance
+        })));
+    } catch (error) {
+        if (error instanceof MissingRateError) return res.status(422).json({ message: error.message });
+        res.status(500).json({ message: '계좌를 불러오는데 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/accounts/balances:
+ *   get:
+ *     summary: 계좌별 잔액과 기준 통화 합계
+ *     description: 각 계좌의 잔액(계좌 통화)과 asOf 날짜 환율로 기준 통화로 바꾼 금액(convertedBalance), 그 합계(total). 이체는 수입/지출로 계산하지 않음
+ *     parameters:
+ *       - in: query
+ *         name: asOf
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: 잔액 기준일 (기본값 오늘)
+ *       - in: query
+ *         name: baseCurrency
+ *         schema:
+ *           type: string
+ *         description: 합계 통화 (기본값 사용자 설정, 없으면 KRW)
+ *       - in: query
+ *         name: includeArchived
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: '{ asOf, baseCurrency, total, accounts: [{ id, name, type, currency, balance, convertedBalance }] }'
+ *       400:
+ *         description: 잘못된 날짜 또는 통화
+ *       422:
+ *         description: 변환에 필요한 환율이 없음
+ */
+router.get('/balances', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const baseCurrency = resolveBaseCurrency(req.query, req.user);
+        if (!baseCurrency) return res.status(400).json({ message: 'baseCurrency 는 ISO 4217 통화 코드여야 합니다.' });
+        const asOf = req.query.asOf || format(new Date(), 'yyyy-MM-dd');
+        if (!DATE_PATTERN.test(asOf)) return res.status(400).json({ message: 'asOf 는 YYYY-MM-DD 형식이어야 합니다.' });
+
+        const accounts = listAccounts(req.user.id, parseBoolean(req.query.includeArchived)).map(account => {
+            const { balance } = accountBalance(db, account, asOf);
+            return {
+                id: account.id,
+                name: account.name,
+                type: account.type,
+                currency: account.currency,
+                isArchived: !!account.isArchived,
+                balance,
+                convertedBalance: convertBalance(balance, account.currency, baseCurrency, asOf)
+            };
+        });
+        res.json({
+            asOf,
+            baseCurrency,
+            total: accounts.reduce((sum, account) => sum + account.convertedBalance, 0),
+            accounts
+        });
+    } catch (error) {
+        if (error instanceof MissingRateError) return res.status(422).json({ message: error.message });
+        res.status(500).json({ message: '계좌 잔액을 계산하는데 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/accounts/statements:
+ *   get:
+ *     summary: 다가오는 카드 명세서 (결제일별 청구 예정 금액)
+ *     description: |
+ *       카드 계좌마다 결제일이 from 이후인 명세서를 months 개씩 계산.
+ *       명세서 금액(total)은 기간 중 일시불 구매(purchases) + 이번 회차 할부 원금(installments) + 할부 수수료(interest) - 카드로 들어온 취소/환급(credits) (카드 통화).
+ *       보관된 카드는 청구할 금액이 있는 명세서만. dueTotals 는 결제일과 통화별 합계
+ *     parameters:
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *         description: 카드 계좌 하나만 조회
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: 이 날 이후에 결제하는 명세서부터 (기본값 오늘)
+ *       - in: query
+ *         name: months
+ *         schema:
+ *           type: integer
+ *           default: 6
+ *           maximum: 60
+ *         description: 카드마다 계산할 명세서 수
+ *     responses:
+ *       200:
+ *         description: |
+ *           { from, statements: [{ accountId, accountName, currency, statementDay, paymentDay, periodStart, periodEnd, dueDate, isClosed,
+ *           purchases, installments, interest, credits, total, items }], dueTotals: [{ dueDate, currency, total }] }
+ *       400:
+ *         description: 잘못된 날짜나 개월 수, 카드 계좌가 아닌 accountId
+ *       404:
+ *         description: accountId 의 계좌를 찾을 수 없음
+ *       422:
+ *         description: 카드 통화로 바꿀 환율이 없음
+ */
+router.get('/statements', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const from = req.query.from || format(new Date(), 'yyyy-MM-dd');
+        if (!DATE_PATTERN.test(from)) return res.status(400).json({ message: 'from 은 YYYY-MM-DD 형식이어야 합니다.' });
+        const months = req.query.months === undefined ? 6 : Number(req.query.months);
+        if (!Number.isInteger(months) || months < 1 || months > MAX_INSTALLMENT_MONTHS) {
+            return res.status(400).json({ message: `months 는 1~${MAX_INSTALLMENT_MONTHS} 사이의 정수여야 합니다.` });
+        }
+
+        let cards;
+        if (req.query.accountId) {
+            const account = getAccount(db, req.query.accountId, req.user.id);
+            if (!account) return res.status(404).json({ message: '해당 계좌를 찾을 수 없습니다.' });
+            if (account.type !== 'card') return res.status(400).json({ message: '카드 계좌만 명세서를 계산할 수 있습니다.' });
+            cards = [account];
+        } else {
+            cards = listAccounts(req.user.id, true).filter(account => account.type === 'card');
+        }
+
+        const statements = cards.flatMap(account => {
+            const { statementDay, paymentDay } = billingCycle(account);
+            return cardStatements(db, account, { from, count: months })
+                .filter(statement => !account.isArchived || statement.items.length)
+                .map(statement => ({ accountId: account.id, accountName: account.name, currency: account.currency, statementDay, paymentDay, ...statement }));
+        }).sort((a, b) => a.dueDate.localeCompare(b.dueDate) || a.accountName.localeCompare(b.accountName));
+
+        const dueTotals = new Map();
+        statements.forEach(statement => {
+            const key = `${statement.dueDate}:${statement.currency}`;
+            if (!dueTotals.has(key)) dueTotals.set(key, { dueDate: statement.dueDate, currency: statement.currency, total: 0 });
+            dueTotals.get(key).total += statement.total;
+        });
+        res.json({ from, statements, dueTotals: [...dueTotals.values()] });
+    } catch (error) {
+        if (error instanceof MissingRateError) return res.status(422).json({ message: error.message });
+        res.status(500).json({ message: '카드 명세서를 계산하는데 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/accounts:
+ *   post:
+ *     summary: 계좌 추가
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/AccountInput'
+ *               - required: [name, type]
+ *     responses:
+ *       201:
+ *         description: 생성된 계좌 반환
+ *       400:
+ *         description: 입력값 오류
+ *       409:
+ *         description: 같은 이름의 계좌가 이미 있음
+ */
+router.post('/', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const { name, type, openingBalance, institution, note, statementDay, paymentDay, isDefault } = req.body;
+        if (!name || !type) return res.status(400).json({ message: '계좌 이름과 유형은 필수 입력값입니다.' });
+        const invalid = validateAccount({ name, type, openingBalance, statementDay, paymentDay });
+        if (invalid) return res.status(400).json({ message: invalid });
+        const currency = normalizeCurrency(req.body.currency) || req.user.baseCurrency || DEFAULT_CURRENCY;
+        if (!isValidCurrency(currency)) return res.status(400).json({ message: 'currency 는 ISO 4217 통화 코드여야 합니다.' });
+        if (findByName(req.user.id, name)) return res.status(409).json({ message: '같은 이름의 계좌가 이미 존재합니다.' });
+
+        // 처음 만드는 계좌는 기본 계좌
+        const isFirst = !db.prepare('SELECT 1 FROM accounts WHERE userId = ? LIMIT 1').get(req.user.id);
+        const account = db.transaction(() => createAccount(db, req.user.id, {
+            name,
+            type,
+            currency,
+            openingBalance,
+            institution,
+            note,
+            statementDay,
+            paymentDay,
+            isDefault: isFirst || parseBoolean(isDefault)
+        }))();
+        res.status(201).json({ ...toAccount(account), balance: accountBalance(db, account).balance });
+    } catch (error) {
+        res.status(500).json({ message: '계좌 저장에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/accounts/{id}:
+ *   get:
+ *     summary: 계좌 조회 (잔액 내역, 연결된 거래 수, 마지막 대사 포함)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: asOf
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: 이 날짜까지의 거래로 잔액 계산 (기본값 모든 거래)
+ *     responses:
+ *       200:
+ *         description: 계좌와 balance, totals(AccountBalance), usage, lastReconciliation
+ *       404:
+ *         description: 찾을 수 없음
+ *       422:
+ *         description: 계좌 통화로 바꿀 환율이 없음
+ */
+router.get('/:id', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const account = getAccount(db, req.params.id, req.user.id);
+        if (!account) return res.status(404).json({ message: '해당 계좌를 찾을 수 없습니다.' });
+        const asOf = req.query.asOf || null;
+        if (asOf && !DATE_PATTERN.test(asOf)) return res.status(400).json({ message: 'asOf 는 YYYY-MM-DD 형식이어야 합니다.' });
+        res.json(accountDetail(account, asOf));
+    } catch (error) {
+        if (error instanceof MissingRateError) return res.status(422).json({ message: error.message });
+        res.status(500).json({ message: '계좌를 불러오는데 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/accounts/{id}:
+ *   put:
+ *     summary: 계좌 수정 (보낸 항목만 변경)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AccountInput'
+ *     responses:
+ *       200:
+ *         description: 수정된 계좌 반환
+ *       400:
+ *         description: 입력값 오류
+ *       404:
+ *         description: 찾을 수 없음
+ *       409:
+ *         description: 같은 이름의 계좌가 있거나, 이체/대사 기록이 있는 계좌의 통화 또는 할부 지출이 있는 카드 계좌의 유형을 바꾸려 함
+ */
+router.put('/:id', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const existing = getAccount(db, req.params.id, req.user.id);
+        if (!existing) return res.status(404).json({ message: '해당 계좌를 찾을 수 없습니다.' });
+
+        const { name, type, openingBalance, institution, note, statementDay, paymentDay } = req.body;
+        const newType = type !== undefined ? type : existing.type;
+        const invalid = validateAccount({ name, type: newType, openingBalance, statementDay, paymentDay });
+        if (invalid) return res.status(400).json({ message: invalid });
+        const currency = req.body.currency !== undefined ? normalizeCurrency(req.body.currency) : existing.currency;
+        if (!isValidCurrency(currency)) return res.status(400).json({ message: 'currency 는 ISO 4217 통화 코드여야 합니다.' });
+        const newName = name !== undefined ? String(name).trim() : existing.name;
+        const duplicate = findByName(req.user.id, newName);
+        if (duplicate && duplicate.id !== existing.id) return res.status(409).json({ message: '같은 이름의 계좌가 이미 존재합니다.' });
+        // 이체 금액과 대사 기록은 계좌 통화로 저장되어 있으므로 통화를 바꾸면 잔액이 맞지 않게 됨
+        if (currency !== existing.currency) {
+            const hasHistory = accountUsage(db, existing.id).transfers
+                || db.prepare('SELECT 1 FROM account_reconciliations WHERE accountId = ? LIMIT 1').get(existing.id);
+            if (hasHistory) return res.status(409).json({ message: '이체나 대사 기록이 있는 계좌의 통화는 바꿀 수 없습니다.' });
+        }
+        if (existing.type === 'card' && newType !== 'card' && hasInstallments(existing.id)) {
+            return res.status(409).json({ message: '할부 지출이 있는 카드 계좌는 다른 유형으로 바꿀 수 없습니다.' });
+        }
+        // 카드가 아닌 계좌가 되면 결제 주기를 지움
+        const billingDay = (key) => {
+            if (newType !== 'card') return null;
+            return req.body[key] !== undefined ? Number(req.body[key]) || null : existing[key];
+        };
+
+        const isArchived = req.body.isArchived !== undefined ? parseBoolean(req.body.isArchived) : !!existing.isArchived;
+        // 보관하는 계좌는 기본 계좌에서 해제
+        const isDefault = !isArchived && (req.body.isDefault !== undefined ? parseBoolean(req.body.isDefault) : !!existing.isDefault);
+        if (isArchived && req.body.isDefault !== undefined && parseBoolean(req.body.isDefault)) {
+            return res.status(400).json({ message: '보관된 계좌는 기본 계좌로 지정할 수 없습니다.' });
+        }
+
+        db.transaction(() => {
+            if (isDefault && !existing.isDefault) db.prepare('UPDATE accounts SET isDefault = 0 WHERE userId = ?').run(req.user.id);
+            db.prepare(`
+                UPDATE accounts
+                SET name = ?, type = ?, currency = ?, openingBalance = ?, institution = ?, note = ?, statementDay = ?, paymentDay = ?, isDefault = ?, isArchived = ?, updatedAt = ?
+                WHERE id = ?
+            `).run(
+                newName,
+                newType,
+                currency,
+                openingBalance !== undefined ? Number(openingBalance) : existing.openingBalance,
+                institution !== undefined ? institution || null : existing.institution,
+                note !== undefined ? note || null : existing.note,
+                billingDay('statementDay'),
+                billingDay('paymentDay'),
+                isDefault ? 1 : 0,
+                isArchived ? 1 : 0,
+                new Date().toISOString(),
+                existing.id
+            );
+        })();
+        res.json(accountDetail(getAccount(db, existing.id, req.user.id), null));
+    } catch (error) {
+        if (error instanceof MissingRateError) return res.status(422).json({ message: error.message });
+        res.status(500).json({ message: '계좌 수정에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/accounts/{id}:
+ *   delete:
+ *     summary: 계좌 삭제
+ *     description: |
+ *       수입/지출이 연결된 계좌는 moveTo 로 옮길 계좌를 지정해야 삭제할 수 있음 (반복 규칙도 함께 옮김).
+ *       이체 내역이 있는 계좌는 삭제할 수 없으므로 보관(isArchived)할 것. 대사 기록은 함께 삭제됨
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: moveTo
+ *         schema:
+ *           type: string
+ *         description: 연결된 수입/지출과 반복 규칙을 옮길 계좌 id
+ *     responses:
+ *       200:
+ *         description: 삭제 결과와 옮긴 거래 수
+ *       400:
+ *         description: 잘못된 moveTo
+ *       404:
+ *         description: 찾을 수 없음
+ *       409:
+ *         description: 이체 내역이 있거나, moveTo 없이 거래가 연결되어 있거나, 할부 지출을 카드가 아닌 계좌로 옮기려 함
+ */
+router.delete('/:id', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const account = getAccount(db, req.params.id, req.user.id);
+        if (!account) return res.status(404).json({ message: '해당 계좌를 찾을 수 없습니다.' });
+
+        const usage = accountUsage(db, account.id);
+        if (usage.transfers) {
+            return res.status(409).json({ message: '이체 내역이 있는 계좌는 삭제할 수 없습니다. 대신 보관(isArchived)하세요.', usage });
+        }
+        const { moveTo } = req.query;
+        if (!moveTo && (usage.incomes || usage.expenses)) {
+            return res.status(409).json({ message: '수입/지출이 연결된 계좌입니다. moveTo 로 옮길 계좌를 지정하거나 보관(isArchived)하세요.', usage });
+        }
+        if (moveTo === account.id) return res.status(400).json({ message: 'moveTo 는 삭제할 계좌와 다른 계좌여야 합니다.' });
+        const target = moveTo ? resolveAccount(db, req.user.id, { accountId: moveTo }) : null;
+        if (target && target.type !== 'card' && hasInstallments(account.id)) {
+            return res.status(409).json({ message: '할부 지출은 카드 계좌로만 옮길 수 있습니다.', usage });
+        }
+
+        db.transaction(() => {
+            ['incomes', 'expenses', 'recurring_rules'].forEach(table => {
+                db.prepare(`UPDATE ${table} SET accountId = ? WHERE accountId = ?`).run(target ? target.id : null, account.id);
+            });
+            db.prepare('DELETE FROM accounts WHERE id = ?').run(account.id);
+            // 기본 계좌를 지우면 거래를 옮긴 계좌가 기본 계좌
+            if (account.isDefault && target) db.prepare('UPDATE accounts SET isDefault = 1 WHERE id = ?').run(target.id);
+        })();
+        res.json({ message: '계좌가 삭제되었습니다.', moved: { incomes: usage.incomes, expenses: usage.expenses, recurringRules: usage.recurringRules } });
+    } catch (error) {
+        if (error instanceof AccountError) return res.status(400).json({ message: error.message });
+        res.status(500).json({ message: '계좌 삭제에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/accounts/{id}/reconcile:
+ *   post:
+ *     summary: 명세서 잔액과 장부 잔액 대사
+ *     description: |
+ *       date 까지의 장부 잔액과 statementBalance 를 비교해 difference(명세서 - 장부)를 계산하고 기록.
+ *       entries 에는 마지막으로 잔액이 맞았던 대사일 다음 날부터 date 까지의 입출금 내역(accountAmount 는 계좌 통화 기준 부호 있는 금액)이 들어 있어
+ *       빠지거나 중복된 거래를 찾는 데 쓸 수 있음. dryRun 이면 기록하지 않음
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [statementBalance]
+ *             properties:
+ *               statementBalance:
+ *                 type: integer
+ *                 description: 명세서 잔액 (계좌 통화의 최소 단위, 카드는 미결제 금액만큼 음수)
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: 명세서 기준일 (기본값 오늘)
+ *               note:
+ *                 type: string
+ *               dryRun:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: 미리보기(dryRun) 결과
+ *       201:
+ *         description: '기록된 대사 결과 { id, date, statementBalance, balance, difference, isReconciled, lastReconciledDate, entries }'
+ *       400:
+ *         description: 입력값 오류
+ *       404:
+ *         description: 찾을 수 없음
+ *       422:
+ *         description: 계좌 통화로 바꿀 환율이 없음
+ */
+router.post('/:id/reconcile', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const account = getAccount(db, req.params.id, req.user.id);
+        if (!account) return res.status(404).json({ message: '해당 계좌를 찾을 수 없습니다.' });
+        const { statementBalance, date, note } = req.body;
+        if (statementBalance === undefined || statementBalance === null) return res.status(400).json({ message: '명세서 잔액(statementBalance)은 필수 입력값입니다.' });
+
+        const dryRun = parseBoolean(req.body.dryRun);
+        const result = db.transaction(() => reconcileAccount(db, account, { statementBalance, date, note, dryRun }))();
+        res.status(dryRun ? 200 : 201).json(result);
+    } catch (error) {
+        if (error instanceof AccountError) return res.status(400).json({ message: error.message });
+        if (error instanceof MissingRateError) return res.status(422).json({ message: error.message });
+        res.status(500).json({ message: '잔액 대사에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/accounts/{id}/reconciliations:
+ *   get:
+ *     summary: 계좌의 대사 기록 (최근 것부터)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 대사 기록 목록 (isReconciled 포함)
+ *       404:
+ *         description: 찾을 수 없음
+ */
+router.get('/:id/reconciliations', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const account = getAccount(db, req.params.id, req.user.id);
+        if (!account) return res.status(404).json({ message: '해당 계좌를 찾을 수 없습니다.' });
+        const rows = db.prepare('SELECT * FROM account_reconciliations WHERE accountId = ? ORDER BY date DESC, createdAt DESC').all(account.id);
+        res.json(rows.map(row => ({ ...row, isReconciled: row.difference === 0 })));
+    } catch (error) {
+        res.status(500).json({ message: '대사 기록을 불러오는데 실패했습니다.', error: error.message });
+    }
+});
+
+// 잔액을 기준 통화로 (음수 잔액도 같은 방식으로 반올림하도록 절댓값을 변환, 잔액이 0 이면 환율이 없어도 0)
+function convertBalance(balance, from, to, date) {
+    if (balance === 0) return 0;
+    const converted = convertMinor(db, Math.abs(balance), from, to, date);
+    return balance < 0 ? -converted : converted;
+}
+
+function listAccounts(userId, includeArchived) {
+    return db.prepare(`
+        SELECT * FROM accounts
+        WHERE userId = ?${includeArchived ? '' : ' AND isArchived = 0'}
+        ORDER BY isArchived, isDefault DESC, type, name
+    `).all(userId);
+}
+
+// 계좌에 할부 지출이 있는지
+function hasInstallments(accountId) {
+    return !!db.prepare('SELECT 1 FROM expenses WHERE accountId = ? AND installmentMonths IS NOT NULL LIMIT 1').get(accountId);
+}
+
+function findByName(userId, name) {
+    return db.prepare('SELECT id FROM accounts WHERE userId = ? AND name = ?').get(userId, String(name).trim());
+}
+
+// 계좌 상세 (잔액 내역, 연결된 거래 수, 마지막 대사)
+function accountDetail(account, asOf) {
+    const totals = accountBalance(db, account, asOf);
+    const lastReconciliation = db.prepare('SELECT * FROM account_reconciliations WHERE accountId = ? ORDER BY date DESC, createdAt DESC LIMIT 1').get(account.id);
+    return {
+        ...toAccount(account),
+        balance: totals.balance,
+        totals,
+        usage: accountUsage(db, account.id),
+        lastReconciliation: lastReconciliation ? { ...lastReconciliation, isReconciled: lastReconciliation.difference === 0 } : null
+    };
+}
+
+module.exports = router;
@@ -0,0 +1,241 @@
+const express = require('express');
+const router = express.Router();
+const { v4: uuidv4 } = require('uuid');
+const { parseCondition, validateCondition, evaluateAlerts } = require('../services/alert.service');
+const { parseBoolean } = require('../services/expense.service');
+
+let db = null;
+try {
+    db = require('../db');
+} catch (e) {
+    db = null;
+}
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     AlertInput:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [budget, recurring, goal, anomaly]
+ *         condition:
+ *           type: object
+ *           description: |
+ *             budget: { metric: percentUsed|spent|remaining|projectedOverspend, operator: '>=', value: 80, budgetId?, categoryId? }
+ *             recurring: { daysBefore: 3, ruleId?, ruleType?: income|expense }
+ *             goal: { metric: behindSchedule } 또는 { metric: progress|requiredMonthlySaving, operator, value, goalId? }
+ *             anomaly: { kinds?: [amount, duplicate, recurringIncrease], lookbackDays?: 7 }
+ *         message:
+ *           type: string
+ *           description: 알림 문구. {percentUsed}, {remaining}, {date}, {name} 처럼 평가 결과 필드를 넣을 수 있음
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @openapi
+ * /api/alerts:
+ *   get:
+ *     summary: 알림 규칙 목록 조회
+ *     responses:
+ *       200:
+ *         description: 알림 규칙 목록 반환
+ */
+router.get('/', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const rows = db.prepare('SELECT * FROM alerts WHERE userId = ? ORDER BY createdAt DESC').all(req.user.id);
+        res.json(rows.map(toAlert));
+    } catch (error) {
+        res.status(500).json({ message: '알림 규칙을 불러오는데 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/alerts/evaluate:
+ *   post:
+ *     summary: 알림 규칙을 즉시 평가
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: 기준일 (기본값 오늘)
+ *     responses:
+ *       200:
+ *         description: 이번 평가에서 새로 만들어진 알림 목록 반환
+ */
+router.post('/evaluate', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const created = evaluateAlerts(db, (req.body && req.body.date) || undefined, req.user.id);
+        res.json({ created: created.length, notifications: created });
+    } catch (error) {
+        res.status(500).json({ message: '알림 평가에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/alerts/{id}:
+ *   get:
+ *     summary: 특정 알림 규칙 조회
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 알림 규칙 반환
+ *       404:
+ *         description: 찾을 수 없음
+ */
+router.get('/:id', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const alert = getAlert(req.params.id, req.user.id);
+        if (!alert) return res.status(404).json({ message: '해당 알림 규칙을 찾을 수 없습니다.' });
+        res.json(toAlert(alert));
+    } catch (error) {
+        res.status(500).json({ message: '알림 규칙을 불러오는데 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/alerts:
+ *   post:
+ *     summary: 알림 규칙 추가
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AlertInput'
+ *     responses:
+ *       201:
+ *         description: 생성된 알림 규칙 반환
+ *       400:
+ *         description: 잘못된 유형 또는 조건
+ */
+router.post('/', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const { type, condition, message, isActive } = req.body;
+        const invalid = validateCondition(type, condition);
+        if (invalid) return res.status(400).json({ message: invalid });
+
+        const id = uuidv4();
+        const now = new Date().toISOString();
+        db.prepare(`
+            INSERT INTO alerts (id, userId, type, condition, message, isActive, createdAt, updatedAt)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            id,
+            req.user.id,
+            type,
+            JSON.stringify(parseCondition(condition)),
+            message || null,
+            isActive === undefined ? 1 : (parseBoolean(isActive) ? 1 : 0),
+            now,
+            now
+        );
+
+        res.status(201).json(toAlert(getAlert(id, req.user.id)));
+    } catch (error) {
+        res.status(500).json({ message: '알림 규칙 저장에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/alerts/{id}:
+ *   put:
+ *     summary: 알림 규칙 수정
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AlertInput'
+ *     responses:
+ *       200:
+ *         description: 수정된 알림 규칙 반환
+ */
+router.put('/:id', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const existing = getAlert(req.params.id, req.user.id);
+        if (!existing) return res.status(404).json({ message: '해당 알림 규칙을 찾을 수 없습니다.' });
+
+        const { message, isActive } = req.body;
+        const type = req.body.type || existing.type;
+        const condition = req.body.condition !== undefined ? parseCondition(req.body.condition) : parseCondition(existing.condition);
+        const invalid = validateCondition(type, condition);
+        if (invalid) return res.status(400).json({ message: invalid });
+
+        db.prepare('UPDATE alerts SET type = ?, condition = ?, message = ?, isActive = ?, updatedAt = ? WHERE id = ?').run(
+            type,
+            JSON.stringify(condition),
+            message !== undefined ? message : existing.message,
+            isActive !== undefined ? (parseBoolean(isActive) ? 1 : 0) : existing.isActive,
+            new Date().toISOString(),
+            existing.id
+        );
+
+        res.json(toAlert(getAlert(existing.id, req.user.id)));
+    } catch (error) {
+        res.status(500).json({ message: '알림 규칙 수정에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/alerts/{id}:
+ *   delete:
+ *     summary: 알림 규칙 삭제 (발생한 알림도 함께 삭제)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 삭제 성공 메시지
+ */
+router.delete('/:id', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const info = db.prepare('DELETE FROM alerts WHERE id = ? AND userId = ?').run(req.params.id, req.user.id);
+        if (info.changes === 0) return res.status(404).json({ message: '해당 알림 규칙을 찾을 수 없습니다.' });
+        res.json({ message: '알림 규칙이 삭제되었습니다.' });
+    } catch (error) {
+        res.status(500).json({ message: '알림 규칙 삭제에 실패했습니다.', error: error.message });
+    }
+});
+
+function getAlert(id, userId) {
+    return db.prepare('SELECT * FROM alerts WHERE id = ? AND userId = ?').get(id, userId);
+}
+
+function toAlert(row) {
+    return { ...row, condition: parseCondition(row.condition), isActive: !!row.isActive };
+}
+
+module.exports = router;
@@ -0,0 +1,255 @@
+const express = require('express');
+const router = express.Router();
+const { v4: uuidv4 } = require('uuid');
+const { addDays, format } = require('date-fns');
+const { parseBoolean } = require('../services/expense.service');
+const { MissingRateError, resolveBaseCurrency } = require('../services/currency.service');
+const { ANOMALY_KINDS, DEFAULT_OPTIONS, detectAnomalies, dismissAnomaly } = require('../services/anomaly.service');
+const { validateCondition, evaluateAlerts } = require('../services/alert.service');
+
+let db = null;
+try {
+    db = require('../db');
+} catch (e) {
+    db = null;
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// ?kinds=amount,duplicate → 배열, 잘못된 값이 있으면 null
+function parseKinds(value) {
+    if (value === undefined || value === '') return ANOMALY_KINDS;
+    const kinds = (Array.isArray(value) ? value : String(value).split(',')).map(k => k.trim()).filter(Boolean);
+    return kinds.length && kinds.every(k => ANOMALY_KINDS.includes(k)) ? kinds : null;
+}
+
+/**
+ * @openapi
+ * /api/anomalies:
+ *   get:
+ *     summary: 평소와 다른 지출 찾기
+ *     description: |
+ *       amount: 같은 카테고리의 최근 지출(중앙값, MAD)보다 훨씬 큰 지출,
+ *       duplicate: 같은 장소(없으면 내용)에서 같은 금액이 windowDays 안에 다시 결제된 지출,
+ *       recurringIncrease: 반복 규칙 또는 같은 내용의 고정 지출이 직전 회차 평균보다 increasePercent 이상 오른 지출.
+ *       각 결과에는 reason(사유)과 baseline(비교 기준)이 들어 있음
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: 검사할 지출 시작일 (기본값 90일 전)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: 검사할 지출 종료일 (기본값 오늘)
+ *       - in: query
+ *         name: kinds
+ *         schema:
+ *           type: string
+ *         description: 쉼표로 구분한 종류 (amount, duplicate, recurringIncrease, 기본값 전부)
+ *       - in: query
+ *         name: includeDismissed
+ *         schema:
+ *           type: boolean
+ *         description: 무시한 결과도 포함 (dismissed 가 true)
+ *       - in: query
+ *         name: windowDays
+ *         schema:
+ *           type: integer
+ *           default: 3
+ *       - in: query
+ *         name: increasePercent
+ *         schema:
+ *           type: number
+ *           default: 20
+ *       - in: query
+ *         name: ratio
+ *         schema:
+ *           type: number
+ *           default: 2
+ *         description: amount 로 볼 최소 배수 (카테고리 중앙값 대비)
+ *       - in: query
+ *         name: baseCurrency
+ *         schema:
+ *           type: string
+ *         description: 금액을 비교할 기준 통화 (기본값 사용자 설정, 없으면 KRW)
+ *     responses:
+ *       200:
+ *         description: 이상 지출 목록 (kind, expenseId, date, amount, convertedAmount, score, reason, baseline, dismissed)
+ *       400:
+ *         description: 잘못된 기간, 종류 또는 기준값
+ *       422:
+ *         description: 변환에 필요한 환율이 없음
+ */
+router.get('/', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const baseCurrency = resolveBaseCurrency(req.query, req.user);
+        if (!baseCurrency) return res.status(400).json({ message: 'baseCurrency 는 ISO 4217 통화 코드여야 합니다.' });
+
+        const endDate = req.query.endDate || format(new Date(), 'yyyy-MM-dd');
+        const startDate = req.query.startDate || format(addDays(new Date(), -90), 'yyyy-MM-dd');
+        if (!DATE_PATTERN.test(startDate) || !DATE_PATTERN.test(endDate) || startDate > endDate) {
+            return res.status(400).json({ message: 'startDate, endDate 는 YYYY-MM-DD 형식이어야 하며 startDate 가 endDate 보다 늦을 수 없습니다.' });
+        }
+        const kinds = parseKinds(req.query.kinds);
+        if (!kinds) return res.status(400).json({ message: `kinds 는 ${ANOMALY_KINDS.join(', ')} 중에서 골라야 합니다.` });
+
+        const options = {};
+        for (const key of ['windowDays', 'increasePercent', 'ratio']) {
+            if (req.query[key] === undefined) continue;
+            const value = Number(req.query[key]);
+            if (!Number.isFinite(value) || value <= 0 || (key === 'windowDays' && !Number.isInteger(value))) {
+                return res.status(400).json({ message: `${key} 는 0 보다 큰 숫자여야 합니다. (기본값 ${DEFAULT_OPTIONS[key]})` });
+            }
+            options[key] = value;
+        }
+
+        res.json(detectAnomalies(db, req.user.id, {
+            startDate,
+            endDate,
+            baseCurrency,
+            kinds,
+            includeDismissed: parseBoolean(req.query.includeDismissed),
+            ...options
+        }));
+    } catch (error) {
+        if (error instanceof MissingRateError) return res.status(422).json({ message: error.message });
+        res.status(500).json({ message: '이상 지출 분석에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/anomalies/alerts:
+ *   post:
+ *     summary: 이상 지출 알림 규칙 만들기 (alerts 에 type=anomaly 로 추가하고 바로 평가)
+ *     description: 이후 지출이 추가될 때마다 최근 lookbackDays 일의 이상 지출을 알림(notifications)으로 남김
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               kinds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [amount, duplicate, recurringIncrease]
+ *               lookbackDays:
+ *                 type: integer
+ *                 default: 7
+ *               message:
+ *                 type: string
+ *                 description: 알림 문구 ({reason}, {date}, {amount} 등 사용 가능)
+ *     responses:
+ *       201:
+ *         description: 만든 알림 규칙(alert)과 바로 생긴 알림(notifications)
+ *       400:
+ *         description: 잘못된 조건
+ */
+router.post('/alerts', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const condition = {};
+        if (req.body.kinds !== undefined) condition.kinds = req.body.kinds;
+        if (req.body.lookbackDays !== undefined) condition.lookbackDays = req.body.lookbackDays;
+        const invalid = validateCondition('anomaly', condition);
+        if (invalid) return res.status(400).json({ message: invalid });
+
+        const id = uuidv4();
+        const now = new Date().toISOString();
+        db.prepare(`
+            INSERT INTO alerts (id, userId, type, condition, message, isActive, createdAt, updatedAt)
+            VALUES (?, ?, 'anomaly', ?, ?, 1, ?, ?)
+        `).run(id, req.user.id, JSON.stringify(condition), req.body.message || null, now, now);
+
+        const alert = db.prepare('SELECT * FROM alerts WHERE id = ?').get(id);
+        const notifications = evaluateAlerts(db, format(new Date(), 'yyyy-MM-dd'), req.user.id).filter(n => n.alertId === id);
+        res.status(201).json({ alert: { ...alert, condition, isActive: true }, notifications });
+    } catch (error) {
+        res.status(500).json({ message: '이상 지출 알림 규칙 저장에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/anomalies/{expenseId}/dismiss:
+ *   post:
+ *     summary: 이상 지출을 정상으로 표시 (다시 표시하지 않고 같은 알림은 읽음 처리)
+ *     parameters:
+ *       - in: path
+ *         name: expenseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [kind]
+ *             properties:
+ *               kind:
+ *                 type: string
+ *                 enum: [amount, duplicate, recurringIncrease]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: 무시 기록 반환
+ *       404:
+ *         description: 지출을 찾을 수 없음
+ *   delete:
+ *     summary: 이상 지출 무시 취소
+ *     parameters:
+ *       - in: path
+ *         name: expenseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: kind
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [amount, duplicate, recurringIncrease]
+ *     responses:
+ *       200:
+ *         description: 취소 성공 메시지
+ *       404:
+ *         description: 무시 기록을 찾을 수 없음
+ */
+router.post('/:expenseId/dismiss', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const { kind, note } = req.body;
+        if (!ANOMALY_KINDS.includes(kind)) return res.status(400).json({ message: `kind 는 ${ANOMALY_KINDS.join(', ')} 중 하나여야 합니다.` });
+        const expense = db.prepare('SELECT id FROM expenses WHERE id = ? AND userId = ?').get(req.params.expenseId, req.user.id);
+        if (!expense) return res.status(404).json({ message: '해당 지출 데이터를 찾을 수 없습니다.' });
+
+        res.status(201).json(dismissAnomaly(db, req.user.id, expense.id, kind, note));
+    } catch (error) {
+        res.status(500).json({ message: '이상 지출 무시에 실패했습니다.', error: error.message });
+    }
+});
+
+router.delete('/:expenseId/dismiss', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const { kind } = req.query;
+        if (!ANOMALY_KINDS.includes(kind)) return res.status(400).json({ message: `kind 는 ${ANOMALY_KINDS.join(', ')} 중 하나여야 합니다.` });
+        const info = db.prepare('DELETE FROM anomaly_dismissals WHERE userId = ? AND expenseId = ? AND kind = ?').run(req.user.id, req.params.expenseId, kind);
+        if (info.changes === 0) return res.status(404).json({ message: '해당 무시 기록을 찾을 수 없습니다.' });
+        res.json({ message: '이상 지출 무시를 취소했습니다.' });
+    } catch (error) {
+        res.status(500).json({ message: '이상 지출 무시 취소에 실패했습니다.', error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,265 @@
+const express = require('express');
+const router = express.Router();
+const {
+    verifyPassword,
+    signToken,
+    toUser,
+    findUserByEmail,
+    validateRegistration,
+    createUser,
+    updateProfile,
+    issueCalendarToken,
+    revokeCalendarToken
+} = require('../services/auth.service');
+const { normalizeCurrency, isValidCurrency } = require('../services/currency.service');
+const { requireAuth } = require('../middleware/auth.middleware');
+
+let db = null;
+try {
+    db = require('../db');
+} catch (e) {
+    db = null;
+}
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     User:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         email:
+ *           type: string
+ *         name:
+ *           type: string
+ *         baseCurrency:
+ *           type: string
+ *           description: 요약/통계 금액을 변환할 기준 통화 (기본값 KRW)
+ *         calendarTokenCreatedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: 캘린더 구독 토큰 발급 시각 (발급된 토큰이 없으면 null)
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     AuthResult:
+ *       type: object
+ *       properties:
+ *         token:
+ *           type: string
+ *           description: 이후 요청의 Authorization 헤더에 "Bearer <token>" 으로 전달
+ *         user:
+ *           $ref: '#/components/schemas/User'
+ */
+
+/**
+ * @openapi
+ * /api/auth/register:
+ *   post:
+ *     summary: 회원 가입
+ *     description: 처음 가입한 사용자는 사용자 구분 도입 이전에 저장된 데이터를 넘겨받음
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email, password]
+ *             properties:
+ *               email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *               name:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: 가입 완료
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResult'
+ *       400:
+ *         description: 입력값 오류
+ *       409:
+ *         description: 이미 가입된 이메일
+ */
+router.post('/register', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const { email, password, name } = req.body;
+        const invalid = validateRegistration({ email, password });
+        if (invalid) return res.status(400).json({ message: invalid });
+        if (findUserByEmail(db, email)) return res.status(409).json({ message: '이미 가입된 이메일입니다.' });
+
+        const user = db.transaction(() => createUser(db, { email, password, name }))();
+        res.status(201).json({ token: signToken(user), user: toUser(user) });
+    } catch (error) {
+        res.status(500).json({ message: '회원 가입에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/auth/login:
+ *   post:
+ *     summary: 로그인
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email, password]
+ *             properties:
+ *               email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 액세스 토큰 발급
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResult'
+ *       401:
+ *         description: 이메일 또는 비밀번호가 일치하지 않음
+ */
+router.post('/login', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const { email, password } = req.body;
+        if (!email || !password) return res.status(400).json({ message: '이메일과 비밀번호는 필수 입력값입니다.' });
+
+        const user = findUserByEmail(db, email);
+        if (!user || !verifyPassword(String(password), user.passwordHash)) {
+            return res.status(401).json({ message: '이메일 또는 비밀번호가 일치하지 않습니다.' });
+        }
+        res.json({ token: signToken(user), user: toUser(user) });
+    } catch (error) {
+        res.status(500).json({ message: '로그인에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/auth/me:
+ *   get:
+ *     summary: 현재 로그인한 사용자 정보
+ *     responses:
+ *       200:
+ *         description: 사용자 정보
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       401:
+ *         description: 로그인 필요
+ */
+router.get('/me', requireAuth, (req, res) => {
+    res.json(req.user);
+});
+
+/**
+ * @openapi
+ * /api/auth/me:
+ *   put:
+ *     summary: 이름/기준 통화 변경
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               baseCurrency:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 변경된 사용자 정보
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       400:
+ *         description: 잘못된 통화 코드
+ */
+router.put('/me', requireAuth, (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const baseCurrency = normalizeCurrency(req.body.baseCurrency);
+        if (baseCurrency !== undefined && !isValidCurrency(baseCurrency)) {
+            return res.status(400).json({ message: 'baseCurrency 는 ISO 4217 통화 코드여야 합니다.' });
+        }
+        res.json(toUser(updateProfile(db, req.user.id, { name: req.body.name, baseCurrency })));
+    } catch (error) {
+        res.status(500).json({ message: '사용자 정보 수정에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/auth/calendar-token:
+ *   post:
+ *     summary: 캘린더 구독 토큰 발급
+ *     description: |
+ *       GET /api/recurring/calendar.ics?token=<토큰> 으로만 쓸 수 있는 토큰을 발급.
+ *       만료되지 않으며 다시 발급하면 이전 토큰은 무효가 됨. 토큰 값은 발급할 때만 응답에 포함됨
+ *     responses:
+ *       201:
+ *         description: 발급된 토큰과 구독 URL
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 url:
+ *                   type: string
+ *                   description: 캘린더 앱에 등록할 경로 (서버 주소를 앞에 붙여 사용)
+ *                 createdAt:
+ *                   type: string
+ *                   format: date-time
+ */
+router.post('/calendar-token', requireAuth, (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const { token, createdAt } = issueCalendarToken(db, req.user.id);
+        res.status(201).json({ token, url: `/api/recurring/calendar.ics?token=${token}`, createdAt });
+    } catch (error) {
+        res.status(500).json({ message: '캘린더 구독 토큰 발급에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/auth/calendar-token:
+ *   delete:
+ *     summary: 캘린더 구독 토큰 취소
+ *     description: 취소한 뒤에는 이전 토큰으로 캘린더 피드를 받을 수 없음
+ *     responses:
+ *       200:
+ *         description: 취소 완료
+ *       404:
+ *         description: 발급된 토큰이 없음
+ */
+router.delete('/calendar-token', requireAuth, (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        if (!revokeCalendarToken(db, req.user.id)) return res.status(404).json({ message: '발급된 캘린더 구독 토큰이 없습니다.' });
+        res.json({ message: '캘린더 구독 토큰이 취소되었습니다.' });
+    } catch (error) {
+        res.status(500).json({ message: '캘린더 구독 토큰 취소에 실패했습니다.', error: error.message });
+    }
+});
+
+module.exports = router;
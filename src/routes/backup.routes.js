@@ -0,0 +1,133 @@
+const express = require('express');
+const router = express.Router();
+const { parseBoolean } = require('../services/expense.service');
+const {
+    RESTORE_MODES,
+    RestoreValidationError,
+    exportLedger,
+    validateArchive,
+    restoreLedger
+} = require('../services/backup.service');
+
+let db = null;
+try {
+    db = require('../db');
+} catch (e) {
+    db = null;
+}
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     BackupArchive:
+ *       type: object
+ *       properties:
+ *         format:
+ *           type: string
+ *           example: money-map-backup
+ *         version:
+ *           type: integer
+ *           description: 보관 파일 형식 버전
+ *         schemaVersion:
+ *           type: integer
+ *           description: 내보낸 DB 의 마이그레이션 버전 (불러오는 DB 보다 높으면 거부)
+ *         exportedAt:
+ *           type: string
+ *           format: date-time
+ *         tables:
+ *           type: object
+ *           description: |
+ *             테이블 이름 → 행 배열 (userId 제외). categories(사용자 카테고리), tags, accounts, recurring_rules, recurring_exceptions,
+ *             incomes, expenses, transfers, account_reconciliations, income_tags, expense_tags, income_splits, expense_splits,
+ *             income_split_tags, expense_split_tags, income_attachments, expense_attachments, budgets, financial_goals,
+ *             goal_contributions, alerts, import_profiles, category_rules, anomaly_dismissals.
+ *             환율(exchange_rates)은 모든 사용자가 함께 쓰므로 넣지 않으며 불러올 때도 무시함
+ *         files:
+ *           type: object
+ *           description: |
+ *             첨부가 참조하는 파일 내용. 체크섬(SHA-256) → { mimeType, size, content(base64) }.
+ *             불러올 때 내용의 체크섬을 확인하며, 빠진 파일은 저장소에 같은 체크섬의 파일이 있어야 함
+ */
+
+/**
+ * @openapi
+ * /api/backup:
+ *   get:
+ *     summary: 로그인한 사용자의 장부 전체를 JSON 보관 파일로 내보내기
+ *     parameters:
+ *       - in: query
+ *         name: files
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: false 면 첨부 파일 내용(files)을 빼고 첨부 목록만 (같은 서버로 되돌릴 때)
+ *     responses:
+ *       200:
+ *         description: 보관 파일 (첨부 파일로 내려받음)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BackupArchive'
+ */
+router.get('/backup', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const archive = exportLedger(db, req.user.id, { includeFiles: req.query.files === undefined || parseBoolean(req.query.files) });
+        res.setHeader('Content-Disposition', `attachment; filename="money-map-backup-${archive.exportedAt.slice(0, 10)}.json"`);
+        res.json(archive);
+    } catch (error) {
+        res.status(500).json({ message: '백업에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/restore:
+ *   post:
+ *     summary: 보관 파일을 로그인한 사용자의 장부로 불러오기
+ *     description: |
+ *       merge 는 기존 데이터를 두고 없는 행만 추가 (같은 id 또는 같은 이름의 카테고리/태그/프로필은 건너뜀),
+ *       replace 는 사용자의 기존 장부를 지운 뒤 불러옴. 다른 사용자의 행과 id 가 겹치면 새 id 로 바꾸고 참조도 함께 바꿈.
+ *       참조 대상(카테고리, 반복 규칙, 태그, 첨부 파일 내용 등)이 없는 행이 하나라도 있으면 아무것도 저장하지 않음.
+ *       첨부 파일 내용은 체크섬이 맞는지 확인한 뒤 저장소에 없는 것만 씀 (dryRun 이면 쓰지 않음).
+ *     parameters:
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [merge, replace]
+ *           default: merge
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: true 면 검사와 결과 계산만 하고 저장하지 않음
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BackupArchive'
+ *     responses:
+ *       200:
+ *         description: 테이블별 결과 (total, inserted, skipped, remapped)와 보관 파일의 첨부 파일 수(files)
+ *       400:
+ *         description: 보관 파일 형식 오류 또는 참조 오류 (errors 에 행별 오류)
+ */
+router.post('/restore', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const mode = req.query.mode || 'merge';
+        if (!RESTORE_MODES.includes(mode)) return res.status(400).json({ message: `mode 는 ${RESTORE_MODES.join(', ')} 중 하나여야 합니다.` });
+        const invalid = validateArchive(db, req.body);
+        if (invalid) return res.status(400).json({ message: invalid });
+
+        res.json(restoreLedger(db, req.user.id, req.body, { mode, dryRun: parseBoolean(req.query.dryRun) }));
+    } catch (error) {
+        if (error instanceof RestoreValidationError) return res.status(400).json({ message: error.message, errors: error.errors });
+        res.status(500).json({ message: '복원에 실패했습니다.', error: error.message });
+    }
+});
+
+module.exports = router;
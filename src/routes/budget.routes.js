@@ -0,0 +1,329 @@
+const express = require('express');
+const router = express.Router();
+const { v4: uuidv4 } = require('uuid');
+const { today, budgetHistory, budgetStatus } = require('../services/budget.service');
+const { parseBoolean } = require('../services/expense.service');
+const { VISIBLE_TO_USER } = require('../services/category.service');
+const { DEFAULT_CURRENCY, MissingRateError, normalizeCurrency, validateMoney } = require('../services/currency.service');
+
+let db = null;
+try {
+    db = require('../db');
+} catch (e) {
+    db = null;
+}
+
+const REPEAT_TYPES = ['none', 'monthly'];
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     BudgetInput:
+ *       type: object
+ *       properties:
+ *         categoryId:
+ *           type: string
+ *           description: 지출 카테고리 id
+ *         amount:
+ *           type: integer
+ *           minimum: 1
+ *           description: 기간별 예산 금액 (currency 의 최소 단위 정수)
+ *         currency:
+ *           type: string
+ *           default: KRW
+ *           description: 예산 통화, 다른 통화의 지출은 지출일 환율로 변환해 합산
+ *         startDate:
+ *           type: string
+ *           format: date
+ *           description: (첫) 예산 기간 시작일
+ *         endDate:
+ *           type: string
+ *           format: date
+ *           description: 예산 기간 종료일 (monthly 이면 기간은 한 달 단위로 이어지므로 쓰지 않음)
+ *         repeat:
+ *           type: string
+ *           enum: [none, monthly]
+ *           description: monthly 이면 시작일부터 한 달씩 이어지는 기간으로 매월 반복 (각 기간은 다음 기간 시작일의 전날까지)
+ *         rollover:
+ *           type: boolean
+ *           description: 반복 예산에서 쓰지 않은 금액을 다음 기간으로 이월
+ */
+
+/**
+ * @openapi
+ * /api/budgets:
+ *   get:
+ *     summary: 예산 목록 조회
+ *     parameters:
+ *       - in: query
+ *         name: categoryId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 예산 목록 반환
+ */
+router.get('/', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const { categoryId } = req.query;
+        let sql = 'SELECT * FROM budgets WHERE userId = ?';
+        const params = [req.user.id];
+        if (categoryId) { sql += ' AND categoryId = ?'; params.push(categoryId); }
+        sql += ' ORDER BY startDate DESC';
+        res.json(db.prepare(sql).all(...params).map(toBudget));
+    } catch (error) {
+        res.status(500).json({ message: '예산을 불러오는데 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/budgets/status:
+ *   get:
+ *     summary: 전체 예산의 현재 기간 사용 현황
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: 기준일 (기본값 오늘)
+ *     responses:
+ *       200:
+ *         description: 예산별 지출액, 남은 금액, 소진율, 일일 소비 속도, 예상 초과액 반환
+ */
+router.get('/status', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const asOf = req.query.date || today();
+        if (!isValidDate(asOf)) return res.status(400).json({ message: '날짜는 YYYY-MM-DD 형식이어야 합니다.' });
+        const budgets = db.prepare('SELECT * FROM budgets WHERE userId = ? ORDER BY startDate').all(req.user.id);
+        res.json(budgets.map(b => budgetStatus(db, b, asOf)));
+    } catch (error) {
+        if (error instanceof MissingRateError) return res.status(422).json({ message: error.message });
+        res.status(500).json({ message: '예산 현황 계산에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/budgets/{id}:
+ *   get:
+ *     summary: 특정 예산 조회
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 예산 객체 반환
+ *       404:
+ *         description: 찾을 수 없음
+ */
+router.get('/:id', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const budget = getBudget(req.params.id, req.user.id);
+        if (!budget) return res.status(404).json({ message: '해당 예산을 찾을 수 없습니다.' });
+        res.json(toBudget(budget));
+    } catch (error) {
+        res.status(500).json({ message: '예산을 불러오는데 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/budgets/{id}/status:
+ *   get:
+ *     summary: 특정 예산의 기간별 사용 현황 (이월 내역 포함)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: 기준일 (기본값 오늘)
+ *     responses:
+ *       200:
+ *         description: current(기준일이 속한 기간)와 periods(기준일까지의 모든 기간) 반환
+ */
+router.get('/:id/status', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const budget = getBudget(req.params.id, req.user.id);
+        if (!budget) return res.status(404).json({ message: '해당 예산을 찾을 수 없습니다.' });
+        const asOf = req.query.date || today();
+        if (!isValidDate(asOf)) return res.status(400).json({ message: '날짜는 YYYY-MM-DD 형식이어야 합니다.' });
+        res.json({
+            ...toBudget(budget),
+            current: budgetStatus(db, budget, asOf),
+            periods: budgetHistory(db, budget, asOf)
+        });
+    } catch (error) {
+        if (error instanceof MissingRateError) return res.status(422).json({ message: error.message });
+        res.status(500).json({ message: '예산 현황 계산에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/budgets:
+ *   post:
+ *     summary: 예산 추가
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/BudgetInput'
+ *               - required: [categoryId, amount, startDate, endDate]
+ *     responses:
+ *       201:
+ *         description: 생성된 예산 반환
+ */
+router.post('/', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const { categoryId, amount, startDate, endDate } = req.body;
+        if (!categoryId || !amount || !startDate || !endDate) {
+            return res.status(400).json({ message: '카테고리, 금액, 시작일, 종료일은 필수 입력값입니다.' });
+        }
+        const budget = {
+            categoryId,
+            amount: Number(amount),
+            currency: normalizeCurrency(req.body.currency) || DEFAULT_CURRENCY,
+            startDate,
+            endDate,
+            repeat: req.body.repeat || 'none',
+            rollover: parseBoolean(req.body.rollover) ? 1 : 0
+        };
+        const invalid = validateBudget(budget, req.user.id);
+        if (invalid) return res.status(400).json({ message: invalid });
+
+        const id = uuidv4();
+        const now = new Date().toISOString();
+        db.prepare(`
+            INSERT INTO budgets (id, userId, categoryId, amount, currency, startDate, endDate, repeat, rollover, createdAt, updatedAt)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(id, req.user.id, budget.categoryId, budget.amount, budget.currency, budget.startDate, budget.endDate, budget.repeat, budget.rollover, now, now);
+
+        res.status(201).json(toBudget(getBudget(id, req.user.id)));
+    } catch (error) {
+        res.status(500).json({ message: '예산 저장에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/budgets/{id}:
+ *   put:
+ *     summary: 예산 수정
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BudgetInput'
+ *     responses:
+ *       200:
+ *         description: 수정된 예산 반환
+ *       404:
+ *         description: 찾을 수 없음
+ */
+router.put('/:id', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const existing = getBudget(req.params.id, req.user.id);
+        if (!existing) return res.status(404).json({ message: '해당 예산을 찾을 수 없습니다.' });
+
+        const { categoryId, amount, startDate, endDate, repeat, rollover } = req.body;
+        const budget = {
+            categoryId: categoryId || existing.categoryId,
+            amount: amount !== undefined && amount !== null ? Number(amount) : existing.amount,
+            currency: normalizeCurrency(req.body.currency) || existing.currency,
+            startDate: startDate || existing.startDate,
+            endDate: endDate || existing.endDate,
+            repeat: repeat || existing.repeat,
+            rollover: rollover !== undefined ? (parseBoolean(rollover) ? 1 : 0) : existing.rollover
+        };
+        const invalid = validateBudget(budget, req.user.id);
+        if (invalid) return res.status(400).json({ message: invalid });
+
+        db.prepare(`
+            UPDATE budgets
+            SET categoryId = ?, amount = ?, currency = ?, startDate = ?, endDate = ?, repeat = ?, rollover = ?, updatedAt = ?
+            WHERE id = ?
+        `).run(budget.categoryId, budget.amount, budget.currency, budget.startDate, budget.endDate, budget.repeat, budget.rollover, new Date().toISOString(), existing.id);
+
+        res.json(toBudget(getBudget(existing.id, req.user.id)));
+    } catch (error) {
+        res.status(500).json({ message: '예산 수정에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/budgets/{id}:
+ *   delete:
+ *     summary: 예산 삭제
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 삭제 성공 메시지
+ */
+router.delete('/:id', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const info = db.prepare('DELETE FROM budgets WHERE id = ? AND userId = ?').run(req.params.id, req.user.id);
+        if (info.changes === 0) return res.status(404).json({ message: '해당 예산을 찾을 수 없습니다.' });
+        res.json({ message: '예산이 삭제되었습니다.' });
+    } catch (error) {
+        res.status(500).json({ message: '예산 삭제에 실패했습니다.', error: error.message });
+    }
+});
+
+function getBudget(id, userId) {
+    return db.prepare('SELECT * FROM budgets WHERE id = ? AND userId = ?').get(id, userId);
+}
+
+// 문제가 있으면 오류 메시지, 없으면 null 반환
+function validateBudget(budget, userId) {
+    const invalidMoney = validateMoney(budget.amount, budget.currency);
+    if (invalidMoney) return invalidMoney;
+    if (!isValidDate(budget.startDate) || !isValidDate(budget.endDate)) return '날짜는 YYYY-MM-DD 형식이어야 합니다.';
+    if (budget.startDate > budget.endDate) return '종료일은 시작일 이후여야 합니다.';
+    if (!REPEAT_TYPES.includes(budget.repeat)) return 'repeat 은 none 또는 monthly 여야 합니다.';
+    const category = db.prepare(`SELECT id FROM categories WHERE id = ? AND type = 'expense' AND ${VISIBLE_TO_USER}`).get(budget.categoryId, userId);
+    if (!category) return '존재하지 않는 지출 카테고리입니다.';
+    return null;
+}
+
+function isValidDate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+function toBudget(row) {
+    return { ...row, rollover: !!row.rollover };
+}
+
+module.exports = router;
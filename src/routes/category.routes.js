@@ -0,0 +1,298 @@
+const express = require('express');
+const router = express.Router();
+const { v4: uuidv4 } = require('uuid');
+const {
+    DEFAULT_CATEGORY_IDS,
+    VISIBLE_TO_USER,
+    getCategory,
+    countCategoryUsage,
+    reassignCategory
+} = require('../services/category.service');
+
+let db = null;
+try {
+    db = require('../db');
+} catch (e) {
+    db = null;
+}
+
+const CATEGORY_TYPES = ['income', 'expense'];
+
+/**
+ * @openapi
+ * /api/categories:
+ *   get:
+ *     summary: 카테고리 목록 조회
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [income, expense]
+ *         description: 수입/지출 카테고리만 조회
+ *     responses:
+ *       200:
+ *         description: 카테고리 목록 반환 (기본 카테고리 먼저)
+ */
+router.get('/', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const { type } = req.query;
+        if (type && !CATEGORY_TYPES.includes(type)) {
+            return res.status(400).json({ message: 'type 은 income 또는 expense 여야 합니다.' });
+        }
+        let sql = `SELECT * FROM categories WHERE ${VISIBLE_TO_USER}`;
+        const params = [req.user.id];
+        if (type) { sql += ' AND type = ?'; params.push(type); }
+        sql += ' ORDER BY type, isDefault DESC, name';
+        const rows = db.prepare(sql).all(...params);
+        res.json(rows.map(toCategory));
+    } catch (error) {
+        res.status(500).json({ message: '카테고리를 불러오는데 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/categories/{id}:
+ *   get:
+ *     summary: 특정 카테고리 조회 (사용 중인 거래 수 포함)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 카테고리 객체와 usage(테이블별 참조 수) 반환
+ *       404:
+ *         description: 찾을 수 없음
+ */
+router.get('/:id', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const category = getCategory(db, req.params.id, req.user.id);
+        if (!category) return res.status(404).json({ message: '해당 카테고리를 찾을 수 없습니다.' });
+        res.json({ ...toCategory(category), usage: countCategoryUsage(db, category.id, req.user.id) });
+    } catch (error) {
+        res.status(500).json({ message: '카테고리를 불러오는데 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/categories:
+ *   post:
+ *     summary: 사용자 카테고리 추가
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, type]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [income, expense]
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: 생성된 카테고리 반환
+ *       409:
+ *         description: 같은 유형에 같은 이름의 카테고리가 이미 있음
+ */
+router.post('/', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const { type, description } = req.body;
+        const name = (req.body.name || '').trim();
+        if (!name || !type) {
+            return res.status(400).json({ message: '이름과 유형은 필수 입력값입니다.' });
+        }
+        if (!CATEGORY_TYPES.includes(type)) {
+            return res.status(400).json({ message: 'type 은 income 또는 expense 여야 합니다.' });
+        }
+        if (findDuplicate(type, name, req.user.id)) {
+            return res.status(409).json({ message: '같은 이름의 카테고리가 이미 존재합니다.' });
+        }
+
+        const id = uuidv4();
+        const now = new Date().toISOString();
+        db.prepare(`
+            INSERT INTO categories (id, userId, name, type, description, isDefault, createdAt, updatedAt)
+            VALUES (?, ?, ?, ?, ?, 0, ?, ?)
+        `).run(id, req.user.id, name, type, description || '', now, now);
+
+        res.status(201).json(toCategory(getCategory(db, id, req.user.id)));
+    } catch (error) {
+        res.status(500).json({ message: '카테고리 저장에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/categories/{id}:
+ *   put:
+ *     summary: 카테고리 이름/설명 수정 (본인이 만든 카테고리만)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 수정된 카테고리 반환
+ *       403:
+ *         description: 기본 카테고리는 수정 불가
+ *       404:
+ *         description: 찾을 수 없음
+ */
+router.put('/:id', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const existing = getCategory(db, req.params.id, req.user.id);
+        if (!existing) return res.status(404).json({ message: '해당 카테고리를 찾을 수 없습니다.' });
+        // 기본 카테고리는 모든 사용자가 함께 쓰므로 변경할 수 없음
+        if (existing.isDefault) return res.status(403).json({ message: '기본 카테고리는 수정할 수 없습니다.' });
+
+        const { description } = req.body;
+        const name = req.body.name !== undefined ? String(req.body.name).trim() : existing.name;
+        if (!name) return res.status(400).json({ message: '카테고리 이름은 비워둘 수 없습니다.' });
+        const duplicate = findDuplicate(existing.type, name, req.user.id);
+        if (duplicate && duplicate.id !== existing.id) {
+            return res.status(409).json({ message: '같은 이름의 카테고리가 이미 존재합니다.' });
+        }
+
+        db.prepare('UPDATE categories SET name = ?, description = ?, updatedAt = ? WHERE id = ?').run(
+            name,
+            description !== undefined ? description : existing.description,
+            new Date().toISOString(),
+            existing.id
+        );
+
+        res.json(toCategory(getCategory(db, existing.id, req.user.id)));
+    } catch (error) {
+        res.status(500).json({ message: '카테고리 수정에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/categories/{id}:
+ *   delete:
+ *     summary: 카테고리 삭제 (참조 중인 거래는 대상 카테고리로 재배정)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *         description: 수입/지출/예산/반복 규칙/분류 규칙을 옮길 카테고리 (기본값 같은 유형의 '기타')
+ *     responses:
+ *       200:
+ *         description: 삭제 결과와 테이블별 재배정 건수 반환
+ *       400:
+ *         description: 기본 카테고리이거나 잘못된 대상 카테고리
+ *       404:
+ *         description: 찾을 수 없음
+ */
+router.delete('/:id', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const result = removeCategory(req.params.id, req.query.targetId, req.user.id);
+        if (result.status) return res.status(result.status).json({ message: result.message });
+        res.json({ message: '카테고리가 삭제되었습니다.', ...result });
+    } catch (error) {
+        res.status(500).json({ message: '카테고리 삭제에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/categories/{id}/merge:
+ *   post:
+ *     summary: 카테고리를 다른 카테고리로 병합 (참조 재배정 후 원본 삭제)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [targetId]
+ *             properties:
+ *               targetId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 병합 결과와 테이블별 재배정 건수 반환
+ */
+router.post('/:id/merge', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const { targetId } = req.body;
+        if (!targetId) return res.status(400).json({ message: 'targetId 는 필수 입력값입니다.' });
+        const result = removeCategory(req.params.id, targetId, req.user.id);
+        if (result.status) return res.status(result.status).json({ message: result.message });
+        res.json({ message: '카테고리가 병합되었습니다.', ...result });
+    } catch (error) {
+        res.status(500).json({ message: '카테고리 병합에 실패했습니다.', error: error.message });
+    }
+});
+
+// 카테고리 삭제/병합 공통 처리: 참조 재배정과 삭제를 한 트랜잭션으로 수행
+// 실패 시 { status, message } 반환
+function removeCategory(id, targetId, userId) {
+    const source = getCategory(db, id, userId);
+    if (!source) return { status: 404, message: '해당 카테고리를 찾을 수 없습니다.' };
+    if (source.isDefault) return { status: 400, message: '기본 카테고리는 삭제할 수 없습니다.' };
+
+    const target = getCategory(db, targetId || DEFAULT_CATEGORY_IDS[source.type], userId);
+    if (!target) return { status: 400, message: '대상 카테고리를 찾을 수 없습니다.' };
+    if (target.id === source.id) return { status: 400, message: '같은 카테고리로 옮길 수 없습니다.' };
+    if (target.type !== source.type) return { status: 400, message: '수입/지출 유형이 같은 카테고리로만 옮길 수 있습니다.' };
+
+    const reassigned = db.transaction(() => {
+        const moved = reassignCategory(db, source.id, target.id, userId);
+        db.prepare('DELETE FROM categories WHERE id = ?').run(source.id);
+        return moved;
+    })();
+
+    return { deletedId: source.id, targetId: target.id, reassigned };
+}
+
+// 기본 카테고리 또는 본인 카테고리 중 같은 이름
+function findDuplicate(type, name, userId) {
+    return db.prepare(`SELECT id FROM categories WHERE type = ? AND name = ? AND ${VISIBLE_TO_USER}`).get(type, name, userId);
+}
+
+function toCategory(row) {
+    return { ...row, isDefault: !!row.isDefault };
+}
+
+module.exports = router;
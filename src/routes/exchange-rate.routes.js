@@ -0,0 +1,115 @@
+const express = require('express');
+const router = express.Router();
+const {
+    MissingRateError,
+    normalizeCurrency,
+    validateMoney,
+    convertMinor
+} = require('../services/currency.service');
+
+let db = null;
+try {
+    db = require('../db');
+} catch (e) {
+    db = null;
+}
+
+/**
+ * @openapi
+ * /api/exchange-rates:
+ *   get:
+ *     summary: 환율 목록 조회
+ *     description: 환율은 모든 사용자가 함께 쓰며 서버 관리자가 npm run import:rates 로 등록함 (API 로는 등록/삭제할 수 없음)
+ *     parameters:
+ *       - in: query
+ *         name: base
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: quote
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: 날짜 역순 환율 목록 반환
+ */
+router.get('/', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const { from, to } = req.query;
+        let sql = 'SELECT * FROM exchange_rates WHERE 1=1';
+        const params = [];
+        if (req.query.base) { sql += ' AND base = ?'; params.push(normalizeCurrency(req.query.base)); }
+        if (req.query.quote) { sql += ' AND quote = ?'; params.push(normalizeCurrency(req.query.quote)); }
+        if (from) { sql += ' AND date >= ?'; params.push(from); }
+        if (to) { sql += ' AND date <= ?'; params.push(to); }
+        sql += ' ORDER BY date DESC, base, quote';
+        res.json(db.prepare(sql).all(...params));
+    } catch (error) {
+        res.status(500).json({ message: '환율을 불러오는데 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/exchange-rates/convert:
+ *   get:
+ *     summary: 최소 단위 금액을 다른 통화로 변환
+ *     parameters:
+ *       - in: query
+ *         name: amount
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: from 통화의 최소 단위 정수
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: 적용할 환율 기준일 (기본값 오늘)
+ *     responses:
+ *       200:
+ *         description: 변환된 금액 (to 통화의 최소 단위 정수)
+ *       422:
+ *         description: 기준일에 적용할 환율이 없음
+ */
+router.get('/convert', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const from = normalizeCurrency(req.query.from);
+        const to = normalizeCurrency(req.query.to);
+        const date = req.query.date || new Date().toISOString().slice(0, 10);
+        if (!req.query.amount || !from || !to) return res.status(400).json({ message: 'amount, from, to 는 필수 입력값입니다.' });
+        const invalid = validateMoney(req.query.amount, from) || validateMoney(undefined, to);
+        if (invalid) return res.status(400).json({ message: invalid });
+
+        const converted = convertMinor(db, Number(req.query.amount), from, to, date);
+        res.json({ amount: Number(req.query.amount), from, to, date, convertedAmount: converted });
+    } catch (error) {
+        if (error instanceof MissingRateError) return res.status(422).json({ message: error.message });
+        res.status(500).json({ message: '환율 변환에 실패했습니다.', error: error.message });
+    }
+});
+
+module.exports = router;
@@ -1,35 +1,405 @@
 const express = require('express');
 const router = express.Router();
-const fs = require('fs').promises;
-const path = require('path');
+const {
+    PAYMENT_METHODS,
+    parseBoolean,
+    categoryIdFromFlags,
+    resolveExpenseCategoryId,
+    getExpense,
+    createExpense,
+    updateExpense,
+    toExpenses
+} = require('../services/expense.service');
+const { tagFilter } = require('../services/tag.service');
+const { DEFAULT_CURRENCY, MissingRateError, normalizeCurrency, validateMoney } = require('../services/currency.service');
+const { ImportFormatError, validateProfile, resolveProfile, importCsv } = require('../services/import.service');
+const { categorizeTransaction } = require('../services/rule.service');
+const { ListQueryError, listFilters, parseListQuery, listTransactions } = require('../services/search.service');
+const { AccountError, getAccount, resolveAccount, paymentMethodForAccount } = require('../services/account.service');
+const { validateInstallment, installmentAccountProblem, expenseInstallments } = require('../services/card.service');
+const { SplitError, prepareSplits, toLineRows, splitCategoryClause } = require('../services/split.service');
+const {
+    MAX_UPLOAD_SIZE,
+    AttachmentError,
+    listAttachments,
+    getAttachment,
+    addAttachments,
+    removeAttachment,
+    removeOrphanFiles,
+    filePath,
+    contentDisposition
+} = require('../services/attachment.service');
+const { MultipartError, parseMultipart } = require('../services/multipart.service');
 
-// 데이터 파일 경로
-const dataPath = path.join(__dirname, '../data/expenses.json');
+let db = null;
+try {
+    db = require('../db');
+} catch (e) {
+    db = null;
+}
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     ExpenseInput:
+ *       type: object
+ *       properties:
+ *         amount:
+ *           type: integer
+ *           minimum: 1
+ *           description: 지출 금액 (currency 의 최소 단위 정수, 예 USD 12.34 → 1234)
+ *         currency:
+ *           type: string
+ *           default: KRW
+ *           description: ISO 4217 통화 코드
+ *         categoryId:
+ *           type: string
+ *           description: 지출 카테고리 id (categories.id, type=expense). category, 플래그가 모두 없으면 자동 분류 규칙으로 정함 (없으면 '기타')
+ *         category:
+ *           type: string
+ *           description: 카테고리 이름 (categoryId 대신 사용 가능)
+ *         description:
+ *           type: string
+ *           description: 지출 설명
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: 지출 날짜 (YYYY-MM-DD)
+ *         paymentMethod:
+ *           type: string
+ *           enum: [현금, 카드, 계좌이체, 기타]
+ *           description: 결제 수단 (없으면 계좌 유형에 맞는 값, 카드 계좌면 카드)
+ *         accountId:
+ *           type: string
+ *           description: 지출이 나간 계좌 id (/api/accounts). 없으면 결제 수단에 맞는 유형의 계좌 또는 기본 계좌
+ *         installmentMonths:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 60
+ *           description: 할부 개월 수 (1 이면 일시불). 2 이상이면 카드 계좌의 지출만 가능하며 구매일이 속한 명세서부터 나누어 청구
+ *         installmentRate:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 100
+ *           description: 할부 수수료율 (연 %, 0 이면 무이자). 회차마다 남은 원금 × 연이율 / 12 가 청구되며 지출 금액(amount)에는 들어가지 않음
+ *         location:
+ *           type: string
+ *           description: 지출 장소
+ *         isFixed:
+ *           type: boolean
+ *           description: 고정 지출 여부
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: 태그 목록
+ *         splits:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TransactionSplitInput'
+ *           description: 카테고리별 분할 줄 (2줄 이상, 금액 합계가 amount 와 같아야 함, 빈 배열이면 분할 해제). 분할된 지출의 amount 를 바꿀 때는 함께 보내야 함
+ *         categories:
+ *           type: object
+ *           description: (구버전 호환) 카테고리 플래그. categoryId가 없을 때 isCoffee, isRent 등을 categoryId로 변환
+ *           properties:
+ *             isFixed:
+ *               type: boolean
+ *             isCoffee:
+ *               type: boolean
+ *             isRent:
+ *               type: boolean
+ *             isFood:
+ *               type: boolean
+ *             isSavings:
+ *               type: boolean
+ *             isTransportation:
+ *               type: boolean
+ *             isUtility:
+ *               type: boolean
+ *             isEntertainment:
+ *               type: boolean
+ *             isShopping:
+ *               type: boolean
+ */
+
+/**
+ * @openapi
+ * components:
+ *   parameters:
+ *     TransactionSearch:
+ *       in: query
+ *       name: q
+ *       schema:
+ *         type: string
+ *       description: 내용(지출은 장소 포함) 검색어. 공백으로 나눈 단어가 모두 들어 있는 거래 (한국어는 단어 일부로도 검색)
+ *     MinAmount:
+ *       in: query
+ *       name: minAmount
+ *       schema:
+ *         type: integer
+ *       description: 최소 금액 (거래 통화의 최소 단위, 통화 변환 없음)
+ *     MaxAmount:
+ *       in: query
+ *       name: maxAmount
+ *       schema:
+ *         type: integer
+ *       description: 최대 금액 (거래 통화의 최소 단위, 통화 변환 없음)
+ *     TransactionSort:
+ *       in: query
+ *       name: sort
+ *       schema:
+ *         type: string
+ *         enum: [date, amount, category]
+ *         default: date
+ *       description: 정렬 기준 (category 는 카테고리 이름 순)
+ *     SortOrder:
+ *       in: query
+ *       name: order
+ *       schema:
+ *         type: string
+ *         enum: [asc, desc]
+ *         default: desc
+ *     PageLimit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         default: 50
+ *         maximum: 200
+ *       description: 한 페이지의 거래 수 (주면 페이지 단위로 반환)
+ *     PageCursor:
+ *       in: query
+ *       name: cursor
+ *       schema:
+ *         type: string
+ *       description: 이전 응답의 nextCursor (같은 sort, order, 필터로 다음 페이지 조회)
+ *   schemas:
+ *     TransactionSplitInput:
+ *       type: object
+ *       required: [amount]
+ *       properties:
+ *         categoryId:
+ *           type: string
+ *           description: 분할 줄의 카테고리 id (거래와 같은 유형)
+ *         category:
+ *           type: string
+ *           description: 카테고리 이름 (categoryId 대신 사용 가능)
+ *         amount:
+ *           type: integer
+ *           minimum: 1
+ *           description: 분할 줄 금액 (거래 통화의 최소 단위)
+ *         description:
+ *           type: string
+ *           description: 분할 줄 설명 (없으면 거래 설명)
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *     TransactionAttachment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         fileName:
+ *           type: string
+ *         mimeType:
+ *           type: string
+ *           enum: [image/jpeg, image/png, image/gif, image/webp, image/heic, application/pdf]
+ *           description: 파일 내용으로 판별한 형식
+ *         size:
+ *           type: integer
+ *           description: 바이트
+ *         checksum:
+ *           type: string
+ *           description: 내용의 SHA-256 (같은 내용은 디스크에 한 번만 저장)
+ *         width:
+ *           type: integer
+ *           nullable: true
+ *           description: 이미지 가로 픽셀 (읽을 수 없거나 PDF 면 null)
+ *         height:
+ *           type: integer
+ *           nullable: true
+ *         pageCount:
+ *           type: integer
+ *           nullable: true
+ *           description: PDF 쪽 수
+ *         thumbnail:
+ *           type: object
+ *           nullable: true
+ *           description: 256px 상자 안에 비율대로 맞춘 미리보기 크기 (이미지 크기를 모르면 null)
+ *           properties:
+ *             width:
+ *               type: integer
+ *             height:
+ *               type: integer
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     TransactionAttachmentUpload:
+ *       type: object
+ *       properties:
+ *         file:
+ *           type: array
+ *           items:
+ *             type: string
+ *             format: binary
+ *           description: 첨부할 파일 (한 번에 10개, 파일당 10MB 까지, 필드 이름은 아무거나)
+ *     TransactionPage:
+ *       type: object
+ *       properties:
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *         total:
+ *           type: integer
+ *           description: 필터에 맞는 전체 거래 수
+ *         limit:
+ *           type: integer
+ *         sort:
+ *           type: string
+ *         order:
+ *           type: string
+ *         nextCursor:
+ *           type: string
+ *           nullable: true
+ *           description: 다음 페이지 커서 (마지막 페이지면 null)
+ *         hasMore:
+ *           type: boolean
+ */
 
 /**
  * @openapi
  * /api/expense:
  *   get:
- *     summary: 모든 지출 데이터 조회
+ *     summary: 지출 목록 조회 (검색, 정렬, 페이지 나누기)
+ *     description: limit 이나 cursor 를 주면 한 페이지씩 { items, total, nextCursor, hasMore } 로, 없으면 전체 목록을 배열로 반환
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: categoryId
+ *         schema:
+ *           type: string
+ *         description: 카테고리 id (분할된 지출은 분할 줄 중 하나라도 이 카테고리면 포함)
+ *       - in: query
+ *         name: paymentMethod
+ *         schema:
+ *           type: string
+ *         description: 결제 수단 (쉼표로 여러 개)
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: 태그 이름 또는 id (쉼표로 여러 개, 하나라도 붙어 있으면 포함)
+ *       - $ref: '#/components/parameters/TransactionSearch'
+ *       - $ref: '#/components/parameters/MinAmount'
+ *       - $ref: '#/components/parameters/MaxAmount'
+ *       - $ref: '#/components/parameters/TransactionSort'
+ *       - $ref: '#/components/parameters/SortOrder'
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
  *     responses:
  *       200:
- *         description: 지출 목록을 반환합니다.
+ *         description: 지출 목록 (limit/cursor 를 주면 TransactionPage 형식)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - type: array
+ *                   items:
+ *                     type: object
+ *                 - $ref: '#/components/schemas/TransactionPage'
+ *       400:
+ *         description: 잘못된 검색, 정렬 또는 페이지 조건
  */
 // 모든 지출 데이터 조회
-router.get('/', async (req, res) => {
+router.get('/', (req, res) => {
     try {
-        const data = await readExpenseData();
-        res.json(data);
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const options = parseListQuery(req.query);
+        const page = listTransactions(db, 'expense', buildFilter(req.query, req.user.id, 't.'), options);
+        const items = toExpenses(db, page.rows);
+        if (!options.paginate) return res.json(items);
+        res.json({ items, total: page.total, limit: options.limit, sort: options.sort, order: options.order, nextCursor: page.nextCursor, hasMore: page.hasMore });
     } catch (error) {
+        if (error instanceof ListQueryError) return res.status(400).json({ message: error.message });
         res.status(500).json({ message: '데이터를 불러오는데 실패했습니다.', error: error.message });
     }
 });
 
 /**
  * @openapi
- * /api/expense:
+ * /api/expense/export-csv:
+ *   get:
+ *     summary: 지출 데이터를 CSV 로 내보내기 (목록 조회와 같은 필터 사용)
+ *     description: |
+ *       분할된 지출은 분할 줄마다 한 행으로 내보냄 (splitId 와 줄의 금액, 카테고리, 설명, 태그).
+ *       attachments 열은 첨부 파일 이름 목록 (| 구분, 파일 내용은 /api/backup 에 포함)
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/TransactionSearch'
+ *       - $ref: '#/components/parameters/MinAmount'
+ *       - $ref: '#/components/parameters/MaxAmount'
+ *     responses:
+ *       200:
+ *         description: text/csv
+ */
+router.get('/export-csv', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const filter = buildFilter(req.query, req.user.id);
+        // 분할된 지출은 분할 줄마다 한 행 (categoryId 로 거르면 그 카테고리의 줄만)
+        const rows = toLineRows(toExpenses(db, db.prepare(`SELECT * FROM expenses${filter.sql} ORDER BY date DESC`).all(...filter.params)))
+            .filter(row => !req.query.categoryId || row.categoryId === req.query.categoryId);
+        const header = ['id', 'splitId', 'amount', 'currency', 'categoryId', 'description', 'date', 'paymentMethod', 'accountId', 'location', 'isFixed', 'tags', 'attachments', 'createdAt'];
+        const csv = [header.join(',')].concat(rows.map(r => header.map(h => {
+            const value = h === 'tags' ? r.tags.join('|') : h === 'attachments' ? r.attachments.map(a => a.fileName).join('|') : r[h];
+            return JSON.stringify(value === undefined || value === null ? '' : value);
+        }).join(','))).join('\n');
+        res.setHeader('Content-Type', 'text/csv');
+        res.send(csv);
+    } catch (error) {
+        if (error instanceof ListQueryError) return res.status(400).json({ message: error.message });
+        res.status(500).json({ message: '내보내기에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/expense/import-csv:
  *   post:
- *     summary: 새로운 지출 데이터 추가
+ *     summary: CSV 로 지출 가져오기 (/api/imports/csv 에 type=expense 를 지정한 것과 같음)
  *     requestBody:
  *       required: true
  *       content:
@@ -37,122 +407,140 @@ router.get('/', async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
- *               amount:
- *                 type: number
- *                 description: 지출 금액
- *               description:
- *                 type: string
- *                 description: 지출 설명
- *               date:
+ *               csv:
  *                 type: string
- *                 description: 지출 날짜 (YYYY-MM-DD)
- *               paymentMethod:
- *                 type: string
- *                 description: 결제 수단
- *               location:
+ *               persist:
+ *                 type: boolean
+ *                 description: false 면 저장하지 않고 미리보기만 반환
+ *               profileId:
  *                 type: string
- *                 description: 지출 장소
- *               categories:
+ *               mapping:
  *                 type: object
- *                 description: 지출 카테고리 정보
- *                 properties:
- *                   isFixed:
- *                     type: boolean
- *                     description: 고정 지출 여부
- *                   isCoffee:
- *                     type: boolean
- *                     description: 커피/음료 지출
- *                   isRent:
- *                     type: boolean
- *                     description: 월세
- *                   isFood:
- *                     type: boolean
- *                     description: 식비
- *                   isSavings:
- *                     type: boolean
- *                     description: 저축/적금
- *                   isTransportation:
- *                     type: boolean
- *                     description: 교통비
- *                   isUtility:
- *                     type: boolean
- *                     description: 공과금
- *                   isEntertainment:
- *                     type: boolean
- *                     description: 문화/여가
- *                   isShopping:
- *                     type: boolean
- *                     description: 쇼핑
+ *               accountId:
+ *                 type: string
+ *                 description: 가져온 거래를 저장할 계좌 id
+ *     responses:
+ *       200:
+ *         description: 가져오기 결과 (행별 new, duplicate, invalid)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportResult'
+ *       400:
+ *         description: CSV 내용이 없거나 열 매핑 오류
+ */
+router.post('/import-csv', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const { csv, persist } = req.body;
+        if (!csv) return res.status(400).json({ message: 'CSV 내용이 필요합니다.' });
+        const profile = resolveProfile(db, req.user.id, { ...req.body, type: 'expense' });
+        if (!profile) return res.status(404).json({ message: '해당 가져오기 프로필을 찾을 수 없습니다.' });
+        const invalid = validateProfile(profile);
+        if (invalid) return res.status(400).json({ message: invalid });
+
+        const accountId = req.body.accountId ? resolveAccount(db, req.user.id, { accountId: req.body.accountId }).id : undefined;
+        res.json(importCsv(db, req.user.id, csv, profile, { dryRun: !parseBoolean(persist), accountId }));
+    } catch (error) {
+        if (error instanceof ImportFormatError || error instanceof AccountError) return res.status(400).json({ message: error.message });
+        res.status(500).json({ message: '가져오기에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/expense:
+ *   post:
+ *     summary: 새로운 지출 데이터 추가
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/ExpenseInput'
+ *               - required: [amount, date]
  *     responses:
  *       201:
  *         description: 생성된 지출 객체 반환
+ *       400:
+ *         description: 필수값 누락 또는 잘못된 카테고리/결제 수단/계좌, 카드 계좌가 아닌 할부, 합계가 맞지 않는 분할
  */
 // 새로운 지출 데이터 추가
-router.post('/', async (req, res) => {
+router.post('/', (req, res) => {
     try {
-        const { 
-            amount, 
-            description, 
-            date, 
-            paymentMethod, 
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const {
+            amount,
+            description,
+            date,
+            paymentMethod,
             location,
-            categories
+            isFixed,
+            tags,
+            categories,
+            installmentMonths,
+            installmentRate
         } = req.body;
-        
+
         // 입력 데이터 검증
         if (!amount || !date) {
             return res.status(400).json({ message: '금액과 날짜는 필수 입력값입니다.' });
         }
+        const currency = normalizeCurrency(req.body.currency) || DEFAULT_CURRENCY;
+        const invalidMoney = validateMoney(amount, currency);
+        if (invalidMoney) {
+            return res.status(400).json({ message: invalidMoney });
+        }
+        if (paymentMethod && !PAYMENT_METHODS.includes(paymentMethod)) {
+            return res.status(400).json({ message: `결제 수단은 ${PAYMENT_METHODS.join(', ')} 중 하나여야 합니다.` });
+        }
 
-        // 카테고리 객체 처리
-        const defaultCategories = {
-            isFixed: false,
-            isCoffee: false,
-            isRent: false,
-            isFood: false,
-            isSavings: false,
-            isTransportation: false,
-            isUtility: false,
-            isEntertainment: false,
-            isShopping: false
-        };
-
-        const expenseTypes = {
-            ...defaultCategories,
-            ...(categories && Object.fromEntries(
-                Object.entries(categories).map(([key, value]) => [key, parseBoolean(value)])
-            ))
-        };
-
-        // 자동으로 카테고리 결정
-        let derivedCategory = '기타';
-        if (expenseTypes.isCoffee) derivedCategory = '커피/음료';
-        else if (expenseTypes.isRent) derivedCategory = '월세';
-        else if (expenseTypes.isFood) derivedCategory = '식비';
-        else if (expenseTypes.isSavings) derivedCategory = '저축/적금';
-        else if (expenseTypes.isTransportation) derivedCategory = '교통비';
-        else if (expenseTypes.isUtility) derivedCategory = '공과금';
-        else if (expenseTypes.isEntertainment) derivedCategory = '문화/여가';
-        else if (expenseTypes.isShopping) derivedCategory = '쇼핑';
-
-        const newExpense = {
-            id: Date.now().toString(), // 간단한 유니크 ID 생성
+        // 카테고리를 지정하지 않았으면 첫 분할 줄의 카테고리, 분할도 없으면 자동 분류 규칙으로 정함 (규칙에도 없으면 '기타')
+        const splits = req.body.splits !== undefined ? prepareSplits(db, 'expense', req.user.id, req.body.splits, amount) : [];
+        const hasCategory = !!(req.body.categoryId || req.body.category || categoryIdFromFlags(categories));
+        const categoryId = hasCategory ? resolveExpenseCategoryId(db, req.body, req.user.id) : splits.length ? splits[0].categoryId : null;
+        if (hasCategory && !categoryId) {
+            return res.status(400).json({ message: '존재하지 않는 지출 카테고리입니다.' });
+        }
+        // 계좌를 지정하지 않았으면 결제 수단에 맞는 계좌, 결제 수단을 지정하지 않았으면 계좌에 맞는 결제 수단
+        const account = resolveAccount(db, req.user.id, { accountId: req.body.accountId, paymentMethod });
+        const method = paymentMethod || paymentMethodForAccount(account);
+        const invalidInstallment = validateInstallment({ installmentMonths, installmentRate })
+            || installmentAccountProblem(account, Number(installmentMonths) > 1);
+        if (invalidInstallment) {
+            return res.status(400).json({ message: invalidInstallment });
+        }
+        // 구버전 payload 는 categories.isFixed 로 고정 지출 여부를 보냄
+        const fixed = isFixed !== undefined ? isFixed : categories && categories.isFixed;
+        const categorized = categorizeTransaction(db, req.user.id, 'expense', {
+            description,
+            location,
             amount: Number(amount),
-            category: category || derivedCategory,
-            description: description || '',
-            date,
-            paymentMethod: paymentMethod || '현금',
-            location: location || '',
-            ...expenseTypes,
-            createdAt: new Date().toISOString()
-        };
+            currency,
+            paymentMethod: method
+        }, { categoryId, tags, isFixed: fixed === undefined ? undefined : parseBoolean(fixed) });
 
-        const data = await readExpenseData();
-        data.push(newExpense);
-        await saveExpenseData(data);
+        const expense = db.transaction(() => createExpense(db, {
+            userId: req.user.id,
+            amount,
+            currency,
+            categoryId: categorized.categoryId,
+            description,
+            date,
+            paymentMethod: method,
+            location,
+            isFixed: parseBoolean(categorized.isFixed),
+            tags: categorized.tags,
+            accountId: account.id,
+            installmentMonths,
+            installmentRate,
+            splits
+        }))();
 
-        res.status(201).json(newExpense);
+        res.status(201).json(expense);
     } catch (error) {
+        if (error instanceof AccountError || error instanceof SplitError) return res.status(400).json({ message: error.message });
         res.status(500).json({ message: '데이터 저장에 실패했습니다.', error: error.message });
     }
 });
@@ -175,11 +563,11 @@ router.post('/', async (req, res) => {
  *         description: 찾을 수 없음
  */
 // 특정 지출 데이터 조회
-router.get('/:id', async (req, res) => {
+router.get('/:id', (req, res) => {
     try {
-        const data = await readExpenseData();
-        const expense = data.find(item => item.id === req.params.id);
-        
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const expense = getExpense(db, req.params.id, req.user.id);
+
         if (!expense) {
             return res.status(404).json({ message: '해당 지출 데이터를 찾을 수 없습니다.' });
         }
@@ -190,6 +578,48 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+/**
+ * @openapi
+ * /api/expense/{id}/installments:
+ *   get:
+ *     summary: 카드 지출의 회차별 청구 계획
+ *     description: |
+ *       카드 계좌의 결제 주기로 계산한 회차별 명세서 기간, 결제일, 원금, 할부 수수료 (카드 통화의 최소 단위).
+ *       일시불 지출은 한 회차. 카드 통화와 다른 통화의 지출은 구매일 환율로 변환
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: '{ expenseId, accountId, currency, installmentMonths, installmentRate, principal, interest, total, schedule: [{ installment, periodStart, periodEnd, dueDate, principal, interest, amount, remaining }] }'
+ *       400:
+ *         description: 카드 계좌의 지출이 아님
+ *       404:
+ *         description: 찾을 수 없음
+ *       422:
+ *         description: 카드 통화로 바꿀 환율이 없음
+ */
+router.get('/:id/installments', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const expense = getExpense(db, req.params.id, req.user.id);
+        if (!expense) {
+            return res.status(404).json({ message: '해당 지출 데이터를 찾을 수 없습니다.' });
+        }
+        const account = expense.accountId ? getAccount(db, expense.accountId, req.user.id) : null;
+        if (!account || account.type !== 'card') {
+            return res.status(400).json({ message: '카드 계좌의 지출만 청구 계획을 볼 수 있습니다.' });
+        }
+        res.json(expenseInstallments(db, account, expense));
+    } catch (error) {
+        if (error instanceof MissingRateError) return res.status(422).json({ message: error.message });
+        res.status(500).json({ message: '청구 계획을 불러오는데 실패했습니다.', error: error.message });
+    }
+});
+
 // 지출 데이터 수정
 /**
  * @openapi
@@ -206,86 +636,82 @@ router.get('/:id', async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               amount:
- *                 type: number
- *               category:
- *                 type: string
- *               description:
- *                 type: string
- *               date:
- *                 type: string
- *               paymentMethod:
- *                 type: string
- *               location:
- *                 type: string
- *               isFixed:
- *                 type: boolean
+ *             $ref: '#/components/schemas/ExpenseInput'
  *     responses:
  *       200:
  *         description: 수정된 지출 객체 반환
+ *       400:
+ *         description: 잘못된 카테고리/결제 수단/계좌, 카드 계좌가 아닌 할부, 합계가 맞지 않는 분할
+ *       404:
+ *         description: 찾을 수 없음
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', (req, res) => {
     try {
-        const { amount, description, date, paymentMethod, location, categories } = req.body;
-        const data = await readExpenseData();
-        const index = data.findIndex(item => item.id === req.params.id);
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const { amount, description, date, paymentMethod, location, isFixed, tags, categoryId, category, categories, accountId, installmentMonths, installmentRate } = req.body;
 
-        if (index === -1) {
-            return res.status(404).json({ message: '해당 지출 데이터를 찾을 수 없습니다.' });
+        if (paymentMethod && !PAYMENT_METHODS.includes(paymentMethod)) {
+            return res.status(400).json({ message: `결제 수단은 ${PAYMENT_METHODS.join(', ')} 중 하나여야 합니다.` });
+        }
+        const currency = normalizeCurrency(req.body.currency);
+        const invalidMoney = validateMoney(amount === null ? undefined : amount, currency);
+        if (invalidMoney) {
+            return res.status(400).json({ message: invalidMoney });
+        }
+
+        // 카테고리 관련 값이 명시된 경우에만 카테고리 변경
+        let resolvedCategoryId;
+        if (categoryId || category || categories) {
+            resolvedCategoryId = resolveExpenseCategoryId(db, { categoryId, category, categories }, req.user.id);
+            if (!resolvedCategoryId) {
+                return res.status(400).json({ message: '존재하지 않는 지출 카테고리입니다.' });
+            }
+        }
+
+        // 다른 계좌로 옮기는 경우 보관되지 않은 내 계좌인지 확인
+        const account = accountId ? resolveAccount(db, req.user.id, { accountId }) : null;
+
+        // 할부는 옮길 계좌(없으면 지금 계좌)가 카드 계좌일 때만
+        const invalidInstallment = validateInstallment({ installmentMonths, installmentRate });
+        if (invalidInstallment) {
+            return res.status(400).json({ message: invalidInstallment });
+        }
+        const existing = getExpense(db, req.params.id, req.user.id);
+        let splits;
+        if (existing) {
+            const months = installmentMonths !== undefined && installmentMonths !== null ? Number(installmentMonths) : existing.installmentMonths;
+            const problem = installmentAccountProblem(account || getAccount(db, existing.accountId, req.user.id), months > 1);
+            if (problem) return res.status(400).json({ message: problem });
+            // 분할 줄 합계는 바뀐 금액(없으면 지금 금액) 기준
+            if (req.body.splits !== undefined) {
+                splits = prepareSplits(db, 'expense', req.user.id, req.body.splits, amount !== undefined && amount !== null ? amount : existing.amount);
+            }
         }
 
         // 기존값을 보존하되, 클라이언트가 명시적으로 보낸 값이 있으면 갱신
-        const existing = data[index];
-        const updated = {
-            ...existing,
-            amount: (amount !== undefined && amount !== null) ? Number(amount) : existing.amount,
-            description: description || existing.description,
-            date: date || existing.date,
-            paymentMethod: paymentMethod || existing.paymentMethod,
-            location: location || existing.location,
-            updatedAt: new Date().toISOString()
-        };
-
-        // 카테고리 객체 업데이트
-        if (categories) {
-            const existingCategories = {
-                isFixed: existing.isFixed || false,
-                isCoffee: existing.isCoffee || false,
-                isRent: existing.isRent || false,
-                isFood: existing.isFood || false,
-                isSavings: existing.isSavings || false,
-                isTransportation: existing.isTransportation || false,
-                isUtility: existing.isUtility || false,
-                isEntertainment: existing.isEntertainment || false,
-                isShopping: existing.isShopping || false
-            };
-
-            Object.entries(categories).forEach(([key, value]) => {
-                if (existingCategories.hasOwnProperty(key)) {
-                    updated[key] = parseBoolean(value);
-                }
-            });
+        const updated = db.transaction(() => updateExpense(db, req.params.id, {
+            amount: amount !== undefined && amount !== null ? Number(amount) : undefined,
+            currency: currency || undefined,
+            categoryId: resolvedCategoryId,
+            description: description || undefined,
+            date: date || undefined,
+            paymentMethod: paymentMethod || undefined,
+            location: location || undefined,
+            isFixed: isFixed !== undefined ? isFixed : categories && categories.isFixed,
+            tags,
+            accountId: account ? account.id : undefined,
+            installmentMonths,
+            installmentRate,
+            splits
+        }, req.user.id))();
+
+        if (!updated) {
+            return res.status(404).json({ message: '해당 지출 데이터를 찾을 수 없습니다.' });
         }
 
-        // 카테고리 자동 업데이트
-        let derivedCategory = '기타';
-        if (updated.isCoffee) derivedCategory = '커피/음료';
-        else if (updated.isRent) derivedCategory = '월세';
-        else if (updated.isFood) derivedCategory = '식비';
-        else if (updated.isSavings) derivedCategory = '저축/적금';
-        else if (updated.isTransportation) derivedCategory = '교통비';
-        else if (updated.isUtility) derivedCategory = '공과금';
-        else if (updated.isEntertainment) derivedCategory = '문화/여가';
-        else if (updated.isShopping) derivedCategory = '쇼핑';
-
-        updated.category = category || derivedCategory;
-        data[index] = updated;
-
-        await saveExpenseData(data);
-        res.json(data[index]);
+        res.json(updated);
     } catch (error) {
+        if (error instanceof AccountError || error instanceof SplitError) return res.status(400).json({ message: error.message });
         res.status(500).json({ message: '데이터 수정에 실패했습니다.', error: error.message });
     }
 });
@@ -306,57 +732,189 @@ router.put('/:id', async (req, res) => {
  *         description: 삭제 성공 메시지
  */
 // 지출 데이터 삭제
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', (req, res) => {
     try {
-        const data = await readExpenseData();
-        const filteredData = data.filter(item => item.id !== req.params.id);
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const info = db.prepare('DELETE FROM expenses WHERE id = ? AND userId = ?').run(req.params.id, req.user.id);
 
-        if (data.length === filteredData.length) {
+        if (info.changes === 0) {
             return res.status(404).json({ message: '해당 지출 데이터를 찾을 수 없습니다.' });
         }
+        // 지출과 함께 지워진 첨부의 파일 중 다른 거래가 쓰지 않는 것
+        removeOrphanFiles(db);
 
-        await saveExpenseData(filteredData);
         res.json({ message: '지출 데이터가 성공적으로 삭제되었습니다.' });
     } catch (error) {
         res.status(500).json({ message: '데이터 삭제에 실패했습니다.', error: error.message });
     }
 });
 
-// 데이터 파일 읽기 함수
-async function readExpenseData() {
+/**
+ * @openapi
+ * /api/expense/{id}/attachments:
+ *   get:
+ *     summary: 지출의 영수증/문서 첨부 목록
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 첨부 목록 (올린 순서)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TransactionAttachment'
+ *       404:
+ *         description: 찾을 수 없음
+ *   post:
+ *     summary: 지출에 영수증 사진/PDF 첨부 (multipart/form-data)
+ *     description: |
+ *       JPEG, PNG, GIF, WebP, HEIC 이미지와 PDF 만 받으며 형식은 파일 내용으로 판별. 파일당 10MB, 한 번에 10개, 지출 한 건에 20개까지.
+ *       같은 내용의 파일은 디스크에 한 번만 저장하며, 이 지출에 이미 붙은 내용이면 기존 첨부를 돌려줌 (duplicate: true).
+ *       하나라도 받을 수 없는 파일이 있으면 아무것도 저장하지 않음
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             $ref: '#/components/schemas/TransactionAttachmentUpload'
+ *     responses:
+ *       201:
+ *         description: '올린 파일별 { attachment, duplicate } 와 지출의 전체 첨부 목록 { uploaded, attachments }'
+ *       400:
+ *         description: 파일이 없거나 multipart 본문 오류
+ *       404:
+ *         description: 찾을 수 없음
+ *       409:
+ *         description: 지출 한 건의 첨부 개수 초과
+ *       413:
+ *         description: 파일 또는 요청 본문이 너무 큼
+ *       415:
+ *         description: multipart/form-data 가 아니거나 받지 않는 파일 형식
+ */
+router.get('/:id/attachments', (req, res) => {
     try {
-        const data = await fs.readFile(dataPath, 'utf8');
-        return JSON.parse(data);
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        if (!getExpense(db, req.params.id, req.user.id)) return res.status(404).json({ message: '해당 지출 데이터를 찾을 수 없습니다.' });
+        res.json(listAttachments(db, 'expense', req.params.id));
     } catch (error) {
-        if (error.code === 'ENOENT') {
-            // 파일이 없는 경우 빈 배열로 시작
-            await saveExpenseData([]);
-            return [];
-        }
-        throw error;
+        res.status(500).json({ message: '첨부 목록을 불러오는데 실패했습니다.', error: error.message });
     }
-}
+});
 
-// 데이터 파일 저장 함수
-async function saveExpenseData(data) {
-    // data 디렉토리가 없으면 생성
-    const dir = path.dirname(dataPath);
-    await fs.mkdir(dir, { recursive: true });
-    
-    await fs.writeFile(dataPath, JSON.stringify(data, null, 2));
-}
+router.post('/:id/attachments', express.raw({ type: 'multipart/form-data', limit: MAX_UPLOAD_SIZE }), (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        if (!getExpense(db, req.params.id, req.user.id)) return res.status(404).json({ message: '해당 지출 데이터를 찾을 수 없습니다.' });
+        if (!req.is('multipart/form-data')) return res.status(415).json({ message: '첨부 파일은 multipart/form-data 로 보내야 합니다.' });
 
-// 유틸: 다양한 입력 형태(true, 'true', '1', 1)를 boolean으로 변환
-function parseBoolean(value) {
-    if (value === true || value === 1) return true;
-    if (value === false || value === 0) return false;
-    if (typeof value === 'string') {
-        const v = value.trim().toLowerCase();
-        if (v === 'true' || v === '1') return true;
-        if (v === 'false' || v === '0' || v === '') return false;
+        const { files } = parseMultipart(req.body, req.headers['content-type']);
+        const uploaded = db.transaction(() => addAttachments(db, 'expense', req.params.id, req.user.id, files))();
+        res.status(201).json({ uploaded, attachments: listAttachments(db, 'expense', req.params.id) });
+    } catch (error) {
+        if (error instanceof MultipartError) return res.status(400).json({ message: error.message });
+        if (error instanceof AttachmentError) return res.status(error.status).json({ message: error.message });
+        res.status(500).json({ message: '첨부 파일 저장에 실패했습니다.', error: error.message });
     }
-    // undefined 또는 명시되지 않은 값은 false
-    return false;
+});
+
+/**
+ * @openapi
+ * /api/expense/{id}/attachments/{attachmentId}:
+ *   get:
+ *     summary: 지출 첨부 파일 내려받기
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: inline
+ *         schema:
+ *           type: boolean
+ *         description: true 면 내려받기 대신 브라우저에서 바로 보기 (Content-Disposition inline)
+ *     responses:
+ *       200:
+ *         description: 파일 내용 (Content-Type 은 첨부의 mimeType)
+ *       404:
+ *         description: 찾을 수 없음
+ *   delete:
+ *     summary: 지출 첨부 삭제 (다른 거래가 쓰지 않는 파일은 디스크에서도 지움)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 삭제 성공 메시지
+ *       404:
+ *         description: 찾을 수 없음
+ */
+router.get('/:id/attachments/:attachmentId', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const attachment = getExpense(db, req.params.id, req.user.id) && getAttachment(db, 'expense', req.params.id, req.params.attachmentId);
+        if (!attachment) return res.status(404).json({ message: '해당 첨부 파일을 찾을 수 없습니다.' });
+        res.set({ 'Content-Type': attachment.mimeType, 'Content-Disposition': contentDisposition(attachment.fileName, parseBoolean(req.query.inline)) });
+        res.sendFile(filePath(attachment.checksum), error => {
+            if (error && !res.headersSent) res.status(500).json({ message: '첨부 파일이 저장소에 없습니다.', error: error.message });
+        });
+    } catch (error) {
+        res.status(500).json({ message: '첨부 파일을 불러오는데 실패했습니다.', error: error.message });
+    }
+});
+
+router.delete('/:id/attachments/:attachmentId', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const removed = getExpense(db, req.params.id, req.user.id) && removeAttachment(db, 'expense', req.params.id, req.params.attachmentId);
+        if (!removed) return res.status(404).json({ message: '해당 첨부 파일을 찾을 수 없습니다.' });
+        res.json({ message: '첨부 파일이 삭제되었습니다.' });
+    } catch (error) {
+        res.status(500).json({ message: '첨부 파일 삭제에 실패했습니다.', error: error.message });
+    }
+});
+
+// 목록/내보내기 공통 필터 (로그인한 사용자 + startDate, endDate, categoryId, accountId, tag, q, minAmount, maxAmount, paymentMethod)
+function buildFilter(query, userId, prefix = '') {
+    const { startDate, endDate, categoryId, accountId, tag } = query;
+    const where = [`${prefix}userId = ?`];
+    const params = [userId];
+    if (startDate) { where.push(`${prefix}date >= ?`); params.push(startDate); }
+    if (endDate) { where.push(`${prefix}date <= ?`); params.push(endDate); }
+    // 분할된 지출은 분할 줄 중 하나라도 해당 카테고리면 포함
+    if (categoryId) { where.push(splitCategoryClause('expense', prefix, '?')); params.push(categoryId, categoryId); }
+    if (accountId) { where.push(`${prefix}accountId = ?`); params.push(accountId); }
+    const byTag = tagFilter('expense', tag, `${prefix}id`);
+    if (byTag) { where.push(byTag.clause); params.push(...byTag.params); }
+    // 검색어(q), 금액 범위, 결제 수단 (잘못된 값이면 ListQueryError)
+    const extra = listFilters('expense', query, prefix);
+    where.push(...extra.where);
+    params.push(...extra.params);
+    return { sql: ' WHERE ' + where.join(' AND '), params };
 }
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,112 @@
+const express = require('express');
+const router = express.Router();
+const { addMonths, format, parseISO } = require('date-fns');
+const { MissingRateError, resolveBaseCurrency } = require('../services/currency.service');
+const { GRANULARITIES, CONFIDENCE_LEVELS, forecastBalance } = require('../services/forecast.service');
+
+let db = null;
+try {
+    db = require('../db');
+} catch (e) {
+    db = null;
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// 예측 기간과 평균을 낼 과거 기간의 최대 개월 수
+const MAX_MONTHS = 24;
+
+/**
+ * @openapi
+ * /api/forecast:
+ *   get:
+ *     summary: 앞으로의 잔액 예측 (반복 규칙 + 카테고리별 평균 변동 지출)
+ *     description: |
+ *       /api/summary 와 같은 방식으로 계산한 asOf 까지의 잔액(계좌 시작 잔액과 이체 포함)에서 시작해, 이미 입력한 앞으로의 거래와 반복 규칙의 회차를 더하고
+ *       반복 규칙 외 지출의 최근 카테고리별 월평균을 하루 단위로 나눠 매일 뺌.
+ *       low/high 는 카테고리별 월 지출 변동폭으로 구한 신뢰 구간. 금액은 기준 통화의 최소 단위
+ *     parameters:
+ *       - in: query
+ *         name: months
+ *         schema:
+ *           type: integer
+ *           default: 3
+ *           maximum: 24
+ *         description: 예측할 개월 수 (until 이 있으면 무시)
+ *       - in: query
+ *         name: until
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: 예측 마지막 날 (YYYY-MM-DD)
+ *       - in: query
+ *         name: asOf
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: 기준일 (기본값 오늘, 이 날까지의 거래로 시작 잔액 계산)
+ *       - in: query
+ *         name: granularity
+ *         schema:
+ *           type: string
+ *           enum: [day, month]
+ *           default: day
+ *       - in: query
+ *         name: historyMonths
+ *         schema:
+ *           type: integer
+ *           default: 6
+ *           maximum: 24
+ *         description: 변동 지출 평균을 낼 지난 개월 수 (asOf 가 속한 달 제외)
+ *       - in: query
+ *         name: confidence
+ *         schema:
+ *           type: number
+ *           enum: [0.8, 0.9, 0.95]
+ *           default: 0.8
+ *       - in: query
+ *         name: baseCurrency
+ *         schema:
+ *           type: string
+ *         description: 기준 통화 (기본값 사용자 설정, 없으면 KRW)
+ *     responses:
+ *       200:
+ *         description: |
+ *           startingBalance, endingBalance, minBalance, firstNegativeDate(예상 잔액이 처음 0 미만이 되는 날),
+ *           firstNegativeDateLow(신뢰 구간 하한 기준), variableSpending(카테고리별 월평균), scheduled(확정 흐름),
+ *           points(날짜 또는 월별 income, expense, variableExpense, balance, low, high)
+ *       400:
+ *         description: 잘못된 기간, 단위, 신뢰 수준 또는 통화
+ *       422:
+ *         description: 변환에 필요한 환율이 없음
+ */
+router.get('/', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const baseCurrency = resolveBaseCurrency(req.query, req.user);
+        if (!baseCurrency) return res.status(400).json({ message: 'baseCurrency 는 ISO 4217 통화 코드여야 합니다.' });
+
+        const asOf = req.query.asOf || format(new Date(), 'yyyy-MM-dd');
+        if (!DATE_PATTERN.test(asOf)) return res.status(400).json({ message: 'asOf 는 YYYY-MM-DD 형식이어야 합니다.' });
+        const months = req.query.months === undefined ? 3 : Number(req.query.months);
+        if (!Number.isInteger(months) || months < 1 || months > MAX_MONTHS) return res.status(400).json({ message: `months 는 1~${MAX_MONTHS} 사이의 정수여야 합니다.` });
+        const until = req.query.until || format(addMonths(parseISO(asOf), months), 'yyyy-MM-dd');
+        if (!DATE_PATTERN.test(until) || until <= asOf) return res.status(400).json({ message: 'until 은 asOf 이후의 YYYY-MM-DD 날짜여야 합니다.' });
+        if (until > format(addMonths(parseISO(asOf), MAX_MONTHS), 'yyyy-MM-dd')) return res.status(400).json({ message: `예측 기간은 최대 ${MAX_MONTHS}개월입니다.` });
+
+        const granularity = req.query.granularity || 'day';
+        if (!GRANULARITIES.includes(granularity)) return res.status(400).json({ message: `granularity 는 ${GRANULARITIES.join(', ')} 중 하나여야 합니다.` });
+        const historyMonths = req.query.historyMonths === undefined ? 6 : Number(req.query.historyMonths);
+        if (!Number.isInteger(historyMonths) || historyMonths < 1 || historyMonths > MAX_MONTHS) {
+            return res.status(400).json({ message: `historyMonths 는 1~${MAX_MONTHS} 사이의 정수여야 합니다.` });
+        }
+        const confidence = req.query.confidence === undefined ? 0.8 : Number(req.query.confidence);
+        if (!CONFIDENCE_LEVELS[confidence]) return res.status(400).json({ message: `confidence 는 ${Object.keys(CONFIDENCE_LEVELS).join(', ')} 중 하나여야 합니다.` });
+
+        res.json(forecastBalance(db, req.user.id, { baseCurrency, asOf, until, granularity, historyMonths, confidence }));
+    } catch (error) {
+        if (error instanceof MissingRateError) return res.status(422).json({ message: error.message });
+        res.status(500).json({ message: '잔액 예측에 실패했습니다.', error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,407 @@
+const express = require('express');
+const router = express.Router();
+const { v4: uuidv4 } = require('uuid');
+const { format } = require('date-fns');
+const { listContributions, loadGoal, refreshGoal, toGoal } = require('../services/goal.service');
+const { DEFAULT_CURRENCY, MissingRateError, normalizeCurrency, validateMoney, convertMinor } = require('../services/currency.service');
+
+let db = null;
+try {
+    db = require('../db');
+} catch (e) {
+    db = null;
+}
+
+// 목표에 연결할 수 있는 지출 카테고리
+const SAVINGS_CATEGORY_ID = 'savings';
+const CONTRIBUTION_TYPES = ['deposit', 'withdrawal', 'expense'];
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     GoalInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         targetAmount:
+ *           type: integer
+ *           minimum: 1
+ *           description: 목표 금액 (통화의 최소 단위 정수)
+ *         currency:
+ *           type: string
+ *           default: KRW
+ *           description: 목표 통화 (생성할 때만 지정, 다른 통화의 저축 지출은 지출일 환율로 변환해 적립)
+ *         initialAmount:
+ *           type: integer
+ *           minimum: 0
+ *           description: 생성 시 첫 입금으로 기록할 금액 (통화의 최소 단위 정수, 0 이면 기록하지 않음)
+ *         startDate:
+ *           type: string
+ *           format: date
+ *           description: 기본값 오늘
+ *         targetDate:
+ *           type: string
+ *           format: date
+ *         description:
+ *           type: string
+ *     ContributionInput:
+ *       type: object
+ *       required: [type]
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [deposit, withdrawal, expense]
+ *           description: expense 는 저축/적금 카테고리 지출을 목표에 연결
+ *         amount:
+ *           type: integer
+ *           minimum: 1
+ *           description: deposit/withdrawal 금액 (통화의 최소 단위 정수)
+ *         expenseId:
+ *           type: string
+ *           description: expense 유형일 때 연결할 지출 id
+ *         date:
+ *           type: string
+ *           format: date
+ *         description:
+ *           type: string
+ */
+
+/**
+ * @openapi
+ * /api/goals:
+ *   get:
+ *     summary: 재무 목표 목록 조회 (진행률, 필요 월 저축액, 예상 달성일 포함)
+ *     description: currentMonthlyPace 는 시작일과 첫 입출금 날짜 중 이른 날(paceStartDate)부터 오늘까지의 적립 속도
+ *     responses:
+ *       200:
+ *         description: 목표 목록 반환
+ */
+router.get('/', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const ids = db.prepare('SELECT id FROM financial_goals WHERE userId = ? ORDER BY targetDate').all(req.user.id);
+        res.json(ids.map(({ id }) => toGoal(loadGoal(db, id))));
+    } catch (error) {
+        if (error instanceof MissingRateError) return res.status(422).json({ message: error.message });
+        res.status(500).json({ message: '목표를 불러오는데 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/goals/{id}:
+ *   get:
+ *     summary: 특정 재무 목표 조회 (입출금 내역 포함)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 목표 객체 반환
+ *       404:
+ *         description: 찾을 수 없음
+ */
+router.get('/:id', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        if (!findGoal(req.params.id, req.user.id)) return res.status(404).json({ message: '해당 목표를 찾을 수 없습니다.' });
+        const goal = loadGoal(db, req.params.id);
+        res.json({ ...toGoal(goal), contributions: listContributions(db, goal.id) });
+    } catch (error) {
+        if (error instanceof MissingRateError) return res.status(422).json({ message: error.message });
+        res.status(500).json({ message: '목표를 불러오는데 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/goals:
+ *   post:
+ *     summary: 재무 목표 추가
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/GoalInput'
+ *               - required: [name, targetAmount, targetDate]
+ *     responses:
+ *       201:
+ *         description: 생성된 목표 반환
+ */
+router.post('/', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const { name, targetAmount, targetDate, description, initialAmount } = req.body;
+        const startDate = req.body.startDate || format(new Date(), 'yyyy-MM-dd');
+        if (!name || !targetAmount || !targetDate) {
+            return res.status(400).json({ message: '이름, 목표 금액, 목표일은 필수 입력값입니다.' });
+        }
+        const currency = normalizeCurrency(req.body.currency) || DEFAULT_CURRENCY;
+        const invalid = validateGoal({ targetAmount, currency, startDate, targetDate })
+            || (initialAmount !== undefined && initialAmount !== null && Number(initialAmount) !== 0 ? validateMoney(initialAmount) : null);
+        if (invalid) return res.status(400).json({ message: invalid });
+
+        const id = uuidv4();
+        const now = new Date().toISOString();
+        db.transaction(() => {
+            db.prepare(`
+                INSERT INTO financial_goals (id, userId, name, targetAmount, currency, currentAmount, startDate, targetDate, description, isCompleted, createdAt, updatedAt)
+                VALUES (?, ?, ?, ?, ?, 0, ?, ?, ?, 0, ?, ?)
+            `).run(id, req.user.id, name, Number(targetAmount), currency, startDate, targetDate, description || '', now, now);
+            if (Number(initialAmount) > 0) {
+                insertContribution(id, { type: 'deposit', amount: Number(initialAmount), date: startDate, description: '초기 적립액' });
+            }
+        })();
+
+        res.status(201).json(toGoal(refreshGoal(db, id)));
+    } catch (error) {
+        if (error instanceof MissingRateError) return res.status(422).json({ message: error.message });
+        res.status(500).json({ message: '목표 저장에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/goals/{id}:
+ *   put:
+ *     summary: 재무 목표 수정 (적립액은 입출금 내역으로만 변경)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GoalInput'
+ *     responses:
+ *       200:
+ *         description: 수정된 목표 반환
+ */
+router.put('/:id', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const existing = findGoal(req.params.id, req.user.id);
+        if (!existing) return res.status(404).json({ message: '해당 목표를 찾을 수 없습니다.' });
+
+        const { name, targetAmount, startDate, targetDate, description } = req.body;
+        const currency = normalizeCurrency(req.body.currency);
+        if (currency && currency !== existing.currency) {
+            return res.status(400).json({ message: '목표 통화는 바꿀 수 없습니다. (적립 내역이 목표 통화 기준으로 기록되어 있음)' });
+        }
+        const goal = {
+            name: name || existing.name,
+            targetAmount: targetAmount !== undefined && targetAmount !== null ? Number(targetAmount) : existing.targetAmount,
+            currency: existing.currency,
+            startDate: startDate || existing.startDate,
+            targetDate: targetDate || existing.targetDate,
+            description: description !== undefined ? description : existing.description
+        };
+        const invalid = validateGoal(goal);
+        if (invalid) return res.status(400).json({ message: invalid });
+
+        db.prepare(`
+            UPDATE financial_goals SET name = ?, targetAmount = ?, startDate = ?, targetDate = ?, description = ?, updatedAt = ?
+            WHERE id = ?
+        `).run(goal.name, goal.targetAmount, goal.startDate, goal.targetDate, goal.description, new Date().toISOString(), existing.id);
+
+        res.json(toGoal(refreshGoal(db, existing.id)));
+    } catch (error) {
+        if (error instanceof MissingRateError) return res.status(422).json({ message: error.message });
+        res.status(500).json({ message: '목표 수정에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/goals/{id}:
+ *   delete:
+ *     summary: 재무 목표 삭제 (입출금 내역도 함께 삭제, 연결된 지출은 유지)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 삭제 성공 메시지
+ */
+router.delete('/:id', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const info = db.prepare('DELETE FROM financial_goals WHERE id = ? AND userId = ?').run(req.params.id, req.user.id);
+        if (info.changes === 0) return res.status(404).json({ message: '해당 목표를 찾을 수 없습니다.' });
+        res.json({ message: '목표가 삭제되었습니다.' });
+    } catch (error) {
+        res.status(500).json({ message: '목표 삭제에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/goals/{id}/contributions:
+ *   get:
+ *     summary: 목표 입출금 내역 조회
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 날짜순 입출금 내역 반환
+ */
+router.get('/:id/contributions', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const goal = findGoal(req.params.id, req.user.id);
+        if (!goal) return res.status(404).json({ message: '해당 목표를 찾을 수 없습니다.' });
+        res.json(listContributions(db, goal.id));
+    } catch (error) {
+        if (error instanceof MissingRateError) return res.status(422).json({ message: error.message });
+        res.status(500).json({ message: '입출금 내역을 불러오는데 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/goals/{id}/contributions:
+ *   post:
+ *     summary: 목표 입금/출금 기록 또는 저축 지출 연결
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ContributionInput'
+ *     responses:
+ *       201:
+ *         description: 갱신된 목표 반환
+ *       400:
+ *         description: 잘못된 금액, 저축 카테고리가 아닌 지출, 적립액보다 큰 출금
+ *       409:
+ *         description: 이미 연결된 지출
+ */
+router.post('/:id/contributions', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        if (!findGoal(req.params.id, req.user.id)) return res.status(404).json({ message: '해당 목표를 찾을 수 없습니다.' });
+        const goal = loadGoal(db, req.params.id);
+
+        const { type, amount, expenseId, description } = req.body;
+        if (!CONTRIBUTION_TYPES.includes(type)) {
+            return res.status(400).json({ message: 'type 은 deposit, withdrawal, expense 중 하나여야 합니다.' });
+        }
+
+        const contribution = { type, description, date: req.body.date || format(new Date(), 'yyyy-MM-dd') };
+        if (type === 'expense') {
+            const expense = db.prepare('SELECT * FROM expenses WHERE id = ? AND userId = ?').get(expenseId, req.user.id);
+            if (!expense) return res.status(400).json({ message: '연결할 지출을 찾을 수 없습니다.' });
+            if (expense.categoryId !== SAVINGS_CATEGORY_ID) {
+                return res.status(400).json({ message: '저축/적금 카테고리의 지출만 목표에 연결할 수 있습니다.' });
+            }
+            const linked = db.prepare('SELECT id FROM goal_contributions WHERE goalId = ? AND expenseId = ?').get(goal.id, expense.id);
+            if (linked) return res.status(409).json({ message: '이미 이 목표에 연결된 지출입니다.' });
+            // 지출일 환율이 없으면 적립액을 계산할 수 없으므로 연결하지 않음 (MissingRateError → 422)
+            convertMinor(db, expense.amount, expense.currency, goal.currency, expense.date);
+            contribution.expenseId = expense.id;
+            contribution.date = expense.date;
+            contribution.description = description || expense.description;
+        } else {
+            const invalidAmount = validateMoney(amount === undefined ? null : amount, goal.currency);
+            if (invalidAmount) return res.status(400).json({ message: invalidAmount });
+            if (type === 'withdrawal' && Number(amount) > goal.currentAmount) {
+                return res.status(400).json({ message: '출금액이 현재 적립액보다 많습니다.' });
+            }
+            contribution.amount = Number(amount);
+        }
+
+        insertContribution(goal.id, contribution);
+        res.status(201).json({ ...toGoal(refreshGoal(db, goal.id)), contributions: listContributions(db, goal.id) });
+    } catch (error) {
+        if (error instanceof MissingRateError) return res.status(422).json({ message: error.message });
+        res.status(500).json({ message: '입출금 기록에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/goals/{id}/contributions/{contributionId}:
+ *   delete:
+ *     summary: 목표 입출금 내역 삭제 (지출 연결 해제)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: contributionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 갱신된 목표 반환
+ */
+router.delete('/:id/contributions/:contributionId', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        if (!findGoal(req.params.id, req.user.id)) return res.status(404).json({ message: '해당 목표를 찾을 수 없습니다.' });
+        const info = db.prepare('DELETE FROM goal_contributions WHERE id = ? AND goalId = ?').run(req.params.contributionId, req.params.id);
+        if (info.changes === 0) return res.status(404).json({ message: '해당 입출금 내역을 찾을 수 없습니다.' });
+        res.json(toGoal(refreshGoal(db, req.params.id)));
+    } catch (error) {
+        if (error instanceof MissingRateError) return res.status(422).json({ message: error.message });
+        res.status(500).json({ message: '입출금 내역 삭제에 실패했습니다.', error: error.message });
+    }
+});
+
+function findGoal(id, userId) {
+    return db.prepare('SELECT * FROM financial_goals WHERE id = ? AND userId = ?').get(id, userId);
+}
+
+function insertContribution(goalId, contribution) {
+    db.prepare(`
+        INSERT INTO goal_contributions (id, goalId, type, amount, expenseId, date, description, createdAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        uuidv4(),
+        goalId,
+        contribution.type,
+        contribution.type === 'expense' ? null : contribution.amount,
+        contribution.expenseId || null,
+        contribution.date,
+        contribution.description || '',
+        new Date().toISOString()
+    );
+}
+
+// 문제가 있으면 오류 메시지, 없으면 null 반환
+function validateGoal(goal) {
+    const invalidCurrency = validateMoney(undefined, goal.currency);
+    if (invalidCurrency) return invalidCurrency;
+    if (validateMoney(goal.targetAmount)) return '목표 금액은 통화의 최소 단위(KRW 는 원, USD 는 센트) 기준 0보다 큰 정수여야 합니다.';
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(goal.startDate) || !/^\d{4}-\d{2}-\d{2}$/.test(goal.targetDate)) return '날짜는 YYYY-MM-DD 형식이어야 합니다.';
+    if (goal.startDate > goal.targetDate) return '목표일은 시작일 이후여야 합니다.';
+    return null;
+}
+
+module.exports = router;
@@ -0,0 +1,543 @@
+const express = require('express');
+const router = express.Router();
+const { v4: uuidv4 } = require('uuid');
+const { parseBoolean } = require('../services/expense.service');
+const { DEFAULT_CURRENCY, normalizeCurrency, isValidCurrency } = require('../services/currency.service');
+const {
+    ImportFormatError,
+    isValidEncoding,
+    decodeText,
+    validateProfile,
+    toProfile,
+    mergeProfile,
+    resolveProfile,
+    importRecords,
+    importCsv
+} = require('../services/import.service');
+const { parseOfx } = require('../services/ofx.service');
+const { parseQif } = require('../services/qif.service');
+const { AccountError, resolveAccount } = require('../services/account.service');
+
+let db = null;
+try {
+    db = require('../db');
+} catch (e) {
+    db = null;
+}
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     ImportProfileInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: 프로필 이름 (예 국민은행 입출금, 신한카드)
+ *         type:
+ *           type: string
+ *           enum: [income, expense, mixed]
+ *           description: 금액 열 하나일 때 거래 종류 (mixed 는 음수=지출, 양수=수입). 출금/입금 열이 있으면 값이 있는 쪽으로 결정
+ *         encoding:
+ *           type: string
+ *           enum: [auto, utf-8, euc-kr, cp949]
+ *           default: auto
+ *         delimiter:
+ *           type: string
+ *           default: ','
+ *         skipRows:
+ *           type: integer
+ *           default: 0
+ *           description: 헤더 앞에 건너뛸 줄 수 (계좌 정보 등)
+ *         mapping:
+ *           type: object
+ *           description: 항목별 헤더 이름 또는 0부터 시작하는 열 번호, 지정하지 않은 항목은 헤더 이름으로 추측
+ *           properties:
+ *             date:
+ *               type: string
+ *             amount:
+ *               type: string
+ *             withdrawal:
+ *               type: string
+ *             deposit:
+ *               type: string
+ *             description:
+ *               type: string
+ *             category:
+ *               type: string
+ *             currency:
+ *               type: string
+ *             paymentMethod:
+ *               type: string
+ *         currency:
+ *           type: string
+ *           default: KRW
+ *           description: 통화 열이 없을 때 사용할 통화 (금액은 주 단위로 읽어 최소 단위로 변환)
+ *         paymentMethod:
+ *           type: string
+ *           description: 결제 수단 열이 없을 때 지출에 사용할 값
+ *     PayeeCategories:
+ *       type: object
+ *       additionalProperties:
+ *         type: string
+ *       description: |
+ *         거래처(가맹점) 이름 일부 → 카테고리 id 또는 이름 (예 { "스타벅스": "coffee" }), 여러 개가 맞으면 가장 긴 키 사용.
+ *         파일에 카테고리가 없을 때 적용하며, 맞는 키도 없으면 같은 내용으로 저장된 최근 거래의 카테고리를 사용
+ *     StatementImportInput:
+ *       type: object
+ *       properties:
+ *         files:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               content:
+ *                 type: string
+ *                 description: base64 로 인코딩한 파일 내용
+ *         content:
+ *           type: string
+ *           description: 파일 하나만 보낼 때 base64 내용 (files 대신)
+ *         encoding:
+ *           type: string
+ *           enum: [auto, utf-8, euc-kr, cp949]
+ *           default: auto
+ *         dryRun:
+ *           type: boolean
+ *         allowDuplicates:
+ *           type: boolean
+ *         payeeCategories:
+ *           $ref: '#/components/schemas/PayeeCategories'
+ *         accountId:
+ *           type: string
+ *           description: 모든 거래를 저장할 계좌 id (파일 본문으로 보낼 때는 쿼리). 없으면 지출은 결제 수단에 맞는 계좌, 수입은 기본 계좌
+ *     StatementImportReport:
+ *       type: object
+ *       properties:
+ *         dryRun:
+ *           type: boolean
+ *         imported:
+ *           type: integer
+ *           description: 모든 파일에서 저장한 거래 수
+ *         files:
+ *           type: array
+ *           description: 파일별 ImportResult (OFX 는 accounts 에 계좌별 요약 포함, 읽을 수 없는 파일은 error 만 포함)
+ *           items:
+ *             $ref: '#/components/schemas/ImportResult'
+ *     ImportResult:
+ *       type: object
+ *       properties:
+ *         dryRun:
+ *           type: boolean
+ *         total:
+ *           type: integer
+ *         new:
+ *           type: integer
+ *         duplicates:
+ *           type: integer
+ *         invalid:
+ *           type: integer
+ *         imported:
+ *           type: integer
+ *         rows:
+ *           type: array
+ *           description: 행별 결과 (status 는 new, duplicate, invalid 중 하나이며 invalid 면 errors 에 사유, 자동 분류 규칙이 일치하면 ruleId 와 규칙의 tags, isFixed 포함)
+ *           items:
+ *             type: object
+ */
+
+/**
+ * @openapi
+ * /api/imports/profiles:
+ *   get:
+ *     summary: CSV 매핑 프로필 목록 조회
+ *     responses:
+ *       200:
+ *         description: 프로필 목록 반환
+ */
+router.get('/profiles', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const rows = db.prepare('SELECT * FROM import_profiles WHERE userId = ? ORDER BY name').all(req.user.id);
+        res.json(rows.map(toProfile));
+    } catch (error) {
+        res.status(500).json({ message: '가져오기 프로필을 불러오는데 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/imports/profiles/{id}:
+ *   get:
+ *     summary: 특정 CSV 매핑 프로필 조회
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 프로필 반환
+ *       404:
+ *         description: 찾을 수 없음
+ */
+router.get('/profiles/:id', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const profile = getProfile(req.params.id, req.user.id);
+        if (!profile) return res.status(404).json({ message: '해당 가져오기 프로필을 찾을 수 없습니다.' });
+        res.json(toProfile(profile));
+    } catch (error) {
+        res.status(500).json({ message: '가져오기 프로필을 불러오는데 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/imports/profiles:
+ *   post:
+ *     summary: CSV 매핑 프로필 추가
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ImportProfileInput'
+ *     responses:
+ *       201:
+ *         description: 생성된 프로필 반환
+ *       400:
+ *         description: 입력값 오류
+ *       409:
+ *         description: 같은 이름의 프로필이 이미 있음
+ */
+router.post('/profiles', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const profile = mergeProfile(null, req.body);
+        if (!profile.name) return res.status(400).json({ message: '프로필 이름은 필수 입력값입니다.' });
+        const invalid = validateProfile(profile);
+        if (invalid) return res.status(400).json({ message: invalid });
+        if (db.prepare('SELECT id FROM import_profiles WHERE userId = ? AND name = ?').get(req.user.id, profile.name)) {
+            return res.status(409).json({ message: '같은 이름의 가져오기 프로필이 이미 존재합니다.' });
+        }
+
+        const id = uuidv4();
+        const now = new Date().toISOString();
+        db.prepare(`
+            INSERT INTO import_profiles (id, userId, name, type, encoding, delimiter, skipRows, mapping, currency, paymentMethod, createdAt, updatedAt)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(id, req.user.id, profile.name, profile.type, profile.encoding, profile.delimiter, profile.skipRows, JSON.stringify(profile.mapping), profile.currency, profile.paymentMethod, now, now);
+        res.status(201).json(toProfile(getProfile(id, req.user.id)));
+    } catch (error) {
+        res.status(500).json({ message: '가져오기 프로필 저장에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/imports/profiles/{id}:
+ *   put:
+ *     summary: CSV 매핑 프로필 수정 (보내지 않은 항목은 유지)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ImportProfileInput'
+ *     responses:
+ *       200:
+ *         description: 수정된 프로필 반환
+ *       404:
+ *         description: 찾을 수 없음
+ *       409:
+ *         description: 같은 이름의 프로필이 이미 있음
+ */
+router.put('/profiles/:id', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const existing = getProfile(req.params.id, req.user.id);
+        if (!existing) return res.status(404).json({ message: '해당 가져오기 프로필을 찾을 수 없습니다.' });
+
+        const profile = mergeProfile(toProfile(existing), req.body);
+        const invalid = validateProfile(profile);
+        if (invalid) return res.status(400).json({ message: invalid });
+        if (db.prepare('SELECT id FROM import_profiles WHERE userId = ? AND name = ? AND id != ?').get(req.user.id, profile.name, existing.id)) {
+            return res.status(409).json({ message: '같은 이름의 가져오기 프로필이 이미 존재합니다.' });
+        }
+
+        db.prepare(`
+            UPDATE import_profiles
+            SET name = ?, type = ?, encoding = ?, delimiter = ?, skipRows = ?, mapping = ?, currency = ?, paymentMethod = ?, updatedAt = ?
+            WHERE id = ?
+        `).run(profile.name, profile.type, profile.encoding, profile.delimiter, profile.skipRows, JSON.stringify(profile.mapping), profile.currency, profile.paymentMethod, new Date().toISOString(), existing.id);
+        res.json(toProfile(getProfile(existing.id, req.user.id)));
+    } catch (error) {
+        res.status(500).json({ message: '가져오기 프로필 수정에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/imports/profiles/{id}:
+ *   delete:
+ *     summary: CSV 매핑 프로필 삭제
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 삭제 성공 메시지
+ *       404:
+ *         description: 찾을 수 없음
+ */
+router.delete('/profiles/:id', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const info = db.prepare('DELETE FROM import_profiles WHERE id = ? AND userId = ?').run(req.params.id, req.user.id);
+        if (info.changes === 0) return res.status(404).json({ message: '해당 가져오기 프로필을 찾을 수 없습니다.' });
+        res.json({ message: '가져오기 프로필이 삭제되었습니다.' });
+    } catch (error) {
+        res.status(500).json({ message: '가져오기 프로필 삭제에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/imports/csv:
+ *   post:
+ *     summary: 은행/카드사 거래내역 CSV 를 수입/지출로 가져오기
+ *     description: |
+ *       JSON 본문의 csv(문자열) 또는 content(base64, EUC-KR 파일은 이 방식으로 전송)로 파일을 보내거나,
+ *       text/csv 또는 application/octet-stream 본문으로 파일을 그대로 보내고 옵션은 쿼리로 지정.
+ *       profileId 로 저장된 프로필을 쓰고 나머지 옵션으로 덮어쓸 수 있음.
+ *       기존 거래와 date/amount/currency/description 이 같은 행은 duplicate 로 표시하고 저장하지 않음.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/ImportProfileInput'
+ *               - type: object
+ *                 properties:
+ *                   csv:
+ *                     type: string
+ *                   content:
+ *                     type: string
+ *                     description: base64 로 인코딩한 파일 내용
+ *                   profileId:
+ *                     type: string
+ *                   dryRun:
+ *                     type: boolean
+ *                     description: true 면 저장하지 않고 미리보기만 반환
+ *                   allowDuplicates:
+ *                     type: boolean
+ *                     description: true 면 duplicate 행도 저장
+ *                   payeeCategories:
+ *                     $ref: '#/components/schemas/PayeeCategories'
+ *                   accountId:
+ *                     type: string
+ *                     description: 모든 거래를 저장할 계좌 id (없으면 지출은 결제 수단에 맞는 계좌, 수입은 기본 계좌)
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       200:
+ *         description: 미리보기(dryRun) 결과
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportResult'
+ *       201:
+ *         description: 저장 결과
+ *       400:
+ *         description: 파일이 없거나 프로필/열 매핑 오류
+ *       404:
+ *         description: profileId 에 해당하는 프로필이 없음
+ */
+router.post('/csv', express.raw({ type: ['text/csv', 'application/octet-stream'], limit: '10mb' }), (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const isFile = Buffer.isBuffer(req.body);
+        const options = isFile ? parseQueryOptions(req.query) : req.body;
+        const content = isFile ? req.body : (options.content ? Buffer.from(options.content, 'base64') : options.csv);
+        if (!content || !content.length) return res.status(400).json({ message: 'CSV 내용(csv, content 또는 파일 본문)이 필요합니다.' });
+
+        const profile = resolveProfile(db, req.user.id, options);
+        if (!profile) return res.status(404).json({ message: '해당 가져오기 프로필을 찾을 수 없습니다.' });
+        const invalid = validateProfile(profile);
+        if (invalid) return res.status(400).json({ message: invalid });
+
+        const dryRun = parseBoolean(options.dryRun);
+        const result = importCsv(db, req.user.id, content, profile, {
+            dryRun,
+            allowDuplicates: parseBoolean(options.allowDuplicates),
+            payeeCategories: options.payeeCategories,
+            accountId: options.accountId ? resolveAccount(db, req.user.id, { accountId: options.accountId }).id : undefined
+        });
+        res.status(dryRun ? 200 : 201).json(result);
+    } catch (error) {
+        if (error instanceof ImportFormatError || error instanceof AccountError) return res.status(400).json({ message: error.message });
+        res.status(500).json({ message: 'CSV 가져오기에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/imports/ofx:
+ *   post:
+ *     summary: OFX 파일(1.x SGML, 2.x XML)을 수입/지출로 가져오기
+ *     description: |
+ *       음수 거래는 지출, 양수 거래는 수입으로 저장. 은행이 붙인 FITID 를 externalId 로 저장해 같은 거래는 다시 가져오지 않음.
+ *       JSON 본문의 files(여러 파일) 또는 content(base64 한 파일)로 보내거나, 파일을 본문 그대로 보내고 옵션은 쿼리로 지정.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StatementImportInput'
+ *         application/x-ofx:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       200:
+ *         description: 미리보기(dryRun) 결과
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StatementImportReport'
+ *       201:
+ *         description: 파일별 저장 결과
+ *       400:
+ *         description: 파일이 없음
+ */
+router.post('/ofx', express.raw({ type: ['application/x-ofx', 'application/ofx', 'application/octet-stream', 'text/plain'], limit: '10mb' }), (req, res) => {
+    importStatementFiles(req, res, 'ofx');
+});
+
+/**
+ * @openapi
+ * /api/imports/qif:
+ *   post:
+ *     summary: QIF 파일을 수입/지출로 가져오기
+ *     description: |
+ *       음수 거래는 지출, 양수 거래는 수입으로 저장. QIF 에는 거래 번호가 없어 날짜/금액/내용이 같은 기존 거래를 중복으로 봄.
+ *       L(카테고리) 항목은 같은 이름의 카테고리가 있으면 사용 (하위 카테고리는 마지막 이름).
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/StatementImportInput'
+ *               - type: object
+ *                 properties:
+ *                   dateOrder:
+ *                     type: string
+ *                     enum: [mdy, dmy, ymd]
+ *                     default: mdy
+ *                     description: 연도가 앞에 오지 않는 날짜(03/05/24)의 순서
+ *                   currency:
+ *                     type: string
+ *                     default: KRW
+ *                     description: 금액의 통화 (QIF 에는 통화 정보가 없음)
+ *         application/x-qif:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       200:
+ *         description: 미리보기(dryRun) 결과
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StatementImportReport'
+ *       201:
+ *         description: 파일별 저장 결과
+ *       400:
+ *         description: 파일이 없거나 옵션 오류
+ */
+router.post('/qif', express.raw({ type: ['application/x-qif', 'application/qif', 'application/octet-stream', 'text/plain'], limit: '10mb' }), (req, res) => {
+    importStatementFiles(req, res, 'qif');
+});
+
+// OFX/QIF 업로드 공통 처리: 파일마다 파싱 → 가져오기, 파일 형식 오류는 해당 파일의 error 로 보고
+function importStatementFiles(req, res, format) {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const isFile = Buffer.isBuffer(req.body);
+        const options = isFile ? parseQueryOptions(req.query) : req.body;
+        const files = isFile
+            ? [{ name: options.name || `upload.${format}`, content: req.body }]
+            : (Array.isArray(options.files) ? options.files : [{ name: options.name, content: options.content }])
+                .filter(file => file && file.content)
+                .map((file, i) => ({ name: file.name || `file${i + 1}.${format}`, content: Buffer.from(String(file.content), 'base64') }));
+        if (!files.length || files.some(file => !file.content.length)) {
+            return res.status(400).json({ message: '가져올 파일(files, content 또는 파일 본문)이 필요합니다.' });
+        }
+        const encoding = options.encoding || 'auto';
+        if (!isValidEncoding(encoding)) return res.status(400).json({ message: 'encoding 은 auto, utf-8, euc-kr, cp949 중 하나여야 합니다.' });
+        const currency = normalizeCurrency(options.currency) || DEFAULT_CURRENCY;
+        if (!isValidCurrency(currency)) return res.status(400).json({ message: 'currency 는 ISO 4217 통화 코드여야 합니다.' });
+
+        const dryRun = parseBoolean(options.dryRun);
+        const accountId = options.accountId ? resolveAccount(db, req.user.id, { accountId: options.accountId }).id : undefined;
+        const importOptions = { dryRun, allowDuplicates: parseBoolean(options.allowDuplicates), payeeCategories: options.payeeCategories, accountId };
+
+        // 파일을 순서대로 저장하므로 기간이 겹치는 뒤 파일의 거래는 앞 파일과의 중복으로 걸러짐 (dryRun 제외)
+        const reports = files.map(file => {
+            try {
+                const text = decodeText(file.content, encoding);
+                if (format === 'ofx') {
+                    const { accounts, records } = parseOfx(text);
+                    return { name: file.name, format, accounts, ...importRecords(db, req.user.id, records, importOptions) };
+                }
+                const records = parseQif(text, { dateOrder: options.dateOrder || 'mdy', currency });
+                return { name: file.name, format, ...importRecords(db, req.user.id, records, importOptions) };
+            } catch (error) {
+                if (error instanceof ImportFormatError) return { name: file.name, format, error: error.message };
+                throw error;
+            }
+        });
+
+        res.status(dryRun ? 200 : 201).json({
+            dryRun,
+            imported: reports.reduce((sum, report) => sum + (report.imported || 0), 0),
+            files: reports
+        });
+    } catch (error) {
+        if (error instanceof AccountError) return res.status(400).json({ message: error.message });
+        res.status(500).json({ message: `${format.toUpperCase()} 가져오기에 실패했습니다.`, error: error.message });
+    }
+}
+
+function getProfile(id, userId) {
+    return db.prepare('SELECT * FROM import_profiles WHERE id = ? AND userId = ?').get(id, userId);
+}
+
+// 파일 본문으로 보낸 경우의 쿼리 옵션 (mapping, payeeCategories 는 JSON 문자열)
+// 읽을 수 없는 mapping 은 문자열 그대로 두어 validateProfile 에서 거부
+function parseQueryOptions(query) {
+    const options = { ...query };
+    ['mapping', 'payeeCategories'].forEach(key => {
+        if (typeof options[key] !== 'string') return;
+        try {
+            options[key] = JSON.parse(options[key]);
+        } catch (e) {
+            if (key === 'payeeCategories') options[key] = null;
+        }
+    });
+    return options;
+}
+
+module.exports = router;
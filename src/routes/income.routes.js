@@ -3,6 +3,28 @@ const router = express.Router();
 const fs = require('fs').promises;
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { DEFAULT_CATEGORY_IDS, findCategoryId } = require('../services/category.service');
+const { setTransactionTags, attachTags, tagFilter } = require('../services/tag.service');
+const { DEFAULT_CURRENCY, normalizeCurrency, validateMoney } = require('../services/currency.service');
+const { parseBoolean } = require('../services/expense.service');
+const { ImportFormatError, validateProfile, resolveProfile, importCsv } = require('../services/import.service');
+const { categorizeTransaction } = require('../services/rule.service');
+const { ListQueryError, listFilters, parseListQuery, listTransactions } = require('../services/search.service');
+const { AccountError, resolveAccount } = require('../services/account.service');
+const { SplitError, prepareSplits, setSplits, checkSplitTotal, attachSplits, toLineRows, splitCategoryClause } = require('../services/split.service');
+const {
+    MAX_UPLOAD_SIZE,
+    AttachmentError,
+    listAttachments,
+    getAttachment,
+    attachAttachments,
+    addAttachments,
+    removeAttachment,
+    removeOrphanFiles,
+    filePath,
+    contentDisposition
+} = require('../services/attachment.service');
+const { MultipartError, parseMultipart } = require('../services/multipart.service');
 
 let db = null;
 try {
@@ -14,35 +36,114 @@ try {
 // 데이터 파일 경로 (fallback)
 const dataPath = path.join(__dirname, '../data/income.json');
 
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     IncomeInput:
+ *       type: object
+ *       properties:
+ *         amount:
+ *           type: integer
+ *           minimum: 1
+ *           description: 수입 금액 (currency 의 최소 단위 정수, 예 USD 12.34 → 1234)
+ *         currency:
+ *           type: string
+ *           default: KRW
+ *           description: ISO 4217 통화 코드
+ *         categoryId:
+ *           type: string
+ *           description: 수입 카테고리 id (categories.id, type=income). 추가할 때 category 와 둘 다 없으면 자동 분류 규칙으로 정함
+ *         category:
+ *           type: string
+ *           description: 카테고리 이름 (categoryId 대신 사용 가능)
+ *         description:
+ *           type: string
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: 수입 날짜 (YYYY-MM-DD)
+ *         accountId:
+ *           type: string
+ *           description: 수입이 들어온 계좌 id (/api/accounts). 없으면 기본 계좌
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *         splits:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TransactionSplitInput'
+ *           description: 카테고리별 분할 줄 (2줄 이상, 금액 합계가 amount 와 같아야 함, 빈 배열이면 분할 해제). 분할된 수입의 amount 를 바꿀 때는 함께 보내야 함
+ */
+
 /**
  * @openapi
  * /api/income:
  *   get:
- *     summary: 모든 수입 데이터 조회
+ *     summary: 수입 목록 조회 (검색, 정렬, 페이지 나누기)
+ *     description: limit 이나 cursor 를 주면 한 페이지씩 { items, total, nextCursor, hasMore } 로, 없으면 전체 목록을 배열로 반환
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: categoryId
+ *         schema:
+ *           type: string
+ *         description: 카테고리 id (분할된 수입은 분할 줄 중 하나라도 이 카테고리면 포함)
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: 태그 이름 또는 id (쉼표로 여러 개, 하나라도 붙어 있으면 포함)
+ *       - $ref: '#/components/parameters/TransactionSearch'
+ *       - $ref: '#/components/parameters/MinAmount'
+ *       - $ref: '#/components/parameters/MaxAmount'
+ *       - $ref: '#/components/parameters/TransactionSort'
+ *       - $ref: '#/components/parameters/SortOrder'
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
  *     responses:
  *       200:
- *         description: 수입 목록을 반환합니다.
+ *         description: 수입 목록 (limit/cursor 를 주면 TransactionPage 형식)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - type: array
+ *                   items:
+ *                     type: object
+ *                 - $ref: '#/components/schemas/TransactionPage'
+ *       400:
+ *         description: 잘못된 검색, 정렬 또는 페이지 조건
  */
 // 모든 수입 데이터 조회
 router.get('/', async (req, res) => {
     try {
-        const { startDate, endDate, category } = req.query;
         if (db) {
-            let sql = 'SELECT * FROM incomes';
-            const where = [];
-            const params = [];
-            if (startDate) { where.push('date >= ?'); params.push(startDate); }
-            if (endDate) { where.push('date <= ?'); params.push(endDate); }
-            if (category) { where.push('category = ?'); params.push(category); }
-            if (where.length) sql += ' WHERE ' + where.join(' AND ');
-            sql += ' ORDER BY date DESC';
-            const rows = db.prepare(sql).all(...params);
-            return res.json(rows);
+            const options = parseListQuery(req.query);
+            const page = listTransactions(db, 'income', buildFilter(req.query, req.user.id, 't.'), options);
+            const items = toIncomes(page.rows);
+            if (!options.paginate) return res.json(items);
+            return res.json({ items, total: page.total, limit: options.limit, sort: options.sort, order: options.order, nextCursor: page.nextCursor, hasMore: page.hasMore });
         }
 
         const data = await readIncomeData();
         res.json(data);
     } catch (error) {
+        if (error instanceof ListQueryError) return res.status(400).json({ message: error.message });
         res.status(500).json({ message: '데이터를 불러오는데 실패했습니다.', error: error.message });
     }
 });
@@ -57,27 +158,22 @@ router.get('/', async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               amount:
- *                 type: number
- *               category:
- *                 type: string
- *               description:
- *                 type: string
- *               date:
- *                 type: string
+ *             allOf:
+ *               - $ref: '#/components/schemas/IncomeInput'
+ *               - required: [amount, date]
  *     responses:
  *       201:
  *         description: 생성된 수입 객체 반환
+ *       400:
+ *         description: 필수값 누락 또는 잘못된 카테고리/계좌, 합계가 맞지 않는 분할
  */
 // 새로운 수입 데이터 추가
 router.post('/', async (req, res) => {
     try {
-        const { amount, category, description, date } = req.body;
+        const { amount, category, categoryId, description, date, tags } = req.body;
         
-        // 입력 데이터 검증
-        if (!amount || !category || !date) {
+        // 입력 데이터 검증 (DB 를 쓰면 카테고리가 없을 때 자동 분류 규칙으로 정함)
+        if (!amount || !date || (!db && !category)) {
             return res.status(400).json({ message: '금액, 카테고리, 날짜는 필수 입력값입니다.' });
         }
 
@@ -85,9 +181,25 @@ router.post('/', async (req, res) => {
         const createdAt = new Date().toISOString();
 
         if (db) {
-            const stmt = db.prepare('INSERT INTO incomes (id, amount, category, description, date, createdAt) VALUES (?,?,?,?,?,?)');
-            stmt.run(id, Number(amount), category, description || '', date, createdAt);
-            return res.status(201).json({ id, amount: Number(amount), category, description: description || '', date, createdAt });
+            const currency = normalizeCurrency(req.body.currency) || DEFAULT_CURRENCY;
+            const invalidMoney = validateMoney(amount, currency);
+            if (invalidMoney) return res.status(400).json({ message: invalidMoney });
+            // 카테고리를 지정하지 않았으면 첫 분할 줄의 카테고리
+            const splits = req.body.splits !== undefined ? prepareSplits(db, 'income', req.user.id, req.body.splits, amount) : [];
+            const resolvedCategoryId = categoryId || category ? findCategoryId(db, 'income', categoryId || category, req.user.id) : splits.length ? splits[0].categoryId : null;
+            if ((categoryId || category) && !resolvedCategoryId) {
+                return res.status(400).json({ message: '존재하지 않는 수입 카테고리입니다.' });
+            }
+            const categorized = categorizeTransaction(db, req.user.id, 'income', { description, amount: Number(amount), currency }, { categoryId: resolvedCategoryId, tags });
+            const stmt = db.prepare('INSERT INTO incomes (id, userId, amount, currency, categoryId, description, date, accountId, createdAt) VALUES (?,?,?,?,?,?,?,?,?)');
+            db.transaction(() => {
+                // 계좌를 지정하지 않았으면 기본 계좌
+                const account = resolveAccount(db, req.user.id, { accountId: req.body.accountId });
+                stmt.run(id, req.user.id, Number(amount), currency, categorized.categoryId || DEFAULT_CATEGORY_IDS.income, description || '', date, account.id, createdAt);
+                if (categorized.tags.length) setTransactionTags(db, 'income', id, categorized.tags);
+                if (splits.length) setSplits(db, 'income', id, req.user.id, splits);
+            })();
+            return res.status(201).json(getIncome(id, req.user.id));
         }
 
         const newIncome = {
@@ -105,10 +217,78 @@ router.post('/', async (req, res) => {
 
         res.status(201).json(newIncome);
     } catch (error) {
+        if (error instanceof AccountError || error instanceof SplitError) return res.status(400).json({ message: error.message });
         res.status(500).json({ message: '데이터 저장에 실패했습니다.', error: error.message });
     }
 });
 
+/**
+ * @openapi
+ * /api/income/export-csv:
+ *   get:
+ *     summary: 수입 데이터를 CSV 로 내보내기 (목록 조회와 같은 필터 사용)
+ *     description: |
+ *       분할된 수입은 분할 줄마다 한 행으로 내보냄 (splitId 와 줄의 금액, 카테고리, 설명, 태그).
+ *       attachments 열은 첨부 파일 이름 목록 (| 구분, 파일 내용은 /api/backup 에 포함)
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: categoryId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: 카테고리 이름 또는 id
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/TransactionSearch'
+ *       - $ref: '#/components/parameters/MinAmount'
+ *       - $ref: '#/components/parameters/MaxAmount'
+ *     responses:
+ *       200:
+ *         description: text/csv
+ */
+// CSV export
+router.get('/export-csv', async (req, res) => {
+    try {
+        let rows = [];
+        if (db) {
+            const filter = buildFilter(req.query, req.user.id, 'i.');
+            rows = db.prepare(`SELECT i.*, c.name as category FROM incomes i LEFT JOIN categories c ON c.id = i.categoryId${filter.sql} ORDER BY i.date DESC`).all(...filter.params);
+            // 분할된 수입은 분할 줄마다 한 행 (카테고리로 거르면 그 카테고리의 줄만)
+            const { categoryId, category } = req.query;
+            rows = toLineRows(toIncomes(rows))
+                .filter(r => (!categoryId || r.categoryId === categoryId) && (!category || r.categoryId === category || r.category === category))
+                .map(r => ({ ...r, tags: r.tags.join('|'), attachments: r.attachments.map(a => a.fileName).join('|') }));
+        }
+        else rows = await readIncomeData();
+        const header = ['id','splitId','amount','currency','categoryId','category','accountId','description','date','tags','attachments','createdAt'];
+        const csv = [header.join(',')].concat(rows.map(r => header.map(h => JSON.stringify(r[h] || '')).join(','))).join('\n');
+        res.setHeader('Content-Type','text/csv');
+        res.send(csv);
+    } catch (err) {
+        if (err instanceof ListQueryError) return res.status(400).json({ message: err.message });
+        res.status(500).json({ message: err.message });
+    }
+});
+
 /**
  * @openapi
  * /api/income/{id}:
@@ -130,7 +310,7 @@ router.post('/', async (req, res) => {
 router.get('/:id', async (req, res) => {
     try {
         if (db) {
-            const row = db.prepare('SELECT * FROM incomes WHERE id = ?').get(req.params.id);
+            const row = getIncome(req.params.id, req.user.id);
             if (!row) return res.status(404).json({ message: '해당 수입 데이터를 찾을 수 없습니다.' });
             return res.json(row);
         }
@@ -148,24 +328,80 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+/**
+ * @openapi
+ * /api/income/{id}:
+ *   put:
+ *     summary: 수입 데이터 수정 (보낸 항목만 변경)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/IncomeInput'
+ *     responses:
+ *       200:
+ *         description: 수정된 수입 객체 반환
+ *       400:
+ *         description: 입력값 오류, 존재하지 않는 카테고리 또는 합계가 맞지 않는 분할
+ *       404:
+ *         description: 찾을 수 없음
+ *   delete:
+ *     summary: 수입 데이터 삭제
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 삭제 성공 메시지
+ *       404:
+ *         description: 찾을 수 없음
+ */
 // 수정
 router.put('/:id', async (req, res) => {
     try {
-        const { amount, category, description, date } = req.body;
+        const { amount, category, categoryId, description, date, tags, accountId } = req.body;
         if (db) {
-            const existing = db.prepare('SELECT * FROM incomes WHERE id = ?').get(req.params.id);
+            const existing = getIncome(req.params.id, req.user.id);
             if (!existing) return res.status(404).json({ message: '해당 수입 데이터를 찾을 수 없습니다.' });
+            const currency = normalizeCurrency(req.body.currency);
+            const invalidMoney = validateMoney(amount || undefined, currency);
+            if (invalidMoney) return res.status(400).json({ message: invalidMoney });
+            let resolvedCategoryId = existing.categoryId;
+            if (categoryId || category) {
+                resolvedCategoryId = findCategoryId(db, 'income', categoryId || category, req.user.id);
+                if (!resolvedCategoryId) return res.status(400).json({ message: '존재하지 않는 수입 카테고리입니다.' });
+            }
+            // 다른 계좌로 옮기는 경우 보관되지 않은 내 계좌인지 확인
+            const resolvedAccountId = accountId ? resolveAccount(db, req.user.id, { accountId }).id : existing.accountId;
+            const newAmount = Number(amount) || existing.amount;
+            // 분할 줄 합계는 바뀐 금액(없으면 지금 금액) 기준
+            const splits = req.body.splits !== undefined ? prepareSplits(db, 'income', req.user.id, req.body.splits, newAmount) : undefined;
             const updatedAt = new Date().toISOString();
-            db.prepare(`UPDATE incomes SET amount = ?, category = ?, description = ?, date = ?, createdAt = ? WHERE id = ?`).run(
-                Number(amount) || existing.amount,
-                category || existing.category,
-                description || existing.description,
-                date || existing.date,
-                updatedAt,
-                req.params.id
-            );
-            const row = db.prepare('SELECT * FROM incomes WHERE id = ?').get(req.params.id);
-            return res.json(row);
+            db.transaction(() => {
+                db.prepare(`UPDATE incomes SET amount = ?, currency = ?, categoryId = ?, description = ?, date = ?, accountId = ?, updatedAt = ? WHERE id = ?`).run(
+                    newAmount,
+                    currency || existing.currency,
+                    resolvedCategoryId,
+                    description || existing.description,
+                    date || existing.date,
+                    resolvedAccountId,
+                    updatedAt,
+                    req.params.id
+                );
+                if (tags !== undefined) setTransactionTags(db, 'income', req.params.id, tags);
+                if (splits !== undefined) setSplits(db, 'income', req.params.id, req.user.id, splits);
+                else checkSplitTotal(db, 'income', req.params.id, newAmount);
+            })();
+            return res.json(getIncome(req.params.id, req.user.id));
         }
 
         const data = await readIncomeData();
@@ -175,6 +411,7 @@ router.put('/:id', async (req, res) => {
         await saveIncomeData(data);
         res.json(data[idx]);
     } catch (error) {
+        if (error instanceof AccountError || error instanceof SplitError) return res.status(400).json({ message: error.message });
         res.status(500).json({ message: '데이터 수정에 실패했습니다.', error: error.message });
     }
 });
@@ -183,8 +420,10 @@ router.put('/:id', async (req, res) => {
 router.delete('/:id', async (req, res) => {
     try {
         if (db) {
-            const info = db.prepare('DELETE FROM incomes WHERE id = ?').run(req.params.id);
+            const info = db.prepare('DELETE FROM incomes WHERE id = ? AND userId = ?').run(req.params.id, req.user.id);
             if (info.changes === 0) return res.status(404).json({ message: '해당 수입 데이터를 찾을 수 없습니다.' });
+            // 수입과 함께 지워진 첨부의 파일 중 다른 거래가 쓰지 않는 것
+            removeOrphanFiles(db);
             return res.json({ message: '삭제되었습니다.' });
         }
 
@@ -198,52 +437,240 @@ router.delete('/:id', async (req, res) => {
     }
 });
 
-// CSV import (simple)
-router.post('/import-csv', async (req, res) => {
+/**
+ * @openapi
+ * /api/income/{id}/attachments:
+ *   get:
+ *     summary: 수입의 문서 첨부 목록 (급여명세서 등)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 첨부 목록 (올린 순서)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TransactionAttachment'
+ *       404:
+ *         description: 찾을 수 없음
+ *   post:
+ *     summary: 수입에 급여명세서 등 PDF/사진 첨부 (multipart/form-data)
+ *     description: |
+ *       지출 첨부(/api/expense/{id}/attachments)와 같은 규칙. JPEG, PNG, GIF, WebP, HEIC 이미지와 PDF 만,
+ *       파일당 10MB, 한 번에 10개, 수입 한 건에 20개까지. 이미 붙은 내용이면 기존 첨부를 돌려줌 (duplicate: true)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             $ref: '#/components/schemas/TransactionAttachmentUpload'
+ *     responses:
+ *       201:
+ *         description: '올린 파일별 { attachment, duplicate } 와 수입의 전체 첨부 목록 { uploaded, attachments }'
+ *       400:
+ *         description: 파일이 없거나 multipart 본문 오류
+ *       404:
+ *         description: 찾을 수 없음
+ *       409:
+ *         description: 수입 한 건의 첨부 개수 초과
+ *       413:
+ *         description: 파일 또는 요청 본문이 너무 큼
+ *       415:
+ *         description: multipart/form-data 가 아니거나 받지 않는 파일 형식
+ */
+router.get('/:id/attachments', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        if (!getIncome(req.params.id, req.user.id)) return res.status(404).json({ message: '해당 수입 데이터를 찾을 수 없습니다.' });
+        res.json(listAttachments(db, 'income', req.params.id));
+    } catch (error) {
+        res.status(500).json({ message: '첨부 목록을 불러오는데 실패했습니다.', error: error.message });
+    }
+});
+
+router.post('/:id/attachments', express.raw({ type: 'multipart/form-data', limit: MAX_UPLOAD_SIZE }), (req, res) => {
     try {
-        const { csv, persist } = req.body; // csv string
-        if (!csv) return res.status(400).json({ message: 'CSV 내용 필요' });
-        const lines = csv.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
-        const header = lines.shift().split(',').map(h => h.trim().toLowerCase());
-        const rows = lines.map(line => {
-            const cols = line.split(',');
-            const obj = {};
-            header.forEach((h, i) => obj[h] = cols[i]);
-            return obj;
-        });
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        if (!getIncome(req.params.id, req.user.id)) return res.status(404).json({ message: '해당 수입 데이터를 찾을 수 없습니다.' });
+        if (!req.is('multipart/form-data')) return res.status(415).json({ message: '첨부 파일은 multipart/form-data 로 보내야 합니다.' });
 
-        const items = rows.map(r => ({ amount: Number(r.amount || r.value || 0), category: r.category || r.source || '기타', description: r.description || r.memo || '', date: (r.date || new Date().toISOString()).slice(0,10) }));
+        const { files } = parseMultipart(req.body, req.headers['content-type']);
+        const uploaded = db.transaction(() => addAttachments(db, 'income', req.params.id, req.user.id, files))();
+        res.status(201).json({ uploaded, attachments: listAttachments(db, 'income', req.params.id) });
+    } catch (error) {
+        if (error instanceof MultipartError) return res.status(400).json({ message: error.message });
+        if (error instanceof AttachmentError) return res.status(error.status).json({ message: error.message });
+        res.status(500).json({ message: '첨부 파일 저장에 실패했습니다.', error: error.message });
+    }
+});
 
-        if (db && persist) {
-            const insert = db.prepare('INSERT INTO incomes (id, amount, category, description, date, createdAt) VALUES (?,?,?,?,?,?)');
-            const now = new Date().toISOString();
-            const insertMany = db.transaction((arr) => {
-                for (const it of arr) insert.run(uuidv4(), Number(it.amount), it.category, it.description, it.date, now);
-            });
-            insertMany(items);
-        }
+/**
+ * @openapi
+ * /api/income/{id}/attachments/{attachmentId}:
+ *   get:
+ *     summary: 수입 첨부 파일 내려받기
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: inline
+ *         schema:
+ *           type: boolean
+ *         description: true 면 내려받기 대신 브라우저에서 바로 보기 (Content-Disposition inline)
+ *     responses:
+ *       200:
+ *         description: 파일 내용 (Content-Type 은 첨부의 mimeType)
+ *       404:
+ *         description: 찾을 수 없음
+ *   delete:
+ *     summary: 수입 첨부 삭제 (다른 거래가 쓰지 않는 파일은 디스크에서도 지움)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 삭제 성공 메시지
+ *       404:
+ *         description: 찾을 수 없음
+ */
+router.get('/:id/attachments/:attachmentId', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const attachment = getIncome(req.params.id, req.user.id) && getAttachment(db, 'income', req.params.id, req.params.attachmentId);
+        if (!attachment) return res.status(404).json({ message: '해당 첨부 파일을 찾을 수 없습니다.' });
+        res.set({ 'Content-Type': attachment.mimeType, 'Content-Disposition': contentDisposition(attachment.fileName, parseBoolean(req.query.inline)) });
+        res.sendFile(filePath(attachment.checksum), error => {
+            if (error && !res.headersSent) res.status(500).json({ message: '첨부 파일이 저장소에 없습니다.', error: error.message });
+        });
+    } catch (error) {
+        res.status(500).json({ message: '첨부 파일을 불러오는데 실패했습니다.', error: error.message });
+    }
+});
 
-        res.json({ imported: items.length, items });
-    } catch (err) {
-        res.status(500).json({ message: err.message });
+router.delete('/:id/attachments/:attachmentId', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const removed = getIncome(req.params.id, req.user.id) && removeAttachment(db, 'income', req.params.id, req.params.attachmentId);
+        if (!removed) return res.status(404).json({ message: '해당 첨부 파일을 찾을 수 없습니다.' });
+        res.json({ message: '첨부 파일이 삭제되었습니다.' });
+    } catch (error) {
+        res.status(500).json({ message: '첨부 파일 삭제에 실패했습니다.', error: error.message });
     }
 });
 
-// CSV export
-router.get('/export-csv', async (req, res) => {
+/**
+ * @openapi
+ * /api/income/import-csv:
+ *   post:
+ *     summary: CSV 로 수입 가져오기 (/api/imports/csv 에 type=income 을 지정한 것과 같음)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               csv:
+ *                 type: string
+ *               persist:
+ *                 type: boolean
+ *                 description: false 면 저장하지 않고 미리보기만 반환
+ *               profileId:
+ *                 type: string
+ *               mapping:
+ *                 type: object
+ *               accountId:
+ *                 type: string
+ *                 description: 가져온 거래를 저장할 계좌 id
+ *     responses:
+ *       200:
+ *         description: 가져오기 결과 (행별 new, duplicate, invalid)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportResult'
+ *       400:
+ *         description: CSV 내용이 없거나 열 매핑 오류
+ */
+router.post('/import-csv', (req, res) => {
     try {
-        let rows = [];
-        if (db) rows = db.prepare('SELECT * FROM incomes ORDER BY date DESC').all();
-        else rows = await readIncomeData();
-        const header = ['id','amount','category','description','date','createdAt'];
-        const csv = [header.join(',')].concat(rows.map(r => header.map(h => JSON.stringify(r[h] || '')).join(','))).join('\n');
-        res.setHeader('Content-Type','text/csv');
-        res.send(csv);
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const { csv, persist } = req.body;
+        if (!csv) return res.status(400).json({ message: 'CSV 내용 필요' });
+        const profile = resolveProfile(db, req.user.id, { ...req.body, type: 'income' });
+        if (!profile) return res.status(404).json({ message: '해당 가져오기 프로필을 찾을 수 없습니다.' });
+        const invalid = validateProfile(profile);
+        if (invalid) return res.status(400).json({ message: invalid });
+
+        const accountId = req.body.accountId ? resolveAccount(db, req.user.id, { accountId: req.body.accountId }).id : undefined;
+        res.json(importCsv(db, req.user.id, csv, profile, { dryRun: !parseBoolean(persist), accountId }));
     } catch (err) {
+        if (err instanceof ImportFormatError || err instanceof AccountError) return res.status(400).json({ message: err.message });
         res.status(500).json({ message: err.message });
     }
 });
 
+// 목록/내보내기 공통 필터 (로그인한 사용자 + startDate, endDate, categoryId, category, accountId, tag, q, minAmount, maxAmount)
+function buildFilter(query, userId, prefix = '') {
+    const { startDate, endDate, category, categoryId, accountId, tag } = query;
+    const where = [`${prefix}userId = ?`];
+    const params = [userId];
+    if (startDate) { where.push(`${prefix}date >= ?`); params.push(startDate); }
+    if (endDate) { where.push(`${prefix}date <= ?`); params.push(endDate); }
+    // 분할된 수입은 분할 줄 중 하나라도 해당 카테고리면 포함
+    if (categoryId) { where.push(splitCategoryClause('income', prefix, '?')); params.push(categoryId, categoryId); }
+    // category 는 카테고리 이름 또는 id 로 필터링
+    if (category) {
+        where.push(splitCategoryClause('income', prefix, 'SELECT id FROM categories WHERE id = ? OR name = ?'));
+        params.push(category, category, category, category);
+    }
+    if (accountId) { where.push(`${prefix}accountId = ?`); params.push(accountId); }
+    const byTag = tagFilter('income', tag, `${prefix}id`);
+    if (byTag) { where.push(byTag.clause); params.push(...byTag.params); }
+    // 검색어(q), 금액 범위 (잘못된 값이면 ListQueryError)
+    const extra = listFilters('income', query, prefix);
+    where.push(...extra.where);
+    params.push(...extra.params);
+    return { sql: ' WHERE ' + where.join(' AND '), params };
+}
+
+// DB 행 목록을 API 응답 형태로 변환 (tags, splits, attachments 포함)
+function toIncomes(rows) {
+    return attachAttachments(db, 'income', attachSplits(db, 'income', attachTags(db, 'income', rows)));
+}
+
+function getIncome(id, userId) {
+    const row = db.prepare('SELECT * FROM incomes WHERE id = ? AND userId = ?').get(id, userId);
+    return row ? toIncomes([row])[0] : row;
+}
+
 // 데이터 파일 읽기 함수
 async function readIncomeData() {
     try {
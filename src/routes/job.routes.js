@@ -0,0 +1,101 @@
+const express = require('express');
+const router = express.Router();
+const { runRecurringJob, getJobRun } = require('../services/job.service');
+
+let db = null;
+try {
+    db = require('../db');
+} catch (e) {
+    db = null;
+}
+
+/**
+ * @openapi
+ * /api/jobs:
+ *   get:
+ *     summary: 로그인한 사용자가 직접 실행한 작업 이력 조회 (최신순)
+ *     description: 서버 시작/매일 예약 실행 이력은 모든 사용자의 규칙을 다루므로 보이지 않음
+ *     parameters:
+ *       - in: query
+ *         name: job
+ *         schema:
+ *           type: string
+ *           example: recurring-materializer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [running, success, partial, failed]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: 실행 이력 (처리한 규칙 수, 생성한 거래 수, 오류 목록) 반환
+ */
+router.get('/', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const { job, status } = req.query;
+        const limit = Math.min(500, Number(req.query.limit) || 50);
+        let sql = 'SELECT id FROM job_runs WHERE userId = ?';
+        const params = [req.user.id];
+        if (job) { sql += ' AND job = ?'; params.push(job); }
+        if (status) { sql += ' AND status = ?'; params.push(status); }
+        sql += ' ORDER BY startedAt DESC LIMIT ?';
+        const rows = db.prepare(sql).all(...params, limit);
+        res.json(rows.map(r => getJobRun(db, r.id, req.user.id)));
+    } catch (error) {
+        res.status(500).json({ message: '작업 이력을 불러오는데 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/jobs/recurring/run:
+ *   post:
+ *     summary: 로그인한 사용자의 반복 회차 기록 작업을 즉시 실행
+ *     responses:
+ *       200:
+ *         description: 실행 결과 반환
+ */
+router.post('/recurring/run', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        res.json(runRecurringJob(db, 'manual', req.user.id));
+    } catch (error) {
+        res.status(500).json({ message: '작업 실행에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/jobs/{id}:
+ *   get:
+ *     summary: 로그인한 사용자가 실행한 특정 작업 실행 결과 조회
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 실행 결과 반환
+ *       404:
+ *         description: 찾을 수 없음
+ */
+router.get('/:id', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const run = getJobRun(db, req.params.id, req.user.id);
+        if (!run) return res.status(404).json({ message: '해당 작업 이력을 찾을 수 없습니다.' });
+        res.json(run);
+    } catch (error) {
+        res.status(500).json({ message: '작업 이력을 불러오는데 실패했습니다.', error: error.message });
+    }
+});
+
+module.exports = router;
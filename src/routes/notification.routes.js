@@ -0,0 +1,156 @@
+const express = require('express');
+const router = express.Router();
+const { parseBoolean } = require('../services/expense.service');
+
+let db = null;
+try {
+    db = require('../db');
+} catch (e) {
+    db = null;
+}
+
+/**
+ * @openapi
+ * /api/notifications:
+ *   get:
+ *     summary: 알림 피드 조회 (최신순)
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: true 이면 읽지 않은 알림만
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [budget, recurring, goal]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: 알림 목록과 읽지 않은 알림 수 반환
+ */
+router.get('/', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const { unread, type } = req.query;
+        const limit = Math.min(500, Number(req.query.limit) || 50);
+        let sql = 'SELECT * FROM notifications';
+        const where = ['userId = ?'];
+        const params = [req.user.id];
+        if (parseBoolean(unread)) where.push('isRead = 0');
+        if (type) { where.push('type = ?'); params.push(type); }
+        sql += ' WHERE ' + where.join(' AND ');
+        sql += ' ORDER BY createdAt DESC LIMIT ?';
+        const rows = db.prepare(sql).all(...params, limit);
+        const unreadCount = db.prepare('SELECT COUNT(*) as count FROM notifications WHERE userId = ? AND isRead = 0').get(req.user.id).count;
+        res.json({ unreadCount, notifications: rows.map(toNotification) });
+    } catch (error) {
+        res.status(500).json({ message: '알림을 불러오는데 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/notifications/read-all:
+ *   post:
+ *     summary: 모든 알림을 읽음으로 표시
+ *     responses:
+ *       200:
+ *         description: 읽음 처리된 알림 수 반환
+ */
+router.post('/read-all', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const info = db.prepare('UPDATE notifications SET isRead = 1, readAt = ? WHERE userId = ? AND isRead = 0').run(new Date().toISOString(), req.user.id);
+        res.json({ updated: info.changes });
+    } catch (error) {
+        res.status(500).json({ message: '알림 상태 변경에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/notifications/{id}/read:
+ *   post:
+ *     summary: 알림을 읽음으로 표시
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 변경된 알림 반환
+ */
+router.post('/:id/read', (req, res) => setReadState(req, res, true));
+
+/**
+ * @openapi
+ * /api/notifications/{id}/unread:
+ *   post:
+ *     summary: 알림을 읽지 않음으로 표시
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 변경된 알림 반환
+ */
+router.post('/:id/unread', (req, res) => setReadState(req, res, false));
+
+/**
+ * @openapi
+ * /api/notifications/{id}:
+ *   delete:
+ *     summary: 알림 삭제 (같은 조건이 다시 발생해도 재알림하지 않으려면 삭제 대신 읽음 처리)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 삭제 성공 메시지
+ */
+router.delete('/:id', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const info = db.prepare('DELETE FROM notifications WHERE id = ? AND userId = ?').run(req.params.id, req.user.id);
+        if (info.changes === 0) return res.status(404).json({ message: '해당 알림을 찾을 수 없습니다.' });
+        res.json({ message: '알림이 삭제되었습니다.' });
+    } catch (error) {
+        res.status(500).json({ message: '알림 삭제에 실패했습니다.', error: error.message });
+    }
+});
+
+function setReadState(req, res, isRead) {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const info = db.prepare('UPDATE notifications SET isRead = ?, readAt = ? WHERE id = ? AND userId = ?').run(
+            isRead ? 1 : 0,
+            isRead ? new Date().toISOString() : null,
+            req.params.id,
+            req.user.id
+        );
+        if (info.changes === 0) return res.status(404).json({ message: '해당 알림을 찾을 수 없습니다.' });
+        res.json(toNotification(db.prepare('SELECT * FROM notifications WHERE id = ?').get(req.params.id)));
+    } catch (error) {
+        res.status(500).json({ message: '알림 상태 변경에 실패했습니다.', error: error.message });
+    }
+}
+
+function toNotification(row) {
+    return { ...row, data: row.data ? JSON.parse(row.data) : null, isRead: !!row.isRead };
+}
+
+module.exports = router;
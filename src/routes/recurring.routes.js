@@ -1,6 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
+const { format } = require('date-fns');
+const { findCategoryId } = require('../services/category.service');
+const { parseBoolean } = require('../services/expense.service');
+const { buildCalendar } = require('../services/ical.service');
+const { DEFAULT_CURRENCY, normalizeCurrency, isValidCurrency, isMinorAmount } = require('../services/currency.service');
+const { getAccount } = require('../services/account.service');
+const {
+  parseRRule,
+  upcomingOccurrence,
+  isProcessed,
+  expandOccurrences,
+  occurrencesBetween,
+  postDueOccurrences
+} = require('../services/recurrence.service');
 
 let db = null;
 try {
@@ -9,90 +23,638 @@ try {
   db = null;
 }
 
-// Create recurring income rule
+const RULE_TYPES = ['income', 'expense'];
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+const today = () => format(new Date(), 'yyyy-MM-dd');
+const isValidDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     RecurringRuleInput:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [income, expense]
+ *         amount:
+ *           type: integer
+ *           minimum: 1
+ *           description: 회차별 금액 (currency 의 최소 단위 정수)
+ *         currency:
+ *           type: string
+ *           default: KRW
+ *         categoryId:
+ *           type: string
+ *           description: 규칙 유형과 같은 유형의 카테고리 id (category 로 이름 지정 가능)
+ *         accountId:
+ *           type: string
+ *           nullable: true
+ *           description: 회차를 기록할 계좌 id (없거나 계좌가 보관되면 기본 계좌)
+ *         description:
+ *           type: string
+ *         startDate:
+ *           type: string
+ *           format: date
+ *         frequency:
+ *           type: string
+ *           enum: [daily, weekly, monthly, yearly]
+ *         interval:
+ *           type: integer
+ *           default: 1
+ *         occurrences:
+ *           type: integer
+ *           description: 최대 발생 횟수
+ *         endDate:
+ *           type: string
+ *           format: date
+ *         rrule:
+ *           type: string
+ *           description: |
+ *             RFC 5545 RRULE (예: FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1 는 매월 마지막 평일,
+ *             FREQ=MONTHLY;BYDAY=2FR,4FR 는 매월 둘째/넷째 금요일). 지정하면 frequency/interval 은 RRULE 에서 채워짐
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @openapi
+ * /api/recurring:
+ *   post:
+ *     summary: 반복 수입/지출 규칙 추가
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/RecurringRuleInput'
+ *               - required: [type, amount, startDate]
+ *     responses:
+ *       201:
+ *         description: 생성된 규칙 반환
+ */
 router.post('/', (req, res) => {
   try {
-    const { amount, category, description, startDate, frequency, interval, occurrences, endDate } = req.body;
-    if (!amount || !category || !startDate || !frequency) return res.status(400).json({ message: 'amount, category, startDate, frequency required' });
-
     if (!db) return res.status(500).json({ message: 'DB not available' });
+    const { type, amount, categoryId, category, description, startDate, frequency, interval, occurrences, endDate, isActive } = req.body;
+    if (!type || !amount || !(categoryId || category) || !startDate || !(frequency || req.body.rrule)) {
+      return res.status(400).json({ message: 'type, amount, categoryId, startDate, frequency (or rrule) required' });
+    }
+
+    const rule = {
+      type,
+      amount: Number(amount),
+      currency: normalizeCurrency(req.body.currency) || DEFAULT_CURRENCY,
+      categoryId: RULE_TYPES.includes(type) ? findCategoryId(db, type, categoryId || category, req.user.id) : null,
+      description: description || '',
+      accountId: req.body.accountId || null,
+      startDate,
+      frequency,
+      interval: interval ? Number(interval) : 1,
+      occurrences: occurrences ? Number(occurrences) : null,
+      endDate: endDate || null,
+      rrule: null,
+      isActive: isActive === undefined ? 1 : (parseBoolean(isActive) ? 1 : 0)
+    };
+    const rruleError = applyRRule(rule, req.body.rrule);
+    if (rruleError) return res.status(400).json({ message: rruleError });
+    const invalid = validateRule(rule, req.user.id);
+    if (invalid) return res.status(400).json({ message: invalid });
 
     const id = uuidv4();
-    const createdAt = new Date().toISOString();
-    const stmt = db.prepare(`INSERT INTO recurring_incomes (id, amount, category, description, startDate, frequency, interval, occurrences, endDate, createdAt) VALUES (?,?,?,?,?,?,?,?,?,?)`);
-    stmt.run(id, Number(amount), category, description || '', startDate, frequency, interval || 1, occurrences || null, endDate || null, createdAt);
+    const now = new Date().toISOString();
+    db.prepare(`
+      INSERT INTO recurring_rules (id, userId, type, amount, currency, categoryId, description, accountId, startDate, frequency, interval, occurrences, endDate, rrule, isActive, createdAt, updatedAt)
+      VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)
+    `).run(id, req.user.id, rule.type, rule.amount, rule.currency, rule.categoryId, rule.description, rule.accountId, rule.startDate, rule.frequency, rule.interval, rule.occurrences, rule.endDate, rule.rrule, rule.isActive, now, now);
 
-    res.status(201).json({ id, amount, category, description, startDate, frequency, interval: interval || 1, occurrences: occurrences || null, endDate: endDate || null, createdAt });
+    res.status(201).json(toRule(getRule(id, req.user.id)));
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
-// List recurring rules
+/**
+ * @openapi
+ * /api/recurring:
+ *   get:
+ *     summary: 반복 규칙 목록 조회
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [income, expense]
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: 규칙 목록 반환 (nextOccurrence 는 오늘과 lastProcessedDate 다음 날 중 늦은 날 이후 아직 기록되지 않은 첫 회차, 건너뛴 회차 제외)
+ */
 router.get('/', (req, res) => {
   try {
     if (!db) return res.json([]);
-    const rows = db.prepare('SELECT * FROM recurring_incomes ORDER BY createdAt DESC').all();
-    res.json(rows);
+    const { type, isActive } = req.query;
+    let sql = 'SELECT * FROM recurring_rules';
+    const where = ['userId = ?'];
+    const params = [req.user.id];
+    if (type) { where.push('type = ?'); params.push(type); }
+    if (isActive !== undefined) { where.push('isActive = ?'); params.push(parseBoolean(isActive) ? 1 : 0); }
+    sql += ' WHERE ' + where.join(' AND ');
+    sql += ' ORDER BY createdAt DESC';
+    res.json(db.prepare(sql).all(...params).map(toRule));
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
-// Generate occurrences between start and end and optionally insert into incomes
-const { addDays, addWeeks, addMonths, addYears, isAfter, parseISO } = require('date-fns');
+/**
+ * @openapi
+ * /api/recurring/calendar.ics:
+ *   get:
+ *     summary: 반복 수입/지출 iCalendar 구독 피드
+ *     description: 캘린더 앱에 URL 로 구독하면 활성 규칙마다 RRULE 이 들어간 VEVENT 가 표시됨 (건너뛴 회차는 EXDATE, 변경된 회차는 RECURRENCE-ID)
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         description: Authorization 헤더를 보낼 수 없는 캘린더 앱용 캘린더 구독 토큰 (POST /api/auth/calendar-token 으로 발급, 로그인 토큰은 받지 않음)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [income, expense]
+ *     responses:
+ *       200:
+ *         description: text/calendar
+ */
+router.get('/calendar.ics', (req, res) => {
+  try {
+    if (!db) return res.status(500).json({ message: 'DB not available' });
+    const { type } = req.query;
+    let sql = `SELECT r.*, c.name as categoryName FROM recurring_rules r LEFT JOIN categories c ON c.id = r.categoryId WHERE r.isActive = 1 AND r.userId = ?`;
+    const params = [req.user.id];
+    if (type) { sql += ' AND r.type = ?'; params.push(type); }
+    const rules = db.prepare(sql).all(...params);
+    const exceptions = db.prepare(`
+      SELECT e.* FROM recurring_exceptions e JOIN recurring_rules r ON r.id = e.ruleId
+      WHERE r.userId = ? ORDER BY e.occurrenceDate
+    `).all(req.user.id);
 
-function addInterval(date, frequency, interval) {
-  switch (frequency) {
-    case 'daily': return addDays(date, interval);
-    case 'weekly': return addWeeks(date, interval);
-    case 'monthly': return addMonths(date, interval);
-    case 'yearly': return addYears(date, interval);
-    default: return addMonths(date, interval);
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="money-map.ics"');
+    res.send(buildCalendar(rules, exceptions));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
   }
-}
+});
 
-// Generate occurrences for a rule and optionally persist
+/**
+ * @openapi
+ * /api/recurring/{id}:
+ *   get:
+ *     summary: 특정 반복 규칙 조회 (회차 예외 포함)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 규칙 반환
+ *       404:
+ *         description: 찾을 수 없음
+ */
+router.get('/:id', (req, res) => {
+  try {
+    if (!db) return res.status(500).json({ message: 'DB not available' });
+    const rule = getRule(req.params.id, req.user.id);
+    if (!rule) return res.status(404).json({ message: 'Rule not found' });
+    const exceptions = db.prepare('SELECT * FROM recurring_exceptions WHERE ruleId = ? ORDER BY occurrenceDate').all(rule.id);
+    res.json({ ...toRule(rule), exceptions });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/recurring/{id}:
+ *   put:
+ *     summary: 반복 규칙 수정 (이미 기록된 회차는 바뀌지 않음)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RecurringRuleInput'
+ *     responses:
+ *       200:
+ *         description: 수정된 규칙 반환
+ */
+router.put('/:id', (req, res) => {
+  try {
+    if (!db) return res.status(500).json({ message: 'DB not available' });
+    const existing = getRule(req.params.id, req.user.id);
+    if (!existing) return res.status(404).json({ message: 'Rule not found' });
+    if (req.body.type && req.body.type !== existing.type) {
+      return res.status(400).json({ message: 'type cannot be changed; create a new rule instead' });
+    }
+
+    const pick = (key) => (req.body[key] !== undefined ? req.body[key] : existing[key]);
+    const rule = {
+      type: existing.type,
+      amount: Number(pick('amount')),
+      currency: normalizeCurrency(pick('currency')),
+      categoryId: req.body.categoryId || req.body.category
+        ? findCategoryId(db, existing.type, req.body.categoryId || req.body.category, req.user.id)
+        : existing.categoryId,
+      description: pick('description') || '',
+      // accountId: null 을 보내면 기본 계좌로 되돌림
+      accountId: pick('accountId') || null,
+      startDate: pick('startDate'),
+      frequency: pick('frequency'),
+      interval: Number(pick('interval')) || 1,
+      occurrences: pick('occurrences') ? Number(pick('occurrences')) : null,
+      endDate: pick('endDate') || null,
+      rrule: null,
+      isActive: req.body.isActive !== undefined ? (parseBoolean(req.body.isActive) ? 1 : 0) : existing.isActive
+    };
+    // rrule: null 을 보내면 RRULE 을 지우고 frequency/interval 로 되돌림
+    const rruleError = applyRRule(rule, req.body.rrule !== undefined ? req.body.rrule : existing.rrule);
+    if (rruleError) return res.status(400).json({ message: rruleError });
+    const invalid = validateRule(rule, req.user.id);
+    if (invalid) return res.status(400).json({ message: invalid });
+
+    db.prepare(`
+      UPDATE recurring_rules
+      SET amount = ?, currency = ?, categoryId = ?, description = ?, accountId = ?, startDate = ?, frequency = ?, interval = ?, occurrences = ?, endDate = ?, rrule = ?, isActive = ?, updatedAt = ?
+      WHERE id = ?
+    `).run(rule.amount, rule.currency, rule.categoryId, rule.description, rule.accountId, rule.startDate, rule.frequency, rule.interval, rule.occurrences, rule.endDate, rule.rrule, rule.isActive, new Date().toISOString(), existing.id);
+
+    res.json(toRule(getRule(existing.id, req.user.id)));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/recurring/{id}/pause:
+ *   post:
+ *     summary: 반복 규칙 일시 중지 (isActive = false)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 변경된 규칙 반환
+ */
+router.post('/:id/pause', (req, res) => setActive(req, res, false));
+
+/**
+ * @openapi
+ * /api/recurring/{id}/resume:
+ *   post:
+ *     summary: 일시 중지된 반복 규칙 재개 (isActive = true)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 변경된 규칙 반환
+ */
+router.post('/:id/resume', (req, res) => setActive(req, res, true));
+
+/**
+ * @openapi
+ * /api/recurring/{id}:
+ *   delete:
+ *     summary: 반복 규칙 삭제 (이미 생성된 수입/지출은 남기고 recurringId 연결만 해제)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 삭제 성공 메시지
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    if (!db) return res.status(500).json({ message: 'DB not available' });
+    const rule = getRule(req.params.id, req.user.id);
+    if (!rule) return res.status(404).json({ message: 'Rule not found' });
+
+    db.transaction(() => {
+      db.prepare('UPDATE incomes SET recurringId = NULL WHERE recurringId = ?').run(rule.id);
+      db.prepare('UPDATE expenses SET recurringId = NULL WHERE recurringId = ?').run(rule.id);
+      db.prepare('DELETE FROM recurring_rules WHERE id = ?').run(rule.id);
+    })();
+    res.json({ message: 'Rule deleted' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/recurring/{id}/occurrences:
+ *   get:
+ *     summary: 기간 내 회차 목록 (예외와 기록 여부 반영)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: "회차 목록 (status: scheduled, overridden, skipped, posted)"
+ */
+router.get('/:id/occurrences', (req, res) => {
+  try {
+    if (!db) return res.status(500).json({ message: 'DB not available' });
+    const rule = getRule(req.params.id, req.user.id);
+    if (!rule) return res.status(404).json({ message: 'Rule not found' });
+    const from = req.query.from || rule.startDate;
+    const to = req.query.to || rule.endDate || today();
+    if (!isValidDate(from) || !isValidDate(to)) return res.status(400).json({ message: 'from/to must be YYYY-MM-DD' });
+    res.json(expandOccurrences(db, rule, from, to));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/recurring/{id}/occurrences/{date}:
+ *   put:
+ *     summary: 특정 회차 건너뛰기 또는 금액/날짜/설명 변경
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: 규칙상 원래 발생일
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               skip:
+ *                 type: boolean
+ *               amount:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: 규칙 통화의 최소 단위 정수
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 저장된 예외 반환
+ *       409:
+ *         description: 이미 기록된 회차 (생성된 수입/지출을 직접 수정해야 함)
+ */
+router.put('/:id/occurrences/:date', (req, res) => {
+  try {
+    if (!db) return res.status(500).json({ message: 'DB not available' });
+    const rule = getRule(req.params.id, req.user.id);
+    if (!rule) return res.status(404).json({ message: 'Rule not found' });
+
+    const occurrenceDate = req.params.date;
+    if (!occurrencesBetween(rule, occurrenceDate, occurrenceDate).length) {
+      return res.status(400).json({ message: `${occurrenceDate} is not an occurrence of this rule` });
+    }
+    if (isProcessed(rule, occurrenceDate)) {
+      return res.status(409).json({ message: 'Occurrence already posted; edit the generated transaction instead' });
+    }
+
+    const { amount, date, description } = req.body;
+    const skip = parseBoolean(req.body.skip);
+    if (!skip && amount === undefined && !date && description === undefined) {
+      return res.status(400).json({ message: 'skip, amount, date or description required' });
+    }
+    if (amount !== undefined && !isMinorAmount(amount)) return res.status(400).json({ message: 'amount must be a positive integer in minor units' });
+    if (date && !isValidDate(date)) return res.status(400).json({ message: 'date must be YYYY-MM-DD' });
+
+    const now = new Date().toISOString();
+    db.prepare(`
+      INSERT INTO recurring_exceptions (id, ruleId, occurrenceDate, action, amount, date, description, createdAt, updatedAt)
+      VALUES (?,?,?,?,?,?,?,?,?)
+      ON CONFLICT(ruleId, occurrenceDate) DO UPDATE SET
+        action = excluded.action, amount = excluded.amount, date = excluded.date, description = excluded.description, updatedAt = excluded.updatedAt
+    `).run(
+      uuidv4(),
+      rule.id,
+      occurrenceDate,
+      skip ? 'skip' : 'override',
+      skip || amount === undefined ? null : Number(amount),
+      skip ? null : (date || null),
+      skip ? null : (description === undefined ? null : description),
+      now,
+      now
+    );
+
+    res.json(db.prepare('SELECT * FROM recurring_exceptions WHERE ruleId = ? AND occurrenceDate = ?').get(rule.id, occurrenceDate));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/recurring/{id}/occurrences/{date}:
+ *   delete:
+ *     summary: 회차 예외 삭제 (규칙대로 되돌림)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: 삭제 성공 메시지
+ */
+router.delete('/:id/occurrences/:date', (req, res) => {
+  try {
+    if (!db) return res.status(500).json({ message: 'DB not available' });
+    const rule = getRule(req.params.id, req.user.id);
+    if (!rule) return res.status(404).json({ message: 'Rule not found' });
+    const info = db.prepare('DELETE FROM recurring_exceptions WHERE ruleId = ? AND occurrenceDate = ?').run(rule.id, req.params.date);
+    if (info.changes === 0) return res.status(404).json({ message: 'Exception not found' });
+    res.json({ message: 'Exception removed' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/recurring/{id}/generate:
+ *   post:
+ *     summary: 회차를 수입/지출로 기록 (lastProcessedDate 이후 회차만 기록하므로 여러 번 실행해도 중복 없음)
+ *     description: persist 이면 lastProcessedDate 다음 날부터 to 까지의 회차를 모두 기록하므로 from 은 미리보기에만 쓸 수 있음
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               from:
+ *                 type: string
+ *                 format: date
+ *                 description: 미리보기 시작일 (기본값 규칙 시작일, persist 와 함께 보내면 400)
+ *               to:
+ *                 type: string
+ *                 format: date
+ *                 description: 이 날짜까지 처리 (기본값 오늘)
+ *               persist:
+ *                 type: boolean
+ *                 description: false 이면 미리보기만
+ *     responses:
+ *       200:
+ *         description: 회차 목록과 새로 기록된 거래 반환
+ *       400:
+ *         description: 날짜 형식 오류 또는 persist 와 from 을 함께 보냄
+ */
 router.post('/:id/generate', (req, res) => {
   try {
     if (!db) return res.status(500).json({ message: 'DB not available' });
-    const { id } = req.params;
-    const { from, to, persist } = req.body; // ISO dates
-    const rule = db.prepare('SELECT * FROM recurring_incomes WHERE id = ?').get(id);
+    const rule = getRule(req.params.id, req.user.id);
     if (!rule) return res.status(404).json({ message: 'Rule not found' });
 
-    const start = parseISO(from || rule.startDate);
-    const end = parseISO(to || rule.endDate || new Date().toISOString());
-
-    const occurrences = [];
-    let cursor = parseISO(rule.startDate);
-    let count = 0;
-    while (!isAfter(cursor, end)) {
-      if (!isAfter(cursor, start)) {
-        // before start -> skip
-      } else {
-        occurrences.push({ date: cursor.toISOString().slice(0,10), amount: rule.amount, category: rule.category, description: rule.description });
-      }
-      count++;
-      if (rule.occurrences && count > rule.occurrences) break;
-      cursor = addInterval(cursor, rule.frequency, rule.interval || 1);
+    const { from, to, persist } = req.body || {};
+    const until = to || today();
+    if ((from && !isValidDate(from)) || !isValidDate(until)) return res.status(400).json({ message: 'from/to must be YYYY-MM-DD' });
+
+    // 기록은 항상 lastProcessedDate 다음 날부터 하므로 다른 시작일을 받으면 빠지는 회차가 생기거나 무시됨
+    if (from && parseBoolean(persist)) {
+      return res.status(400).json({ message: 'from cannot be combined with persist; occurrences are posted from the day after lastProcessedDate' });
     }
 
-    if (persist && occurrences.length) {
-      const insert = db.prepare('INSERT INTO incomes (id, amount, category, description, date, createdAt) VALUES (?,?,?,?,?,?)');
-      const now = new Date().toISOString();
-      const insertMany = db.transaction((rows) => {
-        for (const r of rows) {
-          insert.run(uuidv4(), Number(r.amount), r.category, r.description || '', r.date, now);
-        }
-      });
-      insertMany(occurrences);
+    let result = { created: [], skipped: [] };
+    if (parseBoolean(persist)) {
+      if (!rule.isActive) return res.status(409).json({ message: 'Rule is paused' });
+      result = postDueOccurrences(db, rule, until);
     }
 
-    res.json({ occurrences, persisted: !!persist });
+    const updated = getRule(rule.id, req.user.id);
+    res.json({
+      occurrences: expandOccurrences(db, updated, from || rule.startDate, until),
+      created: result.created,
+      persisted: parseBoolean(persist),
+      lastProcessedDate: updated.lastProcessedDate
+    });
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
+// fills frequency/interval/occurrences/endDate from an RRULE; returns an error message if it cannot be parsed
+function applyRRule(rule, rrule) {
+  if (!rrule) return null;
+  const parsed = parseRRule(rrule);
+  if (parsed.error) return parsed.error;
+  rule.rrule = parsed.rrule;
+  rule.frequency = parsed.frequency;
+  rule.interval = parsed.interval;
+  rule.occurrences = parsed.occurrences || rule.occurrences;
+  rule.endDate = parsed.endDate || rule.endDate;
+  return null;
+}
+
+function getRule(id, userId) {
+  return db.prepare('SELECT * FROM recurring_rules WHERE id = ? AND userId = ?').get(id, userId);
+}
+
+function setActive(req, res, isActive) {
+  try {
+    if (!db) return res.status(500).json({ message: 'DB not available' });
+    const info = db.prepare('UPDATE recurring_rules SET isActive = ?, updatedAt = ? WHERE id = ? AND userId = ?')
+      .run(isActive ? 1 : 0, new Date().toISOString(), req.params.id, req.user.id);
+    if (info.changes === 0) return res.status(404).json({ message: 'Rule not found' });
+    res.json(toRule(getRule(req.params.id, req.user.id)));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+}
+
+// returns an error message, or null when the rule is valid
+function validateRule(rule, userId) {
+  if (!RULE_TYPES.includes(rule.type)) return 'type must be income or expense';
+  if (!isMinorAmount(rule.amount)) return 'amount must be a positive integer in minor units (e.g. cents for USD)';
+  if (!isValidCurrency(rule.currency)) return 'currency must be an ISO 4217 code';
+  if (!rule.categoryId) return `unknown ${rule.type} category`;
+  if (rule.accountId && !getAccount(db, rule.accountId, userId)) return 'unknown account';
+  if (!FREQUENCIES.includes(rule.frequency)) return `frequency must be one of ${FREQUENCIES.join(', ')}`;
+  if (!Number.isInteger(rule.interval) || rule.interval < 1) return 'interval must be a positive integer';
+  if (rule.occurrences !== null && (!Number.isInteger(rule.occurrences) || rule.occurrences < 1)) return 'occurrences must be a positive integer';
+  if (!isValidDate(rule.startDate)) return 'startDate must be YYYY-MM-DD';
+  if (rule.endDate && (!isValidDate(rule.endDate) || rule.endDate < rule.startDate)) return 'endDate must be YYYY-MM-DD on or after startDate';
+  return null;
+}
+
+function toRule(row) {
+  return {
+    ...row,
+    isActive: !!row.isActive,
+    nextOccurrence: upcomingOccurrence(db, row, today())
+  };
+}
+
 module.exports = router;
@@ -0,0 +1,411 @@
+const express = require('express');
+const router = express.Router();
+const { v4: uuidv4 } = require('uuid');
+const { parseBoolean } = require('../services/expense.service');
+const {
+    RULE_TYPES,
+    validateRule,
+    toRule,
+    listRules,
+    applyRules,
+    suggestCategories,
+    rerunRules,
+    ruleColumns,
+    parseJson
+} = require('../services/rule.service');
+
+let db = null;
+try {
+    db = require('../db');
+} catch (e) {
+    db = null;
+}
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     CategoryRuleInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [income, expense]
+ *         priority:
+ *           type: integer
+ *           default: 0
+ *           description: 작을수록 먼저 검사 (처음 일치한 규칙 하나만 적용)
+ *         condition:
+ *           type: object
+ *           description: |
+ *             적힌 항목을 모두 만족하면 일치. 문자열 조건은 대소문자를 무시하고 배열이면 하나라도 일치하면 됨
+ *             { descriptionContains, descriptionRegex, locationContains, locationRegex, minAmount, maxAmount, currency, paymentMethod }
+ *             (location*, paymentMethod 는 지출만, 금액은 최소 단위 정수)
+ *           example: { descriptionContains: ['스타벅스', '투썸'], maxAmount: 20000 }
+ *         categoryId:
+ *           type: string
+ *           description: 일치하면 지정할 카테고리
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: 일치하면 붙일 태그
+ *         isFixed:
+ *           type: boolean
+ *           description: 일치하면 지정할 고정 지출 여부 (지출만)
+ *         isActive:
+ *           type: boolean
+ *           default: true
+ *     TransactionSample:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [income, expense]
+ *         description:
+ *           type: string
+ *         location:
+ *           type: string
+ *         amount:
+ *           type: integer
+ *         currency:
+ *           type: string
+ *         paymentMethod:
+ *           type: string
+ */
+
+/**
+ * @openapi
+ * /api/rules:
+ *   get:
+ *     summary: 자동 분류 규칙 목록 조회 (검사 순서대로)
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [income, expense]
+ *     responses:
+ *       200:
+ *         description: 규칙 목록 반환
+ */
+router.get('/', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const { type } = req.query;
+        if (type && !RULE_TYPES.includes(type)) return res.status(400).json({ message: `type 은 ${RULE_TYPES.join(', ')} 중 하나여야 합니다.` });
+        res.json(listRules(db, req.user.id, type));
+    } catch (error) {
+        res.status(500).json({ message: '분류 규칙을 불러오는데 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/rules/suggestions:
+ *   get:
+ *     summary: 예전에 비슷한 내용의 거래를 분류한 카테고리로 추천
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [income, expense]
+ *       - in: query
+ *         name: description
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 3
+ *     responses:
+ *       200:
+ *         description: 추천 카테고리 목록 (categoryId, categoryName, score 0~1, matches 비슷한 거래 수, examples)
+ */
+router.get('/suggestions', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const { type, description } = req.query;
+        if (!RULE_TYPES.includes(type)) return res.status(400).json({ message: `type 은 ${RULE_TYPES.join(', ')} 중 하나여야 합니다.` });
+        if (!description) return res.status(400).json({ message: 'description 은 필수 입력값입니다.' });
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 3, 1), 20);
+        res.json(suggestCategories(db, req.user.id, type, description, { limit }));
+    } catch (error) {
+        res.status(500).json({ message: '카테고리 추천에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/rules/test:
+ *   post:
+ *     summary: 거래 한 건에 어떤 규칙이 적용되는지 확인 (저장하지 않음)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TransactionSample'
+ *     responses:
+ *       200:
+ *         description: 일치한 규칙과 적용 결과(match, 없으면 null), 비슷한 거래로 본 추천 카테고리(suggestions)
+ */
+router.post('/test', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const { type } = req.body;
+        if (!RULE_TYPES.includes(type)) return res.status(400).json({ message: `type 은 ${RULE_TYPES.join(', ')} 중 하나여야 합니다.` });
+        res.json({
+            match: applyRules(listRules(db, req.user.id, type, { activeOnly: true }), req.body),
+            suggestions: suggestCategories(db, req.user.id, type, req.body.description)
+        });
+    } catch (error) {
+        res.status(500).json({ message: '분류 규칙 확인에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/rules/apply:
+ *   post:
+ *     summary: 지난 거래에 규칙을 다시 적용 (dryRun 이면 바뀔 내용만 미리보기)
+ *     description: 규칙에 카테고리/고정 지출 여부가 있으면 그 값으로 바꾸고 태그는 기존 태그에 더함
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [income, expense]
+ *                 description: 없으면 수입과 지출 모두
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               ruleId:
+ *                 type: string
+ *                 description: 이 규칙만 적용 (사용 중지된 규칙도 가능)
+ *               onlyUncategorized:
+ *                 type: boolean
+ *                 description: 기본 카테고리('기타')인 거래만
+ *               dryRun:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: 검사한 거래 수(checked), 규칙과 일치한 수(matched), 바뀐 수(changed)와 거래별 변경 전/후(changes)
+ *       404:
+ *         description: ruleId 의 규칙을 찾을 수 없음
+ */
+router.post('/apply', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const { type, startDate, endDate, ruleId } = req.body;
+        if (type && !RULE_TYPES.includes(type)) return res.status(400).json({ message: `type 은 ${RULE_TYPES.join(', ')} 중 하나여야 합니다.` });
+        let ruleType = type;
+        if (ruleId) {
+            const rule = getRule(ruleId, req.user.id);
+            if (!rule) return res.status(404).json({ message: '해당 분류 규칙을 찾을 수 없습니다.' });
+            ruleType = rule.type;
+        }
+        res.json(rerunRules(db, req.user.id, {
+            type: ruleType,
+            startDate,
+            endDate,
+            ruleId,
+            onlyUncategorized: parseBoolean(req.body.onlyUncategorized),
+            dryRun: parseBoolean(req.body.dryRun)
+        }));
+    } catch (error) {
+        res.status(500).json({ message: '분류 규칙 적용에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/rules/{id}:
+ *   get:
+ *     summary: 특정 분류 규칙 조회
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 분류 규칙 반환
+ *       404:
+ *         description: 찾을 수 없음
+ */
+router.get('/:id', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const rule = getRule(req.params.id, req.user.id);
+        if (!rule) return res.status(404).json({ message: '해당 분류 규칙을 찾을 수 없습니다.' });
+        res.json(toRule(rule));
+    } catch (error) {
+        res.status(500).json({ message: '분류 규칙을 불러오는데 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/rules:
+ *   post:
+ *     summary: 자동 분류 규칙 추가 (새로 저장하거나 가져오는 거래에 적용)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/CategoryRuleInput'
+ *               - required: [name, type, condition]
+ *     responses:
+ *       201:
+ *         description: 생성된 분류 규칙 반환
+ *       400:
+ *         description: 잘못된 조건 또는 카테고리
+ */
+router.post('/', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const invalid = validateRule(db, req.body, req.user.id);
+        if (invalid) return res.status(400).json({ message: invalid });
+
+        const { name, type, priority, condition, categoryId } = req.body;
+        const columns = ruleColumns(req.body);
+        const id = uuidv4();
+        const now = new Date().toISOString();
+        db.prepare(`
+            INSERT INTO category_rules (id, userId, name, type, priority, condition, categoryId, tags, isFixed, isActive, createdAt, updatedAt)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            id,
+            req.user.id,
+            String(name).trim(),
+            type,
+            Number(priority) || 0,
+            JSON.stringify(parseJson(condition, {})),
+            categoryId || null,
+            columns.tags,
+            columns.isFixed,
+            columns.isActive,
+            now,
+            now
+        );
+
+        res.status(201).json(toRule(getRule(id, req.user.id)));
+    } catch (error) {
+        res.status(500).json({ message: '분류 규칙 저장에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/rules/{id}:
+ *   put:
+ *     summary: 분류 규칙 수정 (보낸 필드만 변경)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CategoryRuleInput'
+ *     responses:
+ *       200:
+ *         description: 수정된 분류 규칙 반환
+ *       404:
+ *         description: 찾을 수 없음
+ */
+router.put('/:id', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const existing = getRule(req.params.id, req.user.id);
+        if (!existing) return res.status(404).json({ message: '해당 분류 규칙을 찾을 수 없습니다.' });
+
+        const current = toRule(existing);
+        const pick = (key) => (req.body[key] !== undefined ? req.body[key] : current[key]);
+        const rule = {
+            name: pick('name'),
+            type: pick('type'),
+            priority: pick('priority'),
+            condition: parseJson(pick('condition'), null),
+            categoryId: pick('categoryId'),
+            tags: pick('tags'),
+            isFixed: pick('isFixed'),
+            isActive: pick('isActive')
+        };
+        const invalid = validateRule(db, rule, req.user.id);
+        if (invalid) return res.status(400).json({ message: invalid });
+
+        const columns = ruleColumns(rule);
+        db.prepare(`
+            UPDATE category_rules
+            SET name = ?, type = ?, priority = ?, condition = ?, categoryId = ?, tags = ?, isFixed = ?, isActive = ?, updatedAt = ?
+            WHERE id = ?
+        `).run(
+            String(rule.name).trim(),
+            rule.type,
+            Number(rule.priority) || 0,
+            JSON.stringify(rule.condition),
+            rule.categoryId || null,
+            columns.tags,
+            columns.isFixed,
+            columns.isActive,
+            new Date().toISOString(),
+            existing.id
+        );
+
+        res.json(toRule(getRule(existing.id, req.user.id)));
+    } catch (error) {
+        res.status(500).json({ message: '분류 규칙 수정에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/rules/{id}:
+ *   delete:
+ *     summary: 분류 규칙 삭제 (이미 분류된 거래는 그대로)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 삭제 성공 메시지
+ */
+router.delete('/:id', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const info = db.prepare('DELETE FROM category_rules WHERE id = ? AND userId = ?').run(req.params.id, req.user.id);
+        if (info.changes === 0) return res.status(404).json({ message: '해당 분류 규칙을 찾을 수 없습니다.' });
+        res.json({ message: '분류 규칙이 삭제되었습니다.' });
+    } catch (error) {
+        res.status(500).json({ message: '분류 규칙 삭제에 실패했습니다.', error: error.message });
+    }
+});
+
+function getRule(id, userId) {
+    return db.prepare('SELECT * FROM category_rules WHERE id = ? AND userId = ?').get(id, userId);
+}
+
+module.exports = router;
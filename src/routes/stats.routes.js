@@ -1,20 +1,111 @@
 const express = require('express');
 const router = express.Router();
 
+const { tagFilter } = require('../services/tag.service');
+const { MissingRateError, convertRows, resolveBaseCurrency } = require('../services/currency.service');
+const { transactionLines, lineTagFilter } = require('../services/split.service');
+
 let db = null;
 try { db = require('../db'); } catch (e) { db = null; }
 
+// 통계 대상: 수입, 지출, 순현금흐름(수입 - 지출)
+const STAT_TYPES = ['income', 'expense', 'net'];
+
 // helper: format YYYY-MM
 function monthKey(dateStr) {
   return dateStr.slice(0,7);
 }
 
+// helper: 소수 둘째 자리까지 (비율/증감률 표시용)
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// helper: 로그인한 사용자 + 기간(startDate, endDate)과 태그(tag) 필터 → { sql, params }
+// lines 면 transactionLines 용 (분할 줄의 태그도 검색)
+function buildFilter(query, userId, prefix = '', kind = 'income', lines = false) {
+  const { startDate, endDate, tag } = query;
+  const where = [`${prefix}userId = ?`];
+  const params = [userId];
+  if (startDate) { where.push(`${prefix}date >= ?`); params.push(startDate); }
+  if (endDate) { where.push(`${prefix}date <= ?`); params.push(endDate); }
+  const byTag = lines ? lineTagFilter(kind, tag, prefix) : tagFilter(kind, tag, `${prefix}id`);
+  if (byTag) { where.push(byTag.clause); params.push(...byTag.params); }
+  return { sql: ' WHERE ' + where.join(' AND '), params };
+}
+
+// helper: 거래일/통화(byCategory 면 카테고리까지)별 합계를 기준 통화로 변환한 행 목록 (각 행에 type)
+// type 이 net 이면 수입 행과 지출 행을 합치고 지출의 변환 금액은 음수로 바꾼다
+// 분할된 거래는 부모 대신 분할 줄을 센다
+function convertedTotals(type, query, userId, baseCurrency, byCategory = false) {
+  if (type === 'net') {
+    return [
+      ...convertedTotals('income', query, userId, baseCurrency, byCategory),
+      ...convertedTotals('expense', query, userId, baseCurrency, byCategory).map(r => ({ ...r, convertedAmount: -r.convertedAmount }))
+    ];
+  }
+  const filter = buildFilter(query, userId, 't.', type, true);
+  const sql = `SELECT t.date, t.currency, SUM(t.amount) as amount${byCategory ? ', t.categoryId, c.name as category' : ''}
+    FROM ${transactionLines(type)} t LEFT JOIN categories c ON c.id = t.categoryId${filter.sql}
+    GROUP BY t.date, t.currency${byCategory ? ', t.categoryId' : ''}`;
+  return convertRows(db, db.prepare(sql).all(...filter.params), baseCurrency).map(r => ({ ...r, type }));
+}
+
+// helper: keyOf 가 같은 행의 변환 금액 합계 → [{ ...fields(첫 행), total }]
+function totalsBy(rows, keyOf, fields) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = keyOf(row);
+    if (!groups.has(key)) groups.set(key, { ...fields(row), total: 0 });
+    groups.get(key).total += row.convertedAmount;
+  }
+  return [...groups.values()];
+}
+
+// helper: 기준 통화 결정, 잘못된 코드면 400 응답 후 null
+function baseCurrencyOr400(req, res) {
+  const baseCurrency = resolveBaseCurrency(req.query, req.user);
+  if (!baseCurrency) res.status(400).json({ message: 'baseCurrency must be an ISO 4217 code' });
+  return baseCurrency;
+}
+
+// helper: 통계 대상(type, 기본값 income) 결정, 잘못된 값이면 400 응답 후 null
+function statTypeOr400(req, res) {
+  const type = req.query.type || 'income';
+  if (!STAT_TYPES.includes(type)) {
+    res.status(400).json({ message: `type must be one of ${STAT_TYPES.join(', ')}` });
+    return null;
+  }
+  return type;
+}
+
+// helper: 환율이 없으면 422, 그 밖의 오류는 500
+function sendError(res, err) {
+  if (err instanceof MissingRateError) return res.status(422).json({ message: err.message });
+  res.status(500).json({ message: err.message });
+}
+
+/**
+ * @openapi
+ * components:
+ *   parameters:
+ *     StatsType:
+ *       in: query
+ *       name: type
+ *       schema:
+ *         type: string
+ *         enum: [income, expense, net]
+ *         default: income
+ *       description: 통계 대상 (net 은 수입 - 지출)
+ */
+
 /**
  * @openapi
  * /api/stats/monthly:
  *   get:
- *     summary: 월별 수입 통계 조회
+ *     summary: 월별 수입/지출/순현금흐름 통계 조회
  *     parameters:
+ *       - $ref: '#/components/parameters/StatsType'
  *       - in: query
  *         name: startDate
  *         schema:
@@ -27,27 +118,125 @@ function monthKey(dateStr) {
  *           type: string
  *           format: date
  *         description: 종료 날짜 (YYYY-MM-DD)
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: 태그 이름 또는 id (쉼표로 여러 개)
+ *       - in: query
+ *         name: baseCurrency
+ *         schema:
+ *           type: string
+ *         description: 합계를 낼 기준 통화 (기본값 사용자 설정, 없으면 KRW). 다른 통화는 거래일 환율로 변환
  *     responses:
  *       200:
- *         description: 월별 수입 총액 반환
+ *         description: 월별 총액 반환
  */
 router.get('/monthly', (req, res) => {
   try {
-    const { startDate, endDate } = req.query;
     if (db) {
-      let sql = `SELECT substr(date,1,7) as month, SUM(amount) as total FROM incomes`;
-      const where = [];
-      const params = [];
-      if (startDate) { where.push('date >= ?'); params.push(startDate); }
-      if (endDate) { where.push('date <= ?'); params.push(endDate); }
-      if (where.length) sql += ' WHERE ' + where.join(' AND ');
-      sql += ' GROUP BY month ORDER BY month';
-      const rows = db.prepare(sql).all(...params);
-      return res.json(rows);
+      const type = statTypeOr400(req, res);
+      if (!type) return;
+      const baseCurrency = baseCurrencyOr400(req, res);
+      if (!baseCurrency) return;
+      const rows = totalsBy(convertedTotals(type, req.query, req.user.id, baseCurrency), r => monthKey(r.date), r => ({ month: monthKey(r.date), type, currency: baseCurrency }));
+      return res.json(rows.sort((a, b) => a.month.localeCompare(b.month)));
     }
     return res.status(500).json({ message: 'DB not available for aggregated stats' });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    sendError(res, err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/stats/cashflow:
+ *   get:
+ *     summary: 월별 수입, 지출, 순현금흐름, 저축률 조회
+ *     description: 기간 안에 거래가 없는 달도 0 으로 채워서 반환 (기간이 없으면 첫 거래 달부터 마지막 거래 달까지)
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: 시작 날짜 (YYYY-MM-DD)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: 종료 날짜 (YYYY-MM-DD)
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: 태그 이름 또는 id (쉼표로 여러 개)
+ *       - in: query
+ *         name: baseCurrency
+ *         schema:
+ *           type: string
+ *         description: 합계를 낼 기준 통화 (기본값 사용자 설정, 없으면 KRW). 다른 통화는 거래일 환율로 변환
+ *     responses:
+ *       200:
+ *         description: 월별 행(months)과 기간 합계(total)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 baseCurrency:
+ *                   type: string
+ *                 months:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CashFlowRow'
+ *                 total:
+ *                   $ref: '#/components/schemas/CashFlowRow'
+ * components:
+ *   schemas:
+ *     CashFlowRow:
+ *       type: object
+ *       properties:
+ *         month:
+ *           type: string
+ *           example: 2024-03
+ *         income:
+ *           type: number
+ *         expense:
+ *           type: number
+ *         net:
+ *           type: number
+ *           description: 수입 - 지출
+ *         savingsRate:
+ *           type: number
+ *           nullable: true
+ *           description: 순현금흐름 / 수입 (%), 수입이 없으면 null
+ */
+router.get('/cashflow', (req, res) => {
+  try {
+    if (!db) return res.status(500).json({ message: 'DB not available' });
+    const baseCurrency = baseCurrencyOr400(req, res);
+    if (!baseCurrency) return;
+
+    const byMonth = new Map();
+    for (const row of convertedTotals('net', req.query, req.user.id, baseCurrency)) {
+      const month = monthKey(row.date);
+      if (!byMonth.has(month)) byMonth.set(month, { income: 0, expense: 0 });
+      // net 행의 지출은 음수이므로 부호를 되돌려 더함
+      byMonth.get(month)[row.type] += Math.abs(row.convertedAmount);
+    }
+
+    const known = [...byMonth.keys()].sort();
+    const first = req.query.startDate ? monthKey(req.query.startDate) : known[0];
+    const last = req.query.endDate ? monthKey(req.query.endDate) : known[known.length - 1];
+    const months = first && last ? monthsBetween(first, last).map(month => cashFlowRow(month, byMonth.get(month))) : [];
+    const total = cashFlowRow(null, months.reduce((sum, m) => ({ income: sum.income + m.income, expense: sum.expense + m.expense }), { income: 0, expense: 0 }));
+    delete total.month;
+
+    res.json({ baseCurrency, months, total });
+  } catch (err) {
+    sendError(res, err);
   }
 });
 
@@ -55,8 +244,18 @@ router.get('/monthly', (req, res) => {
  * @openapi
  * /api/stats/category:
  *   get:
- *     summary: 카테고리별 수입 통계 조회
+ *     summary: 카테고리별 수입/지출/순현금흐름 통계 조회
+ *     description: |
+ *       share 는 기간 합계 대비 비율(%, net 은 절댓값 합계 대비).
+ *       month 를 주면 그 달과 전달을, startDate/endDate 를 주면 바로 앞의 같은 길이 기간을 비교해 prevTotal, delta, change 를 함께 반환
  *     parameters:
+ *       - $ref: '#/components/parameters/StatsType'
+ *       - in: query
+ *         name: month
+ *         schema:
+ *           type: string
+ *           example: 2024-03
+ *         description: 조회할 달 (YYYY-MM, startDate/endDate 대신 사용하며 전달과 비교)
  *       - in: query
  *         name: startDate
  *         schema:
@@ -69,27 +268,56 @@ router.get('/monthly', (req, res) => {
  *           type: string
  *           format: date
  *         description: 종료 날짜 (YYYY-MM-DD)
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: 태그 이름 또는 id (쉼표로 여러 개)
+ *       - in: query
+ *         name: baseCurrency
+ *         schema:
+ *           type: string
+ *         description: 합계를 낼 기준 통화 (기본값 사용자 설정, 없으면 KRW). 다른 통화는 거래일 환율로 변환
  *     responses:
  *       200:
- *         description: 카테고리별 수입 총액 반환
+ *         description: 카테고리별 총액, 비율, 이전 기간 대비 증감 반환 (분할된 거래는 분할 줄의 카테고리와 금액으로 계산)
  */
 router.get('/category', (req, res) => {
   try {
-    const { startDate, endDate } = req.query;
     if (db) {
-      let sql = `SELECT category, SUM(amount) as total FROM incomes`;
-      const where = [];
-      const params = [];
-      if (startDate) { where.push('date >= ?'); params.push(startDate); }
-      if (endDate) { where.push('date <= ?'); params.push(endDate); }
-      if (where.length) sql += ' WHERE ' + where.join(' AND ');
-      sql += ' GROUP BY category ORDER BY total DESC';
-      const rows = db.prepare(sql).all(...params);
-      return res.json(rows);
+      const type = statTypeOr400(req, res);
+      if (!type) return;
+      const baseCurrency = baseCurrencyOr400(req, res);
+      if (!baseCurrency) return;
+      const period = categoryPeriod(req.query);
+      if (!period) return res.status(400).json({ message: 'month must be YYYY-MM' });
+
+      const totalsOf = (startDate, endDate) => {
+        const converted = convertedTotals(type, { startDate, endDate, tag: req.query.tag }, req.user.id, baseCurrency, true);
+        return totalsBy(converted, r => r.categoryId, r => ({ categoryId: r.categoryId, category: r.category, type: r.type, currency: baseCurrency }));
+      };
+      const rows = totalsOf(period.startDate, period.endDate);
+      const grandTotal = rows.reduce((sum, r) => sum + Math.abs(r.total), 0);
+      rows.forEach(r => { r.share = grandTotal ? round2((Math.abs(r.total) / grandTotal) * 100) : 0; });
+
+      if (period.prevStart) {
+        const previous = new Map(totalsOf(period.prevStart, period.prevEnd).map(r => [r.categoryId, r]));
+        // 이번 기간에는 없고 이전 기간에만 있는 카테고리도 0 으로 포함
+        previous.forEach((prev, categoryId) => {
+          if (!rows.some(r => r.categoryId === categoryId)) rows.push({ ...prev, total: 0, share: 0 });
+        });
+        rows.forEach(r => {
+          const prevTotal = previous.has(r.categoryId) ? previous.get(r.categoryId).total : 0;
+          r.prevTotal = prevTotal;
+          r.delta = r.total - prevTotal;
+          r.change = prevTotal === 0 ? null : round2((r.delta / Math.abs(prevTotal)) * 100);
+        });
+      }
+      return res.json(rows.sort((a, b) => Math.abs(b.total) - Math.abs(a.total)));
     }
     return res.status(500).json({ message: 'DB not available for aggregated stats' });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    sendError(res, err);
   }
 });
 
@@ -97,8 +325,9 @@ router.get('/category', (req, res) => {
  * @openapi
  * /api/stats/weekday:
  *   get:
- *     summary: 요일별 수입 통계 조회
+ *     summary: 요일별 수입/지출/순현금흐름 통계 조회
  *     parameters:
+ *       - $ref: '#/components/parameters/StatsType'
  *       - in: query
  *         name: startDate
  *         schema:
@@ -111,27 +340,100 @@ router.get('/category', (req, res) => {
  *           type: string
  *           format: date
  *         description: 종료 날짜 (YYYY-MM-DD)
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: 태그 이름 또는 id (쉼표로 여러 개)
+ *       - in: query
+ *         name: baseCurrency
+ *         schema:
+ *           type: string
+ *         description: 합계를 낼 기준 통화 (기본값 사용자 설정, 없으면 KRW). 다른 통화는 거래일 환율로 변환
  *     responses:
  *       200:
- *         description: 요일별 수입 총액 반환 (0=일요일..6=토요일)
+ *         description: 요일별 총액 반환 (0=일요일..6=토요일)
  */
 router.get('/weekday', (req, res) => {
   try {
-    const { startDate, endDate } = req.query;
     if (db) {
-      let sql = `SELECT strftime('%w', date) as weekday, SUM(amount) as total FROM incomes`;
-      const where = [];
-      const params = [];
-      if (startDate) { where.push('date >= ?'); params.push(startDate); }
-      if (endDate) { where.push('date <= ?'); params.push(endDate); }
-      if (where.length) sql += ' WHERE ' + where.join(' AND ');
-      sql += ' GROUP BY weekday ORDER BY weekday';
-      const rows = db.prepare(sql).all(...params);
-      return res.json(rows.map(r => ({ weekday: Number(r.weekday), total: r.total })));
+      const type = statTypeOr400(req, res);
+      if (!type) return;
+      const baseCurrency = baseCurrencyOr400(req, res);
+      if (!baseCurrency) return;
+      const weekdayOf = (r) => new Date(`${r.date}T00:00:00Z`).getUTCDay();
+      const rows = totalsBy(convertedTotals(type, req.query, req.user.id, baseCurrency), weekdayOf, r => ({ weekday: weekdayOf(r), type, currency: baseCurrency }));
+      return res.json(rows.sort((a, b) => a.weekday - b.weekday));
     }
     return res.status(500).json({ message: 'DB not available for aggregated stats' });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    sendError(res, err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/stats/top-expenses:
+ *   get:
+ *     summary: 기간 내 금액이 큰 지출 목록 (기준 통화로 변환한 금액 순)
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *       - in: query
+ *         name: categoryId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: 시작 날짜 (YYYY-MM-DD)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: 종료 날짜 (YYYY-MM-DD)
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: 태그 이름 또는 id (쉼표로 여러 개)
+ *       - in: query
+ *         name: baseCurrency
+ *         schema:
+ *           type: string
+ *         description: 합계를 낼 기준 통화 (기본값 사용자 설정, 없으면 KRW). 다른 통화는 거래일 환율로 변환
+ *     responses:
+ *       200:
+ *         description: 지출 목록 (원래 금액/통화와 기준 통화로 변환한 convertedAmount 포함)
+ */
+router.get('/top-expenses', (req, res) => {
+  try {
+    if (!db) return res.status(500).json({ message: 'DB not available' });
+    const baseCurrency = baseCurrencyOr400(req, res);
+    if (!baseCurrency) return;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 100);
+
+    const filter = buildFilter(req.query, req.user.id, 'e.', 'expense');
+    if (req.query.categoryId) {
+      filter.sql += ' AND e.categoryId = ?';
+      filter.params.push(req.query.categoryId);
+    }
+    const rows = db.prepare(`SELECT e.id, e.date, e.description, e.location, e.paymentMethod, e.categoryId, c.name as category, e.amount, e.currency
+      FROM expenses e LEFT JOIN categories c ON c.id = e.categoryId${filter.sql}`).all(...filter.params);
+    const top = convertRows(db, rows, baseCurrency)
+      .sort((a, b) => b.convertedAmount - a.convertedAmount || b.date.localeCompare(a.date))
+      .slice(0, limit)
+      .map(r => ({ ...r, baseCurrency }));
+    res.json(top);
+  } catch (err) {
+    sendError(res, err);
   }
 });
 
@@ -139,8 +441,9 @@ router.get('/weekday', (req, res) => {
  * @openapi
  * /api/stats/summary:
  *   get:
- *     summary: 수입 요약 통계 조회
+ *     summary: 수입/지출/순현금흐름 요약 통계 조회
  *     parameters:
+ *       - $ref: '#/components/parameters/StatsType'
  *       - in: query
  *         name: startDate
  *         schema:
@@ -153,6 +456,16 @@ router.get('/weekday', (req, res) => {
  *           type: string
  *           format: date
  *         description: 종료 날짜 (YYYY-MM-DD)
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: 태그 이름 또는 id (쉼표로 여러 개)
+ *       - in: query
+ *         name: baseCurrency
+ *         schema:
+ *           type: string
+ *         description: 합계를 낼 기준 통화 (기본값 사용자 설정, 없으면 KRW). 다른 통화는 거래일 환율로 변환
  *     responses:
  *       200:
  *         description: 총액, 일평균, 이전 기간 대비 증감률 반환
@@ -161,17 +474,23 @@ router.get('/weekday', (req, res) => {
  *             schema:
  *               type: object
  *               properties:
+ *                 type:
+ *                   type: string
+ *                 baseCurrency:
+ *                   type: string
  *                 total:
  *                   type: number
- *                   description: 기간 내 총 수입
+ *                   description: 기간 내 총액
  *                 avg:
  *                   type: number
- *                   description: 일 평균 수입
+ *                   description: 일 평균
  *                 prevTotal:
  *                   type: number
- *                   description: 이전 기간 총 수입
+ *                   nullable: true
+ *                   description: 이전 기간 총액 (startDate, endDate 를 모두 주었을 때만)
  *                 change:
  *                   type: number
+ *                   nullable: true
  *                   description: 이전 기간 대비 증감률 (%)
  */
 router.get('/summary', (req, res) => {
@@ -179,13 +498,23 @@ router.get('/summary', (req, res) => {
     const { startDate, endDate } = req.query;
     if (!db) return res.status(500).json({ message: 'DB not available' });
 
-    const totalRow = db.prepare('SELECT SUM(amount) as total FROM incomes WHERE date >= ? AND date <= ?').get(startDate, endDate);
-    const total = Number(totalRow.total || 0);
+    const type = statTypeOr400(req, res);
+    if (!type) return;
+    const baseCurrency = baseCurrencyOr400(req, res);
+    if (!baseCurrency) return;
+
+    const sumBetween = (from, to) => convertedTotals(type, { startDate: from, endDate: to, tag: req.query.tag }, req.user.id, baseCurrency)
+      .reduce((sum, r) => sum + r.convertedAmount, 0);
+
+    const total = sumBetween(startDate, endDate);
 
     // 평균 (일 단위)
     const days = (new Date(endDate) - new Date(startDate)) / (1000*60*60*24) || 1;
     const avg = total / Math.max(1, days);
 
+    // 기간이 열려 있으면 비교할 이전 기간이 없음
+    if (!startDate || !endDate) return res.json({ type, baseCurrency, total, avg, prevTotal: null, change: null });
+
     // 전 기간 (같은 길이) 대비 증감률: compute previous period
     const prevEnd = new Date(startDate);
     prevEnd.setDate(prevEnd.getDate() - 1);
@@ -194,14 +523,60 @@ router.get('/summary', (req, res) => {
     const prevStartStr = prevStart.toISOString().slice(0,10);
     const prevEndStr = prevEnd.toISOString().slice(0,10);
 
-    const prevRow = db.prepare('SELECT SUM(amount) as total FROM incomes WHERE date >= ? AND date <= ?').get(prevStartStr, prevEndStr);
-    const prevTotal = Number(prevRow.total || 0);
+    const prevTotal = sumBetween(prevStartStr, prevEndStr);
     const change = prevTotal === 0 ? null : ((total - prevTotal) / Math.abs(prevTotal)) * 100;
 
-    res.json({ total, avg, prevTotal, change });
+    res.json({ type, baseCurrency, total, avg, prevTotal, change });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    sendError(res, err);
   }
 });
 
+// helper: first ~ last (YYYY-MM) 사이의 모든 달
+function monthsBetween(first, last) {
+  const months = [];
+  let [year, month] = first.split('-').map(Number);
+  while (`${year}-${String(month).padStart(2, '0')}` <= last) {
+    months.push(`${year}-${String(month).padStart(2, '0')}`);
+    month += 1;
+    if (month > 12) { month = 1; year += 1; }
+  }
+  return months;
+}
+
+// helper: 한 달의 수입/지출 → CashFlowRow
+function cashFlowRow(month, totals = { income: 0, expense: 0 }) {
+  const net = totals.income - totals.expense;
+  return { month, income: totals.income, expense: totals.expense, net, savingsRate: totals.income ? round2((net / totals.income) * 100) : null };
+}
+
+// helper: /category 의 조회 기간과 비교 기간, month 형식이 잘못되면 null
+// month=YYYY-MM 이면 그 달과 전달, startDate/endDate 가 모두 있으면 바로 앞의 같은 일수 기간, 아니면 비교하지 않음
+function categoryPeriod(query) {
+  if (query.month) {
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(query.month)) return null;
+    const [year, month] = query.month.split('-').map(Number);
+    const endOf = (y, m) => new Date(Date.UTC(y, m, 0)).toISOString().slice(0, 10);
+    const prevYear = month === 1 ? year - 1 : year;
+    const prevMonth = month === 1 ? 12 : month - 1;
+    return {
+      startDate: `${query.month}-01`,
+      endDate: endOf(year, month),
+      prevStart: `${prevYear}-${String(prevMonth).padStart(2, '0')}-01`,
+      prevEnd: endOf(prevYear, prevMonth)
+    };
+  }
+  const { startDate, endDate } = query;
+  if (!startDate || !endDate) return { startDate, endDate };
+  const day = 1000 * 60 * 60 * 24;
+  const start = new Date(`${startDate}T00:00:00Z`);
+  const length = Math.round((new Date(`${endDate}T00:00:00Z`) - start) / day) + 1;
+  return {
+    startDate,
+    endDate,
+    prevStart: new Date(start - length * day).toISOString().slice(0, 10),
+    prevEnd: new Date(start - day).toISOString().slice(0, 10)
+  };
+}
+
 module.exports = router;
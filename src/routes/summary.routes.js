@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const fs = require('fs').promises;
 const path = require('path');
+const { MissingRateError, resolveBaseCurrency } = require('../services/currency.service');
+const { ledgerTotals } = require('../services/forecast.service');
 
 // Try to use DB if available, otherwise fall back to JSON files
 let db = null;
@@ -29,21 +31,34 @@ async function readJsonIfExists(p) {
  * /api/summary:
  *   get:
  *     summary: 현재 잔액 요약을 반환합니다.
+ *     description: |
+ *       balance = 계좌 시작 잔액 합계(openingBalance) + 수입 합계 - 지출 합계 + 계좌 간 이체의 환산 차이(transferNet).
+ *       통화가 다른 거래와 이체는 거래일 환율, 시작 잔액은 오늘 환율로 기준 통화로 변환해 합산 (금액은 기준 통화의 최소 단위 정수).
+ *       같은 통화 계좌 사이의 이체는 전체 잔액을 바꾸지 않으므로 transferNet 은 통화가 다른 계좌 사이 이체의 환율 차이만 나타냄
+ *     parameters:
+ *       - in: query
+ *         name: baseCurrency
+ *         schema:
+ *           type: string
+ *         description: 기준 통화 (기본값 사용자 설정, 없으면 KRW)
  *     responses:
  *       200:
  *         description: 잔액 및 상태 반환
+ *       422:
+ *         description: 변환에 필요한 환율이 없음
  */
 router.get('/', async (req, res) => {
   try {
     let incomeTotal = 0;
     let expenseTotal = 0;
+    let openingBalance = 0;
+    let transferNet = 0;
+    const baseCurrency = resolveBaseCurrency(req.query, req.user);
+    if (!baseCurrency) return res.status(400).json({ message: 'baseCurrency 는 ISO 4217 통화 코드여야 합니다.' });
 
     if (db) {
-      // better-sqlite3 returns { sum: value } or { SUM(amount): value } depending on SQL
-      const incRow = db.prepare('SELECT SUM(amount) as sum FROM incomes').get();
-      const expRow = db.prepare('SELECT SUM(amount) as sum FROM expenses').get();
-      incomeTotal = Number(incRow && incRow.sum ? incRow.sum : 0);
-      expenseTotal = Number(expRow && expRow.sum ? expRow.sum : 0);
+      // 계좌 시작 잔액과 거래일/통화별 합계를 기준 통화로 변환해 더함
+      ({ incomeTotal, expenseTotal, openingBalance, transferNet } = ledgerTotals(db, req.user.id, baseCurrency));
     } else {
       const incomes = await readJsonIfExists(incomeJsonPath);
       const expenses = await readJsonIfExists(expenseJsonPath);
@@ -51,11 +66,14 @@ router.get('/', async (req, res) => {
       expenseTotal = expenses.reduce((s, e) => s + (Number(e.amount) || 0), 0);
     }
 
-    const balance = Number((incomeTotal - expenseTotal).toFixed(2));
+    const balance = openingBalance + incomeTotal - expenseTotal + transferNet;
 
     const result = {
+      baseCurrency,
+      openingBalance,
       incomeTotal,
       expenseTotal,
+      transferNet,
       balance,
       isNegative: balance < 0,
       isPositive: balance > 0,
@@ -70,6 +88,7 @@ router.get('/', async (req, res) => {
 
     res.json(result);
   } catch (error) {
+    if (error instanceof MissingRateError) return res.status(422).json({ message: error.message });
     res.status(500).json({ message: '요약 계산 중 오류가 발생했습니다.', error: error.message });
   }
 });
@@ -0,0 +1,209 @@
+const express = require('express');
+const router = express.Router();
+const { v4: uuidv4 } = require('uuid');
+const { countTagUsage } = require('../services/tag.service');
+
+let db = null;
+try {
+    db = require('../db');
+} catch (e) {
+    db = null;
+}
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     TagInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         color:
+ *           type: string
+ *           description: 표시 색상 (예 #ff8800)
+ *         description:
+ *           type: string
+ */
+
+/**
+ * @openapi
+ * /api/tags:
+ *   get:
+ *     summary: 로그인한 사용자의 태그 목록 조회 (연결된 수입/지출 건수 포함)
+ *     responses:
+ *       200:
+ *         description: 태그 목록 반환
+ */
+router.get('/', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const rows = db.prepare(`
+            SELECT t.*,
+                   (SELECT COUNT(*) FROM income_tags it JOIN incomes i ON i.id = it.incomeId WHERE it.tagId = t.id AND i.userId = @userId) as incomeCount,
+                   (SELECT COUNT(*) FROM expense_tags et JOIN expenses e ON e.id = et.expenseId WHERE et.tagId = t.id AND e.userId = @userId) as expenseCount
+            FROM tags t
+            WHERE t.userId = @userId
+            ORDER BY t.name
+        `).all({ userId: req.user.id });
+        res.json(rows);
+    } catch (error) {
+        res.status(500).json({ message: '태그를 불러오는데 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/tags/{id}:
+ *   get:
+ *     summary: 특정 태그 조회
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 태그와 usage(연결된 수입/지출 수) 반환
+ *       404:
+ *         description: 찾을 수 없음
+ */
+router.get('/:id', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const tag = getTag(req.params.id, req.user.id);
+        if (!tag) return res.status(404).json({ message: '해당 태그를 찾을 수 없습니다.' });
+        res.json({ ...tag, usage: countTagUsage(db, tag.id, req.user.id) });
+    } catch (error) {
+        res.status(500).json({ message: '태그를 불러오는데 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/tags:
+ *   post:
+ *     summary: 태그 추가
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/TagInput'
+ *               - required: [name]
+ *     responses:
+ *       201:
+ *         description: 생성된 태그 반환
+ *       409:
+ *         description: 같은 이름의 태그가 이미 있음
+ */
+router.post('/', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const name = (req.body.name || '').trim();
+        const { color, description } = req.body;
+        if (!name) return res.status(400).json({ message: '태그 이름은 필수 입력값입니다.' });
+        if (db.prepare('SELECT id FROM tags WHERE userId = ? AND name = ?').get(req.user.id, name)) {
+            return res.status(409).json({ message: '같은 이름의 태그가 이미 존재합니다.' });
+        }
+
+        const id = uuidv4();
+        const now = new Date().toISOString();
+        db.prepare('INSERT INTO tags (id, userId, name, color, description, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?, ?, ?)')
+            .run(id, req.user.id, name, color || null, description || '', now, now);
+        res.status(201).json(getTag(id, req.user.id));
+    } catch (error) {
+        res.status(500).json({ message: '태그 저장에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/tags/{id}:
+ *   put:
+ *     summary: 태그 수정 (이름을 바꾸면 연결된 모든 수입/지출에 바로 반영)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TagInput'
+ *     responses:
+ *       200:
+ *         description: 수정된 태그 반환
+ *       404:
+ *         description: 찾을 수 없음
+ *       409:
+ *         description: 같은 이름의 태그가 이미 있음
+ */
+router.put('/:id', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const existing = getTag(req.params.id, req.user.id);
+        if (!existing) return res.status(404).json({ message: '해당 태그를 찾을 수 없습니다.' });
+
+        const name = req.body.name !== undefined ? String(req.body.name).trim() : existing.name;
+        const { color, description } = req.body;
+        if (!name) return res.status(400).json({ message: '태그 이름은 비워둘 수 없습니다.' });
+        const duplicate = db.prepare('SELECT id FROM tags WHERE userId = ? AND name = ?').get(req.user.id, name);
+        if (duplicate && duplicate.id !== existing.id) {
+            return res.status(409).json({ message: '같은 이름의 태그가 이미 존재합니다.' });
+        }
+
+        db.prepare('UPDATE tags SET name = ?, color = ?, description = ?, updatedAt = ? WHERE id = ?').run(
+            name,
+            color !== undefined ? color : existing.color,
+            description !== undefined ? description : existing.description,
+            new Date().toISOString(),
+            existing.id
+        );
+        res.json({ ...getTag(existing.id, req.user.id), usage: countTagUsage(db, existing.id, req.user.id) });
+    } catch (error) {
+        res.status(500).json({ message: '태그 수정에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/tags/{id}:
+ *   delete:
+ *     summary: 태그 삭제 (연결된 모든 수입/지출에서 태그가 제거됨)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 삭제 결과와 태그가 제거된 수입/지출 수 반환
+ *       404:
+ *         description: 찾을 수 없음
+ */
+router.delete('/:id', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const tag = getTag(req.params.id, req.user.id);
+        if (!tag) return res.status(404).json({ message: '해당 태그를 찾을 수 없습니다.' });
+        const untagged = countTagUsage(db, tag.id, req.user.id);
+        // income_tags / expense_tags 는 ON DELETE CASCADE 로 함께 삭제
+        db.prepare('DELETE FROM tags WHERE id = ?').run(tag.id);
+        res.json({ message: '태그가 삭제되었습니다.', untagged });
+    } catch (error) {
+        res.status(500).json({ message: '태그 삭제에 실패했습니다.', error: error.message });
+    }
+});
+
+// 해당 사용자의 태그, 없으면 undefined
+function getTag(id, userId) {
+    return db.prepare('SELECT * FROM tags WHERE id = ? AND userId = ?').get(id, userId);
+}
+
+module.exports = router;
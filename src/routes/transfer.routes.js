@@ -0,0 +1,234 @@
+const express = require('express');
+const router = express.Router();
+const { v4: uuidv4 } = require('uuid');
+const { MissingRateError } = require('../services/currency.service');
+const { AccountError, prepareTransfer, toTransfers } = require('../services/account.service');
+
+let db = null;
+try {
+    db = require('../db');
+} catch (e) {
+    db = null;
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     TransferInput:
+ *       type: object
+ *       properties:
+ *         fromAccountId:
+ *           type: string
+ *           description: 보내는 계좌 id
+ *         toAccountId:
+ *           type: string
+ *           description: 받는 계좌 id (카드 대금 납부는 은행 계좌 → 카드 계좌)
+ *         amount:
+ *           type: integer
+ *           minimum: 1
+ *           description: 보낸 금액 (보내는 계좌 통화의 최소 단위)
+ *         toAmount:
+ *           type: integer
+ *           minimum: 1
+ *           description: 받은 금액 (받는 계좌 통화의 최소 단위). 통화가 다른 계좌 사이에서 없으면 이체일 환율로 계산
+ *         date:
+ *           type: string
+ *           format: date
+ *         description:
+ *           type: string
+ */
+
+/**
+ * @openapi
+ * /api/transfers:
+ *   get:
+ *     summary: 계좌 간 이체 목록 (수입/지출 통계에는 포함되지 않음)
+ *     parameters:
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *         description: 보내거나 받은 계좌
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: 이체 목록 (fromAccount, toAccount 에 계좌 이름/유형/통화 포함)
+ */
+router.get('/', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const { accountId, startDate, endDate } = req.query;
+        if ((startDate && !DATE_PATTERN.test(startDate)) || (endDate && !DATE_PATTERN.test(endDate))) {
+            return res.status(400).json({ message: 'startDate, endDate 는 YYYY-MM-DD 형식이어야 합니다.' });
+        }
+        const where = ['userId = ?'];
+        const params = [req.user.id];
+        if (accountId) { where.push('(fromAccountId = ? OR toAccountId = ?)'); params.push(accountId, accountId); }
+        if (startDate) { where.push('date >= ?'); params.push(startDate); }
+        if (endDate) { where.push('date <= ?'); params.push(endDate); }
+        const rows = db.prepare(`SELECT * FROM transfers WHERE ${where.join(' AND ')} ORDER BY date DESC, createdAt DESC`).all(...params);
+        res.json(toTransfers(db, rows));
+    } catch (error) {
+        res.status(500).json({ message: '이체 내역을 불러오는데 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/transfers:
+ *   post:
+ *     summary: 계좌 간 이체 추가
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/TransferInput'
+ *               - required: [fromAccountId, toAccountId, amount, date]
+ *     responses:
+ *       201:
+ *         description: 생성된 이체 반환
+ *       400:
+ *         description: 입력값 오류, 없거나 보관된 계좌
+ *       422:
+ *         description: toAmount 를 계산할 환율이 없음
+ */
+router.post('/', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const transfer = prepareTransfer(db, req.user.id, req.body);
+        const id = uuidv4();
+        const now = new Date().toISOString();
+        db.prepare(`
+            INSERT INTO transfers (id, userId, fromAccountId, toAccountId, amount, toAmount, date, description, createdAt, updatedAt)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(id, req.user.id, transfer.fromAccountId, transfer.toAccountId, transfer.amount, transfer.toAmount, transfer.date, transfer.description, now, now);
+        res.status(201).json(getTransfer(id, req.user.id));
+    } catch (error) {
+        if (error instanceof AccountError) return res.status(400).json({ message: error.message });
+        if (error instanceof MissingRateError) return res.status(422).json({ message: error.message });
+        res.status(500).json({ message: '이체 저장에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/transfers/{id}:
+ *   get:
+ *     summary: 이체 조회
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 이체 반환
+ *       404:
+ *         description: 찾을 수 없음
+ */
+router.get('/:id', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const transfer = getTransfer(req.params.id, req.user.id);
+        if (!transfer) return res.status(404).json({ message: '해당 이체를 찾을 수 없습니다.' });
+        res.json(transfer);
+    } catch (error) {
+        res.status(500).json({ message: '이체를 불러오는데 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/transfers/{id}:
+ *   put:
+ *     summary: 이체 수정 (보낸 항목만 변경)
+ *     description: 통화가 다른 계좌 사이의 이체에서 금액, 날짜 또는 계좌를 바꾸고 toAmount 를 보내지 않으면 환율로 다시 계산
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TransferInput'
+ *     responses:
+ *       200:
+ *         description: 수정된 이체 반환
+ *       400:
+ *         description: 입력값 오류, 없거나 보관된 계좌
+ *       404:
+ *         description: 찾을 수 없음
+ *       422:
+ *         description: toAmount 를 계산할 환율이 없음
+ */
+router.put('/:id', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const existing = db.prepare('SELECT * FROM transfers WHERE id = ? AND userId = ?').get(req.params.id, req.user.id);
+        if (!existing) return res.status(404).json({ message: '해당 이체를 찾을 수 없습니다.' });
+        const transfer = prepareTransfer(db, req.user.id, req.body, existing);
+        db.prepare(`
+            UPDATE transfers
+            SET fromAccountId = ?, toAccountId = ?, amount = ?, toAmount = ?, date = ?, description = ?, updatedAt = ?
+            WHERE id = ?
+        `).run(transfer.fromAccountId, transfer.toAccountId, transfer.amount, transfer.toAmount, transfer.date, transfer.description, new Date().toISOString(), existing.id);
+        res.json(getTransfer(existing.id, req.user.id));
+    } catch (error) {
+        if (error instanceof AccountError) return res.status(400).json({ message: error.message });
+        if (error instanceof MissingRateError) return res.status(422).json({ message: error.message });
+        res.status(500).json({ message: '이체 수정에 실패했습니다.', error: error.message });
+    }
+});
+
+/**
+ * @openapi
+ * /api/transfers/{id}:
+ *   delete:
+ *     summary: 이체 삭제
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 삭제 성공 메시지
+ *       404:
+ *         description: 찾을 수 없음
+ */
+router.delete('/:id', (req, res) => {
+    try {
+        if (!db) return res.status(500).json({ message: '데이터베이스를 사용할 수 없습니다.' });
+        const info = db.prepare('DELETE FROM transfers WHERE id = ? AND userId = ?').run(req.params.id, req.user.id);
+        if (info.changes === 0) return res.status(404).json({ message: '해당 이체를 찾을 수 없습니다.' });
+        res.json({ message: '이체가 삭제되었습니다.' });
+    } catch (error) {
+        res.status(500).json({ message: '이체 삭제에 실패했습니다.', error: error.message });
+    }
+});
+
+function getTransfer(id, userId) {
+    const row = db.prepare('SELECT * FROM transfers WHERE id = ? AND userId = ?').get(id, userId);
+    return row ? toTransfers(db, [row])[0] : row;
+}
+
+module.exports = router;
@@ -0,0 +1,237 @@
+// src/scripts/check-openapi.js
+// 라우트 주석의 OpenAPI 명세와 실제 라우트 동작이 어긋나지 않았는지 점검 (npm test)
+// 사용법:
+//   npm test
+//
+// 1) 명세: $ref 가 풀리고 요청 검사에서 지원하는 스키마 키워드만 쓰는지
+// 2) 라우트 ↔ 명세: Express 에 등록된 모든 경로/메서드가 명세에 있고, 명세의 모든 작업이 실제 라우트로 연결되는지
+// 3) 동작: 메모리 DB 로 앱을 띄워 명세의 모든 작업을 호출해 보고
+//    - 스키마에 맞는 요청이 500 이나 ROUTE_NOT_FOUND 가 되지 않는지, 성공 응답이 문서의 응답 스키마에 맞는지
+//    - 필수 항목이 빠지거나 형식이 틀린 요청은 400 VALIDATION_FAILED 로 막히는지
+//    - 모든 오류 응답이 { code, message, details } 형식인지
+// 하나라도 어긋나면 목록을 출력하고 종료 코드 1 로 끝남
+process.env.DB_PATH = ':memory:';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'openapi-check';
+
+const { app } = require('../app');
+const swaggerSpec = require('../swagger');
+const { HTTP_METHODS, resolveRef, validateValue, listOperations, lintSchema } = require('../services/openapi.service');
+const { VALIDATION_FAILED, ROUTE_NOT_FOUND } = require('../middleware/error.middleware');
+
+const SAMPLE_ID = 'openapi-check';
+const SAMPLE_DATE = '2026-01-15';
+const problems = [];
+const deref = (node) => (node && node.$ref ? deref(resolveRef(swaggerSpec, node.$ref)) : node);
+
+// 스키마에 맞는 최소한의 값 (object 는 required 항목만 채움)
+function sample(schema) {
+    schema = deref(schema) || {};
+    if (schema.allOf) {
+        // 여러 부분의 properties/required 를 합쳐 하나의 object 로 만듦
+        const parts = schema.allOf.map(deref);
+        return sample({
+            type: 'object',
+            properties: Object.assign({}, ...parts.map(part => part.properties || {})),
+            required: parts.flatMap(part => part.required || [])
+        });
+    }
+    if (schema.oneOf || schema.anyOf) return sample((schema.oneOf || schema.anyOf)[0]);
+    if (schema.enum) return schema.enum[0];
+    switch (schema.type) {
+    case 'integer':
+    case 'number':
+        return schema.minimum !== undefined ? schema.minimum + (schema.exclusiveMinimum ? 1 : 0) : 1;
+    case 'boolean':
+        return true;
+    case 'array':
+        return [sample(schema.items)];
+    case 'object': {
+        const value = {};
+        (schema.required || []).forEach(key => {
+            value[key] = sample((schema.properties || {})[key]);
+        });
+        return value;
+    }
+    default:
+        if (schema.format === 'date') return SAMPLE_DATE;
+        if (schema.format === 'date-time') return `${SAMPLE_DATE}T00:00:00.000Z`;
+        return SAMPLE_ID;
+    }
+}
+
+// 쿼리 문자열로 보낼 값
+const toQueryValue = (value) => (Array.isArray(value) ? value.join(',') : String(value));
+
+// Express 경로('/:id/occurrences/:date') → 명세 경로('/{id}/occurrences/{date}')
+const toSpecPath = (path) => path.replace(/:(\w+)/g, '{$1}').replace(/\/$/, '');
+
+// 1) 명세 점검
+function checkSpec(operations) {
+    for (const { method, path, operation, parameters } of operations) {
+        const where = `${method.toUpperCase()} ${path}`;
+        parameters.forEach(p => problems.push(...lintSchema(swaggerSpec, p.schema, `${where} ${p.in}:${p.name}`)));
+        const content = (deref(operation.requestBody) || {}).content || {};
+        Object.entries(content).forEach(([type, media]) => problems.push(...lintSchema(swaggerSpec, media.schema, `${where} body(${type})`)));
+        Object.entries(operation.responses || {}).forEach(([status, response]) => {
+            Object.values(deref(response).content || {}).forEach(media => problems.push(...lintSchema(swaggerSpec, media.schema, `${where} ${status}`)));
+        });
+        const declared = parameters.filter(p => p.in === 'path').map(p => p.name).sort();
+        const inPath = [...path.matchAll(/\{([^}]+)\}/g)].map(m => m[1]).sort();
+        if (declared.join() !== inPath.join()) problems.push(`${where}: 경로 변수(${inPath.join(', ')})와 path 파라미터(${declared.join(', ')})가 다름`);
+    }
+}
+
+// 2) Express 에 등록된 라우트 목록 [{ method, path }]
+// Express 5 는 app.use 의 경로 문자열을 보관하지 않으므로 명세 경로의 앞부분 중 라우터가 정확히 일치하는 것을 마운트 경로로 봄
+function expressRoutes(operations) {
+    const prefixes = new Set();
+    operations.forEach(({ path }) => {
+        const segments = path.split('/');
+        for (let i = 2; i <= segments.length; i++) prefixes.add(segments.slice(0, i).join('/'));
+    });
+    const routes = [];
+    for (const layer of app.router.stack) {
+        if (!layer.handle || !Array.isArray(layer.handle.stack) || !layer.matchers) continue;
+        const mount = [...prefixes].find(prefix => {
+            const match = layer.matchers[0](prefix);
+            return match && match.path === prefix;
+        });
+        for (const inner of layer.handle.stack) {
+            if (!inner.route) continue;
+            const methods = Object.keys(inner.route.methods).filter(m => HTTP_METHODS.includes(m));
+            if (mount === undefined) {
+                methods.forEach(m => problems.push(`${m.toUpperCase()} ?${inner.route.path}: 명세에 마운트 경로가 없는 라우터의 라우트`));
+                continue;
+            }
+            methods.forEach(method => routes.push({ method, path: `${mount}${toSpecPath(inner.route.path)}` }));
+        }
+    }
+    return routes;
+}
+
+function checkRoutes(operations) {
+    const documented = new Set(operations.map(o => `${o.method} ${o.path}`));
+    const registered = expressRoutes(operations);
+    const registeredKeys = new Set(registered.map(r => `${r.method} ${r.path}`));
+    registered.filter(r => !documented.has(`${r.method} ${r.path}`))
+        .forEach(r => problems.push(`${r.method.toUpperCase()} ${r.path}: 라우트가 있지만 명세(@openapi 주석)에 없음`));
+    operations.filter(o => !registeredKeys.has(`${o.method} ${o.path}`))
+        .forEach(o => problems.push(`${o.method.toUpperCase()} ${o.path}: 명세에 있지만 해당 라우트가 없음`));
+}
+
+// 3) 동작 점검
+async function call(base, token, method, path, { query, body } = {}) {
+    const url = new URL(`${base}${path}`);
+    Object.entries(query || {}).forEach(([key, value]) => url.searchParams.set(key, toQueryValue(value)));
+    const res = await fetch(url, {
+        method: method.toUpperCase(),
+        headers: { ...(token ? { Authorization: `Bearer ${token}` } : {}), ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}) },
+        body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await res.text();
+    let json = null;
+    try {
+        json = JSON.parse(text);
+    } catch (e) {
+        json = null;
+    }
+    return { status: res.status, json, contentType: res.headers.get('content-type') || '' };
+}
+
+function checkErrorShape(where, res) {
+    if (res.status < 400) return;
+    const body = res.json;
+    if (!body || typeof body.code !== 'string' || typeof body.message !== 'string' || !Array.isArray(body.details)) {
+        problems.push(`${where}: 오류 응답이 { code, message, details } 형식이 아님 (${res.status} ${JSON.stringify(body)})`);
+    }
+}
+
+// 명세에 맞는 요청 (경로 변수, 필수 쿼리, 필수 본문 항목만 채움)
+function validRequest(entry) {
+    let path = entry.path;
+    const query = {};
+    for (const p of entry.parameters) {
+        if (p.in === 'path') path = path.replace(`{${p.name}}`, encodeURIComponent(String(sample(p.schema))));
+        else if (p.in === 'query' && p.required) query[p.name] = sample(p.schema);
+    }
+    const content = (deref(entry.operation.requestBody) || {}).content || {};
+    const body = content['application/json'] ? sample(content['application/json'].schema) : undefined;
+    return { path, query, body };
+}
+
+async function checkBehaviour(base, token, operations) {
+    for (const entry of operations) {
+        const where = `${entry.method.toUpperCase()} ${entry.path}`;
+        const request = validRequest(entry);
+        const res = await call(base, token, entry.method, request.path, request);
+        checkErrorShape(where, res);
+        if (res.json && res.json.code === ROUTE_NOT_FOUND) problems.push(`${where}: 명세에 있지만 요청이 어떤 라우트에도 연결되지 않음`);
+        if (res.status >= 500) problems.push(`${where}: 명세에 맞는 요청이 ${res.status} 로 실패 (${JSON.stringify(res.json)})`);
+        if (res.json && res.json.code === VALIDATION_FAILED) problems.push(`${where}: 명세에 맞게 만든 요청이 요청 검사에서 거절됨 (${JSON.stringify(res.json.details)})`);
+
+        const response = deref((entry.operation.responses || {})[res.status]);
+        const media = response && response.content && response.content['application/json'];
+        if (media && media.schema && res.contentType.includes('application/json')) {
+            validateValue(swaggerSpec, media.schema, res.json)
+                .forEach(error => problems.push(`${where}: ${res.status} 응답이 문서와 다름 - ${error.field || '(body)'}: ${error.message}`));
+        }
+
+        // 필수 본문 항목이 빠진 요청
+        const content = (deref(entry.operation.requestBody) || {}).content || {};
+        if (content['application/json'] && request.body && Object.keys(request.body).length) {
+            const missing = await call(base, token, entry.method, request.path, { query: request.query, body: {} });
+            checkErrorShape(`${where} (빈 본문)`, missing);
+            if (missing.status !== 400 || !missing.json || missing.json.code !== VALIDATION_FAILED) {
+                problems.push(`${where}: 필수 항목이 빠진 본문이 요청 검사에서 막히지 않음 (${missing.status})`);
+            }
+        }
+
+        // 형식이 틀린 쿼리 파라미터 (숫자, 불리언, 날짜, 목록 값)
+        const typed = entry.parameters.find(p => {
+            const schema = deref(p.schema) || {};
+            return p.in === 'query' && (['integer', 'number', 'boolean'].includes(schema.type) || schema.format === 'date' || schema.enum);
+        });
+        if (typed) {
+            const invalid = await call(base, token, entry.method, request.path, { query: { ...request.query, [typed.name]: 'not-valid' }, body: request.body });
+            checkErrorShape(`${where} (${typed.name}=not-valid)`, invalid);
+            if (invalid.status !== 400 || !invalid.json || invalid.json.code !== VALIDATION_FAILED) {
+                problems.push(`${where}: 형식이 틀린 ${typed.name} 가 요청 검사에서 막히지 않음 (${invalid.status})`);
+            }
+        }
+    }
+
+    const unknown = await call(base, token, 'get', '/api/openapi-check-unknown');
+    checkErrorShape('GET /api/openapi-check-unknown', unknown);
+    if (!unknown.json || unknown.json.code !== ROUTE_NOT_FOUND) problems.push('없는 API 요청이 ROUTE_NOT_FOUND 로 응답하지 않음');
+}
+
+async function main() {
+    const operations = listOperations(swaggerSpec);
+    checkSpec(operations);
+    checkRoutes(operations);
+
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    try {
+        const registered = await call(base, null, 'post', '/api/auth/register', { body: { email: 'openapi-check@example.com', password: 'openapi-check-password' } });
+        if (!registered.json || !registered.json.token) throw new Error(`점검용 사용자 가입 실패: ${JSON.stringify(registered.json)}`);
+        // 가입/로그인은 점검 중 다시 호출되므로 토큰을 받은 뒤 진행
+        await checkBehaviour(base, registered.json.token, operations);
+    } finally {
+        server.close();
+    }
+
+    if (problems.length) {
+        console.error(`명세 점검 실패 (${problems.length}건):`);
+        problems.forEach(problem => console.error(`  - ${problem}`));
+        process.exit(1);
+    }
+    console.log(`명세 점검 통과: 작업 ${operations.length}개`);
+    process.exit(0);
+}
+
+main().catch(error => {
+    console.error('명세 점검 중 오류:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,65 @@
+// src/scripts/import-exchange-rates.js
+// 환율 파일(CSV 또는 JSON)을 exchange_rates 테이블에 등록하는 스크립트
+// 사용법: npm run import:rates -- <파일 경로>
+//   CSV : 첫 줄 헤더 date,base,quote,rate (열 순서는 헤더를 따름)
+//   JSON: [{ "date": "2024-01-02", "base": "USD", "quote": "KRW", "rate": 1300.5 }, ...]
+// 같은 base/quote/date 는 rate 를 덮어쓰므로 여러 번 실행해도 안전함
+const fs = require('fs');
+const path = require('path');
+const { normalizeCurrency, validateRate, upsertRate } = require('../services/currency.service');
+
+// 따옴표 없는 단순 CSV (환율 파일은 숫자/코드만 담고 있음)
+function parseRatesCsv(text) {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+    if (!lines.length) return [];
+    const header = lines[0].split(',').map(h => h.trim().toLowerCase());
+    return lines.slice(1).map(line => {
+        const cells = line.split(',').map(c => c.trim());
+        return Object.fromEntries(header.map((key, i) => [key, cells[i]]));
+    });
+}
+
+function readRatesFile(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    return path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(text || '[]') : parseRatesCsv(text);
+}
+
+// 파일을 읽어 한 트랜잭션으로 등록하고 결과 요약을 반환 (잘못된 행은 건너뛰고 줄 번호를 기록)
+function importExchangeRates(db, filePath) {
+    const items = readRatesFile(filePath);
+    const result = { total: items.length, imported: 0, invalid: [] };
+
+    db.transaction(() => {
+        items.forEach((item, index) => {
+            const rate = {
+                base: normalizeCurrency(item.base),
+                quote: normalizeCurrency(item.quote),
+                rate: Number(item.rate),
+                date: item.date
+            };
+            const invalid = validateRate(rate);
+            if (invalid) {
+                result.invalid.push({ row: index + 1, message: invalid });
+                return;
+            }
+            upsertRate(db, rate, 'file');
+            result.imported++;
+        });
+    })();
+
+    return result;
+}
+
+if (require.main === module) {
+    const filePath = process.argv[2];
+    if (!filePath) {
+        console.error('사용법: npm run import:rates -- <CSV 또는 JSON 파일 경로>');
+        process.exit(1);
+    }
+    const db = require('../db');
+    const result = importExchangeRates(db, path.resolve(filePath));
+    console.log(`환율 등록 완료: 전체 ${result.total}건, 등록 ${result.imported}건, 오류 ${result.invalid.length}건`);
+    result.invalid.forEach(({ row, message }) => console.log(`  ${row}번째 행: ${message}`));
+}
+
+module.exports = { parseRatesCsv, importExchangeRates };
@@ -0,0 +1,87 @@
+// src/scripts/import-expenses-json.js
+// data/expenses.json 에 남아있는 지출 데이터를 SQLite expenses 테이블로 옮기는 1회성 스크립트
+// 사용법: npm run import:expenses [-- <json 파일 경로>] [--user <이메일>]
+// --user 를 생략하면 소유자 없이 저장되어 처음 가입하는 사용자에게 귀속됨
+// 기존 id 를 그대로 사용하므로 여러 번 실행해도 이미 옮겨진 행은 건너뜀
+const fs = require('fs');
+const path = require('path');
+const {
+    PAYMENT_METHODS,
+    DEFAULT_EXPENSE_CATEGORY,
+    parseBoolean,
+    categoryIdFromFlags,
+    resolveExpenseCategoryId,
+    createExpense
+} = require('../services/expense.service');
+const { findUserByEmail } = require('../services/auth.service');
+
+const defaultJsonPath = path.join(__dirname, '../data/expenses.json');
+
+// JSON 한 행을 expenses 테이블 형태로 변환
+function mapLegacyExpense(db, item, userId = null) {
+    const categoryId = categoryIdFromFlags(item)
+        || (item.category && resolveExpenseCategoryId(db, { category: item.category }, userId))
+        || DEFAULT_EXPENSE_CATEGORY;
+
+    return {
+        id: String(item.id),
+        userId,
+        amount: Number(item.amount) || 0,
+        categoryId,
+        description: item.description || '',
+        date: String(item.date || item.createdAt || '').slice(0, 10),
+        paymentMethod: PAYMENT_METHODS.includes(item.paymentMethod) ? item.paymentMethod : '기타',
+        location: item.location || '',
+        isFixed: parseBoolean(item.isFixed),
+        tags: item.tags,
+        createdAt: item.createdAt || new Date().toISOString(),
+        updatedAt: item.updatedAt || null
+    };
+}
+
+// JSON 파일을 읽어 한 트랜잭션으로 옮기고 결과 요약을 반환
+function importExpensesFromJson(db, filePath = defaultJsonPath, userId = null) {
+    if (!fs.existsSync(filePath)) {
+        return { total: 0, imported: 0, skipped: 0, invalid: [] };
+    }
+
+    const items = JSON.parse(fs.readFileSync(filePath, 'utf8') || '[]');
+    const exists = db.prepare('SELECT 1 FROM expenses WHERE id = ?');
+    const result = { total: items.length, imported: 0, skipped: 0, invalid: [] };
+
+    db.transaction(() => {
+        for (const item of items) {
+            const expense = mapLegacyExpense(db, item, userId);
+            if (!expense.date || !expense.amount) {
+                result.invalid.push(expense.id);
+                continue;
+            }
+            if (exists.get(expense.id)) {
+                result.skipped++;
+                continue;
+            }
+            createExpense(db, expense);
+            result.imported++;
+        }
+    })();
+
+    return result;
+}
+
+if (require.main === module) {
+    const db = require('../db');
+    const args = process.argv.slice(2);
+    const userIndex = args.indexOf('--user');
+    const email = userIndex >= 0 ? args.splice(userIndex, 2)[1] : null;
+    const user = email ? findUserByEmail(db, email) : null;
+    if (email && !user) {
+        console.error(`가입된 사용자를 찾을 수 없습니다: ${email}`);
+        process.exit(1);
+    }
+    const filePath = args[0] ? path.resolve(args[0]) : defaultJsonPath;
+    const result = importExpensesFromJson(db, filePath, user ? user.id : null);
+    console.log(`지출 이관 완료: 전체 ${result.total}건, 추가 ${result.imported}건, 중복 건너뜀 ${result.skipped}건, 오류 ${result.invalid.length}건`);
+    if (result.invalid.length) console.log('금액 또는 날짜가 없어 건너뛴 id:', result.invalid.join(', '));
+}
+
+module.exports = { importExpensesFromJson, mapLegacyExpense };
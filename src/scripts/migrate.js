@@ -0,0 +1,61 @@
+// src/scripts/migrate.js
+// 스키마 마이그레이션 적용/되돌리기
+// 사용법:
+//   npm run migrate [-- --to <버전>] [--dry-run]            적용되지 않은 마이그레이션 적용
+//   npm run migrate:rollback [-- --steps <n> | --to <버전>] [--dry-run]   최근 마이그레이션 되돌리기
+//   npm run migrate:status                                  적용 현황
+// --dry-run 은 트랜잭션 안에서 실제로 실행해 본 뒤 되돌리므로 DB 는 바뀌지 않음
+process.env.MIGRATE_ON_START = 'false'; // db.js 가 자동으로 최신 버전까지 올리지 않도록
+
+const db = require('../db');
+const { currentVersion, migrationStatus, migrate, rollback } = require('../migrator');
+
+function parseArgs(argv) {
+    const [command = 'up', ...rest] = argv;
+    const options = { command, dryRun: false };
+    for (let i = 0; i < rest.length; i++) {
+        if (rest[i] === '--dry-run') options.dryRun = true;
+        else if (rest[i] === '--to') options.to = Number(rest[++i]);
+        else if (rest[i] === '--steps') options.steps = Number(rest[++i]);
+        else throw new Error(`알 수 없는 옵션: ${rest[i]}`);
+    }
+    if (options.to !== undefined && !Number.isInteger(options.to)) throw new Error('--to 는 정수여야 합니다.');
+    if (options.steps !== undefined && !(Number.isInteger(options.steps) && options.steps > 0)) throw new Error('--steps 는 1 이상의 정수여야 합니다.');
+    return options;
+}
+
+function printList(verb, list, dryRun) {
+    if (!list.length) {
+        console.log(`${verb}할 마이그레이션이 없습니다.`);
+        return;
+    }
+    list.forEach(m => console.log(`${dryRun ? '[dry-run] ' : ''}${verb}: ${m.version}_${m.name}`));
+    if (dryRun) console.log('dry-run 이므로 변경 사항은 모두 되돌렸습니다.');
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    switch (options.command) {
+        case 'up':
+            printList('적용', migrate(db, { to: options.to, dryRun: options.dryRun }), options.dryRun);
+            break;
+        case 'down':
+            printList('되돌리기', rollback(db, { steps: options.steps, to: options.to, dryRun: options.dryRun }), options.dryRun);
+            break;
+        case 'status':
+            migrationStatus(db).forEach(m => {
+                console.log(`${m.appliedAt ? '적용됨  ' : '대기    '} ${m.version}_${m.name}${m.appliedAt ? ` (${m.appliedAt})` : ''}`);
+            });
+            break;
+        default:
+            throw new Error(`알 수 없는 명령: ${options.command} (up, down, status 중 하나)`);
+    }
+    console.log(`현재 스키마 버전: ${currentVersion(db)}`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+}
@@ -1,49 +1,50 @@
-const express = require('express');
-const cors = require('cors');
-require('dotenv').config();
+// src/server.js
+// API 서버 실행과 백그라운드 작업(반복 회차 기록, 알림 규칙 평가, 첨부 파일 정리) 예약 (라우트 구성은 app.js)
+const { app, runAlertEvaluation } = require('./app');
+const { runRecurringJob, scheduleDaily } = require('./services/job.service');
+const { removeOrphanFiles } = require('./services/attachment.service');
+
+let db = null;
+try {
+    db = require('./db');
+} catch (e) {
+    db = null;
+}
 
-const incomeRoutes = require('./routes/income.routes');
-const expenseRoutes = require('./routes/expense.routes');
-const swaggerUi = require('swagger-ui-express');
-const swaggerSpec = require('./swagger');
-const summaryRoutes = require('./routes/summary.routes');
-const recurringRoutes = require('./routes/recurring.routes');
-const statsRoutes = require('./routes/stats.routes');
-
-const app = express();
 const port = process.env.PORT || 3000;
-
-// 미들웨어 설정
-app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-// 기본 라우트
-app.get('/', (req, res) => {
-    res.json({ message: 'Welcome to Money Map API' });
-});
-
-// 수입 관련 라우트
-app.use('/api/income', incomeRoutes);
-
-// 지출 관련 라우트
-app.use('/api/expense', expenseRoutes);
-
-// Swagger UI 제공
-app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
-// Swagger JSON (raw)
-app.get('/api-docs.json', (req, res) => res.json(swaggerSpec));
-
-// 요약(잔액) 관련 라우트
-app.use('/api/summary', summaryRoutes);
-
-// 반복 수입 관련 라우트
-app.use('/api/recurring', recurringRoutes);
-
-// 통계 관련 라우트
-app.use('/api/stats', statsRoutes);
+// 알림 규칙 주기 평가 간격 (분)
+const alertIntervalMinutes = Number(process.env.ALERT_EVAL_INTERVAL_MINUTES) || 60;
+
+// 밀린 반복 회차를 수입/지출로 기록한 뒤 알림 규칙 평가
+function runRecurringMaterializer(trigger) {
+    if (!db) return;
+    try {
+        const run = runRecurringJob(db, trigger);
+        if (run.rowsCreated || run.errors.length) {
+            console.log(`반복 회차 기록: 규칙 ${run.rulesProcessed}개, 거래 ${run.rowsCreated}건 생성, 오류 ${run.errors.length}건`);
+        }
+    } catch (error) {
+        console.error('반복 회차 기록 실패:', error.message);
+    }
+    runAlertEvaluation();
+}
+
+// 어떤 첨부도 참조하지 않는 파일과 저장 도중 멈춘 업로드가 남긴 파일을 저장 폴더에서 지움
+function cleanupAttachmentFiles() {
+    if (!db) return;
+    try {
+        const removed = removeOrphanFiles(db, { scanDisk: true });
+        if (removed.files || removed.strayFiles) console.log(`첨부 파일 정리: ${removed.files + removed.strayFiles}개 삭제`);
+    } catch (error) {
+        console.error('첨부 파일 정리 실패:', error.message);
+    }
+}
 
 // 서버 시작
 app.listen(port, () => {
     console.log(`서버가 포트 ${port}에서 실행 중입니다.`);
-});
\ No newline at end of file
+    cleanupAttachmentFiles();
+    runRecurringMaterializer('startup');
+    scheduleDaily(() => runRecurringMaterializer('schedule'));
+    setInterval(runAlertEvaluation, alertIntervalMinutes * 60 * 1000);
+});
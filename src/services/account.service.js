@@ -0,0 +1,299 @@
+// src/services/account.service.js
+// 계좌(은행 계좌, 카드, 현금, 저축 계좌)와 계좌 간 이체, 잔액 계산, 명세서 잔액과의 대사
+//
+// 잔액 = openingBalance + 수입 - 지출 + 받은 이체(toAmount) - 보낸 이체(amount), 모두 계좌 통화의 최소 단위
+// 계좌 통화와 다른 통화의 수입/지출은 거래일 환율로 바꿔 더한다 (환율이 없으면 MissingRateError).
+// 이체는 수입/지출이 아니므로 통계, 예산, 예측에는 들어가지 않는다.
+const { v4: uuidv4 } = require('uuid');
+const { format } = require('date-fns');
+const { DEFAULT_CURRENCY, convertMinor, convertRows, sumConverted } = require('./currency.service');
+
+const ACCOUNT_TYPES = ['bank', 'card', 'cash', 'savings'];
+// 계좌 유형 → 지출의 결제 수단 (결제 수단 없이 계좌만 지정한 지출)
+const PAYMENT_METHOD_BY_TYPE = { bank: '계좌이체', card: '카드', cash: '현금', savings: '계좌이체' };
+// 결제 수단 → 계좌 유형 (계좌 없이 결제 수단만 지정한 지출, 계좌이체/기타와 수입은 은행 계좌)
+const TYPE_BY_PAYMENT_METHOD = { 현금: 'cash', 카드: 'card', 계좌이체: 'bank', 기타: 'bank' };
+// 계좌가 하나도 없는 사용자의 거래를 위해 자동으로 만드는 계좌 이름
+const DEFAULT_ACCOUNT_NAMES = { bank: '은행 계좌', card: '카드', cash: '현금', savings: '저축 계좌' };
+
+const today = () => format(new Date(), 'yyyy-MM-dd');
+
+// 잘못된 계좌 지정이나 이체/대사 입력 (메시지를 그대로 400 으로 응답)
+class AccountError extends Error {}
+
+function toAccount(row) {
+    return row ? { ...row, isDefault: !!row.isDefault, isArchived: !!row.isArchived } : row;
+}
+
+// 해당 사용자의 계좌 한 건, 없으면 undefined
+function getAccount(db, id, userId) {
+    return db.prepare('SELECT * FROM accounts WHERE id = ? AND userId IS ?').get(id, userId);
+}
+
+// 계좌 입력값 검사 (undefined 인 값은 건너뜀), 문제가 있으면 오류 메시지 반환
+// 마감일(statementDay), 결제일(paymentDay)은 카드 계좌에만 지정 (null 이면 기본 결제 주기)
+function validateAccount({ name, type, openingBalance, statementDay, paymentDay }) {
+    if (name !== undefined && !String(name || '').trim()) return '계좌 이름은 비워둘 수 없습니다.';
+    if (type !== undefined && !ACCOUNT_TYPES.includes(type)) return `계좌 유형은 ${ACCOUNT_TYPES.join(', ')} 중 하나여야 합니다.`;
+    if (openingBalance !== undefined && !Number.isSafeInteger(Number(openingBalance))) return '시작 잔액은 통화의 최소 단위 기준 정수여야 합니다.';
+    const billingDays = { statementDay, paymentDay };
+    for (const [key, value] of Object.entries(billingDays)) {
+        if (value === undefined || value === null) continue;
+        if (!Number.isInteger(Number(value)) || Number(value) < 1 || Number(value) > 31) return `${key} 는 1~31 사이의 날짜여야 합니다. (그 달에 없는 날은 말일)`;
+        if (type !== undefined && type !== 'card') return '마감일(statementDay)과 결제일(paymentDay)은 카드 계좌에만 지정할 수 있습니다.';
+    }
+    return null;
+}
+
+// 계좌 추가 후 저장된 행 반환 (isDefault 면 다른 계좌의 기본 표시를 지움, 호출하는 쪽에서 트랜잭션으로 감쌀 것)
+function createAccount(db, userId, data) {
+    const id = data.id || uuidv4();
+    const now = new Date().toISOString();
+    if (data.isDefault) db.prepare('UPDATE accounts SET isDefault = 0 WHERE userId IS ?').run(userId);
+    db.prepare(`
+        INSERT INTO accounts (id, userId, name, type, currency, openingBalance, institution, note, statementDay, paymentDay, isDefault, isArchived, createdAt, updatedAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        id,
+        userId,
+        String(data.name).trim(),
+        data.type,
+        data.currency || DEFAULT_CURRENCY,
+        Number(data.openingBalance || 0),
+        data.institution || null,
+        data.note || null,
+        data.statementDay ? Number(data.statementDay) : null,
+        data.paymentDay ? Number(data.paymentDay) : null,
+        data.isDefault ? 1 : 0,
+        data.isArchived ? 1 : 0,
+        now,
+        now
+    );
+    return getAccount(db, id, userId);
+}
+
+// 거래가 들어갈 계좌
+//   accountId 가 있으면 해당 사용자의 보관되지 않은 계좌 (아니면 AccountError)
+//   없으면 결제 수단에 맞는 유형의 계좌 → 기본 계좌 → 아무 계좌 순, 계좌가 하나도 없으면 새로 만든 기본 계좌
+function resolveAccount(db, userId, { accountId, paymentMethod } = {}) {
+    if (accountId) {
+        const account = getAccount(db, accountId, userId);
+        if (!account) throw new AccountError('존재하지 않는 계좌입니다.');
+        if (account.isArchived) throw new AccountError(`보관된 계좌(${account.name})에는 거래를 추가할 수 없습니다.`);
+        return account;
+    }
+    const type = paymentMethod ? TYPE_BY_PAYMENT_METHOD[paymentMethod] : null;
+    const found = db.prepare(`
+        SELECT * FROM accounts
+        WHERE userId IS ? AND isArchived = 0
+        ORDER BY (type = ?) DESC, isDefault DESC, createdAt, id
+        LIMIT 1
+    `).get(userId, type);
+    if (found) return found;
+
+    const newType = type || 'bank';
+    const hasAccounts = !!db.prepare('SELECT 1 FROM accounts WHERE userId IS ? LIMIT 1').get(userId);
+    const user = userId ? db.prepare('SELECT baseCurrency FROM users WHERE id = ?').get(userId) : null;
+    return createAccount(db, userId, {
+        name: uniqueAccountName(db, userId, DEFAULT_ACCOUNT_NAMES[newType]),
+        type: newType,
+        currency: (user && user.baseCurrency) || DEFAULT_CURRENCY,
+        isDefault: !hasAccounts
+    });
+}
+
+// 같은 이름의 계좌(보관된 계좌 포함)가 있으면 뒤에 번호를 붙인 이름
+function uniqueAccountName(db, userId, name) {
+    const taken = new Set(db.prepare('SELECT name FROM accounts WHERE userId IS ?').all(userId).map(row => row.name));
+    let candidate = name;
+    for (let i = 2; taken.has(candidate); i++) candidate = `${name} ${i}`;
+    return candidate;
+}
+
+// 계좌가 없는 수입/지출(계좌 도입 이전의 보관 파일에서 불러온 행)을 지출은 결제 수단에 맞는 계좌, 수입은 기본 계좌로 연결
+// 연결한 거래 수 반환
+function linkUnassignedTransactions(db, userId) {
+    let linked = 0;
+    db.prepare('SELECT DISTINCT paymentMethod FROM expenses WHERE userId IS ? AND accountId IS NULL').all(userId).forEach(({ paymentMethod }) => {
+        const account = resolveAccount(db, userId, { paymentMethod });
+        linked += db.prepare('UPDATE expenses SET accountId = ? WHERE userId IS ? AND accountId IS NULL AND paymentMethod IS ?')
+            .run(account.id, userId, paymentMethod).changes;
+    });
+    if (db.prepare('SELECT 1 FROM incomes WHERE userId IS ? AND accountId IS NULL LIMIT 1').get(userId)) {
+        const account = resolveAccount(db, userId);
+        linked += db.prepare('UPDATE incomes SET accountId = ? WHERE userId IS ? AND accountId IS NULL').run(account.id, userId).changes;
+    }
+    return linked;
+}
+
+// 결제 수단을 지정하지 않은 지출의 결제 수단
+function paymentMethodForAccount(account) {
+    return PAYMENT_METHOD_BY_TYPE[account.type] || '기타';
+}
+
+// 계좌를 참조하는 수입/지출, 이체, 반복 규칙 수
+function accountUsage(db, accountId) {
+    const count = (sql) => db.prepare(sql).get({ accountId }).count;
+    return {
+        incomes: count('SELECT COUNT(*) as count FROM incomes WHERE accountId = @accountId'),
+        expenses: count('SELECT COUNT(*) as count FROM expenses WHERE accountId = @accountId'),
+        transfers: count('SELECT COUNT(*) as count FROM transfers WHERE fromAccountId = @accountId OR toAccountId = @accountId'),
+        recurringRules: count('SELECT COUNT(*) as count FROM recurring_rules WHERE accountId = @accountId')
+    };
+}
+
+// asOf(포함, 없으면 모든 거래)까지의 잔액과 항목별 합계 (계좌 통화)
+function accountBalance(db, account, asOf = null) {
+    const until = asOf || '9999-12-31';
+    const grouped = (table) => db.prepare(`
+        SELECT date, currency, SUM(amount) as amount FROM ${table}
+        WHERE accountId = ? AND date <= ?
+        GROUP BY date, currency
+    `).all(account.id, until);
+    const income = sumConverted(db, grouped('incomes'), account.currency);
+    const expense = sumConverted(db, grouped('expenses'), account.currency);
+    const transfersIn = db.prepare('SELECT COALESCE(SUM(toAmount), 0) as total FROM transfers WHERE toAccountId = ? AND date <= ?').get(account.id, until).total;
+    const transfersOut = db.prepare('SELECT COALESCE(SUM(amount), 0) as total FROM transfers WHERE fromAccountId = ? AND date <= ?').get(account.id, until).total;
+    return {
+        asOf,
+        openingBalance: account.openingBalance,
+        income,
+        expense,
+        transfersIn,
+        transfersOut,
+        balance: account.openingBalance + income - expense + transfersIn - transfersOut
+    };
+}
+
+// from(제외) 다음 날부터 to(포함)까지 계좌의 입출금 내역 (amount 는 거래 통화, accountAmount 는 계좌 통화 기준 부호 있는 금액)
+function accountEntries(db, account, from, to) {
+    const rows = db.prepare(`
+        SELECT 'income' as kind, id, date, amount, currency, description, createdAt FROM incomes
+        WHERE accountId = @accountId AND date > @from AND date <= @to
+        UNION ALL
+        SELECT 'expense', id, date, amount, currency, description, createdAt FROM expenses
+        WHERE accountId = @accountId AND date > @from AND date <= @to
+        UNION ALL
+        SELECT 'transferIn', id, date, toAmount, @currency, description, createdAt FROM transfers
+        WHERE toAccountId = @accountId AND date > @from AND date <= @to
+        UNION ALL
+        SELECT 'transferOut', id, date, amount, @currency, description, createdAt FROM transfers
+        WHERE fromAccountId = @accountId AND date > @from AND date <= @to
+        ORDER BY date, createdAt
+    `).all({ accountId: account.id, currency: account.currency, from: from || '', to });
+    return convertRows(db, rows, account.currency).map(({ convertedAmount, createdAt, ...row }) => ({
+        ...row,
+        accountAmount: row.kind === 'income' || row.kind === 'transferIn' ? convertedAmount : -convertedAmount
+    }));
+}
+
+// 이체 입력 검사 후 저장할 값 반환 (existing 이 있으면 보내지 않은 값은 기존 값), 잘못된 입력이면 AccountError
+// 통화가 다른 계좌 사이에서 toAmount 를 보내지 않으면 이체일 환율로 계산 (환율이 없으면 MissingRateError)
+function prepareTransfer(db, userId, input, existing = null) {
+    const pick = (key) => (input[key] !== undefined && input[key] !== null ? input[key] : existing && existing[key]);
+    const fromAccountId = pick('fromAccountId');
+    const toAccountId = pick('toAccountId');
+    if (!fromAccountId || !toAccountId) throw new AccountError('보내는 계좌(fromAccountId)와 받는 계좌(toAccountId)는 필수 입력값입니다.');
+    if (fromAccountId === toAccountId) throw new AccountError('보내는 계좌와 받는 계좌가 같습니다.');
+
+    // 이미 있는 이체의 계좌를 그대로 두는 경우에는 보관된 계좌도 허용
+    const accountFor = (id, previousId) => (existing && id === previousId
+        ? getAccount(db, id, userId)
+        : resolveAccount(db, userId, { accountId: id }));
+    const from = accountFor(fromAccountId, existing && existing.fromAccountId);
+    const to = accountFor(toAccountId, existing && existing.toAccountId);
+
+    const amount = Number(pick('amount'));
+    const date = pick('date');
+    if (!Number.isSafeInteger(amount) || amount <= 0) throw new AccountError('이체 금액은 보내는 계좌 통화의 최소 단위 기준 0보다 큰 정수여야 합니다.');
+    if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) throw new AccountError('이체 날짜는 YYYY-MM-DD 형식이어야 합니다.');
+
+    let toAmount;
+    if (from.currency === to.currency) {
+        if (input.toAmount !== undefined && input.toAmount !== null && Number(input.toAmount) !== amount) {
+            throw new AccountError('통화가 같은 계좌 사이의 이체는 toAmount 가 amount 와 같아야 합니다.');
+        }
+        toAmount = amount;
+    } else if (input.toAmount !== undefined && input.toAmount !== null) {
+        toAmount = Number(input.toAmount);
+    } else if (existing && input.amount === undefined && input.date === undefined && input.fromAccountId === undefined && input.toAccountId === undefined) {
+        toAmount = existing.toAmount;
+    } else {
+        toAmount = convertMinor(db, amount, from.currency, to.currency, date);
+    }
+    if (!Number.isSafeInteger(toAmount) || toAmount <= 0) throw new AccountError('toAmount 는 받는 계좌 통화의 최소 단위 기준 0보다 큰 정수여야 합니다.');
+
+    const description = input.description !== undefined ? String(input.description || '') : (existing ? existing.description : '');
+    return { fromAccountId: from.id, toAccountId: to.id, amount, toAmount, date, description };
+}
+
+// 이체 응답 형태 (계좌 이름과 통화 포함)
+function toTransfers(db, rows) {
+    const accounts = new Map();
+    const accountOf = (id) => {
+        if (!accounts.has(id)) accounts.set(id, db.prepare('SELECT id, name, type, currency FROM accounts WHERE id = ?').get(id) || null);
+        return accounts.get(id);
+    };
+    return rows.map(row => ({ ...row, fromAccount: accountOf(row.fromAccountId), toAccount: accountOf(row.toAccountId) }));
+}
+
+// 명세서 잔액과 date 까지의 장부 잔액 비교
+// 마지막으로 잔액이 맞았던 대사 이후의 입출금 내역을 함께 돌려주어 차이가 나는 거래를 찾을 수 있게 함
+// dryRun 이 아니면 account_reconciliations 에 기록
+function reconcileAccount(db, account, { statementBalance, date, note, dryRun = false }) {
+    const asOf = date || today();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(asOf) || Number.isNaN(Date.parse(asOf))) throw new AccountError('대사 기준일은 YYYY-MM-DD 형식이어야 합니다.');
+    if (!Number.isSafeInteger(Number(statementBalance))) throw new AccountError('명세서 잔액(statementBalance)은 계좌 통화의 최소 단위 기준 정수여야 합니다.');
+
+    const { balance } = accountBalance(db, account, asOf);
+    const difference = Number(statementBalance) - balance;
+    const lastMatched = db.prepare(`
+        SELECT date FROM account_reconciliations
+        WHERE accountId = ? AND difference = 0 AND date <= ?
+        ORDER BY date DESC, createdAt DESC
+        LIMIT 1
+    `).get(account.id, asOf);
+    const lastReconciledDate = lastMatched ? lastMatched.date : null;
+
+    const result = {
+        id: null,
+        accountId: account.id,
+        currency: account.currency,
+        date: asOf,
+        statementBalance: Number(statementBalance),
+        balance,
+        difference,
+        isReconciled: difference === 0,
+        lastReconciledDate,
+        note: note || null,
+        entries: accountEntries(db, account, lastReconciledDate, asOf)
+    };
+    if (dryRun) return result;
+
+    result.id = uuidv4();
+    db.prepare(`
+        INSERT INTO account_reconciliations (id, userId, accountId, date, statementBalance, balance, difference, note, createdAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(result.id, account.userId, account.id, asOf, result.statementBalance, balance, difference, result.note, new Date().toISOString());
+    return result;
+}
+
+module.exports = {
+    ACCOUNT_TYPES,
+    PAYMENT_METHOD_BY_TYPE,
+    TYPE_BY_PAYMENT_METHOD,
+    AccountError,
+    toAccount,
+    getAccount,
+    validateAccount,
+    createAccount,
+    resolveAccount,
+    linkUnassignedTransactions,
+    paymentMethodForAccount,
+    accountUsage,
+    accountBalance,
+    accountEntries,
+    prepareTransfer,
+    toTransfers,
+    reconcileAccount
+};
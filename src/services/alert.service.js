@@ -0,0 +1,252 @@
+// src/services/alert.service.js
+// alerts.condition(JSON) 을 해석해 조건을 만족하면 notifications 에 알림을 남기는 규칙 엔진
+//
+// 조건 형식
+//   budget    { "metric": "percentUsed", "operator": ">=", "value": 80, "budgetId"?, "categoryId"? }
+//             metric: percentUsed | spent | remaining | projectedOverspend
+//   recurring { "daysBefore": 3, "ruleId"?, "ruleType"?: "income" | "expense" }
+//   goal      { "metric": "behindSchedule", "goalId"? }
+//             또는 { "metric": "progress" | "requiredMonthlySaving", "operator": "<", "value": 50, "goalId"? }
+//   anomaly   { "kinds"?: ["amount", "duplicate", "recurringIncrease"], "lookbackDays"?: 7 }
+//             최근 lookbackDays 일 지출 중 이상 지출 (사용자가 무시한 것 제외)
+//
+// 같은 대상에 대해서는 dedupKey(예산 기간, 반복 발생일, 목표의 월, 이상 지출) 당 한 번만 알림을 만든다.
+const { v4: uuidv4 } = require('uuid');
+const { addDays, differenceInCalendarDays, format, parseISO } = require('date-fns');
+const { budgetStatus } = require('./budget.service');
+const { ANOMALY_KINDS, detectAnomalies, anomalyDedupKey } = require('./anomaly.service');
+const { DEFAULT_CURRENCY, MissingRateError } = require('./currency.service');
+const { loadGoal, goalProgress } = require('./goal.service');
+const { upcomingOccurrence } = require('./recurrence.service');
+
+const OPERATORS = {
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b
+};
+
+const BUDGET_METRICS = ['percentUsed', 'spent', 'remaining', 'projectedOverspend'];
+const GOAL_METRICS = ['behindSchedule', 'progress', 'requiredMonthlySaving'];
+
+const toDateString = (date) => format(date, 'yyyy-MM-dd');
+
+function parseCondition(condition) {
+    if (typeof condition !== 'string') return condition;
+    try {
+        return JSON.parse(condition);
+    } catch (e) {
+        return null;
+    }
+}
+
+// 비교 조건(metric/operator/value) 검사
+function validateComparison(condition, metrics) {
+    if (!metrics.includes(condition.metric)) return `metric 은 ${metrics.join(', ')} 중 하나여야 합니다.`;
+    if (!OPERATORS[condition.operator]) return `operator 는 ${Object.keys(OPERATORS).join(', ')} 중 하나여야 합니다.`;
+    if (typeof condition.value !== 'number') return 'value 는 숫자여야 합니다.';
+    return null;
+}
+
+// 알림 유형에 맞는 조건인지 검사, 문제가 있으면 오류 메시지 반환
+function validateCondition(type, rawCondition) {
+    const condition = parseCondition(rawCondition);
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) return 'condition 은 JSON 객체여야 합니다.';
+
+    switch (type) {
+        case 'budget':
+            return validateComparison(condition, BUDGET_METRICS);
+        case 'recurring':
+            if (!Number.isInteger(condition.daysBefore) || condition.daysBefore < 0) return 'daysBefore 는 0 이상의 정수여야 합니다.';
+            if (condition.ruleType && !['income', 'expense'].includes(condition.ruleType)) return 'ruleType 은 income 또는 expense 여야 합니다.';
+            return null;
+        case 'goal':
+            if ((condition.metric || 'behindSchedule') === 'behindSchedule') return null;
+            return validateComparison(condition, GOAL_METRICS);
+        case 'anomaly':
+            if (condition.kinds !== undefined && (!Array.isArray(condition.kinds) || !condition.kinds.length || condition.kinds.some(k => !ANOMALY_KINDS.includes(k)))) {
+                return `kinds 는 ${ANOMALY_KINDS.join(', ')} 중 하나 이상을 담은 배열이어야 합니다.`;
+            }
+            if (condition.lookbackDays !== undefined && (!Number.isInteger(condition.lookbackDays) || condition.lookbackDays < 1)) return 'lookbackDays 는 1 이상의 정수여야 합니다.';
+            return null;
+        default:
+            return 'type 은 budget, recurring, goal, anomaly 중 하나여야 합니다.';
+    }
+}
+
+// 각 matcher 는 알림 규칙 소유자(alert.userId)의 예산/반복 규칙/목표만 평가
+function budgetMatches(db, alert, condition, asOf) {
+    let sql = 'SELECT * FROM budgets WHERE userId IS ?';
+    const params = [alert.userId];
+    if (condition.budgetId) { sql += ' AND id = ?'; params.push(condition.budgetId); }
+    if (condition.categoryId) { sql += ' AND categoryId = ?'; params.push(condition.categoryId); }
+
+    return db.prepare(sql).all(...params)
+        .map(budget => ({ budget, status: statusOrNull(db, budget, asOf) }))
+        .filter(({ status }) => status && status.isActive && OPERATORS[condition.operator](Number(status[condition.metric]), condition.value))
+        .map(({ budget, status }) => {
+            const category = db.prepare('SELECT name FROM categories WHERE id = ?').get(budget.categoryId);
+            return {
+                dedupKey: `budget:${budget.id}:${status.startDate}`,
+                data: { ...status, categoryName: category ? category.name : budget.categoryId },
+                defaultMessage: `${category ? category.name : budget.categoryId} 예산의 ${status.percentUsed}%를 사용했습니다. (남은 금액 ${status.remaining})`
+            };
+        });
+}
+
+// 환율이 없어 계산할 수 없는 예산은 이번 평가에서 건너뜀
+function statusOrNull(db, budget, asOf) {
+    try {
+        return budgetStatus(db, budget, asOf);
+    } catch (error) {
+        if (error instanceof MissingRateError) return null;
+        throw error;
+    }
+}
+
+function recurringMatches(db, alert, condition, asOf) {
+    let sql = 'SELECT * FROM recurring_rules WHERE isActive = 1 AND userId IS ?';
+    const params = [alert.userId];
+    if (condition.ruleId) { sql += ' AND id = ?'; params.push(condition.ruleId); }
+    if (condition.ruleType) { sql += ' AND type = ?'; params.push(condition.ruleType); }
+
+    const matches = [];
+    for (const rule of db.prepare(sql).all(...params)) {
+        const date = upcomingOccurrence(db, rule, asOf);
+        if (!date) continue;
+        const daysUntil = differenceInCalendarDays(parseISO(date), parseISO(asOf));
+        if (daysUntil > condition.daysBefore) continue;
+        const label = rule.description || rule.categoryId;
+        matches.push({
+            dedupKey: `recurring:${rule.id}:${date}`,
+            data: { ruleId: rule.id, type: rule.type, amount: rule.amount, description: rule.description, date, daysUntil },
+            defaultMessage: daysUntil === 0
+                ? `오늘 ${label} ${rule.amount}원이 예정되어 있습니다.`
+                : `${daysUntil}일 후(${date}) ${label} ${rule.amount}원이 예정되어 있습니다.`
+        });
+    }
+    return matches;
+}
+
+function goalMatches(db, alert, condition, asOf) {
+    // 저장된 isCompleted 는 낡았을 수 있으므로 달성 여부는 계산한 값으로 판단
+    let sql = 'SELECT id FROM financial_goals WHERE userId IS ?';
+    const params = [alert.userId];
+    if (condition.goalId) { sql += ' AND id = ?'; params.push(condition.goalId); }
+
+    const metric = condition.metric || 'behindSchedule';
+    const matches = [];
+    for (const { id } of db.prepare(sql).all(...params)) {
+        let goal;
+        try {
+            goal = loadGoal(db, id);
+        } catch (error) {
+            // 연결된 지출을 목표 통화로 바꿀 환율이 없으면 이번 평가에서 건너뜀
+            if (error instanceof MissingRateError) continue;
+            throw error;
+        }
+        if (goal.isCompleted) continue;
+        const progress = goalProgress(goal, asOf);
+        const hit = metric === 'behindSchedule'
+            ? !progress.isOnTrack
+            : OPERATORS[condition.operator](Number(progress[metric]), condition.value);
+        if (!hit) continue;
+        matches.push({
+            // 목표 알림은 한 달에 한 번만
+            dedupKey: `goal:${goal.id}:${asOf.slice(0, 7)}`,
+            data: { goalId: goal.id, name: goal.name, currentAmount: goal.currentAmount, targetAmount: goal.targetAmount, targetDate: goal.targetDate, ...progress },
+            defaultMessage: `'${goal.name}' 목표가 일정보다 늦어지고 있습니다. 목표일까지 매월 ${progress.requiredMonthlySaving}원을 모아야 합니다.`
+        });
+    }
+    return matches;
+}
+
+// 사용자의 기준 통화로 비교, 환율이 없어 변환할 수 없으면 이번 평가에서 건너뜀
+function anomalyMatches(db, alert, condition, asOf) {
+    const user = db.prepare('SELECT baseCurrency FROM users WHERE id = ?').get(alert.userId);
+    let anomalies;
+    try {
+        anomalies = detectAnomalies(db, alert.userId, {
+            startDate: toDateString(addDays(parseISO(asOf), -((condition.lookbackDays || 7) - 1))),
+            endDate: asOf,
+            baseCurrency: (user && user.baseCurrency) || DEFAULT_CURRENCY,
+            kinds: condition.kinds || ANOMALY_KINDS
+        });
+    } catch (error) {
+        if (error instanceof MissingRateError) return [];
+        throw error;
+    }
+    return anomalies.map(anomaly => ({
+        dedupKey: anomalyDedupKey(anomaly.kind, anomaly.expenseId),
+        data: anomaly,
+        defaultMessage: `${anomaly.date} 이상 지출: ${anomaly.reason}`
+    }));
+}
+
+const MATCHERS = {
+    budget: budgetMatches,
+    recurring: recurringMatches,
+    goal: goalMatches,
+    anomaly: anomalyMatches
+};
+
+// 알림 문구의 {필드} 를 조건 평가 결과 값으로 치환
+function renderMessage(template, data, fallback) {
+    if (!template) return fallback;
+    return template.replace(/\{(\w+)\}/g, (whole, key) => (data[key] !== undefined && data[key] !== null ? String(data[key]) : whole));
+}
+
+// 활성화된 알림 규칙(userId 를 주면 그 사용자의 규칙만)을 평가하고 새로 만들어진 알림 목록을 반환
+function evaluateAlerts(db, asOf = toDateString(new Date()), userId) {
+    const alerts = userId
+        ? db.prepare('SELECT * FROM alerts WHERE isActive = 1 AND userId = ?').all(userId)
+        : db.prepare('SELECT * FROM alerts WHERE isActive = 1').all();
+    const insert = db.prepare(`
+        INSERT OR IGNORE INTO notifications (id, userId, alertId, type, dedupKey, message, data, isRead, createdAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?)
+    `);
+    const created = [];
+
+    db.transaction(() => {
+        for (const alert of alerts) {
+            const condition = parseCondition(alert.condition);
+            if (validateCondition(alert.type, condition)) continue; // 잘못 저장된 조건은 건너뜀
+
+            for (const match of MATCHERS[alert.type](db, alert, condition, asOf)) {
+                const notification = {
+                    id: uuidv4(),
+                    userId: alert.userId,
+                    alertId: alert.id,
+                    type: alert.type,
+                    dedupKey: match.dedupKey,
+                    message: renderMessage(alert.message, match.data, match.defaultMessage),
+                    data: match.data,
+                    isRead: false,
+                    createdAt: new Date().toISOString()
+                };
+                const info = insert.run(
+                    notification.id,
+                    notification.userId,
+                    notification.alertId,
+                    notification.type,
+                    notification.dedupKey,
+                    notification.message,
+                    JSON.stringify(notification.data),
+                    notification.createdAt
+                );
+                if (info.changes > 0) created.push(notification);
+            }
+        }
+    })();
+
+    return created;
+}
+
+module.exports = {
+    OPERATORS,
+    parseCondition,
+    validateCondition,
+    evaluateAlerts
+};
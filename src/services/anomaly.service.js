@@ -0,0 +1,246 @@
+// src/services/anomaly.service.js
+// 사용자 자신의 지출 기록과 비교해 평소와 다른 지출을 찾음
+//
+// 종류(kind)
+//   amount            같은 카테고리의 최근 지출보다 훨씬 큰 금액 (중앙값 + MAD 기반, 이상치에 덜 흔들림)
+//   duplicate         같은 장소(장소가 없으면 같은 내용)에서 같은 금액이 짧은 기간 안에 다시 결제됨
+//   recurringIncrease 반복 규칙으로 생긴 지출이나 같은 내용의 고정 지출이 직전 회차들보다 크게 오름
+// 금액 비교는 기준 통화로 변환한 값으로 한다. 사용자가 무시한 결과(anomaly_dismissals)는 기본적으로 빼고 반환한다.
+const { v4: uuidv4 } = require('uuid');
+const { addDays, format, parseISO } = require('date-fns');
+const { convertRows } = require('./currency.service');
+
+const ANOMALY_KINDS = ['amount', 'duplicate', 'recurringIncrease'];
+
+// 판단 기준 기본값
+const DEFAULT_OPTIONS = {
+    lookbackDays: 365, // amount: 비교할 같은 카테고리 지출 기간
+    minHistory: 5, // amount: 비교에 필요한 최소 지출 수
+    ratio: 2, // amount: 중앙값의 몇 배 이상이어야 하는지
+    deviations: 3.5, // amount: 중앙값에서 몇 MAD(표준편차 환산) 이상 벗어나야 하는지
+    windowDays: 3, // duplicate: 같은 결제로 볼 기간
+    increasePercent: 20 // recurringIncrease: 직전 회차 평균 대비 증가율(%)
+};
+// MAD 를 정규분포 표준편차로 환산하는 계수
+const MAD_SCALE = 1.4826;
+// recurringIncrease: 비교할 직전 회차 수
+const RECURRING_HISTORY = 3;
+
+const toDateString = (date) => format(date, 'yyyy-MM-dd');
+const shiftDate = (date, days) => toDateString(addDays(parseISO(date), days));
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// 같은 카테고리의 lookbackDays 안 지출과 비교해 큰 금액
+function amountAnomalies(expenses, targets, options) {
+    const byCategory = new Map();
+    expenses.forEach(e => {
+        if (!byCategory.has(e.categoryId)) byCategory.set(e.categoryId, []);
+        byCategory.get(e.categoryId).push(e);
+    });
+
+    const results = [];
+    for (const expense of targets) {
+        const since = shiftDate(expense.date, -options.lookbackDays);
+        const history = byCategory.get(expense.categoryId)
+            .filter(e => e.id !== expense.id && e.date < expense.date && e.date >= since)
+            .map(e => e.convertedAmount);
+        if (history.length < options.minHistory) continue;
+
+        const typical = median(history);
+        const mad = median(history.map(v => Math.abs(v - typical))) * MAD_SCALE;
+        // 금액이 거의 같은 지출만 있으면 MAD 가 0 이므로 중앙값의 10% 를 최소 변동폭으로 사용
+        const spread = Math.max(mad, typical * 0.1, 1);
+        const threshold = Math.max(typical * options.ratio, typical + options.deviations * spread);
+        if (expense.convertedAmount < threshold) continue;
+
+        results.push({
+            kind: 'amount',
+            expense,
+            score: round2((expense.convertedAmount - typical) / spread),
+            reason: `${expense.category || expense.categoryId} 지출이 평소(중앙값 ${Math.round(typical)})보다 ${round2(expense.convertedAmount / typical)}배 큽니다.`,
+            baseline: {
+                categoryId: expense.categoryId,
+                median: Math.round(typical),
+                mad: Math.round(mad),
+                threshold: Math.round(threshold),
+                sampleSize: history.length,
+                since
+            }
+        });
+    }
+    return results;
+}
+
+// 같은 장소/내용, 같은 금액/통화가 windowDays 안에 다시 나온 지출 (나중 지출을 표시)
+function duplicateAnomalies(expenses, targets, options) {
+    const keyOf = (e) => {
+        const place = (e.location || '').trim() || (e.description || '').trim();
+        return place && !e.recurringId ? [place.toLowerCase(), e.currency, e.amount].join('\u0000') : null;
+    };
+    const groups = new Map();
+    expenses.forEach(e => {
+        const key = keyOf(e);
+        if (!key) return;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(e);
+    });
+
+    const results = [];
+    for (const expense of targets) {
+        const key = keyOf(expense);
+        if (!key) continue;
+        const since = shiftDate(expense.date, -options.windowDays);
+        // 같은 날 여러 건이면 먼저 입력한 건을 원래 결제로 봄
+        const earlier = groups.get(key)
+            .filter(e => e.id !== expense.id && e.date >= since && (e.date < expense.date || (e.date === expense.date && e.createdAt < expense.createdAt)))
+            .sort((a, b) => b.date.localeCompare(a.date) || b.createdAt.localeCompare(a.createdAt))[0];
+        if (!earlier) continue;
+
+        const daysApart = Math.round((parseISO(expense.date) - parseISO(earlier.date)) / 86400000);
+        results.push({
+            kind: 'duplicate',
+            expense,
+            score: options.windowDays + 1 - daysApart,
+            reason: `${daysApart === 0 ? '같은 날' : `${daysApart}일 전`} '${(expense.location || expense.description).trim()}'에서 같은 금액이 결제되었습니다.`,
+            baseline: {
+                matchedExpenseId: earlier.id,
+                matchedDate: earlier.date,
+                daysApart,
+                windowDays: options.windowDays
+            }
+        });
+    }
+    return results;
+}
+
+// 반복 규칙(또는 같은 내용의 고정 지출) 직전 회차 평균보다 increasePercent 이상 오른 지출
+function recurringIncreaseAnomalies(expenses, targets, options) {
+    const keyOf = (e) => {
+        if (e.recurringId) return `rule:${e.recurringId}`;
+        return e.isFixed && (e.description || '').trim() ? `fixed:${e.description.trim().toLowerCase()}` : null;
+    };
+    const groups = new Map();
+    expenses.forEach(e => {
+        const key = keyOf(e);
+        if (!key) return;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(e);
+    });
+
+    const results = [];
+    for (const expense of targets) {
+        const key = keyOf(expense);
+        if (!key) continue;
+        const previous = groups.get(key)
+            .filter(e => e.id !== expense.id && e.date < expense.date)
+            .sort((a, b) => b.date.localeCompare(a.date))
+            .slice(0, RECURRING_HISTORY);
+        if (!previous.length) continue;
+
+        const average = previous.reduce((sum, e) => sum + e.convertedAmount, 0) / previous.length;
+        if (average <= 0) continue;
+        const increase = ((expense.convertedAmount - average) / average) * 100;
+        if (increase < options.increasePercent) continue;
+
+        results.push({
+            kind: 'recurringIncrease',
+            expense,
+            score: round2(increase / options.increasePercent),
+            reason: `'${expense.description || expense.category || expense.categoryId}' 금액이 직전 ${previous.length}회 평균(${Math.round(average)})보다 ${round2(increase)}% 올랐습니다.`,
+            baseline: {
+                recurringId: expense.recurringId || null,
+                previousAverage: Math.round(average),
+                previousCount: previous.length,
+                previousDates: previous.map(e => e.date),
+                increasePercent: round2(increase)
+            }
+        });
+    }
+    return results;
+}
+
+const DETECTORS = {
+    amount: amountAnomalies,
+    duplicate: duplicateAnomalies,
+    recurringIncrease: recurringIncreaseAnomalies
+};
+
+// 사용자가 무시한 (expenseId, kind) 집합
+function dismissedKeys(db, userId) {
+    const rows = db.prepare('SELECT expenseId, kind FROM anomaly_dismissals WHERE userId = ?').all(userId);
+    return new Set(rows.map(r => `${r.kind}:${r.expenseId}`));
+}
+
+// startDate ~ endDate 지출 중 이상 지출 목록 (날짜 최신순)
+// options: { baseCurrency, kinds, includeDismissed, ...DEFAULT_OPTIONS }
+function detectAnomalies(db, userId, { startDate, endDate, baseCurrency, kinds = ANOMALY_KINDS, includeDismissed = false, ...overrides }) {
+    const options = { ...DEFAULT_OPTIONS, ...overrides };
+    // 비교 기준이 되는 과거 지출까지 함께 읽음 (연 단위 반복 지출의 직전 회차를 위해 최소 1년)
+    const historyStart = shiftDate(startDate, -Math.max(options.lookbackDays, options.windowDays, 366));
+    const rows = db.prepare(`
+        SELECT e.id, e.date, e.amount, e.currency, e.categoryId, c.name as category, e.description, e.location,
+               e.paymentMethod, e.isFixed, e.recurringId, e.createdAt
+        FROM expenses e LEFT JOIN categories c ON c.id = e.categoryId
+        WHERE e.userId = ? AND e.date >= ? AND e.date <= ?
+        ORDER BY e.date, e.createdAt
+    `).all(userId, historyStart, endDate);
+    const expenses = convertRows(db, rows, baseCurrency).map(e => ({ ...e, isFixed: !!e.isFixed }));
+    const targets = expenses.filter(e => e.date >= startDate);
+    const dismissed = dismissedKeys(db, userId);
+
+    return kinds
+        .flatMap(kind => DETECTORS[kind](expenses, targets, options))
+        .map(({ kind, expense, score, reason, baseline }) => ({
+            kind,
+            expenseId: expense.id,
+            date: expense.date,
+            amount: expense.amount,
+            currency: expense.currency,
+            convertedAmount: expense.convertedAmount,
+            baseCurrency,
+            categoryId: expense.categoryId,
+            category: expense.category,
+            description: expense.description,
+            location: expense.location,
+            score,
+            reason,
+            baseline,
+            dismissed: dismissed.has(`${kind}:${expense.id}`)
+        }))
+        .filter(anomaly => includeDismissed || !anomaly.dismissed)
+        .sort((a, b) => b.date.localeCompare(a.date) || b.score - a.score);
+}
+
+// 이상 지출 무시 (이미 무시했으면 그대로), 같은 이상 지출 알림은 읽음 처리
+function dismissAnomaly(db, userId, expenseId, kind, note) {
+    const now = new Date().toISOString();
+    db.transaction(() => {
+        db.prepare(`
+            INSERT OR IGNORE INTO anomaly_dismissals (id, userId, expenseId, kind, note, createdAt)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(uuidv4(), userId, expenseId, kind, note || null, now);
+        db.prepare('UPDATE notifications SET isRead = 1, readAt = ? WHERE userId = ? AND dedupKey = ? AND isRead = 0')
+            .run(now, userId, anomalyDedupKey(kind, expenseId));
+    })();
+    return db.prepare('SELECT * FROM anomaly_dismissals WHERE userId = ? AND expenseId = ? AND kind = ?').get(userId, expenseId, kind);
+}
+
+// 알림(notifications.dedupKey) 에 쓰는 이상 지출 키
+function anomalyDedupKey(kind, expenseId) {
+    return `anomaly:${kind}:${expenseId}`;
+}
+
+module.exports = {
+    ANOMALY_KINDS,
+    DEFAULT_OPTIONS,
+    detectAnomalies,
+    dismissAnomaly,
+    anomalyDedupKey
+};
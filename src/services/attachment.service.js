@@ -0,0 +1,354 @@
+// src/services/attachment.service.js
+// 수입/지출의 영수증/문서 첨부를 로컬 디스크에 저장하고 거래에 연결하기
+//
+// 파일 내용은 SHA-256 체크섬 이름으로 ATTACHMENT_DIR/<체크섬 앞 2자리>/<체크섬> 에 한 번만 저장하고(attachment_files)
+// 같은 내용을 여러 거래에 붙여도 디스크에는 하나만 둔다. 같은 거래에 같은 내용을 다시 올리면 기존 첨부를 돌려준다.
+// 형식은 올린 쪽이 알려준 Content-Type 이 아니라 내용의 첫 바이트로 판별하며 JPEG, PNG, GIF, WebP, HEIC 이미지와 PDF 만 받는다.
+// 썸네일 이미지는 만들지 않고 원본 크기(width, height)와 THUMBNAIL_SIZE 안에 맞춘 썸네일 크기, PDF 쪽 수를 기록한다.
+// 거래나 첨부를 지우면 어떤 첨부도 참조하지 않는 파일을 removeOrphanFiles 로 디스크에서 지운다.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// 첨부 파일 저장 폴더 (ATTACHMENT_DIR 로 바꿀 수 있음, DB 와 같은 data 폴더가 기본값)
+const ATTACHMENT_DIR = path.resolve(process.env.ATTACHMENT_DIR || path.join(__dirname, '../../data/attachments'));
+const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+const MAX_FILES_PER_UPLOAD = 10;
+// 업로드 요청 본문 전체 크기 (여러 파일을 함께 올릴 때)
+const MAX_UPLOAD_SIZE = 25 * 1024 * 1024;
+const MAX_ATTACHMENTS_PER_TRANSACTION = 20;
+const THUMBNAIL_SIZE = 256;
+const MAX_FILE_NAME_LENGTH = 255;
+
+// 거래 종류별 첨부 테이블
+const ATTACHMENT_TABLES = {
+    income: { table: 'income_attachments', column: 'incomeId', parent: 'incomes' },
+    expense: { table: 'expense_attachments', column: 'expenseId', parent: 'expenses' }
+};
+
+// 받는 형식과 내용 판별 (첫 바이트)
+const FILE_TYPES = [
+    { mimeType: 'image/jpeg', extension: 'jpg', test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+    { mimeType: 'image/png', extension: 'png', test: (b) => b.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { mimeType: 'image/gif', extension: 'gif', test: (b) => /^GIF8[79]a/.test(b.slice(0, 6).toString('latin1')) },
+    { mimeType: 'image/webp', extension: 'webp', test: (b) => b.slice(0, 4).toString('latin1') === 'RIFF' && b.slice(8, 12).toString('latin1') === 'WEBP' },
+    { mimeType: 'image/heic', extension: 'heic', test: (b) => b.slice(4, 8).toString('latin1') === 'ftyp' && /^(heic|heix|heim|heis|mif1|msf1)$/.test(b.slice(8, 12).toString('latin1')) },
+    { mimeType: 'application/pdf', extension: 'pdf', test: (b) => b.slice(0, 5).toString('latin1') === '%PDF-' }
+];
+const ALLOWED_TYPES = FILE_TYPES.map(type => type.mimeType);
+
+// 첨부 요청 문제 (status: 400 입력 오류, 409 첨부 개수 초과, 413 파일 크기 초과, 415 받지 않는 형식)
+class AttachmentError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function detectType(content) {
+    const type = FILE_TYPES.find(t => content.length >= 12 && t.test(content));
+    return type ? type.mimeType : null;
+}
+
+// 이미지 머리에서 읽은 { width, height }, 읽을 수 없으면 null (HEIC 는 읽지 않음)
+function imageSize(content, mimeType) {
+    switch (mimeType) {
+    case 'image/png':
+        return content.length >= 24 ? { width: content.readUInt32BE(16), height: content.readUInt32BE(20) } : null;
+    case 'image/gif':
+        return { width: content.readUInt16LE(6), height: content.readUInt16LE(8) };
+    case 'image/jpeg':
+        return jpegSize(content);
+    case 'image/webp':
+        return webpSize(content);
+    default:
+        return null;
+    }
+}
+
+// JPEG 의 SOF(프레임 시작) 표식에서 크기 읽기
+function jpegSize(content) {
+    let offset = 2;
+    while (offset + 9 < content.length) {
+        if (content[offset] !== 0xff) return null;
+        const marker = content[offset + 1];
+        // 채움 바이트
+        if (marker === 0xff) {
+            offset++;
+            continue;
+        }
+        const length = content.readUInt16BE(offset + 2);
+        // SOF0~SOF15 (DHT C4, JPG C8, DAC CC 제외)
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+            return { width: content.readUInt16BE(offset + 7), height: content.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + length;
+    }
+    return null;
+}
+
+// WebP 의 첫 청크(VP8 손실, VP8L 무손실, VP8X 확장)에서 크기 읽기
+function webpSize(content) {
+    if (content.length < 30) return null;
+    const chunk = content.slice(12, 16).toString('latin1');
+    if (chunk === 'VP8 ') return { width: content.readUInt16LE(26) & 0x3fff, height: content.readUInt16LE(28) & 0x3fff };
+    if (chunk === 'VP8L') {
+        const bits = content.readUInt32LE(21);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X') return { width: content.readUIntLE(24, 3) + 1, height: content.readUIntLE(27, 3) + 1 };
+    return null;
+}
+
+// PDF 쪽 수 (/Type /Page 객체 수, 압축된 객체 스트림 안의 쪽은 세지 못하므로 0 이면 null)
+function pdfPageCount(content) {
+    const count = (content.toString('latin1').match(/\/Type\s*\/Page(?![a-zA-Z])/g) || []).length;
+    return count || null;
+}
+
+// 원본 크기를 THUMBNAIL_SIZE 상자 안에 비율대로 맞춘 썸네일 크기 (원본이 더 작으면 원본 크기)
+function thumbnailSize(width, height) {
+    if (!width || !height) return null;
+    const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(width, height));
+    return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+}
+
+// 파일 내용의 저장 정보 { checksum, size, mimeType, width, height, pageCount } (크기, 형식이 맞지 않으면 AttachmentError)
+function describeFile(content, fileName = '') {
+    const label = fileName ? `${fileName}: ` : '';
+    if (!content.length) throw new AttachmentError(`${label}빈 파일은 첨부할 수 없습니다.`);
+    if (content.length > MAX_ATTACHMENT_SIZE) {
+        throw new AttachmentError(`${label}첨부 파일은 ${MAX_ATTACHMENT_SIZE / 1024 / 1024}MB 이하여야 합니다.`, 413);
+    }
+    const mimeType = detectType(content);
+    if (!mimeType) throw new AttachmentError(`${label}첨부할 수 있는 형식은 JPEG, PNG, GIF, WebP, HEIC 이미지와 PDF 입니다.`, 415);
+    const size = imageSize(content, mimeType);
+    return {
+        checksum: crypto.createHash('sha256').update(content).digest('hex'),
+        size: content.length,
+        mimeType,
+        width: size ? size.width : null,
+        height: size ? size.height : null,
+        pageCount: mimeType === 'application/pdf' ? pdfPageCount(content) : null
+    };
+}
+
+// 파일 이름에서 경로와 제어 문자를 빼고 길이를 줄임, 비어 있으면 형식에 맞는 기본 이름
+function cleanFileName(fileName, mimeType) {
+    const base = String(fileName || '').split(/[\\/]/).pop().replace(/[\u0000-\u001f\u007f]/g, '').trim();
+    const type = FILE_TYPES.find(t => t.mimeType === mimeType);
+    return (base || `attachment.${type ? type.extension : 'bin'}`).slice(0, MAX_FILE_NAME_LENGTH);
+}
+
+function filePath(checksum) {
+    return path.join(ATTACHMENT_DIR, checksum.slice(0, 2), checksum);
+}
+
+// 파일 내용을 디스크에 쓰고(이미 있으면 그대로) attachment_files 에 기록한 뒤 저장 정보 반환
+// 다른 이름으로 먼저 쓰고 옮기므로 쓰는 도중에 멈춰도 반쯤 쓴 파일이 체크섬 이름으로 남지 않는다.
+function storeFile(db, content, info = describeFile(content)) {
+    const target = filePath(info.checksum);
+    if (!fs.existsSync(target)) {
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        const temp = `${target}.${process.pid}.tmp`;
+        fs.writeFileSync(temp, content);
+        fs.renameSync(temp, target);
+    }
+    return recordFile(db, info);
+}
+
+// attachment_files 에 파일 저장 정보만 기록 (장부 복원 미리보기처럼 디스크에 쓰지 않을 때)
+function recordFile(db, info) {
+    db.prepare(`
+        INSERT OR IGNORE INTO attachment_files (checksum, size, mimeType, width, height, pageCount, createdAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(info.checksum, info.size, info.mimeType, info.width, info.height, info.pageCount, new Date().toISOString());
+    return info;
+}
+
+// 첨부 행 → 응답 객체
+function toAttachment(row) {
+    return {
+        id: row.id,
+        fileName: row.fileName,
+        mimeType: row.mimeType,
+        size: row.size,
+        checksum: row.checksum,
+        width: row.width,
+        height: row.height,
+        pageCount: row.pageCount,
+        thumbnail: thumbnailSize(row.width, row.height),
+        createdAt: row.createdAt
+    };
+}
+
+function selectAttachments(kind) {
+    const { table, column } = ATTACHMENT_TABLES[kind];
+    return `
+        SELECT a.id, a.${column} as transactionId, a.fileName, a.checksum, a.createdAt, f.size, f.mimeType, f.width, f.height, f.pageCount
+        FROM ${table} a JOIN attachment_files f ON f.checksum = a.checksum
+    `;
+}
+
+// 거래의 첨부 목록 (올린 순서)
+function listAttachments(db, kind, transactionId) {
+    const { column } = ATTACHMENT_TABLES[kind];
+    return db.prepare(`${selectAttachments(kind)} WHERE a.${column} = ? ORDER BY a.createdAt, a.rowid`).all(transactionId).map(toAttachment);
+}
+
+// 거래의 첨부 한 건, 없으면 undefined
+function getAttachment(db, kind, transactionId, attachmentId) {
+    const { column } = ATTACHMENT_TABLES[kind];
+    const row = db.prepare(`${selectAttachments(kind)} WHERE a.${column} = ? AND a.id = ?`).get(transactionId, attachmentId);
+    return row ? toAttachment(row) : row;
+}
+
+// 거래 행 목록에 attachments(첨부 목록, 없으면 빈 배열)를 채워서 반환
+function attachAttachments(db, kind, rows) {
+    const { column } = ATTACHMENT_TABLES[kind];
+    const result = new Map(rows.map(row => [row.id, []]));
+    const ids = rows.map(row => row.id);
+    // SQLite 변수 개수 제한을 넘지 않도록 나눠서 조회
+    for (let i = 0; i < ids.length; i += 500) {
+        const chunk = ids.slice(i, i + 500);
+        db.prepare(`${selectAttachments(kind)} WHERE a.${column} IN (${chunk.map(() => '?').join(',')}) ORDER BY a.createdAt, a.rowid`)
+            .all(...chunk)
+            .forEach(row => result.get(row.transactionId).push(toAttachment(row)));
+    }
+    return rows.map(row => ({ ...row, attachments: result.get(row.id) || [] }));
+}
+
+// 거래에 파일들을 첨부하고 [{ attachment, duplicate }] 반환 (duplicate: 같은 내용이 이미 붙어 있어 기존 첨부를 돌려줌)
+// files: [{ fileName, content(Buffer) }], 모든 파일을 먼저 검사하므로 하나라도 문제가 있으면 아무것도 저장하지 않음
+// 호출하는 쪽에서 트랜잭션으로 감쌀 것
+function addAttachments(db, kind, transactionId, userId, files) {
+    const { table, column } = ATTACHMENT_TABLES[kind];
+    if (!files.length) throw new AttachmentError('첨부할 파일이 없습니다. multipart/form-data 의 파일 필드로 보내세요.');
+    if (files.length > MAX_FILES_PER_UPLOAD) throw new AttachmentError(`한 번에 ${MAX_FILES_PER_UPLOAD}개까지 올릴 수 있습니다.`);
+
+    const described = files.map(file => ({ ...file, info: describeFile(file.content, file.fileName) }));
+    const findExisting = db.prepare(`SELECT id FROM ${table} WHERE ${column} = ? AND checksum = ?`);
+    const existing = db.prepare(`SELECT checksum FROM ${table} WHERE ${column} = ?`).all(transactionId).map(row => row.checksum);
+    const added = new Set(described.map(file => file.info.checksum).filter(checksum => !existing.includes(checksum)));
+    if (existing.length + added.size > MAX_ATTACHMENTS_PER_TRANSACTION) {
+        throw new AttachmentError(`거래 한 건에는 첨부를 ${MAX_ATTACHMENTS_PER_TRANSACTION}개까지 붙일 수 있습니다. (지금 ${existing.length}개)`, 409);
+    }
+
+    const insert = db.prepare(`INSERT INTO ${table} (id, userId, ${column}, checksum, fileName, createdAt) VALUES (?, ?, ?, ?, ?, ?)`);
+    return described.map(({ fileName, content, info }) => {
+        const found = findExisting.get(transactionId, info.checksum);
+        if (found) return { attachment: getAttachment(db, kind, transactionId, found.id), duplicate: true };
+        storeFile(db, content, info);
+        const id = uuidv4();
+        insert.run(id, userId, transactionId, info.checksum, cleanFileName(fileName, info.mimeType), new Date().toISOString());
+        return { attachment: getAttachment(db, kind, transactionId, id), duplicate: false };
+    });
+}
+
+// 거래의 첨부 한 건 삭제 (지운 첨부가 없으면 false), 참조가 없어진 파일도 지움
+function removeAttachment(db, kind, transactionId, attachmentId) {
+    const { table, column } = ATTACHMENT_TABLES[kind];
+    const info = db.prepare(`DELETE FROM ${table} WHERE ${column} = ? AND id = ?`).run(transactionId, attachmentId);
+    if (!info.changes) return false;
+    removeOrphanFiles(db);
+    return true;
+}
+
+// 어떤 첨부도 참조하지 않는 파일을 attachment_files 와 디스크에서 지우고 지운 개수 { files, strayFiles } 반환
+// 거래 삭제(첨부는 ON DELETE CASCADE), 첨부 삭제, 장부 덮어쓰기 복원 뒤에 호출
+// scanDisk 면 저장 폴더도 훑어 attachment_files 에 없는 파일(저장 도중 실패한 업로드, 되돌린 복원)도 지움 (서버 시작 시)
+function removeOrphanFiles(db, { scanDisk = false } = {}) {
+    const references = Object.values(ATTACHMENT_TABLES).map(({ table }) => `SELECT checksum FROM ${table}`).join(' UNION ');
+    const orphans = db.prepare(`SELECT checksum FROM attachment_files WHERE checksum NOT IN (${references})`).all().map(row => row.checksum);
+    const remove = db.prepare('DELETE FROM attachment_files WHERE checksum = ?');
+    orphans.forEach(checksum => {
+        remove.run(checksum);
+        fs.rmSync(filePath(checksum), { force: true });
+    });
+
+    let strayFiles = 0;
+    if (scanDisk && fs.existsSync(ATTACHMENT_DIR)) {
+        const known = db.prepare('SELECT 1 FROM attachment_files WHERE checksum = ?');
+        fs.readdirSync(ATTACHMENT_DIR, { withFileTypes: true }).filter(entry => entry.isDirectory()).forEach(dir => {
+            const folder = path.join(ATTACHMENT_DIR, dir.name);
+            fs.readdirSync(folder).forEach(name => {
+                if (known.get(name)) return;
+                fs.rmSync(path.join(folder, name), { force: true });
+                strayFiles++;
+            });
+        });
+    }
+    return { files: orphans.length, strayFiles };
+}
+
+// 내려받기 Content-Disposition 값 (한글 이름은 filename*, 옛 클라이언트용 filename 에는 ASCII 만)
+function contentDisposition(fileName, inline = false) {
+    const fallback = fileName.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+    const encoded = encodeURIComponent(fileName).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+    return `${inline ? 'inline' : 'attachment'}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+// 파일 내용 (디스크에 없으면 null)
+function readFile(checksum) {
+    const target = filePath(checksum);
+    return fs.existsSync(target) ? fs.readFileSync(target) : null;
+}
+
+// 보관 파일에 넣을 첨부 파일 내용 { 체크섬: { mimeType, size, content(base64) } } (디스크에 없는 파일은 빠짐)
+function exportFiles(db, checksums) {
+    const files = {};
+    [...new Set(checksums)].forEach(checksum => {
+        const content = readFile(checksum);
+        const row = db.prepare('SELECT mimeType, size FROM attachment_files WHERE checksum = ?').get(checksum);
+        if (content && row) files[checksum] = { mimeType: row.mimeType, size: row.size, content: content.toString('base64') };
+    });
+    return files;
+}
+
+// 보관 파일의 첨부 파일 내용 검사 → { files: [{ content, info }], errors: [메시지] }
+// 내용의 체크섬이 키와 다르거나 받지 않는 형식이면 오류
+function readArchiveFiles(files) {
+    const result = { files: [], errors: [] };
+    Object.entries(files || {}).forEach(([checksum, file]) => {
+        const where = `files.${checksum}`;
+        if (!file || typeof file.content !== 'string') {
+            result.errors.push(`${where}: content(base64)가 없습니다.`);
+            return;
+        }
+        try {
+            const content = Buffer.from(file.content, 'base64');
+            const info = describeFile(content);
+            if (info.checksum !== checksum) result.errors.push(`${where}: 내용의 체크섬이 다릅니다. (${info.checksum})`);
+            else result.files.push({ content, info });
+        } catch (error) {
+            if (!(error instanceof AttachmentError)) throw error;
+            result.errors.push(`${where}: ${error.message}`);
+        }
+    });
+    return result;
+}
+
+module.exports = {
+    ATTACHMENT_DIR,
+    MAX_ATTACHMENT_SIZE,
+    MAX_FILES_PER_UPLOAD,
+    MAX_UPLOAD_SIZE,
+    MAX_ATTACHMENTS_PER_TRANSACTION,
+    ATTACHMENT_TABLES,
+    ALLOWED_TYPES,
+    AttachmentError,
+    describeFile,
+    storeFile,
+    recordFile,
+    listAttachments,
+    getAttachment,
+    attachAttachments,
+    addAttachments,
+    removeAttachment,
+    removeOrphanFiles,
+    filePath,
+    contentDisposition,
+    exportFiles,
+    readArchiveFiles
+};
@@ -0,0 +1,144 @@
+// src/services/auth.service.js
+// 사용자 가입/로그인: scrypt 비밀번호 해시와 JWT 액세스 토큰 발급/검증
+// 캘린더 구독 토큰: 헤더를 보낼 수 없는 캘린더 앱이 URL 로 .ics 피드만 받도록 따로 발급하는 토큰 (해시만 저장, 다시 발급하거나 취소하면 이전 토큰은 무효)
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+
+// userId 로 소유자를 구분하는 테이블 (categories 는 기본 카테고리를 제외한 사용자 카테고리만)
+// 사용자 도입 이전 DB 를 올리면 마이그레이션이 만든 계좌(009_accounts)도 userId 가 NULL 이므로 첫 사용자가 넘겨받는다.
+const OWNED_TABLES = [
+    'incomes', 'expenses', 'recurring_rules', 'budgets', 'financial_goals', 'alerts', 'notifications', 'categories', 'tags',
+    'accounts', 'transfers', 'account_reconciliations'
+];
+
+const TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT_KEY_LENGTH = 64;
+const CALENDAR_TOKEN_BYTES = 32;
+
+// JWT_SECRET 이 없으면 실행할 때마다 새 키를 만들므로 서버를 재시작하면 다시 로그인해야 함
+let tokenSecret = process.env.JWT_SECRET;
+if (!tokenSecret) {
+    tokenSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('JWT_SECRET 이 설정되지 않아 임시 키를 사용합니다. 서버를 재시작하면 발급된 토큰이 모두 무효가 됩니다.');
+}
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, passwordHash) {
+    const [scheme, salt, hash] = String(passwordHash).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+function signToken(user) {
+    return jwt.sign({ email: user.email }, tokenSecret, { subject: user.id, expiresIn: TOKEN_EXPIRES_IN });
+}
+
+// 유효하면 payload, 만료/위조된 토큰이면 null
+function verifyToken(token) {
+    try {
+        return jwt.verify(token, tokenSecret);
+    } catch (e) {
+        return null;
+    }
+}
+
+// 비밀번호 해시와 캘린더 토큰 해시를 뺀 응답용 사용자 객체
+function toUser(row) {
+    if (!row) return row;
+    const { passwordHash, calendarTokenHash, ...user } = row;
+    return user;
+}
+
+function getUser(db, id) {
+    return db.prepare('SELECT * FROM users WHERE id = ?').get(id);
+}
+
+function findUserByEmail(db, email) {
+    return db.prepare('SELECT * FROM users WHERE email = ?').get(String(email).trim());
+}
+
+function hashCalendarToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// 캘린더 구독 토큰을 새로 발급 (이전 토큰은 무효), 토큰 값은 이때만 반환
+function issueCalendarToken(db, userId) {
+    const token = crypto.randomBytes(CALENDAR_TOKEN_BYTES).toString('hex');
+    const now = new Date().toISOString();
+    db.prepare('UPDATE users SET calendarTokenHash = ?, calendarTokenCreatedAt = ? WHERE id = ?').run(hashCalendarToken(token), now, userId);
+    return { token, createdAt: now };
+}
+
+// 캘린더 구독 토큰 취소, 발급된 토큰이 없었으면 false
+function revokeCalendarToken(db, userId) {
+    return db.prepare('UPDATE users SET calendarTokenHash = NULL, calendarTokenCreatedAt = NULL WHERE id = ? AND calendarTokenHash IS NOT NULL').run(userId).changes > 0;
+}
+
+// 캘린더 구독 토큰의 사용자, 없거나 취소된 토큰이면 undefined
+function findUserByCalendarToken(db, token) {
+    if (!token) return undefined;
+    return db.prepare('SELECT * FROM users WHERE calendarTokenHash = ?').get(hashCalendarToken(token));
+}
+
+// 가입 입력 검사, 문제가 있으면 오류 메시지 반환
+function validateRegistration({ email, password }) {
+    if (!email || !password) return '이메일과 비밀번호는 필수 입력값입니다.';
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email).trim())) return '이메일 형식이 올바르지 않습니다.';
+    if (String(password).length < MIN_PASSWORD_LENGTH) return `비밀번호는 ${MIN_PASSWORD_LENGTH}자 이상이어야 합니다.`;
+    return null;
+}
+
+// 이름/기준 통화 변경 (값이 undefined 인 항목은 그대로 둠)
+function updateProfile(db, id, { name, baseCurrency }) {
+    const existing = getUser(db, id);
+    db.prepare('UPDATE users SET name = ?, baseCurrency = ?, updatedAt = ? WHERE id = ?').run(
+        name !== undefined ? (name || null) : existing.name,
+        baseCurrency !== undefined ? baseCurrency : existing.baseCurrency,
+        new Date().toISOString(),
+        id
+    );
+    return getUser(db, id);
+}
+
+// 사용자 생성 (첫 사용자는 userId 가 없는 기존 데이터를 넘겨받음), 호출하는 쪽에서 트랜잭션으로 감쌀 것
+function createUser(db, { email, password, name }) {
+    const isFirstUser = db.prepare('SELECT COUNT(*) as count FROM users').get().count === 0;
+    const id = uuidv4();
+    const now = new Date().toISOString();
+    db.prepare('INSERT INTO users (id, email, passwordHash, name, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?, ?)')
+        .run(id, String(email).trim(), hashPassword(String(password)), name || null, now, now);
+
+    if (isFirstUser) {
+        OWNED_TABLES.forEach(table => {
+            const ownerless = table === 'categories' ? 'userId IS NULL AND isDefault = 0' : 'userId IS NULL';
+            db.prepare(`UPDATE ${table} SET userId = ? WHERE ${ownerless}`).run(id);
+        });
+    }
+    return getUser(db, id);
+}
+
+module.exports = {
+    OWNED_TABLES,
+    hashPassword,
+    verifyPassword,
+    signToken,
+    verifyToken,
+    toUser,
+    getUser,
+    findUserByEmail,
+    validateRegistration,
+    createUser,
+    updateProfile,
+    issueCalendarToken,
+    revokeCalendarToken,
+    findUserByCalendarToken
+};
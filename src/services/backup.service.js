@@ -0,0 +1,297 @@
+// src/services/backup.service.js
+// 사용자 한 명의 장부 전체를 버전이 붙은 JSON 보관 파일로 내보내고 다시 불러오기
+//
+// 보관 파일: { format: 'money-map-backup', version, schemaVersion, exportedAt, tables: { <테이블>: [행, ...] }, files }
+//   행에는 userId 를 넣지 않으며 불러올 때 불러오는 사용자로 채운다.
+//   files 는 첨부가 참조하는 파일 내용 { <체크섬>: { mimeType, size, content(base64) } } (includeFiles 가 false 면 빠짐)
+//   불러올 때 내용의 체크섬을 확인하고 디스크에 없는 파일만 쓴다.
+//   기본 카테고리(userId 가 NULL, 모든 사용자 공용)는 넣지 않고 id 로만 참조한다.
+//   알림 발생 내역(notifications)과 작업 이력(job_runs)은 다시 만들 수 있으므로 넣지 않는다.
+//   환율(exchange_rates)은 모든 사용자가 함께 쓰고 서버 관리자만 등록하므로(npm run import:rates) 넣지 않으며, 보관 파일에 있어도 불러오지 않는다.
+//
+// 불러오기 모드
+//   merge   기존 데이터는 그대로 두고, 이미 있는 행(같은 id, 또는 이름이 같은 카테고리/태그/프로필)은 건너뜀
+//   replace 사용자의 기존 장부를 지운 뒤 불러옴
+// 다른 사용자의 행과 id 가 겹치면 새 id 를 붙이고 그 행을 참조하는 행의 값도 바꾼다(ID 재매핑).
+//   새 id 는 (사용자, 테이블, 원래 id) 로 정해지므로 같은 보관 파일을 다시 불러오면 같은 행으로 보고 건너뛴다.
+// 참조 대상이 보관 파일에도 DB 에도 없으면 아무것도 저장하지 않고 RestoreValidationError 로 모든 오류를 돌려준다.
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { currentVersion } = require('../migrator');
+const { linkUnassignedTransactions } = require('./account.service');
+const { ATTACHMENT_TABLES, storeFile, recordFile, removeOrphanFiles, exportFiles, readArchiveFiles } = require('./attachment.service');
+
+const BACKUP_FORMAT = 'money-map-backup';
+const BACKUP_VERSION = 1;
+const RESTORE_MODES = ['merge', 'replace'];
+
+// 불러오는 순서 (참조되는 테이블이 먼저)
+//   owner: 'user'(userId 로 소유), { 컬럼: 부모 테이블 }(부모를 통해 소유)
+//   refs: 다른 테이블 id 를 담은 컬럼, naturalKey: id 가 달라도 같은 행으로 볼 컬럼
+//   link: id 없이 두 id 를 잇는 연결 테이블, conditionRefs: alerts.condition JSON 안의 id
+//   fileRef: 보관 파일의 files 또는 DB 의 attachment_files 에 있어야 하는 체크섬 컬럼
+const TABLES = [
+    { name: 'categories', owner: 'user', naturalKey: ['type', 'name'] },
+    { name: 'tags', owner: 'user', naturalKey: ['name'] },
+    { name: 'accounts', owner: 'user', naturalKey: ['name'] },
+    { name: 'recurring_rules', owner: 'user', refs: { categoryId: 'categories', accountId: 'accounts' } },
+    { name: 'recurring_exceptions', owner: { ruleId: 'recurring_rules' }, naturalKey: ['ruleId', 'occurrenceDate'] },
+    { name: 'incomes', owner: 'user', refs: { categoryId: 'categories', recurringId: 'recurring_rules', accountId: 'accounts' } },
+    { name: 'expenses', owner: 'user', refs: { categoryId: 'categories', recurringId: 'recurring_rules', accountId: 'accounts' } },
+    { name: 'transfers', owner: 'user', refs: { fromAccountId: 'accounts', toAccountId: 'accounts' } },
+    { name: 'account_reconciliations', owner: 'user', refs: { accountId: 'accounts' } },
+    { name: 'income_tags', owner: { incomeId: 'incomes' }, refs: { tagId: 'tags' }, link: true },
+    { name: 'expense_tags', owner: { expenseId: 'expenses' }, refs: { tagId: 'tags' }, link: true },
+    { name: 'income_splits', owner: 'user', refs: { incomeId: 'incomes', categoryId: 'categories' } },
+    { name: 'expense_splits', owner: 'user', refs: { expenseId: 'expenses', categoryId: 'categories' } },
+    { name: 'income_split_tags', owner: { splitId: 'income_splits' }, refs: { tagId: 'tags' }, link: true },
+    { name: 'expense_split_tags', owner: { splitId: 'expense_splits' }, refs: { tagId: 'tags' }, link: true },
+    { name: 'income_attachments', owner: 'user', refs: { incomeId: 'incomes' }, fileRef: 'checksum', naturalKey: ['incomeId', 'checksum'] },
+    { name: 'expense_attachments', owner: 'user', refs: { expenseId: 'expenses' }, fileRef: 'checksum', naturalKey: ['expenseId', 'checksum'] },
+    { name: 'budgets', owner: 'user', refs: { categoryId: 'categories' } },
+    { name: 'financial_goals', owner: 'user' },
+    { name: 'goal_contributions', owner: { goalId: 'financial_goals' }, refs: { expenseId: 'expenses' } },
+    {
+        name: 'alerts',
+        owner: 'user',
+        conditionRefs: { budgetId: 'budgets', categoryId: 'categories', ruleId: 'recurring_rules', goalId: 'financial_goals' }
+    },
+    { name: 'import_profiles', owner: 'user', naturalKey: ['name'] },
+    { name: 'category_rules', owner: 'user', refs: { categoryId: 'categories' } },
+    { name: 'anomaly_dismissals', owner: 'user', refs: { expenseId: 'expenses' }, naturalKey: ['expenseId', 'kind'] }
+];
+
+// replace 모드에서 지우는 순서 (태그 연결, 분할 줄, 첨부, 반복 예외, 목표 내역, 알림 발생 내역, 대사 기록은 ON DELETE CASCADE 로 함께 삭제)
+const REPLACE_DELETE_ORDER = [
+    'alerts', 'budgets', 'financial_goals', 'incomes', 'expenses', 'transfers', 'recurring_rules',
+    'import_profiles', 'category_rules', 'anomaly_dismissals', 'tags', 'accounts', 'categories'
+];
+
+// 보관 파일 내용 문제 (errors 에 행별 오류 목록)
+class RestoreValidationError extends Error {
+    constructor(errors) {
+        super(`보관 파일을 불러올 수 없습니다. (오류 ${errors.length}건)`);
+        this.errors = errors;
+    }
+}
+
+// dryRun 일 때 트랜잭션을 되돌리기 위해 던지는 값
+class DryRunRollback extends Error {}
+
+const parentOf = (spec) => (typeof spec.owner === 'object' ? Object.entries(spec.owner)[0] : null);
+const refsOf = (spec) => ({ ...(spec.refs || {}), ...(typeof spec.owner === 'object' ? spec.owner : {}) });
+
+// 사용자 소유 행을 고르는 FROM/WHERE (별칭 t, 사용자 id 하나를 받으며 뒤에 AND 조건을 이어 붙일 수 있음)
+function ownedRowsSql(spec) {
+    const parent = parentOf(spec);
+    if (!parent) return `FROM ${spec.name} t WHERE t.userId = ?`;
+    const [column, table] = parent;
+    return `FROM ${spec.name} t JOIN ${table} p ON p.id = t.${column} WHERE p.userId = ?`;
+}
+
+// 사용자의 장부 전체를 보관 파일 객체로 반환 (includeFiles 가 false 면 첨부 파일 내용은 빼고 첨부 목록만)
+function exportLedger(db, userId, { includeFiles = true } = {}) {
+    const tables = {};
+    for (const spec of TABLES) {
+        const rows = db.prepare(`SELECT t.* ${ownedRowsSql(spec)}`).all(userId);
+        tables[spec.name] = rows.map(({ userId: owner, ...row }) => row);
+    }
+
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        schemaVersion: currentVersion(db),
+        exportedAt: new Date().toISOString(),
+        tables,
+        ...(includeFiles ? { files: exportFiles(db, Object.values(ATTACHMENT_TABLES).flatMap(({ table }) => tables[table].map(row => row.checksum))) } : {})
+    };
+}
+
+// 보관 파일 머리 부분 검사, 문제가 있으면 오류 메시지 반환
+function validateArchive(db, archive) {
+    if (!archive || typeof archive !== 'object' || archive.format !== BACKUP_FORMAT) return `${BACKUP_FORMAT} 형식의 보관 파일이 아닙니다.`;
+    if (!Number.isInteger(archive.version) || archive.version > BACKUP_VERSION) return `지원하지 않는 보관 파일 버전입니다: ${archive.version} (지원: ${BACKUP_VERSION} 이하)`;
+    if (Number(archive.schemaVersion) > currentVersion(db)) {
+        return `보관 파일의 스키마 버전(${archive.schemaVersion})이 현재 DB(${currentVersion(db)})보다 새롭습니다. 먼저 마이그레이션을 적용하세요.`;
+    }
+    if (!archive.tables || typeof archive.tables !== 'object') return 'tables 가 없습니다.';
+    const bad = TABLES.find(spec => archive.tables[spec.name] !== undefined && !Array.isArray(archive.tables[spec.name]));
+    if (bad) return `tables.${bad.name} 는 배열이어야 합니다.`;
+    if (archive.files !== undefined && (!archive.files || typeof archive.files !== 'object' || Array.isArray(archive.files))) return 'files 는 객체여야 합니다.';
+    return null;
+}
+
+// 보관 파일을 사용자의 장부로 불러오고 테이블별 결과를 반환
+// dryRun 이면 모두 실행해 본 뒤 되돌림(첨부 파일도 디스크에 쓰지 않음), 참조 오류가 하나라도 있으면 RestoreValidationError
+function restoreLedger(db, userId, archive, { mode = 'merge', dryRun = false } = {}) {
+    const idMaps = Object.fromEntries(TABLES.map(spec => [spec.name, new Map()]));
+    const columnsOf = new Map(TABLES.map(spec => [spec.name, db.prepare(`PRAGMA table_info(${spec.name})`).all().map(c => c.name)]));
+    const archiveFiles = readArchiveFiles(archive.files);
+    const errors = [...archiveFiles.errors];
+    const report = {};
+    const hasFile = db.prepare('SELECT 1 FROM attachment_files WHERE checksum = ?');
+
+    // 참조 대상이 지금 DB 에 있는지 (카테고리는 기본 카테고리 포함)
+    const exists = (table, id) => {
+        if (table === 'categories') return !!db.prepare('SELECT id FROM categories WHERE id = ? AND (userId IS NULL OR userId = ?)').get(id, userId);
+        return !!db.prepare(`SELECT id FROM ${table} WHERE id = ? AND userId = ?`).get(id, userId);
+    };
+    const remap = (table, id) => idMaps[table].get(id) || id;
+
+    const run = () => {
+        if (mode === 'replace') {
+            REPLACE_DELETE_ORDER.forEach(table => db.prepare(`DELETE FROM ${table} WHERE userId = ?`).run(userId));
+        }
+        archiveFiles.files.forEach(({ content, info }) => (dryRun ? recordFile(db, info) : storeFile(db, content, info)));
+
+        for (const spec of TABLES) {
+            const rows = archive.tables[spec.name] || [];
+            const result = { total: rows.length, inserted: 0, skipped: 0, remapped: 0 };
+            report[spec.name] = result;
+
+            rows.forEach((source, index) => {
+                const where = `${spec.name} ${index + 1}번째 행`;
+                if (!source || typeof source !== 'object') {
+                    errors.push(`${where}: 객체가 아닙니다.`);
+                    return;
+                }
+                const row = { ...source };
+                delete row.userId;
+
+                // 참조 컬럼 재매핑 후 대상 확인
+                let broken = false;
+                for (const [column, table] of Object.entries(refsOf(spec))) {
+                    if (row[column] === undefined || row[column] === null) continue;
+                    row[column] = remap(table, row[column]);
+                    if (!exists(table, row[column])) {
+                        errors.push(`${where}: ${column} '${source[column]}' 에 해당하는 ${table} 이(가) 없습니다.`);
+                        broken = true;
+                    }
+                }
+                if (spec.fileRef && row[spec.fileRef] && !hasFile.get(row[spec.fileRef])) {
+                    errors.push(`${where}: ${spec.fileRef} '${row[spec.fileRef]}' 에 해당하는 파일 내용이 보관 파일(files)에도 저장소에도 없습니다.`);
+                    broken = true;
+                }
+                if (spec.conditionRefs && row.condition) {
+                    const condition = remapCondition(row.condition, spec.conditionRefs, remap, exists, message => errors.push(`${where}: ${message}`));
+                    if (condition === null) broken = true;
+                    else row.condition = condition;
+                }
+                if (broken) return;
+
+                if (spec.link) {
+                    const columns = Object.keys(refsOf(spec));
+                    const info = db.prepare(`INSERT OR IGNORE INTO ${spec.name} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`)
+                        .run(...columns.map(c => row[c]));
+                    result[info.changes ? 'inserted' : 'skipped']++;
+                    return;
+                }
+
+                // 이미 있는 행이면 건너뛰고 그 행의 id 로 매핑
+                const existingId = findExisting(db, spec, row, userId);
+                if (existingId) {
+                    if (row.id !== undefined) idMaps[spec.name].set(source.id, existingId);
+                    result.skipped++;
+                    return;
+                }
+
+                // id 가 없으면 새 id, 다른 사용자가 쓰는 id 면 재매핑 id
+                if (!row.id) {
+                    row.id = uuidv4();
+                } else if (db.prepare(`SELECT id FROM ${spec.name} WHERE id = ?`).get(row.id)) {
+                    row.id = remappedId(userId, spec.name, row.id);
+                    result.remapped++;
+                }
+                if (source.id) idMaps[spec.name].set(source.id, row.id);
+                if (spec.owner === 'user') row.userId = userId;
+
+                const columns = columnsOf.get(spec.name).filter(c => row[c] !== undefined);
+                try {
+                    db.prepare(`INSERT INTO ${spec.name} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`)
+                        .run(...columns.map(c => toSqlValue(row[c])));
+                    result.inserted++;
+                } catch (error) {
+                    errors.push(`${where}: ${error.message}`);
+                }
+            });
+        }
+
+        if (errors.length) throw new RestoreValidationError(errors);
+        // 계좌 도입 이전 보관 파일의 수입/지출은 계좌가 없으므로 사용자의 계좌로 연결
+        linkUnassignedTransactions(db, userId);
+        if (dryRun) throw new DryRunRollback();
+    };
+
+    try {
+        db.transaction(run)();
+    } catch (error) {
+        if (error instanceof DryRunRollback) return { mode, dryRun, tables: report, files: archiveFiles.files.length };
+        // 되돌린 복원이 디스크에 쓴 파일 정리
+        removeOrphanFiles(db, { scanDisk: true });
+        throw error;
+    }
+    // 덮어쓰기로 지운 거래의 첨부 파일 중 더 이상 쓰지 않는 것
+    removeOrphanFiles(db);
+    return { mode, dryRun, tables: report, files: archiveFiles.files.length };
+}
+
+// 같은 id 의 사용자 행, 또는 naturalKey 가 같은 행의 id (없으면 null)
+function findExisting(db, spec, row, userId) {
+    const sql = ownedRowsSql(spec);
+    if (row.id) {
+        // 예전에 재매핑해 불러온 행도 같은 행
+        const found = db.prepare(`SELECT t.id ${sql} AND t.id IN (?, ?)`).get(userId, row.id, remappedId(userId, spec.name, row.id));
+        if (found) return found.id;
+    }
+    if (!spec.naturalKey || spec.naturalKey.some(column => row[column] === undefined || row[column] === null)) return null;
+    const clause = spec.naturalKey.map(column => `t.${column} = ?`).join(' AND ');
+    const found = db.prepare(`SELECT t.id ${sql} AND ${clause}`).get(userId, ...spec.naturalKey.map(c => row[c]));
+    return found ? found.id : null;
+}
+
+// 다른 사용자와 겹친 id 대신 쓰는 id (같은 입력이면 항상 같은 UUID 모양의 값)
+function remappedId(userId, table, id) {
+    const hex = crypto.createHash('sha1').update(`${userId}:${table}:${id}`).digest('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16)}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+// alerts.condition JSON 의 id 재매핑, 대상이 없으면 onError 를 부르고 null 반환
+function remapCondition(raw, conditionRefs, remap, exists, onError) {
+    let condition = raw;
+    if (typeof raw === 'string') {
+        try {
+            condition = JSON.parse(raw);
+        } catch (e) {
+            onError('condition 이 올바른 JSON 이 아닙니다.');
+            return null;
+        }
+    }
+    let broken = false;
+    for (const [key, table] of Object.entries(conditionRefs)) {
+        if (!condition[key]) continue;
+        const id = remap(table, condition[key]);
+        if (!exists(table, id)) {
+            onError(`condition.${key} '${condition[key]}' 에 해당하는 ${table} 이(가) 없습니다.`);
+            broken = true;
+        }
+        condition[key] = id;
+    }
+    return broken ? null : JSON.stringify(condition);
+}
+
+// better-sqlite3 가 받을 수 있는 값으로 변환 (boolean → 0/1, 객체 → JSON)
+function toSqlValue(value) {
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value !== null && typeof value === 'object') return JSON.stringify(value);
+    return value;
+}
+
+module.exports = {
+    BACKUP_FORMAT,
+    BACKUP_VERSION,
+    RESTORE_MODES,
+    RestoreValidationError,
+    exportLedger,
+    validateArchive,
+    restoreLedger
+};
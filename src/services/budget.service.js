@@ -0,0 +1,108 @@
+// src/services/budget.service.js
+// 예산 기간 계산과 지출 대비 예산 현황(소진율, 일일 소비 속도, 예상 초과액) 계산
+// 금액은 예산 통화의 최소 단위 정수이며, 다른 통화의 지출은 지출일 환율로 변환해 합산
+const { addDays, addMonths, differenceInCalendarDays, format, parseISO } = require('date-fns');
+const { DEFAULT_CURRENCY, sumConverted } = require('./currency.service');
+const { transactionLines } = require('./split.service');
+
+const toDateString = (date) => format(date, 'yyyy-MM-dd');
+
+function today() {
+    return toDateString(new Date());
+}
+
+// n 번째 예산 기간
+// 반복 예산은 시작일을 n 개월씩 옮기고(말일은 date-fns 가 보정) 종료일은 다음 기간 시작일의 전날이므로 기간 사이에 빈 날이 없다.
+// (종료일을 옮기면 2월 말일에 끝나는 예산이 다른 달에도 28일에 끝나 29~31일이 어느 기간에도 들어가지 않음)
+function periodAt(budget, index) {
+    if (budget.repeat !== 'monthly') return { index, startDate: budget.startDate, endDate: budget.endDate };
+    const start = parseISO(budget.startDate);
+    return {
+        index,
+        startDate: toDateString(addMonths(start, index)),
+        endDate: toDateString(addDays(addMonths(start, index + 1), -1))
+    };
+}
+
+// asOf 시점까지의 예산 기간 목록 (반복하지 않는 예산은 기간이 하나)
+function listPeriods(budget, asOf = today()) {
+    if (budget.repeat !== 'monthly') return [periodAt(budget, 0)];
+
+    const periods = [];
+    for (let i = 0; ; i++) {
+        const period = periodAt(budget, i);
+        if (i > 0 && period.startDate > asOf) break;
+        periods.push(period);
+    }
+    return periods;
+}
+
+// 예산 소유자의 해당 카테고리 지출 합계 (currency 로 변환, 환율이 없으면 MissingRateError)
+// 분할된 지출은 해당 카테고리의 분할 줄만 셈
+function sumSpent(db, userId, categoryId, startDate, endDate, currency = DEFAULT_CURRENCY) {
+    const rows = db.prepare(`
+        SELECT date, currency, SUM(amount) as amount FROM ${transactionLines('expense')}
+        WHERE userId IS ? AND categoryId = ? AND date >= ? AND date <= ?
+        GROUP BY date, currency
+    `).all(userId, categoryId, startDate, endDate);
+    return sumConverted(db, rows, currency);
+}
+
+// 한 기간의 사용 현황 계산
+function periodStatus(db, budget, period, carriedOver, asOf) {
+    const available = Number(budget.amount) + carriedOver;
+    const spent = sumSpent(db, budget.userId, budget.categoryId, period.startDate, period.endDate, budget.currency || DEFAULT_CURRENCY);
+    const remaining = available - spent;
+
+    const totalDays = differenceInCalendarDays(parseISO(period.endDate), parseISO(period.startDate)) + 1;
+    const cutoff = asOf < period.endDate ? asOf : period.endDate;
+    const elapsedDays = Math.min(totalDays, Math.max(0, differenceInCalendarDays(parseISO(cutoff), parseISO(period.startDate)) + 1));
+    const dailyBurnRate = elapsedDays > 0 ? spent / elapsedDays : 0;
+    // 기간이 끝났으면 실제 지출, 진행 중이면 현재 속도로 기간 말까지 썼을 때의 지출
+    const projectedSpent = elapsedDays >= totalDays ? spent : dailyBurnRate * totalDays;
+
+    return {
+        ...period,
+        currency: budget.currency || DEFAULT_CURRENCY,
+        budgetAmount: Number(budget.amount),
+        carriedOver,
+        available,
+        spent,
+        remaining,
+        percentUsed: available > 0 ? Number(((spent / available) * 100).toFixed(2)) : null,
+        totalDays,
+        elapsedDays,
+        dailyBurnRate: Number(dailyBurnRate.toFixed(2)),
+        projectedSpent: Math.round(projectedSpent),
+        projectedOverspend: Math.round(Math.max(0, projectedSpent - available)),
+        isOverBudget: spent > available,
+        isActive: period.startDate <= asOf && asOf <= period.endDate
+    };
+}
+
+// asOf 까지 모든 기간의 현황 (이월 예산이면 이전 기간의 남은 금액을 다음 기간에 더함)
+function budgetHistory(db, budget, asOf = today()) {
+    const history = [];
+    let carriedOver = 0;
+    for (const period of listPeriods(budget, asOf)) {
+        const status = periodStatus(db, budget, period, carriedOver, asOf);
+        history.push(status);
+        carriedOver = budget.rollover ? Math.max(0, status.remaining) : 0;
+    }
+    return history;
+}
+
+// asOf 가 속한 기간(없으면 가장 최근 기간)의 현황
+function budgetStatus(db, budget, asOf = today()) {
+    const history = budgetHistory(db, budget, asOf);
+    const current = history.find(p => p.isActive) || history[history.length - 1];
+    return { budgetId: budget.id, categoryId: budget.categoryId, repeat: budget.repeat, rollover: !!budget.rollover, ...current };
+}
+
+module.exports = {
+    today,
+    periodAt,
+    listPeriods,
+    budgetHistory,
+    budgetStatus
+};
@@ -0,0 +1,203 @@
+// src/services/card.service.js
+// 카드 계좌의 결제 주기와 할부(installment) 청구, 다가오는 카드 명세서
+//
+// 결제 주기: 마감일(statementDay)까지 쓴 금액이 마감일 다음에 처음 오는 결제일(paymentDay)에 청구된다.
+//   그 달에 없는 날(예: 31일)은 그 달 말일로 본다. 결제 주기를 지정하지 않은 카드는 말일 마감, 다음 달 14일 결제
+// 할부: 구매일이 속한 명세서부터 installmentMonths 회에 나누어 청구 (원금을 개월 수로 나누고 남는 금액은 첫 회)
+//   installmentRate(연 %)가 있으면 회차마다 남은 원금 × 연이율 / 12 의 할부 수수료가 더해진다.
+//   지출 금액(amount)은 원금이며 할부 수수료는 명세서에만 나오고 지출 통계에는 들어가지 않는다.
+// 카드 통화와 다른 통화의 지출은 구매일 환율로 카드 통화로 바꿔 나눈다 (환율이 없으면 MissingRateError).
+const { addDays, addMonths, format, getDaysInMonth, parseISO, setDate, startOfMonth } = require('date-fns');
+const { convertRows } = require('./currency.service');
+
+const DEFAULT_STATEMENT_DAY = 31;
+const DEFAULT_PAYMENT_DAY = 14;
+const MAX_INSTALLMENT_MONTHS = 60;
+const MAX_INSTALLMENT_RATE = 100;
+
+const toDate = (value) => format(value, 'yyyy-MM-dd');
+
+// 결제 주기를 지정하지 않은 카드는 기본 주기
+function billingCycle(account) {
+    return {
+        statementDay: account.statementDay || DEFAULT_STATEMENT_DAY,
+        paymentDay: account.paymentDay || DEFAULT_PAYMENT_DAY
+    };
+}
+
+// date 가 속한 달에서 offset 개월 뒤 달의 day 일 (그 달에 없는 날이면 말일)
+function dayOfMonth(date, offset, day) {
+    const month = addMonths(startOfMonth(parseISO(date)), offset);
+    return toDate(setDate(month, Math.min(day, getDaysInMonth(month))));
+}
+
+// date 가 속한 명세서의 마감일 (date 당일 또는 그 뒤 처음 오는 마감일)
+function statementCutoff(date, cycle) {
+    const cutoff = dayOfMonth(date, 0, cycle.statementDay);
+    return date <= cutoff ? cutoff : dayOfMonth(date, 1, cycle.statementDay);
+}
+
+// 마감일이 cutoff 인 명세서에서 offset 번째 뒤 명세서 { periodStart, periodEnd, dueDate }
+function statementPeriod(cutoff, cycle, offset = 0) {
+    const periodEnd = dayOfMonth(cutoff, offset, cycle.statementDay);
+    const periodStart = toDate(addDays(parseISO(dayOfMonth(periodEnd, -1, cycle.statementDay)), 1));
+    const payment = dayOfMonth(periodEnd, 0, cycle.paymentDay);
+    const dueDate = payment > periodEnd ? payment : dayOfMonth(periodEnd, 1, cycle.paymentDay);
+    return { periodStart, periodEnd, dueDate };
+}
+
+// 할부 입력값 검사 (undefined 인 값은 건너뜀), 문제가 있으면 오류 메시지 반환
+// installmentMonths 1 은 일시불
+function validateInstallment({ installmentMonths, installmentRate }) {
+    if (installmentMonths !== undefined && installmentMonths !== null) {
+        const months = Number(installmentMonths);
+        if (!Number.isInteger(months) || months < 1 || months > MAX_INSTALLMENT_MONTHS) {
+            return `할부 개월 수(installmentMonths)는 1~${MAX_INSTALLMENT_MONTHS} 사이의 정수여야 합니다.`;
+        }
+    }
+    if (installmentRate !== undefined && installmentRate !== null) {
+        const rate = Number(installmentRate);
+        if (!Number.isFinite(rate) || rate < 0 || rate > MAX_INSTALLMENT_RATE) {
+            return `할부 수수료율(installmentRate)은 0~${MAX_INSTALLMENT_RATE} 사이의 연이율(%)이어야 합니다.`;
+        }
+    }
+    return null;
+}
+
+// 저장할 할부 값 { installmentMonths, installmentRate } (일시불이면 둘 다 null, 무이자면 수수료율 null)
+function normalizeInstallment({ installmentMonths, installmentRate }) {
+    const months = Number(installmentMonths || 1);
+    if (months < 2) return { installmentMonths: null, installmentRate: null };
+    const rate = Number(installmentRate || 0);
+    return { installmentMonths: months, installmentRate: rate > 0 ? rate : null };
+}
+
+// 할부 지출이 들어갈 수 없는 계좌(카드가 아니거나 계좌 없음)면 오류 메시지 반환
+function installmentAccountProblem(account, isInstallment) {
+    if (isInstallment && (!account || account.type !== 'card')) return '할부 지출(installmentMonths 2 이상)은 카드 계좌에만 넣을 수 있습니다.';
+    return null;
+}
+
+// 카드 통화 기준 금액 amount 의 회차별 청구 [{ installment, periodStart, periodEnd, dueDate, principal, interest, amount, remaining }]
+function installmentSchedule(amount, date, cycle, { installmentMonths, installmentRate } = {}) {
+    const months = installmentMonths || 1;
+    const monthlyRate = (installmentRate || 0) / 100 / 12;
+    const base = Math.floor(amount / months);
+    const cutoff = statementCutoff(date, cycle);
+    let remaining = amount;
+    const schedule = [];
+    for (let i = 0; i < months; i++) {
+        const principal = i === 0 ? amount - base * (months - 1) : base;
+        const interest = Math.round(remaining * monthlyRate);
+        remaining -= principal;
+        schedule.push({ installment: i + 1, ...statementPeriod(cutoff, cycle, i), principal, interest, amount: principal + interest, remaining });
+    }
+    return schedule;
+}
+
+// 지출 한 건의 할부 청구 계획 (금액은 카드 통화)
+function expenseInstallments(db, account, expense) {
+    const [converted] = convertRows(db, [expense], account.currency);
+    const schedule = installmentSchedule(converted.convertedAmount, expense.date, billingCycle(account), expense);
+    const interest = schedule.reduce((sum, row) => sum + row.interest, 0);
+    return {
+        expenseId: expense.id,
+        accountId: account.id,
+        currency: account.currency,
+        installmentMonths: expense.installmentMonths || 1,
+        installmentRate: expense.installmentRate || 0,
+        principal: converted.convertedAmount,
+        interest,
+        total: converted.convertedAmount + interest,
+        schedule
+    };
+}
+
+// 결제일이 from 이후(포함)인 카드 명세서 count 개 (마감된 명세서 포함, 오래된 것부터)
+// 명세서: { periodStart, periodEnd, dueDate, isClosed, purchases, installments, interest, credits, total, items }
+//   purchases 일시불 구매, installments 할부 원금, interest 할부 수수료, credits 카드로 들어온 수입(취소/환급)
+//   total = purchases + installments + interest - credits (카드 통화)
+function cardStatements(db, account, { from, count }) {
+    const cycle = billingCycle(account);
+    // 결제일 전에 마감된 지난 명세서가 있으면 그 명세서부터
+    const current = statementCutoff(from, cycle);
+    const previous = statementPeriod(current, cycle, -1);
+    const first = previous.dueDate >= from ? previous.periodEnd : current;
+    const statements = [];
+    for (let i = 0; i < count; i++) {
+        statements.push({
+            ...statementPeriod(first, cycle, i),
+            isClosed: false,
+            purchases: 0,
+            installments: 0,
+            interest: 0,
+            credits: 0,
+            total: 0,
+            items: []
+        });
+    }
+    const start = statements[0].periodStart;
+    const end = statements[statements.length - 1].periodEnd;
+    const byPeriodEnd = new Map(statements.map(statement => [statement.periodEnd, statement]));
+
+    // 할부는 구매일이 기간보다 앞서도 남은 회차가 청구됨
+    const expenses = convertRows(db, db.prepare(`
+        SELECT id, date, amount, currency, description, installmentMonths, installmentRate FROM expenses
+        WHERE accountId = ? AND date <= ? AND (date >= ? OR installmentMonths IS NOT NULL)
+        ORDER BY date, createdAt
+    `).all(account.id, end, start), account.currency);
+    expenses.forEach(expense => {
+        installmentSchedule(expense.convertedAmount, expense.date, cycle, expense).forEach(row => {
+            const statement = byPeriodEnd.get(row.periodEnd);
+            if (!statement) return;
+            const isInstallment = !!expense.installmentMonths;
+            statement[isInstallment ? 'installments' : 'purchases'] += row.principal;
+            statement.interest += row.interest;
+            statement.items.push({
+                kind: isInstallment ? 'installment' : 'purchase',
+                expenseId: expense.id,
+                date: expense.date,
+                description: expense.description,
+                amount: row.amount,
+                principal: row.principal,
+                interest: row.interest,
+                installment: isInstallment ? row.installment : null,
+                installmentMonths: isInstallment ? expense.installmentMonths : null
+            });
+        });
+    });
+
+    const credits = convertRows(db, db.prepare(`
+        SELECT id, date, amount, currency, description FROM incomes
+        WHERE accountId = ? AND date >= ? AND date <= ?
+        ORDER BY date, createdAt
+    `).all(account.id, start, end), account.currency);
+    credits.forEach(income => {
+        const statement = byPeriodEnd.get(statementCutoff(income.date, cycle));
+        statement.credits += income.convertedAmount;
+        statement.items.push({ kind: 'credit', incomeId: income.id, date: income.date, description: income.description, amount: -income.convertedAmount });
+    });
+
+    const today = toDate(new Date());
+    return statements.map(statement => ({
+        ...statement,
+        isClosed: statement.periodEnd < today,
+        total: statement.purchases + statement.installments + statement.interest - statement.credits,
+        items: statement.items.sort((a, b) => a.date.localeCompare(b.date))
+    }));
+}
+
+module.exports = {
+    DEFAULT_STATEMENT_DAY,
+    DEFAULT_PAYMENT_DAY,
+    MAX_INSTALLMENT_MONTHS,
+    billingCycle,
+    statementCutoff,
+    statementPeriod,
+    validateInstallment,
+    normalizeInstallment,
+    installmentAccountProblem,
+    installmentSchedule,
+    expenseInstallments,
+    cardStatements
+};
@@ -0,0 +1,59 @@
+// src/services/category.service.js
+// 카테고리 조회/검증과 카테고리 재배정(삭제, 병합) 처리
+
+// 유형별로 분류되지 않은 거래가 들어가는 기본 카테고리
+const DEFAULT_CATEGORY_IDS = {
+    income: 'other_income',
+    expense: 'other_expense'
+};
+
+// categories.id 를 참조하는 테이블 목록
+const CATEGORY_REFERENCES = ['incomes', 'expenses', 'income_splits', 'expense_splits', 'budgets', 'recurring_rules', 'category_rules'];
+
+// 사용자가 볼 수 있는 카테고리: 모든 사용자가 함께 쓰는 기본 카테고리(userId 가 NULL) + 본인 카테고리
+const VISIBLE_TO_USER = '(userId IS NULL OR userId = ?)';
+
+function getCategory(db, id, userId) {
+    return db.prepare(`SELECT * FROM categories WHERE id = ? AND ${VISIBLE_TO_USER}`).get(id, userId);
+}
+
+// id 또는 이름으로 해당 유형의 카테고리 id 를 찾음, 없으면 null
+function findCategoryId(db, type, idOrName, userId) {
+    if (!idOrName) return null;
+    const row = db.prepare(`
+        SELECT id FROM categories
+        WHERE (id = ? OR name = ?) AND type = ? AND ${VISIBLE_TO_USER}
+        ORDER BY (id = ?) DESC, isDefault DESC
+        LIMIT 1
+    `).get(idOrName, idOrName, type, userId, idOrName);
+    return row ? row.id : null;
+}
+
+// 카테고리별로 참조 중인 해당 사용자의 행 수
+function countCategoryUsage(db, id, userId) {
+    const usage = {};
+    for (const table of CATEGORY_REFERENCES) {
+        usage[table] = db.prepare(`SELECT COUNT(*) as count FROM ${table} WHERE categoryId = ? AND userId = ?`).get(id, userId).count;
+    }
+    return usage;
+}
+
+// 해당 사용자의 fromId 를 참조하는 모든 행을 toId 로 옮김 (호출하는 쪽에서 트랜잭션으로 감쌀 것)
+function reassignCategory(db, fromId, toId, userId) {
+    const now = new Date().toISOString();
+    const moved = {};
+    for (const table of CATEGORY_REFERENCES) {
+        moved[table] = db.prepare(`UPDATE ${table} SET categoryId = ?, updatedAt = ? WHERE categoryId = ? AND userId = ?`).run(toId, now, fromId, userId).changes;
+    }
+    return moved;
+}
+
+module.exports = {
+    DEFAULT_CATEGORY_IDS,
+    CATEGORY_REFERENCES,
+    VISIBLE_TO_USER,
+    getCategory,
+    findCategoryId,
+    countCategoryUsage,
+    reassignCategory
+};
@@ -0,0 +1,150 @@
+// src/services/currency.service.js
+// 통화 코드 검증, 환율 조회/등록, 최소 단위 정수 금액의 통화 변환
+//
+// 금액은 모두 해당 통화의 최소 단위 정수 (KRW 1원 = 1, USD 1달러 = 100, JPY 1엔 = 1)
+// exchange_rates 의 한 행은 "date 부터 1 base = rate quote" 를 뜻하며,
+// 거래일 기준 가장 최근에 시작된 환율을 적용한다.
+// 환율은 모든 사용자가 함께 쓰므로 등록(upsertRate)은 서버 관리자의 import:rates 스크립트에서만 한다.
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_CURRENCY = 'KRW';
+const SUPPORTED_CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+// 직접/역방향 환율이 없을 때 거쳐서 계산할 통화
+const PIVOT_CURRENCIES = ['KRW', 'USD'];
+
+class MissingRateError extends Error {
+    constructor(from, to, date) {
+        super(`${date} 에 적용할 ${from}→${to} 환율이 없습니다.`);
+        this.from = from;
+        this.to = to;
+        this.date = date;
+    }
+}
+
+function normalizeCurrency(code) {
+    return typeof code === 'string' ? code.trim().toUpperCase() : code;
+}
+
+function isValidCurrency(code) {
+    return typeof code === 'string' && SUPPORTED_CURRENCIES.has(code);
+}
+
+// 통화별 소수 자릿수 (KRW 0, USD 2, BHD 3)
+const digitsCache = new Map();
+function minorUnitDigits(currency) {
+    if (!digitsCache.has(currency)) {
+        digitsCache.set(currency, new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits);
+    }
+    return digitsCache.get(currency);
+}
+
+// 최소 단위 정수 금액인지 검사 (0 보다 큰 정수)
+function isMinorAmount(value) {
+    return Number.isSafeInteger(Number(value)) && Number(value) > 0;
+}
+
+// 거래 금액/통화 검사 (undefined 인 값은 건너뜀), 문제가 있으면 오류 메시지 반환
+function validateMoney(amount, currency) {
+    if (amount !== undefined && !isMinorAmount(amount)) return '금액은 통화의 최소 단위(KRW 는 원, USD 는 센트) 기준 0보다 큰 정수여야 합니다.';
+    if (currency !== undefined && !isValidCurrency(currency)) return 'currency 는 ISO 4217 통화 코드여야 합니다. (예: KRW, USD, JPY)';
+    return null;
+}
+
+// 환율 한 건 검사, 문제가 있으면 오류 메시지 반환
+function validateRate({ base, quote, rate, date }) {
+    if (!isValidCurrency(base) || !isValidCurrency(quote)) return 'base, quote 는 ISO 4217 통화 코드여야 합니다.';
+    if (base === quote) return 'base 와 quote 는 서로 다른 통화여야 합니다.';
+    if (!(Number(rate) > 0)) return 'rate 는 0보다 커야 합니다.';
+    if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) return '날짜는 YYYY-MM-DD 형식이어야 합니다.';
+    return null;
+}
+
+// 환율 등록 (같은 base/quote/date 가 있으면 rate 갱신), 호출하는 쪽에서 트랜잭션으로 감쌀 것
+function upsertRate(db, { base, quote, rate, date }, source = 'manual') {
+    const now = new Date().toISOString();
+    db.prepare(`
+        INSERT INTO exchange_rates (id, base, quote, rate, date, source, createdAt, updatedAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(base, quote, date) DO UPDATE SET rate = excluded.rate, source = excluded.source, updatedAt = excluded.updatedAt
+    `).run(uuidv4(), base, quote, Number(rate), date, source, now, now);
+    return db.prepare('SELECT * FROM exchange_rates WHERE base = ? AND quote = ? AND date = ?').get(base, quote, date);
+}
+
+// date 에 적용되는 1 from = ? to (직접 → 역방향 → 기준 통화 경유), 없으면 null
+function findRate(db, from, to, date) {
+    if (from === to) return 1;
+    const stmt = db.prepare('SELECT rate FROM exchange_rates WHERE base = ? AND quote = ? AND date <= ? ORDER BY date DESC LIMIT 1');
+    const pair = (a, b) => {
+        const direct = stmt.get(a, b, date);
+        if (direct) return direct.rate;
+        const inverse = stmt.get(b, a, date);
+        return inverse ? 1 / inverse.rate : null;
+    };
+
+    const direct = pair(from, to);
+    if (direct !== null) return direct;
+    for (const pivot of PIVOT_CURRENCIES) {
+        if (pivot === from || pivot === to) continue;
+        const first = pair(from, pivot);
+        const second = first !== null ? pair(pivot, to) : null;
+        if (second !== null) return first * second;
+    }
+    return null;
+}
+
+// from 통화의 최소 단위 금액 → to 통화의 최소 단위 금액 (1 from = rate to)
+function applyRate(amount, from, to, rate) {
+    const major = Number(amount) / 10 ** minorUnitDigits(from);
+    return Math.round(major * rate * 10 ** minorUnitDigits(to));
+}
+
+// 최소 단위 금액을 date 의 환율로 다른 통화의 최소 단위 금액으로 변환 (환율이 없으면 MissingRateError)
+function convertMinor(db, amount, from, to, date) {
+    if (from === to) return Number(amount);
+    const rate = findRate(db, from, to, date);
+    if (rate === null) throw new MissingRateError(from, to, date);
+    return applyRate(amount, from, to, rate);
+}
+
+// { date, currency, amount } 행마다 to 통화로 바꾼 금액(convertedAmount)을 붙여 반환
+// 같은 날짜/통화는 환율을 한 번만 조회
+function convertRows(db, rows, to) {
+    const rates = new Map();
+    return rows.map(row => {
+        const currency = row.currency || DEFAULT_CURRENCY;
+        if (currency === to) return { ...row, convertedAmount: Number(row.amount) };
+        const key = `${currency}:${row.date}`;
+        if (!rates.has(key)) rates.set(key, findRate(db, currency, to, row.date));
+        const rate = rates.get(key);
+        if (rate === null) throw new MissingRateError(currency, to, row.date);
+        return { ...row, convertedAmount: applyRate(row.amount, currency, to, rate) };
+    });
+}
+
+// convertRows 결과의 합계
+function sumConverted(db, rows, to) {
+    return convertRows(db, rows, to).reduce((sum, row) => sum + row.convertedAmount, 0);
+}
+
+// 요청의 ?baseCurrency → 사용자 설정 → KRW 순으로 기준 통화 결정, 잘못된 코드면 null
+function resolveBaseCurrency(query, user) {
+    const code = normalizeCurrency((query && query.baseCurrency) || (user && user.baseCurrency) || DEFAULT_CURRENCY);
+    return isValidCurrency(code) ? code : null;
+}
+
+module.exports = {
+    DEFAULT_CURRENCY,
+    MissingRateError,
+    normalizeCurrency,
+    isValidCurrency,
+    minorUnitDigits,
+    isMinorAmount,
+    validateMoney,
+    validateRate,
+    upsertRate,
+    findRate,
+    convertMinor,
+    convertRows,
+    sumConverted,
+    resolveBaseCurrency
+};
@@ -0,0 +1,153 @@
+// src/services/expense.service.js
+// 지출 라우트와 JSON 이관 스크립트가 함께 쓰는 지출 데이터 처리 함수
+const { v4: uuidv4 } = require('uuid');
+const { DEFAULT_CATEGORY_IDS, VISIBLE_TO_USER, findCategoryId } = require('./category.service');
+const { normalizeTags, setTransactionTags, attachTags } = require('./tag.service');
+const { DEFAULT_CURRENCY } = require('./currency.service');
+const { resolveAccount, paymentMethodForAccount } = require('./account.service');
+const { normalizeInstallment } = require('./card.service');
+const { setSplits, checkSplitTotal, attachSplits } = require('./split.service');
+const { attachAttachments } = require('./attachment.service');
+
+// 기존 expenses.json 의 boolean 플래그 → categories.id 매핑 (앞쪽이 우선)
+const LEGACY_CATEGORY_FLAGS = [
+    ['isCoffee', 'coffee'],
+    ['isRent', 'rent'],
+    ['isFood', 'food'],
+    ['isSavings', 'savings'],
+    ['isTransportation', 'transport'],
+    ['isUtility', 'utility'],
+    ['isEntertainment', 'entertainment'],
+    ['isShopping', 'shopping']
+];
+
+// 어떤 카테고리에도 해당하지 않는 지출이 들어가는 기본 카테고리
+const DEFAULT_EXPENSE_CATEGORY = DEFAULT_CATEGORY_IDS.expense;
+
+// expenses.paymentMethod CHECK 제약과 동일한 값
+const PAYMENT_METHODS = ['현금', '카드', '계좌이체', '기타'];
+
+// 유틸: 다양한 입력 형태(true, 'true', '1', 1)를 boolean으로 변환
+function parseBoolean(value) {
+    if (value === true || value === 1) return true;
+    if (value === false || value === 0) return false;
+    if (typeof value === 'string') {
+        const v = value.trim().toLowerCase();
+        if (v === 'true' || v === '1') return true;
+        if (v === 'false' || v === '0' || v === '') return false;
+    }
+    // undefined 또는 명시되지 않은 값은 false
+    return false;
+}
+
+// 플래그 객체({ isCoffee: true, ... })에서 카테고리 id를 도출, 없으면 null
+function categoryIdFromFlags(flags) {
+    if (!flags || typeof flags !== 'object') return null;
+    const match = LEGACY_CATEGORY_FLAGS.find(([flag]) => parseBoolean(flags[flag]));
+    return match ? match[1] : null;
+}
+
+// categoryId → category(이름 또는 id) → 플래그 순으로 지출 카테고리를 결정
+// 존재하지 않거나 다른 사용자의 카테고리를 지정한 경우 null 반환
+function resolveExpenseCategoryId(db, { categoryId, category, categories } = {}, userId) {
+    if (categoryId) {
+        const row = db.prepare(`SELECT id FROM categories WHERE id = ? AND type = 'expense' AND ${VISIBLE_TO_USER}`).get(categoryId, userId);
+        return row ? row.id : null;
+    }
+    if (category) return findCategoryId(db, 'expense', category, userId);
+    return categoryIdFromFlags(categories) || DEFAULT_EXPENSE_CATEGORY;
+}
+
+// DB 행 목록을 API 응답 형태로 변환 (isFixed → boolean, tags → expense_tags 에 연결된 태그 이름 배열, splits → 분할 줄, attachments → 첨부 목록)
+function toExpenses(db, rows) {
+    return attachAttachments(db, 'expense', attachSplits(db, 'expense', attachTags(db, 'expense', rows))).map(row => ({ ...row, isFixed: !!row.isFixed }));
+}
+
+// 해당 사용자의 지출 한 건, 없으면 undefined
+function getExpense(db, id, userId) {
+    const row = db.prepare('SELECT * FROM expenses WHERE id = ? AND userId IS ?').get(id, userId);
+    return row ? toExpenses(db, [row])[0] : row;
+}
+
+// 지출 한 건 저장 후 저장된 객체 반환 (태그 연결 포함, 호출하는 쪽에서 트랜잭션으로 감쌀 것)
+// amount 는 currency 의 최소 단위 정수
+// accountId 가 없으면 결제 수단에 맞는 계좌, 결제 수단이 없으면 계좌 유형에 맞는 결제 수단 (잘못된 accountId 면 AccountError)
+// installmentMonths, installmentRate 는 호출하는 쪽에서 카드 계좌인지 확인한 할부 값, splits 는 split.service 의 prepareSplits 로 검사한 분할 줄
+function createExpense(db, data) {
+    const id = data.id || uuidv4();
+    const createdAt = data.createdAt || new Date().toISOString();
+    const account = resolveAccount(db, data.userId || null, { accountId: data.accountId, paymentMethod: data.paymentMethod });
+    const installment = normalizeInstallment(data);
+    db.prepare(`
+        INSERT INTO expenses (id, userId, amount, currency, categoryId, description, date, paymentMethod, location, isFixed, recurringId, externalId, accountId, installmentMonths, installmentRate, createdAt, updatedAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        id,
+        data.userId || null,
+        Number(data.amount),
+        data.currency || DEFAULT_CURRENCY,
+        data.categoryId || DEFAULT_EXPENSE_CATEGORY,
+        data.description || '',
+        data.date,
+        data.paymentMethod || paymentMethodForAccount(account),
+        data.location || '',
+        data.isFixed ? 1 : 0,
+        data.recurringId || null,
+        data.externalId || null,
+        account.id,
+        installment.installmentMonths,
+        installment.installmentRate,
+        createdAt,
+        data.updatedAt || null
+    );
+    if (normalizeTags(data.tags).length) setTransactionTags(db, 'expense', id, data.tags);
+    if (data.splits && data.splits.length) setSplits(db, 'expense', id, data.userId || null, data.splits);
+    return getExpense(db, id, data.userId || null);
+}
+
+// 전달된 필드만 갱신, 해당 사용자의 지출이 없으면 null 반환 (accountId, 할부 값, splits 는 호출하는 쪽에서 확인한 값)
+// splits 없이 분할된 지출의 금액을 바꾸면 SplitError
+function updateExpense(db, id, changes, userId) {
+    const existing = db.prepare('SELECT * FROM expenses WHERE id = ? AND userId IS ?').get(id, userId);
+    if (!existing) return null;
+
+    const pick = (key) => (changes[key] !== undefined && changes[key] !== null ? changes[key] : existing[key]);
+    const installment = normalizeInstallment({ installmentMonths: pick('installmentMonths'), installmentRate: pick('installmentRate') });
+    db.prepare(`
+        UPDATE expenses
+        SET amount = ?, currency = ?, categoryId = ?, description = ?, date = ?, paymentMethod = ?, location = ?, isFixed = ?, accountId = ?,
+            installmentMonths = ?, installmentRate = ?, updatedAt = ?
+        WHERE id = ?
+    `).run(
+        Number(pick('amount')),
+        pick('currency'),
+        pick('categoryId'),
+        pick('description'),
+        pick('date'),
+        pick('paymentMethod'),
+        pick('location'),
+        changes.isFixed !== undefined ? (parseBoolean(changes.isFixed) ? 1 : 0) : existing.isFixed,
+        pick('accountId'),
+        installment.installmentMonths,
+        installment.installmentRate,
+        new Date().toISOString(),
+        id
+    );
+    if (changes.tags !== undefined) setTransactionTags(db, 'expense', id, changes.tags);
+    if (changes.splits !== undefined) setSplits(db, 'expense', id, userId, changes.splits);
+    else checkSplitTotal(db, 'expense', id, pick('amount'));
+    return getExpense(db, id, userId);
+}
+
+module.exports = {
+    LEGACY_CATEGORY_FLAGS,
+    DEFAULT_EXPENSE_CATEGORY,
+    PAYMENT_METHODS,
+    parseBoolean,
+    categoryIdFromFlags,
+    resolveExpenseCategoryId,
+    toExpenses,
+    getExpense,
+    createExpense,
+    updateExpense
+};
@@ -0,0 +1,230 @@
+// src/services/forecast.service.js
+// 현재 잔액에서 시작해 앞으로의 잔액을 날짜별로 예측
+//
+// 1) 시작 잔액: /api/summary 와 같이 계좌 시작 잔액 + 모든 수입 - 모든 지출 + 이체 환산 차이를 기준 통화로 변환 (asOf 이후 날짜의 거래는 제외)
+// 2) 확정 흐름: asOf 이후 날짜로 이미 입력한 거래 + recurring_rules 의 앞으로의 회차 (건너뛴/이미 기록된 회차 제외)
+// 3) 변동 지출: 반복 규칙으로 생기지 않은 지출의 최근 몇 달 카테고리별 월평균을 하루 단위로 나눠 매일 차감 (분할된 지출은 분할 줄의 카테고리)
+// 신뢰 구간은 카테고리별 월 지출의 표준편차로 구하며, 예측 기간이 길수록 sqrt(경과 일수) 에 비례해 넓어진다.
+const { addDays, addMonths, format, parseISO } = require('date-fns');
+const { convertRows, convertMinor } = require('./currency.service');
+const { expandOccurrences } = require('./recurrence.service');
+const { transactionLines } = require('./split.service');
+
+const AVG_DAYS_PER_MONTH = 30.44;
+const GRANULARITIES = ['day', 'month'];
+// 신뢰 수준 → 정규분포 양측 z 값
+const CONFIDENCE_LEVELS = { 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96 };
+
+const toDateString = (date) => format(date, 'yyyy-MM-dd');
+
+// until(포함)까지의 수입/지출 합계와 잔액 (기준 통화의 최소 단위, until 이 없으면 전체)
+// balance = 계좌 시작 잔액(openingBalance) + 수입 - 지출 + 이체 환산 차이(transferNet)
+//   시작 잔액은 until(없으면 오늘)의 환율, 거래와 이체는 거래일의 환율로 변환한다.
+//   같은 통화 계좌 사이의 이체는 보낸 금액과 받은 금액이 같아 transferNet 에 영향이 없다.
+function ledgerTotals(db, userId, baseCurrency, until = null) {
+    const params = until ? [userId, until] : [userId];
+    const dateClause = until ? ' AND date <= ?' : '';
+    const sumOf = (rows) => convertRows(db, rows, baseCurrency).reduce((sum, row) => sum + row.convertedAmount, 0);
+    const totalOf = (table) => sumOf(db.prepare(`
+        SELECT date, currency, SUM(amount) as amount FROM ${table}
+        WHERE userId = ?${dateClause}
+        GROUP BY date, currency
+    `).all(...params));
+    const incomeTotal = totalOf('incomes');
+    const expenseTotal = totalOf('expenses');
+
+    const openingBalance = sumOf(db.prepare(`
+        SELECT ? as date, currency, SUM(openingBalance) as amount FROM accounts
+        WHERE userId = ? GROUP BY currency HAVING SUM(openingBalance) <> 0
+    `).all(until || toDateString(new Date()), userId));
+    const transferTotal = (amountColumn, accountColumn) => sumOf(db.prepare(`
+        SELECT t.date, a.currency, SUM(t.${amountColumn}) as amount FROM transfers t
+        JOIN accounts a ON a.id = t.${accountColumn}
+        WHERE t.userId = ?${until ? ' AND t.date <= ?' : ''}
+        GROUP BY t.date, a.currency
+    `).all(...params));
+    const transferNet = transferTotal('toAmount', 'toAccountId') - transferTotal('amount', 'fromAccountId');
+
+    return {
+        incomeTotal,
+        expenseTotal,
+        openingBalance,
+        transferNet,
+        balance: openingBalance + incomeTotal - expenseTotal + transferNet
+    };
+}
+
+// asOf 다음 날부터 until 까지 날짜별 확정 흐름 Map (날짜 → { income, expense, items })
+function scheduledFlows(db, userId, baseCurrency, from, until) {
+    const flows = new Map();
+    const add = (date, type, amount, item) => {
+        if (!flows.has(date)) flows.set(date, { income: 0, expense: 0, items: [] });
+        const flow = flows.get(date);
+        flow[type] += amount;
+        flow.items.push({ ...item, type, date, amount });
+    };
+
+    // 앞으로의 날짜로 이미 입력한 거래
+    for (const [type, table] of [['income', 'incomes'], ['expense', 'expenses']]) {
+        const rows = db.prepare(`
+            SELECT id, date, currency, amount, description FROM ${table}
+            WHERE userId = ? AND date >= ? AND date <= ?
+        `).all(userId, from, until);
+        convertRows(db, rows, baseCurrency).forEach(row => add(row.date, type, row.convertedAmount, {
+            source: 'transaction',
+            id: row.id,
+            description: row.description || ''
+        }));
+    }
+
+    // 반복 규칙의 앞으로의 회차 (예외 반영, 기록된 회차는 위의 거래로 이미 포함)
+    const rules = db.prepare('SELECT * FROM recurring_rules WHERE userId = ? AND isActive = 1').all(userId);
+    for (const rule of rules) {
+        for (const occurrence of expandOccurrences(db, rule, from, until)) {
+            if (occurrence.status === 'skipped' || occurrence.status === 'posted') continue;
+            if (occurrence.date < from || occurrence.date > until) continue;
+            add(occurrence.date, rule.type, convertMinor(db, Number(occurrence.amount), rule.currency, baseCurrency, occurrence.date), {
+                source: 'recurring',
+                ruleId: rule.id,
+                description: occurrence.description
+            });
+        }
+    }
+    return flows;
+}
+
+// asOf 가 속한 달 직전 historyMonths 개월의 반복 규칙 외 지출을 카테고리별 월평균/표준편차로 요약
+// 첫 지출보다 앞선 달은 세지 않음 (기록이 짧은 사용자의 평균이 낮게 잡히지 않도록)
+function variableSpending(db, userId, baseCurrency, asOf, historyMonths) {
+    const monthStart = `${asOf.slice(0, 7)}-01`;
+    const windowStart = toDateString(addMonths(parseISO(monthStart), -historyMonths));
+    const first = db.prepare('SELECT MIN(date) as date FROM expenses WHERE userId = ? AND recurringId IS NULL').get(userId).date;
+    if (!first || first >= monthStart) return { months: 0, monthlyAverage: 0, monthlyStdDev: 0, categories: [] };
+
+    const from = first > windowStart ? `${first.slice(0, 7)}-01` : windowStart;
+    const months = [];
+    for (let month = parseISO(from); toDateString(month) < monthStart; month = addMonths(month, 1)) months.push(toDateString(month).slice(0, 7));
+
+    const rows = db.prepare(`
+        SELECT e.date, e.currency, SUM(e.amount) as amount, e.categoryId, c.name as category
+        FROM ${transactionLines('expense')} e LEFT JOIN categories c ON c.id = e.categoryId
+        WHERE e.userId = ? AND e.recurringId IS NULL AND e.date >= ? AND e.date < ?
+        GROUP BY e.date, e.currency, e.categoryId
+    `).all(userId, from, monthStart);
+
+    const byCategory = new Map();
+    for (const row of convertRows(db, rows, baseCurrency)) {
+        if (!byCategory.has(row.categoryId)) byCategory.set(row.categoryId, { categoryId: row.categoryId, category: row.category, totals: new Map() });
+        const totals = byCategory.get(row.categoryId).totals;
+        const month = row.date.slice(0, 7);
+        totals.set(month, (totals.get(month) || 0) + row.convertedAmount);
+    }
+
+    const categories = [...byCategory.values()].map(({ categoryId, category, totals }) => {
+        const values = months.map(month => totals.get(month) || 0);
+        const mean = values.reduce((sum, v) => sum + v, 0) / months.length;
+        const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / months.length;
+        return { categoryId, category, monthlyAverage: Math.round(mean), monthlyStdDev: Math.round(Math.sqrt(variance)), variance };
+    }).sort((a, b) => b.monthlyAverage - a.monthlyAverage);
+
+    // 카테고리끼리 독립이라고 보고 분산을 더함
+    const variance = categories.reduce((sum, c) => sum + c.variance, 0);
+    return {
+        months: months.length,
+        monthlyAverage: categories.reduce((sum, c) => sum + c.monthlyAverage, 0),
+        monthlyStdDev: Math.round(Math.sqrt(variance)),
+        categories: categories.map(({ variance: v, ...c }) => c)
+    };
+}
+
+// 잔액 예측
+// options: { baseCurrency, asOf, until, granularity: day|month, historyMonths, confidence: 0.8|0.9|0.95 }
+// 반환 points 의 balance 는 예상 잔액, low/high 는 신뢰 구간 (기준 통화의 최소 단위 정수)
+// firstNegativeDate 는 예상 잔액이, firstNegativeDateLow 는 신뢰 구간 하한이 처음 0 미만이 되는 날 (없으면 null)
+function forecastBalance(db, userId, { baseCurrency, asOf, until, granularity = 'day', historyMonths = 6, confidence = 0.8 }) {
+    const z = CONFIDENCE_LEVELS[confidence];
+    const start = ledgerTotals(db, userId, baseCurrency, asOf);
+    const from = toDateString(addDays(parseISO(asOf), 1));
+    const flows = scheduledFlows(db, userId, baseCurrency, from, until);
+    const variable = variableSpending(db, userId, baseCurrency, asOf, historyMonths);
+    const dailyVariable = variable.monthlyAverage / AVG_DAYS_PER_MONTH;
+    const dailyVariance = variable.monthlyStdDev ** 2 / AVG_DAYS_PER_MONTH;
+
+    const days = [];
+    let balance = start.balance;
+    let firstNegativeDate = balance < 0 ? asOf : null;
+    let firstNegativeDateLow = firstNegativeDate;
+    let elapsed = 0;
+    for (let day = parseISO(from); toDateString(day) <= until; day = addDays(day, 1)) {
+        const date = toDateString(day);
+        const flow = flows.get(date) || { income: 0, expense: 0, items: [] };
+        elapsed++;
+        balance += flow.income - flow.expense - dailyVariable;
+        const margin = z * Math.sqrt(dailyVariance * elapsed);
+        const point = {
+            date,
+            income: flow.income,
+            expense: flow.expense,
+            variableExpense: dailyVariable,
+            balance,
+            low: balance - margin,
+            high: balance + margin
+        };
+        if (!firstNegativeDate && point.balance < 0) firstNegativeDate = date;
+        if (!firstNegativeDateLow && point.low < 0) firstNegativeDateLow = date;
+        days.push(point);
+    }
+
+    const points = granularity === 'month' ? byMonth(days) : days;
+    const round = (value) => Math.round(value);
+    return {
+        baseCurrency,
+        asOf,
+        until,
+        granularity,
+        confidence,
+        startingBalance: start.balance,
+        endingBalance: round(days.length ? days[days.length - 1].balance : start.balance),
+        minBalance: days.length ? round(Math.min(...days.map(d => d.balance))) : start.balance,
+        firstNegativeDate,
+        firstNegativeDateLow,
+        variableSpending: { historyMonths: variable.months, monthlyAverage: variable.monthlyAverage, monthlyStdDev: variable.monthlyStdDev, categories: variable.categories },
+        scheduled: [...flows.values()].flatMap(flow => flow.items).sort((a, b) => a.date.localeCompare(b.date)),
+        points: points.map(point => ({
+            ...point,
+            income: round(point.income),
+            expense: round(point.expense),
+            variableExpense: round(point.variableExpense),
+            balance: round(point.balance),
+            low: round(point.low),
+            high: round(point.high),
+            ...(point.minBalance !== undefined ? { minBalance: round(point.minBalance) } : {})
+        }))
+    };
+}
+
+// 날짜별 점 → 월별 점 (흐름은 합계, 잔액/구간은 월말 값, minBalance 는 그 달의 최저 예상 잔액)
+function byMonth(days) {
+    const months = new Map();
+    for (const day of days) {
+        const month = day.date.slice(0, 7);
+        const current = months.get(month);
+        if (!current) {
+            months.set(month, { month, income: day.income, expense: day.expense, variableExpense: day.variableExpense, balance: day.balance, low: day.low, high: day.high, minBalance: day.balance });
+            continue;
+        }
+        current.income += day.income;
+        current.expense += day.expense;
+        current.variableExpense += day.variableExpense;
+        Object.assign(current, { balance: day.balance, low: day.low, high: day.high, minBalance: Math.min(current.minBalance, day.balance) });
+    }
+    return [...months.values()];
+}
+
+module.exports = {
+    GRANULARITIES,
+    CONFIDENCE_LEVELS,
+    ledgerTotals,
+    variableSpending,
+    forecastBalance
+};
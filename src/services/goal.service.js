@@ -0,0 +1,103 @@
+// src/services/goal.service.js
+// 재무 목표의 적립액을 입출금 내역으로부터 계산하고 진행률/예상 달성일을 산출
+// 금액은 목표 통화의 최소 단위 정수이며, 다른 통화의 저축 지출은 지출일 환율로 목표 통화로 변환해 적립
+const { addDays, differenceInCalendarDays, format, parseISO } = require('date-fns');
+const { DEFAULT_CURRENCY, convertRows } = require('./currency.service');
+
+const AVG_DAYS_PER_MONTH = 30.44;
+
+const toDateString = (date) => format(date, 'yyyy-MM-dd');
+
+// 입출금 내역 (expense 유형은 연결된 지출의 현재 금액을 지출일 환율로 목표 통화로 바꾼 금액, 환율이 없으면 MissingRateError)
+// expense 유형에는 지출 통화의 원래 금액(expenseAmount, expenseCurrency)도 붙임
+function listContributions(db, goalId) {
+    const goal = db.prepare('SELECT currency FROM financial_goals WHERE id = ?').get(goalId);
+    const currency = (goal && goal.currency) || DEFAULT_CURRENCY;
+    const rows = db.prepare(`
+        SELECT gc.id, gc.goalId, gc.type, gc.expenseId, gc.date, gc.description, gc.createdAt, gc.amount,
+               e.amount as expenseAmount, e.currency as expenseCurrency, e.date as expenseDate
+        FROM goal_contributions gc
+        LEFT JOIN expenses e ON e.id = gc.expenseId
+        WHERE gc.goalId = ?
+        ORDER BY gc.date, gc.createdAt
+    `).all(goalId);
+
+    const linked = rows.filter(row => row.type === 'expense');
+    const converted = convertRows(db, linked.map(row => ({ date: row.expenseDate, currency: row.expenseCurrency, amount: row.expenseAmount })), currency);
+    const amounts = new Map(linked.map((row, index) => [row.id, converted[index].convertedAmount]));
+    return rows.map(({ expenseAmount, expenseCurrency, expenseDate, ...row }) => (row.type === 'expense'
+        ? { ...row, amount: amounts.get(row.id), expenseAmount, expenseCurrency: expenseCurrency || DEFAULT_CURRENCY }
+        : row));
+}
+
+function signedAmount(contribution) {
+    const amount = Number(contribution.amount || 0);
+    return contribution.type === 'withdrawal' ? -amount : amount;
+}
+
+// 목표 행에 내역 합계로 계산한 currentAmount/isCompleted 를 붙여 반환 (조회용, 저장하지 않음)
+// (firstContributionDate: 가장 이른 내역의 날짜, 내역이 없으면 null)
+// 연결된 지출의 금액이나 환율이 바뀌면 저장된 값은 낡으므로 조회할 때는 항상 이 값을 쓴다.
+function loadGoal(db, goalId) {
+    const goal = db.prepare('SELECT * FROM financial_goals WHERE id = ?').get(goalId);
+    if (!goal) return null;
+
+    const contributions = listContributions(db, goalId);
+    const currentAmount = contributions.reduce((sum, c) => sum + signedAmount(c), 0);
+    const firstContributionDate = contributions.length ? contributions[0].date : null;
+    const isCompleted = currentAmount >= goal.targetAmount ? 1 : 0;
+    return { ...goal, currentAmount, isCompleted, firstContributionDate };
+}
+
+// 목표나 입출금 내역을 바꾼 뒤 계산한 currentAmount/isCompleted 를 저장하고 목표를 반환
+function refreshGoal(db, goalId) {
+    const stored = db.prepare('SELECT currentAmount, isCompleted FROM financial_goals WHERE id = ?').get(goalId);
+    const goal = loadGoal(db, goalId);
+    if (!goal) return null;
+    if (goal.currentAmount !== stored.currentAmount || goal.isCompleted !== stored.isCompleted) {
+        goal.updatedAt = new Date().toISOString();
+        db.prepare('UPDATE financial_goals SET currentAmount = ?, isCompleted = ?, updatedAt = ? WHERE id = ?')
+            .run(goal.currentAmount, goal.isCompleted, goal.updatedAt, goalId);
+    }
+    return goal;
+}
+
+// 진행률, 목표일까지 필요한 월 저축액, 현재 속도 기준 예상 달성일
+// 현재 속도는 시작일과 첫 내역 날짜 중 이른 날(paceStartDate)부터 잰다 (시작일 이전 날짜로 기록한 적립이 있을 수 있음)
+function goalProgress(goal, asOf = toDateString(new Date())) {
+    const remainingAmount = Math.max(0, goal.targetAmount - goal.currentAmount);
+    const daysLeft = differenceInCalendarDays(parseISO(goal.targetDate), parseISO(asOf));
+    const monthsLeft = daysLeft / AVG_DAYS_PER_MONTH;
+    const paceStartDate = goal.firstContributionDate && goal.firstContributionDate < goal.startDate ? goal.firstContributionDate : goal.startDate;
+    const daysElapsed = Math.max(1, differenceInCalendarDays(parseISO(asOf), parseISO(paceStartDate)) + 1);
+    const dailyPace = goal.currentAmount / daysElapsed;
+
+    let projectedCompletionDate = null;
+    if (remainingAmount === 0) projectedCompletionDate = asOf;
+    else if (dailyPace > 0) projectedCompletionDate = toDateString(addDays(parseISO(asOf), Math.ceil(remainingAmount / dailyPace)));
+
+    return {
+        progress: goal.targetAmount > 0 ? Number(Math.min(100, (goal.currentAmount / goal.targetAmount) * 100).toFixed(2)) : 0,
+        remainingAmount,
+        daysLeft,
+        // 목표일이 지났으면 남은 금액 전부가 당장 필요
+        requiredMonthlySaving: remainingAmount === 0 ? 0 : Number((remainingAmount / Math.max(1, monthsLeft)).toFixed(2)),
+        paceStartDate,
+        currentMonthlyPace: Number((dailyPace * AVG_DAYS_PER_MONTH).toFixed(2)),
+        projectedCompletionDate,
+        isOnTrack: remainingAmount === 0 || (projectedCompletionDate !== null && projectedCompletionDate <= goal.targetDate)
+    };
+}
+
+function toGoal(goal, asOf) {
+    const { firstContributionDate, ...row } = goal;
+    return { ...row, isCompleted: !!goal.isCompleted, ...goalProgress(goal, asOf) };
+}
+
+module.exports = {
+    listContributions,
+    loadGoal,
+    refreshGoal,
+    goalProgress,
+    toGoal
+};
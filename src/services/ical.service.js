@@ -0,0 +1,111 @@
+// src/services/ical.service.js
+// 반복 수입/지출 규칙을 캘린더 앱에서 구독할 수 있는 iCalendar(RFC 5545) 문서로 변환
+const { toRRuleString, nextOccurrence } = require('./recurrence.service');
+const { DEFAULT_CURRENCY, minorUnitDigits } = require('./currency.service');
+
+const PRODID = '-//money-map//recurring//KO';
+const TYPE_LABELS = { income: '수입', expense: '지출' };
+
+const toIcsDate = (dateString) => dateString.replace(/-/g, '');
+const toIcsTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// TEXT 값 이스케이프 (\ ; , 줄바꿈)
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// 한 줄이 75 옥텟을 넘으면 접어서 이어지는 줄은 공백으로 시작 (UTF-8 문자 중간에서 자르지 않음)
+function foldLine(line) {
+    const chunks = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+        const bytes = Buffer.byteLength(char);
+        const limit = chunks.length === 0 ? 75 : 74;
+        if (size + bytes > limit) {
+            chunks.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += bytes;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n ');
+}
+
+// 최소 단위 금액 → 표시용 금액 (KRW 는 "12000원", 그 밖의 통화는 "12.34 USD")
+function formatAmount(amount, currency = DEFAULT_CURRENCY) {
+    if (currency === 'KRW') return `${amount}원`;
+    return `${(Number(amount) / 10 ** minorUnitDigits(currency)).toFixed(minorUnitDigits(currency))} ${currency}`;
+}
+
+function summaryOf(rule, amount, description) {
+    const label = description || rule.categoryName || rule.categoryId;
+    return `[${TYPE_LABELS[rule.type]}] ${label} ${formatAmount(amount, rule.currency)}`;
+}
+
+function eventLines(rule, dtstamp) {
+    return [
+        `UID:${rule.id}@money-map`,
+        `DTSTAMP:${dtstamp}`,
+        'DURATION:P1D',
+        `CATEGORIES:${escapeText(TYPE_LABELS[rule.type])}`
+    ];
+}
+
+// 규칙 하나 → 반복 VEVENT + 변경된 회차마다 RECURRENCE-ID VEVENT
+// RFC 5545 는 DTSTART 를 RRULE 과 맞지 않아도 첫 회차로 세므로, 시작일이 아닌 첫 발생일을 DTSTART 로 쓴다 (회차가 없으면 이벤트 없음)
+function ruleEvents(rule, exceptions, dtstamp) {
+    const firstDate = nextOccurrence(rule, rule.startDate);
+    if (!firstDate) return [];
+    const skipped = exceptions.filter(e => e.action === 'skip');
+    const overrides = exceptions.filter(e => e.action === 'override');
+
+    const master = [
+        'BEGIN:VEVENT',
+        ...eventLines(rule, dtstamp),
+        `DTSTART;VALUE=DATE:${toIcsDate(firstDate)}`,
+        `RRULE:${toRRuleString(rule)}`,
+        ...skipped.map(e => `EXDATE;VALUE=DATE:${toIcsDate(e.occurrenceDate)}`),
+        `SUMMARY:${escapeText(summaryOf(rule, rule.amount, rule.description))}`,
+        'END:VEVENT'
+    ];
+
+    const overridden = overrides.flatMap(e => [
+        'BEGIN:VEVENT',
+        ...eventLines(rule, dtstamp),
+        `RECURRENCE-ID;VALUE=DATE:${toIcsDate(e.occurrenceDate)}`,
+        `DTSTART;VALUE=DATE:${toIcsDate(e.date || e.occurrenceDate)}`,
+        `SUMMARY:${escapeText(summaryOf(rule, e.amount !== null ? e.amount : rule.amount, e.description || rule.description))}`,
+        'END:VEVENT'
+    ]);
+
+    return [...master, ...overridden];
+}
+
+// rules: recurring_rules 행 (categoryName 포함 가능), exceptions: recurring_exceptions 행
+function buildCalendar(rules, exceptions = [], now = new Date()) {
+    const dtstamp = toIcsTimestamp(now);
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'X-WR-CALNAME:Money Map 반복 수입/지출',
+        ...rules.flatMap(rule => ruleEvents(rule, exceptions.filter(e => e.ruleId === rule.id), dtstamp)),
+        'END:VCALENDAR'
+    ];
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    escapeText,
+    foldLine,
+    buildCalendar
+};
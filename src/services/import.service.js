@@ -0,0 +1,441 @@
+// src/services/import.service.js
+// 은행/카드사 거래내역 파일을 수입/지출로 가져오는 공통 처리
+//
+// 1) 파일 → 레코드: decodeText 로 문자열을 만들고 parseCsv + recordsFromCsv 로 매핑 프로필을 적용
+// 2) prepareImport: 레코드 검증, 카테고리 결정, 기존 거래와의 중복 확인 (DB 는 읽기만 함)
+// 3) commitImport: status 가 new 인 행만 저장, 호출하는 쪽에서 트랜잭션으로 감쌀 것
+// OFX/QIF 는 ofx.service, qif.service 에서 같은 형태의 레코드를 만든 뒤 importRecords 로 2), 3) 을 거친다.
+//
+// 외부 거래 번호(externalId)가 없을 때 중복 판단 기준은 같은 사용자의 같은 종류 거래 중 date/amount/currency/description 이 모두 같은 것.
+// 같은 날 같은 가게에서 두 번 결제한 경우처럼 파일 안에도 같은 거래가 여러 번 있을 수 있으므로
+// 기존 거래 수만큼만 중복으로 보고 나머지는 새 거래로 처리한다.
+const { v4: uuidv4 } = require('uuid');
+const { DEFAULT_CATEGORY_IDS, findCategoryId } = require('./category.service');
+const { PAYMENT_METHODS, createExpense } = require('./expense.service');
+const { DEFAULT_CURRENCY, normalizeCurrency, isValidCurrency, minorUnitDigits, isMinorAmount } = require('./currency.service');
+const { listRules, applyRules } = require('./rule.service');
+const { setTransactionTags } = require('./tag.service');
+const { resolveAccount } = require('./account.service');
+
+const PROFILE_TYPES = ['income', 'expense', 'mixed'];
+const MAPPING_FIELDS = ['date', 'amount', 'withdrawal', 'deposit', 'description', 'category', 'currency', 'paymentMethod'];
+
+// 인코딩 이름 → TextDecoder 라벨 (WHATWG 의 euc-kr 은 CP949 확장 문자까지 포함)
+const ENCODINGS = {
+    'utf-8': 'utf-8',
+    utf8: 'utf-8',
+    'euc-kr': 'euc-kr',
+    euckr: 'euc-kr',
+    cp949: 'euc-kr',
+    ms949: 'euc-kr',
+    'windows-949': 'euc-kr'
+};
+
+// 매핑이 없을 때 헤더 이름으로 열을 추측하기 위한 별칭 (소문자, 공백 제거 후 비교)
+const HEADER_ALIASES = {
+    date: ['date', '날짜', '일자', '거래일', '거래일자', '거래일시', '이용일', '이용일자', '이용일시', '승인일', '승인일자', '승인일시'],
+    amount: ['amount', 'value', '금액', '거래금액', '이용금액', '승인금액', '결제금액'],
+    withdrawal: ['withdrawal', 'debit', '출금', '출금액', '출금금액', '찾으신금액'],
+    deposit: ['deposit', 'credit', '입금', '입금액', '입금금액', '맡기신금액'],
+    description: ['description', 'memo', '내용', '적요', '거래내용', '메모', '가맹점', '가맹점명', '이용가맹점', '이용하신곳'],
+    category: ['category', 'source', '카테고리', '분류'],
+    currency: ['currency', '통화'],
+    paymentMethod: ['paymentmethod', '결제수단']
+};
+
+// 파일 형식이나 열 매핑 문제로 가져올 수 없을 때
+class ImportFormatError extends Error {}
+
+// 인코딩 이름 검사 (auto 는 UTF-8 로 읽어 보고 실패하면 EUC-KR)
+function isValidEncoding(encoding) {
+    return encoding === 'auto' || Object.prototype.hasOwnProperty.call(ENCODINGS, String(encoding).toLowerCase());
+}
+
+// 파일 내용(Buffer)을 문자열로 변환, 앞의 BOM 은 제거
+function decodeText(buffer, encoding = 'auto') {
+    const label = String(encoding).toLowerCase();
+    let text;
+    if (label === 'auto') {
+        try {
+            text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        } catch (e) {
+            text = new TextDecoder('euc-kr').decode(buffer);
+        }
+    } else {
+        text = new TextDecoder(ENCODINGS[label] || label).decode(buffer);
+    }
+    return text.replace(/^\uFEFF/, '');
+}
+
+// RFC 4180 CSV 파서: 따옴표로 감싼 필드 안의 구분자/줄바꿈과 "" 이스케이프를 처리, 빈 줄은 제외
+function parseCsv(text, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    const endField = () => { row.push(field); field = ''; };
+    const endRow = () => {
+        endField();
+        if (row.some(cell => cell.trim() !== '')) rows.push(row);
+        row = [];
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else field += ch;
+        } else if (ch === '"' && field.trim() === '') {
+            field = '';
+            quoted = true;
+        } else if (ch === delimiter) {
+            endField();
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length) endRow();
+    return rows;
+}
+
+// 헤더 이름으로 매핑 추측 (매핑에 없는 항목만 채움)
+function guessMapping(header, mapping = {}) {
+    const normalized = header.map(h => String(h).replace(/\s+/g, '').toLowerCase());
+    const guessed = { ...mapping };
+    for (const [field, aliases] of Object.entries(HEADER_ALIASES)) {
+        if (guessed[field] !== undefined && guessed[field] !== null && guessed[field] !== '') continue;
+        const index = normalized.findIndex(h => aliases.includes(h));
+        if (index !== -1) guessed[field] = index;
+    }
+    return guessed;
+}
+
+// 매핑 값(헤더 이름 또는 열 번호) → 열 번호, 없으면 -1
+function columnIndex(header, column) {
+    if (column === undefined || column === null || column === '') return -1;
+    if (Number.isInteger(column)) return column < header.length ? column : -1;
+    const name = String(column).trim();
+    if (/^\d+$/.test(name) && !header.includes(name)) return Number(name) < header.length ? Number(name) : -1;
+    return header.findIndex(h => String(h).trim() === name);
+}
+
+// 다양한 날짜 표기(2024-03-05, 2024.03.05 14:22, 2024/3/5, 20240305, 24.03.05, 2024년 3월 5일) → YYYY-MM-DD, 실패하면 null
+function normalizeDate(value) {
+    const text = String(value || '').trim();
+    const match = /^(\d{4})\s*[-./년]\s*(\d{1,2})\s*[-./월]\s*(\d{1,2})/.exec(text)
+        || /^(\d{4})(\d{2})(\d{2})(?!\d)/.exec(text)
+        || /^(\d{2})[-./](\d{1,2})[-./](\d{1,2})(?!\d)/.exec(text);
+    if (!match) return null;
+    const year = match[1].length === 2 ? `20${match[1]}` : match[1];
+    const date = `${year}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+    const parsed = new Date(`${date}T00:00:00Z`);
+    return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === date ? date : null;
+}
+
+// 표시용 금액 문자열(₩12,000 / -1,234.50 / (3,000) / 12,000원) → 숫자, 비어 있으면 null, 읽을 수 없으면 NaN
+function parseAmount(value) {
+    let text = String(value === undefined || value === null ? '' : value).trim();
+    if (!text) return null;
+    const negative = /^\(.*\)$/.test(text) || /^-/.test(text) || /-$/.test(text);
+    text = text.replace(/[^\d.]/g, '');
+    if (!text) return NaN;
+    const amount = Number(text);
+    return negative ? -amount : amount;
+}
+
+// 주 단위 금액 → 통화의 최소 단위 정수 (12.34 USD → 1234)
+function toMinorUnits(amount, currency) {
+    return Math.round(amount * 10 ** minorUnitDigits(currency));
+}
+
+// 주 단위 금액을 레코드 통화의 최소 단위로 바꿔 record.amount 에 넣고, 문제가 있으면 record.errors 에 추가
+function setRecordAmount(record, amount) {
+    record.amount = null;
+    if (amount === null || Number.isNaN(amount)) {
+        record.errors.push('금액을 읽을 수 없습니다.');
+    } else if (!isValidCurrency(record.currency)) {
+        record.errors.push(`알 수 없는 통화 코드입니다: ${record.currency}`);
+    } else {
+        record.amount = toMinorUnits(amount, record.currency);
+        if (!isMinorAmount(record.amount)) record.errors.push('금액은 0보다 커야 합니다.');
+    }
+}
+
+// 프로필 검사, 문제가 있으면 오류 메시지 반환
+function validateProfile(profile) {
+    if (!PROFILE_TYPES.includes(profile.type)) return `type 은 ${PROFILE_TYPES.join(', ')} 중 하나여야 합니다.`;
+    if (!isValidEncoding(profile.encoding)) return 'encoding 은 auto, utf-8, euc-kr, cp949 중 하나여야 합니다.';
+    if (typeof profile.delimiter !== 'string' || profile.delimiter.length !== 1 || profile.delimiter === '"') return 'delimiter 는 따옴표가 아닌 한 글자여야 합니다.';
+    if (!Number.isInteger(profile.skipRows) || profile.skipRows < 0) return 'skipRows 는 0 이상의 정수여야 합니다.';
+    if (!isValidCurrency(profile.currency)) return 'currency 는 ISO 4217 통화 코드여야 합니다.';
+    if (profile.paymentMethod && !PAYMENT_METHODS.includes(profile.paymentMethod)) return `결제 수단은 ${PAYMENT_METHODS.join(', ')} 중 하나여야 합니다.`;
+    if (!profile.mapping || typeof profile.mapping !== 'object' || Array.isArray(profile.mapping)) return 'mapping 은 객체여야 합니다.';
+    const unknown = Object.keys(profile.mapping).filter(key => !MAPPING_FIELDS.includes(key));
+    if (unknown.length) return `mapping 에 알 수 없는 항목이 있습니다: ${unknown.join(', ')}`;
+    return null;
+}
+
+// profileId 로 저장된 프로필을 불러와 입력값을 덮어쓴 프로필, 없는 profileId 면 null
+function resolveProfile(db, userId, input = {}) {
+    if (!input.profileId) return mergeProfile(null, input);
+    const row = db.prepare('SELECT * FROM import_profiles WHERE id = ? AND userId = ?').get(input.profileId, userId);
+    return row ? mergeProfile(toProfile(row), input) : null;
+}
+
+// DB 행 → API 응답 (mapping JSON 파싱)
+function toProfile(row) {
+    if (!row) return row;
+    return { ...row, mapping: JSON.parse(row.mapping || '{}') };
+}
+
+// 본문 값과 기존 프로필(없으면 기본값)을 합친 프로필, 값이 undefined 인 항목은 기존 값 유지
+function mergeProfile(base, input = {}) {
+    const pick = (key, fallback) => (input[key] !== undefined && input[key] !== null && input[key] !== '' ? input[key] : (base && base[key] !== undefined ? base[key] : fallback));
+    return {
+        name: String(pick('name', '')).trim(),
+        type: pick('type', 'expense'),
+        encoding: String(pick('encoding', 'auto')).toLowerCase(),
+        delimiter: pick('delimiter', ','),
+        skipRows: Number(pick('skipRows', 0)),
+        mapping: pick('mapping', {}),
+        currency: normalizeCurrency(pick('currency', DEFAULT_CURRENCY)),
+        paymentMethod: pick('paymentMethod', null)
+    };
+}
+
+// CSV 문자열 → 가져오기 레코드 목록 (row 는 헤더 다음 줄부터 1번)
+// 필수 열(날짜, 금액 또는 출금/입금)을 찾지 못하면 ImportFormatError
+function recordsFromCsv(text, profile) {
+    const table = parseCsv(text, profile.delimiter).slice(profile.skipRows);
+    if (!table.length) return [];
+    const header = table[0].map(h => String(h).trim());
+    const mapping = guessMapping(header, profile.mapping);
+    const index = Object.fromEntries(MAPPING_FIELDS.map(field => [field, columnIndex(header, mapping[field])]));
+
+    if (index.date === -1) throw new ImportFormatError('날짜 열을 찾을 수 없습니다. mapping.date 를 지정하세요.');
+    if (index.amount === -1 && index.withdrawal === -1 && index.deposit === -1) {
+        throw new ImportFormatError('금액 열을 찾을 수 없습니다. mapping.amount 또는 mapping.withdrawal/deposit 을 지정하세요.');
+    }
+
+    const cell = (cells, field) => (index[field] === -1 ? '' : String(cells[index[field]] === undefined ? '' : cells[index[field]]).trim());
+    return table.slice(1).map((cells, i) => {
+        const record = {
+            row: i + 1,
+            date: normalizeDate(cell(cells, 'date')),
+            currency: normalizeCurrency(cell(cells, 'currency')) || profile.currency,
+            description: cell(cells, 'description').replace(/\s+/g, ' '),
+            category: cell(cells, 'category') || null,
+            paymentMethod: cell(cells, 'paymentMethod') || profile.paymentMethod || null,
+            errors: []
+        };
+        if (!record.date) record.errors.push(`날짜를 읽을 수 없습니다: "${cell(cells, 'date')}"`);
+
+        // 출금/입금 열이 나뉜 통장 내역은 값이 있는 쪽으로 종류를 결정, 금액 열 하나면 프로필 종류(mixed 는 부호)로 결정
+        const withdrawal = parseAmount(cell(cells, 'withdrawal'));
+        const deposit = parseAmount(cell(cells, 'deposit'));
+        let amount;
+        if (withdrawal || deposit) {
+            record.type = withdrawal ? 'expense' : 'income';
+            amount = Math.abs(withdrawal || deposit);
+        } else {
+            amount = parseAmount(cell(cells, 'amount'));
+            record.type = profile.type === 'mixed' ? (amount < 0 ? 'expense' : 'income') : profile.type;
+            if (profile.type === 'mixed') amount = Math.abs(amount);
+        }
+
+        setRecordAmount(record, amount);
+        return record;
+    });
+}
+
+// payeeCategories({ 가맹점/거래처 이름 일부: 카테고리 id 또는 이름 }) 중 payee 에 포함된 가장 긴 키의 값
+function payeeCategoryOf(payeeCategories, payee) {
+    if (!payeeCategories || !payee) return null;
+    const text = payee.toLowerCase();
+    const key = Object.keys(payeeCategories)
+        .filter(k => k && text.includes(k.toLowerCase()))
+        .sort((a, b) => b.length - a.length)[0];
+    return key ? payeeCategories[key] : null;
+}
+
+// 레코드 검증 결과와 카테고리, 중복 여부를 붙인 미리보기 행 목록
+// status: new(저장 대상), duplicate(기존 거래와 같음), invalid(오류)
+//
+// 카테고리: 파일의 카테고리 → payeeCategories → 자동 분류 규칙 → 같은 내용으로 저장된 최근 거래의 카테고리 → '기타'
+//   일치한 분류 규칙의 태그와 고정 지출 여부도 함께 붙임 (ruleId 에 규칙 id)
+// 중복: externalId(FITID)가 있으면 같은 externalId 의 거래가 있는지 먼저 보고, 없으면 externalId 없이 저장된
+//       (CSV/QIF 로 가져왔거나 직접 입력한) 거래 중 date/amount/currency/description 이 같은 거래와 비교.
+//       externalId 가 없으면 모든 거래와 같은 기준으로 비교
+function prepareImport(db, userId, records, { payeeCategories } = {}) {
+    const existingCounts = new Map();
+    const seenExternalIds = new Set();
+    const rules = { income: listRules(db, userId, 'income', { activeOnly: true }), expense: listRules(db, userId, 'expense', { activeOnly: true }) };
+    const statements = Object.fromEntries(['income', 'expense'].map(type => {
+        const table = type === 'income' ? 'incomes' : 'expenses';
+        return [type, {
+            countSame: db.prepare(`SELECT COUNT(*) as count FROM ${table} WHERE userId = ? AND date = ? AND amount = ? AND currency = ? AND description = ?`),
+            countSameWithoutExternal: db.prepare(`SELECT COUNT(*) as count FROM ${table} WHERE userId = ? AND date = ? AND amount = ? AND currency = ? AND description = ? AND externalId IS NULL`),
+            findExternal: db.prepare(`SELECT id FROM ${table} WHERE userId = ? AND externalId = ?`),
+            lastCategory: db.prepare(`SELECT categoryId FROM ${table} WHERE userId = ? AND description = ? ORDER BY date DESC LIMIT 1`)
+        }];
+    }));
+
+    return records.map(record => {
+        const errors = [...(record.errors || [])];
+        if (record.type === 'expense' && record.paymentMethod && !PAYMENT_METHODS.includes(record.paymentMethod)) {
+            errors.push(`결제 수단은 ${PAYMENT_METHODS.join(', ')} 중 하나여야 합니다.`);
+        }
+        const item = {
+            row: record.row,
+            type: record.type,
+            date: record.date,
+            amount: record.amount,
+            currency: record.currency,
+            description: record.description || '',
+            category: record.category || null,
+            categoryId: null,
+            paymentMethod: record.type === 'expense' ? record.paymentMethod || null : undefined,
+            externalId: record.externalId || null,
+            tags: [],
+            isFixed: record.type === 'expense' ? false : undefined,
+            ruleId: null,
+            status: 'invalid',
+            errors
+        };
+        if (errors.length) return item;
+
+        const stmt = statements[item.type];
+        const payee = record.payee || item.description;
+        const matched = applyRules(rules[item.type], { ...item, paymentMethod: item.paymentMethod || '현금' });
+        if (matched) {
+            item.ruleId = matched.ruleId;
+            item.tags = matched.tags;
+            if (item.type === 'expense' && matched.isFixed !== null && matched.isFixed !== undefined) item.isFixed = matched.isFixed;
+        }
+        const previous = item.description ? stmt.lastCategory.get(userId, item.description) : null;
+        item.categoryId = findCategoryId(db, item.type, item.category, userId)
+            || findCategoryId(db, item.type, payeeCategoryOf(payeeCategories, payee), userId)
+            || (matched && matched.categoryId)
+            || (previous && previous.categoryId)
+            || DEFAULT_CATEGORY_IDS[item.type];
+
+        if (item.externalId) {
+            const externalKey = `${item.type}\u0000${item.externalId}`;
+            const seen = seenExternalIds.has(externalKey) || stmt.findExternal.get(userId, item.externalId);
+            seenExternalIds.add(externalKey);
+            if (seen) {
+                item.status = 'duplicate';
+                return item;
+            }
+        }
+
+        const count = item.externalId ? stmt.countSameWithoutExternal : stmt.countSame;
+        const key = [item.type, !!item.externalId, item.date, item.amount, item.currency, item.description].join('\u0000');
+        if (!existingCounts.has(key)) {
+            existingCounts.set(key, count.get(userId, item.date, item.amount, item.currency, item.description).count);
+        }
+        const remaining = existingCounts.get(key);
+        if (remaining > 0) {
+            existingCounts.set(key, remaining - 1);
+            item.status = 'duplicate';
+        } else {
+            item.status = 'new';
+        }
+        return item;
+    });
+}
+
+// prepareImport 결과 중 new 행(allowDuplicates 면 duplicate 행 포함)을 저장하고 저장한 행에 id 를 붙임
+// accountId 가 있으면 모든 행을 그 계좌로, 없으면 지출은 결제 수단에 맞는 계좌, 수입은 기본 계좌로 저장
+function commitImport(db, userId, items, { allowDuplicates = false, accountId } = {}) {
+    const insertIncome = db.prepare(`
+        INSERT INTO incomes (id, userId, amount, currency, categoryId, description, date, externalId, accountId, createdAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const now = new Date().toISOString();
+    const saved = [];
+
+    for (const item of items) {
+        if (item.status !== 'new' && !(allowDuplicates && item.status === 'duplicate')) continue;
+        if (item.type === 'expense') {
+            item.id = createExpense(db, {
+                userId,
+                amount: item.amount,
+                currency: item.currency,
+                categoryId: item.categoryId,
+                description: item.description,
+                date: item.date,
+                paymentMethod: item.paymentMethod,
+                isFixed: item.isFixed,
+                tags: item.tags,
+                externalId: item.externalId,
+                accountId,
+                createdAt: now
+            }).id;
+        } else {
+            item.id = uuidv4();
+            const account = resolveAccount(db, userId, { accountId });
+            insertIncome.run(item.id, userId, item.amount, item.currency, item.categoryId, item.description, item.date, item.externalId, account.id, now);
+            if (item.tags.length) setTransactionTags(db, 'income', item.id, item.tags);
+        }
+        saved.push(item);
+    }
+    return saved;
+}
+
+// 미리보기/저장 결과 요약
+function summarizeImport(items, saved, dryRun) {
+    const count = (status) => items.filter(item => item.status === status).length;
+    return {
+        dryRun,
+        total: items.length,
+        new: count('new'),
+        duplicates: count('duplicate'),
+        invalid: count('invalid'),
+        imported: saved.length,
+        rows: items
+    };
+}
+
+// 레코드 목록 가져오기: 검증/중복 확인 후 dryRun 이 아니면 한 트랜잭션으로 저장
+function importRecords(db, userId, records, { dryRun = false, allowDuplicates = false, payeeCategories, accountId } = {}) {
+    const items = prepareImport(db, userId, records, { payeeCategories });
+    const saved = dryRun ? [] : db.transaction(() => commitImport(db, userId, items, { allowDuplicates, accountId }))();
+    return summarizeImport(items, saved, dryRun);
+}
+
+// CSV 파일(Buffer 면 프로필 인코딩으로 디코딩, 문자열이면 그대로) 가져오기
+// dryRun 이면 저장하지 않고 미리보기 결과만 반환
+function importCsv(db, userId, content, profile, options = {}) {
+    const text = Buffer.isBuffer(content) ? decodeText(content, profile.encoding) : String(content).replace(/^\uFEFF/, '');
+    return importRecords(db, userId, recordsFromCsv(text, profile), options);
+}
+
+module.exports = {
+    PROFILE_TYPES,
+    ImportFormatError,
+    MAPPING_FIELDS,
+    isValidEncoding,
+    decodeText,
+    parseCsv,
+    guessMapping,
+    normalizeDate,
+    parseAmount,
+    toMinorUnits,
+    setRecordAmount,
+    validateProfile,
+    toProfile,
+    mergeProfile,
+    resolveProfile,
+    recordsFromCsv,
+    prepareImport,
+    commitImport,
+    summarizeImport,
+    importRecords,
+    importCsv
+};
@@ -0,0 +1,76 @@
+// src/services/job.service.js
+// 백그라운드 작업 실행과 실행 이력(job_runs) 기록, 매일 실행 예약
+const { v4: uuidv4 } = require('uuid');
+const { format } = require('date-fns');
+const { materializeDueRules } = require('./recurrence.service');
+
+const JOBS = {
+    recurring: 'recurring-materializer'
+};
+
+// 매일 실행 시각 (서버 로컬 시간 기준, 자정 직후)
+const DAILY_RUN_HOUR = 0;
+const DAILY_RUN_MINUTE = 5;
+
+// 작업을 실행하고 결과를 job_runs 에 기록 (userId 는 직접 실행한 사용자, 서버가 실행하면 null)
+// task 는 { rulesProcessed, rowsCreated, errors } 를 반환
+function recordJobRun(db, job, trigger, task, userId = null) {
+    const id = uuidv4();
+    db.prepare(`
+        INSERT INTO job_runs (id, userId, job, trigger, status, startedAt)
+        VALUES (?, ?, ?, ?, 'running', ?)
+    `).run(id, userId, job, trigger, new Date().toISOString());
+
+    let summary;
+    let status;
+    try {
+        summary = task();
+        status = summary.errors.length === 0 ? 'success' : (summary.rulesProcessed > 0 ? 'partial' : 'failed');
+    } catch (error) {
+        summary = { rulesProcessed: 0, rowsCreated: 0, errors: [{ message: error.message }] };
+        status = 'failed';
+    }
+
+    db.prepare(`
+        UPDATE job_runs SET status = ?, rulesProcessed = ?, rowsCreated = ?, errors = ?, finishedAt = ?
+        WHERE id = ?
+    `).run(status, summary.rulesProcessed, summary.rowsCreated, JSON.stringify(summary.errors), new Date().toISOString(), id);
+
+    return getJobRun(db, id);
+}
+
+// 오늘까지 밀린 반복 회차를 기록 (서버가 꺼져 있던 기간도 lastProcessedDate 이후부터 따라잡음)
+// userId 가 있으면 그 사용자의 규칙만, 없으면 모든 사용자의 규칙
+function runRecurringJob(db, trigger, userId = null) {
+    const today = format(new Date(), 'yyyy-MM-dd');
+    return recordJobRun(db, JOBS.recurring, trigger, () => materializeDueRules(db, today, userId), userId);
+}
+
+// 다음 실행 시각까지 기다렸다가 실행하고, 실행 후 다시 다음 날로 예약
+function scheduleDaily(callback) {
+    const now = new Date();
+    const next = new Date(now);
+    next.setHours(DAILY_RUN_HOUR, DAILY_RUN_MINUTE, 0, 0);
+    if (next <= now) next.setDate(next.getDate() + 1);
+
+    return setTimeout(() => {
+        callback();
+        scheduleDaily(callback);
+    }, next - now);
+}
+
+// userId 를 주면 그 사용자가 실행한 이력만
+function getJobRun(db, id, userId) {
+    const row = userId === undefined
+        ? db.prepare('SELECT * FROM job_runs WHERE id = ?').get(id)
+        : db.prepare('SELECT * FROM job_runs WHERE id = ? AND userId = ?').get(id, userId);
+    return row ? { ...row, errors: row.errors ? JSON.parse(row.errors) : [] } : row;
+}
+
+module.exports = {
+    JOBS,
+    recordJobRun,
+    runRecurringJob,
+    scheduleDaily,
+    getJobRun
+};
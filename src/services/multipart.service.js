@@ -0,0 +1,86 @@
+// src/services/multipart.service.js
+// multipart/form-data 요청 본문(Buffer, express.raw 로 받음)을 필드와 파일로 나누기
+//
+// 본문은 --경계 줄로 나뉜 부분(part)의 목록이며 부분마다 머리(Content-Disposition, Content-Type)와 빈 줄 뒤의 내용이 온다.
+//   filename 이 있는 부분은 파일, 없는 부분은 문자열 필드로 본다.
+//   파일 이름은 filename*=UTF-8''... (RFC 5987) 을 먼저 쓰고, 없으면 filename="..." (브라우저는 UTF-8 그대로 보냄)
+
+// multipart 본문 형식 오류 (메시지를 그대로 400 으로 응답)
+class MultipartError extends Error {}
+
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+
+// Content-Type 머리의 boundary 값, multipart/form-data 가 아니면 null
+function boundaryOf(contentType) {
+    if (!/^multipart\/form-data\b/i.test(String(contentType || ''))) return null;
+    const match = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType);
+    return match ? (match[1] || match[2]) : null;
+}
+
+// 부분 머리 줄들 → { name, fileName, contentType }
+function parsePartHeaders(text) {
+    const headers = {};
+    text.split('\r\n').forEach(line => {
+        const index = line.indexOf(':');
+        if (index > 0) headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+    });
+    const disposition = headers['content-disposition'] || '';
+    const param = (key) => {
+        const match = new RegExp(`(?:^|;)\\s*${key}=(?:"((?:[^"\\\\]|\\\\.)*)"|([^;]*))`, 'i').exec(disposition);
+        if (!match) return undefined;
+        return match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2].trim();
+    };
+    let fileName = param('filename');
+    const extended = param('filename\\*');
+    if (extended) {
+        const match = /^[\w-]+'[^']*'(.*)$/.exec(extended);
+        try {
+            fileName = decodeURIComponent(match ? match[1] : extended);
+        } catch (e) {
+            // 잘못 인코딩된 filename* 은 무시하고 filename 사용
+        }
+    }
+    return { name: param('name'), fileName, contentType: headers['content-type'] || null };
+}
+
+// 본문 → { fields: { 이름: 값 }, files: [{ field, fileName, contentType, content }] }
+// 같은 이름의 필드가 여러 번 오면 마지막 값, 파일은 온 순서대로
+function parseMultipart(body, contentType) {
+    const boundary = boundaryOf(contentType);
+    if (!boundary) throw new MultipartError('multipart/form-data 형식(boundary 포함)으로 보내야 합니다.');
+    if (!Buffer.isBuffer(body) || !body.length) throw new MultipartError('요청 본문이 비어 있습니다.');
+
+    const delimiter = Buffer.from(`--${boundary}`);
+    const fields = {};
+    const files = [];
+    let position = body.indexOf(delimiter);
+    if (position === -1) throw new MultipartError('본문에서 boundary 를 찾을 수 없습니다.');
+
+    for (;;) {
+        position += delimiter.length;
+        // 마지막 경계는 --경계--
+        if (body.slice(position, position + 2).toString() === '--') break;
+        if (!body.slice(position, position + 2).equals(CRLF)) throw new MultipartError('multipart 본문 형식이 올바르지 않습니다.');
+        const headerEnd = body.indexOf(HEADER_END, position + 2);
+        if (headerEnd === -1) throw new MultipartError('multipart 부분의 머리가 끝나지 않았습니다.');
+        const next = body.indexOf(Buffer.concat([CRLF, delimiter]), headerEnd + HEADER_END.length);
+        if (next === -1) throw new MultipartError('multipart 본문이 중간에 끝났습니다. (마지막 boundary 없음)');
+
+        const part = parsePartHeaders(body.slice(position + 2, headerEnd).toString('utf8'));
+        const content = body.slice(headerEnd + HEADER_END.length, next);
+        if (part.fileName !== undefined) {
+            files.push({ field: part.name || null, fileName: part.fileName, contentType: part.contentType, content });
+        } else if (part.name) {
+            fields[part.name] = content.toString('utf8');
+        }
+        position = next + CRLF.length;
+    }
+    return { fields, files };
+}
+
+module.exports = {
+    MultipartError,
+    boundaryOf,
+    parseMultipart
+};
@@ -0,0 +1,108 @@
+// src/services/ofx.service.js
+// OFX 거래내역 파일(1.x SGML, 2.x XML)을 import.service 의 가져오기 레코드로 변환
+//
+// SGML 은 값 요소의 닫는 태그를 생략하므로(<TRNAMT>-4500) 두 형식 모두 "<태그>값" 을 읽고
+// 닫는 태그는 무시한다. 묶음 요소(STMTRS, STMTTRN 등)는 두 형식 모두 닫는 태그가 있다.
+const { DEFAULT_CURRENCY, normalizeCurrency, isValidCurrency } = require('./currency.service');
+const { ImportFormatError, parseAmount, toMinorUnits, setRecordAmount } = require('./import.service');
+
+// 은행 계좌(STMTRS)와 카드(CCSTMTRS) 거래내역
+const STATEMENT_TAGS = ['STMTRS', 'CCSTMTRS'];
+
+// 묶음 요소 안의 직접/하위 값 요소 중 첫 번째 값 (없으면 null)
+function valueOf(block, tag) {
+    const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(block);
+    if (!match) return null;
+    const value = decodeEntities(match[1].trim());
+    return value === '' ? null : value;
+}
+
+// <TAG> ... </TAG> 묶음 요소 목록
+function blocksOf(text, tag) {
+    const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'gi');
+    return [...text.matchAll(pattern)].map(match => match[1]);
+}
+
+function decodeEntities(value) {
+    return value
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+// OFX 날짜(YYYYMMDD[HHMMSS[.XXX]][[-9:KST]]) → YYYY-MM-DD, 시간대와 관계없이 은행이 적은 날짜를 사용
+function parseOfxDate(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+// OFX 문자열 → { accounts, records }
+// accounts: 계좌별 요약 (종류, 계좌 번호, 통화, 기간, 잔액, 거래 수)
+// records: 가져오기 레코드 (row 는 파일 안의 거래 순번, externalId 는 계좌 번호를 붙인 FITID)
+function parseOfx(text) {
+    const start = text.search(/<OFX>/i);
+    if (start === -1) throw new ImportFormatError('OFX 파일이 아닙니다. <OFX> 요소를 찾을 수 없습니다.');
+    const body = text.slice(start);
+
+    const accounts = [];
+    const records = [];
+    for (const tag of STATEMENT_TAGS) {
+        for (const statement of blocksOf(body, tag)) {
+            const accountId = valueOf(statement, 'ACCTID');
+            const currency = normalizeCurrency(valueOf(statement, 'CURDEF')) || DEFAULT_CURRENCY;
+            const list = blocksOf(statement, 'BANKTRANLIST')[0] || '';
+            const transactions = blocksOf(list, 'STMTTRN');
+            const balance = blocksOf(statement, 'LEDGERBAL')[0];
+
+            accounts.push({
+                type: tag === 'CCSTMTRS' ? 'creditcard' : 'bank',
+                bankId: valueOf(statement, 'BANKID'),
+                accountId,
+                currency,
+                startDate: parseOfxDate(valueOf(list, 'DTSTART')),
+                endDate: parseOfxDate(valueOf(list, 'DTEND')),
+                balance: balance && isValidCurrency(currency) ? toMinorUnits(parseAmount(valueOf(balance, 'BALAMT')) || 0, currency) : null,
+                transactions: transactions.length
+            });
+
+            transactions.forEach(transaction => records.push(recordOf(transaction, records.length + 1, accountId, currency, tag)));
+        }
+    }
+    if (!accounts.length) throw new ImportFormatError('OFX 파일에 은행(STMTRS) 또는 카드(CCSTMTRS) 거래내역이 없습니다.');
+    return { accounts, records };
+}
+
+// STMTTRN 한 건 → 가져오기 레코드 (음수는 지출, 양수는 수입)
+function recordOf(transaction, row, accountId, statementCurrency, statementTag) {
+    const rawDate = valueOf(transaction, 'DTPOSTED') || valueOf(transaction, 'DTUSER');
+    const name = valueOf(transaction, 'NAME') || valueOf(transaction, 'PAYEEID');
+    const memo = valueOf(transaction, 'MEMO');
+    const fitId = valueOf(transaction, 'FITID');
+    // 거래별 통화(<CURRENCY><CURSYM>)가 있으면 우선
+    const currency = normalizeCurrency(valueOf(transaction, 'CURSYM')) || statementCurrency;
+    const amount = parseAmount(valueOf(transaction, 'TRNAMT'));
+
+    const record = {
+        row,
+        type: amount < 0 ? 'expense' : 'income',
+        date: parseOfxDate(rawDate),
+        currency,
+        description: (name || memo || '').replace(/\s+/g, ' '),
+        payee: name,
+        category: null,
+        paymentMethod: statementTag === 'CCSTMTRS' ? '카드' : '계좌이체',
+        externalId: fitId ? `${accountId || ''}:${fitId}` : null,
+        errors: []
+    };
+    if (!record.date) record.errors.push(`날짜를 읽을 수 없습니다: "${rawDate || ''}"`);
+
+    setRecordAmount(record, amount && Math.abs(amount));
+    return record;
+}
+
+module.exports = {
+    parseOfxDate,
+    parseOfx
+};
@@ -0,0 +1,248 @@
+// src/services/openapi.service.js
+// swagger-jsdoc 로 만든 OpenAPI 3.0 명세로 요청(경로/쿼리 파라미터, JSON 본문)을 검사
+//
+// 라우트 주석의 스키마에서 쓰는 키워드만 지원한다:
+//   $ref, type, nullable, enum, format(date, date-time), minimum, maximum, exclusiveMinimum, exclusiveMaximum,
+//   minLength, maxLength, pattern, items, minItems, maxItems, properties, required, additionalProperties, allOf, oneOf, anyOf
+// 쿼리/경로 파라미터는 문자열로 들어오므로 스키마의 type 에 맞게 바꿔서 검사한다.
+// 선택 항목(required 가 아닌 속성)의 null 은 "값 없음"으로 보고 허용한다.
+
+const SUPPORTED_KEYWORDS = new Set([
+    '$ref', 'type', 'nullable', 'enum', 'format', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum',
+    'minLength', 'maxLength', 'pattern', 'items', 'minItems', 'maxItems', 'properties', 'required', 'additionalProperties',
+    'allOf', 'oneOf', 'anyOf',
+    // 검사에 쓰지 않는 설명용 키워드
+    'description', 'default', 'example', 'title', 'readOnly', 'writeOnly'
+]);
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// '#/components/schemas/ExpenseInput' → 명세 안의 객체
+function resolveRef(spec, ref) {
+    if (typeof ref !== 'string' || !ref.startsWith('#/')) throw new Error(`지원하지 않는 $ref: ${ref}`);
+    const target = ref.slice(2).split('/').reduce((node, key) => (node ? node[key.replace(/~1/g, '/').replace(/~0/g, '~')] : undefined), spec);
+    if (target === undefined) throw new Error(`찾을 수 없는 $ref: ${ref}`);
+    return target;
+}
+
+const deref = (spec, node) => (node && node.$ref ? deref(spec, resolveRef(spec, node.$ref)) : node);
+
+function isValidDate(value) {
+    if (!DATE_PATTERN.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+const fieldName = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : (path ? `${path}.${key}` : key));
+
+// value 가 schema 에 맞는지 검사해 오류 목록 반환 (오류: { field, code, message })
+function validateValue(spec, schema, value, path = '') {
+    schema = deref(spec, schema);
+    if (!schema) return [];
+    const errors = [];
+    const fail = (code, message) => errors.push({ field: path, code, message });
+
+    if (schema.allOf) schema.allOf.forEach(part => errors.push(...validateValue(spec, part, value, path)));
+    for (const keyword of ['oneOf', 'anyOf']) {
+        if (!schema[keyword]) continue;
+        const results = schema[keyword].map(part => validateValue(spec, part, value, path));
+        const passed = results.filter(r => !r.length).length;
+        if (keyword === 'oneOf' ? passed === 1 : passed > 0) continue;
+        if (passed > 1) {
+            fail('oneOf', '여러 형식에 동시에 해당합니다.');
+            continue;
+        }
+        // 어느 형식에도 맞지 않으면 가장 가까운(오류가 가장 적은) 형식의 오류를 알려 줌
+        errors.push(...results.reduce((best, r) => (r.length < best.length ? r : best)));
+    }
+
+    if (value === null) {
+        if (schema.type && !schema.nullable) fail('type', `${schema.type} 이어야 합니다.`);
+        return errors;
+    }
+    if (schema.type && !matchesType(value, schema.type)) {
+        fail('type', `${schema.type} 이어야 합니다.`);
+        return errors;
+    }
+    if (schema.enum && !schema.enum.some(option => option === value)) fail('enum', `${schema.enum.join(', ')} 중 하나여야 합니다.`);
+
+    if (typeof value === 'string') {
+        if (schema.format === 'date' && !isValidDate(value)) fail('format', 'YYYY-MM-DD 형식의 날짜여야 합니다.');
+        if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) fail('format', 'ISO 8601 날짜/시간이어야 합니다.');
+        if (schema.minLength !== undefined && [...value].length < schema.minLength) fail('minLength', `${schema.minLength}자 이상이어야 합니다.`);
+        if (schema.maxLength !== undefined && [...value].length > schema.maxLength) fail('maxLength', `${schema.maxLength}자 이하여야 합니다.`);
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) fail('pattern', `형식(${schema.pattern})에 맞지 않습니다.`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined) {
+            if (schema.exclusiveMinimum ? value <= schema.minimum : value < schema.minimum) fail('minimum', `${schema.minimum}${schema.exclusiveMinimum ? ' 보다 커야' : ' 이상이어야'} 합니다.`);
+        }
+        if (schema.maximum !== undefined) {
+            if (schema.exclusiveMaximum ? value >= schema.maximum : value > schema.maximum) fail('maximum', `${schema.maximum}${schema.exclusiveMaximum ? ' 보다 작아야' : ' 이하여야'} 합니다.`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) fail('minItems', `${schema.minItems}개 이상이어야 합니다.`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) fail('maxItems', `${schema.maxItems}개 이하여야 합니다.`);
+        if (schema.items) value.forEach((item, i) => errors.push(...validateValue(spec, schema.items, item, fieldName(path, i))));
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        const required = schema.required || [];
+        required.forEach(key => {
+            if (value[key] === undefined || value[key] === null) errors.push({ field: fieldName(path, key), code: 'required', message: '필수 입력값입니다.' });
+        });
+        for (const [key, item] of Object.entries(value)) {
+            if (properties[key]) {
+                if (item === null && !required.includes(key)) continue;
+                errors.push(...validateValue(spec, properties[key], item, fieldName(path, key)));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ field: fieldName(path, key), code: 'additionalProperties', message: '알 수 없는 항목입니다.' });
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                errors.push(...validateValue(spec, schema.additionalProperties, item, fieldName(path, key)));
+            }
+        }
+    }
+    return errors;
+}
+
+// 쿼리/경로 파라미터 문자열 → 스키마의 type 에 맞는 값 (바꿀 수 없으면 그대로 두어 type 오류가 나도록)
+function coerceParameter(spec, schema, raw) {
+    schema = deref(spec, schema) || {};
+    const type = schema.type || (schema.allOf || schema.oneOf || schema.anyOf || []).map(s => deref(spec, s).type).find(Boolean);
+    if (type === 'array') {
+        const values = Array.isArray(raw) ? raw : String(raw).split(',');
+        return values.map(v => coerceParameter(spec, schema.items, v));
+    }
+    if (Array.isArray(raw)) return raw.map(v => coerceParameter(spec, schema, v));
+    if (typeof raw !== 'string') return raw;
+    if (type === 'integer' && /^-?\d+$/.test(raw.trim())) return Number(raw);
+    if (type === 'number' && raw.trim() !== '' && Number.isFinite(Number(raw))) return Number(raw);
+    if (type === 'boolean') {
+        const v = raw.trim().toLowerCase();
+        if (v === 'true' || v === '1') return true;
+        if (v === 'false' || v === '0' || v === '') return false;
+    }
+    return raw;
+}
+
+// 명세의 모든 작업 목록 [{ method, path, pattern, pathKeys, operation, parameters }]
+// 고정 경로(/api/expense/export-csv)가 변수 경로(/api/expense/{id})보다 먼저 오도록 정렬
+function listOperations(spec) {
+    const operations = [];
+    for (const [path, item] of Object.entries(spec.paths || {})) {
+        const shared = item.parameters || [];
+        for (const method of HTTP_METHODS) {
+            const operation = item[method];
+            if (!operation) continue;
+            const pathKeys = [];
+            const source = path.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{([^}]+)\}/g, (_, key) => {
+                pathKeys.push(key);
+                return '([^/]+)';
+            });
+            const byKey = new Map();
+            [...shared, ...(operation.parameters || [])].map(p => deref(spec, p)).forEach(p => byKey.set(`${p.in}:${p.name}`, p));
+            operations.push({ method, path, pattern: new RegExp(`^${source}/?$`), pathKeys, operation, parameters: [...byKey.values()] });
+        }
+    }
+    return operations.sort((a, b) => a.pathKeys.length - b.pathKeys.length);
+}
+
+// 요청 경로/메서드에 해당하는 작업과 경로 파라미터, 명세에 없으면 null
+function findOperation(operations, method, path) {
+    const lower = method.toLowerCase();
+    for (const entry of operations) {
+        if (entry.method !== lower) continue;
+        const match = entry.pattern.exec(path);
+        if (!match) continue;
+        const params = {};
+        entry.pathKeys.forEach((key, i) => {
+            params[key] = decodeURIComponent(match[i + 1]);
+        });
+        return { ...entry, params };
+    }
+    return null;
+}
+
+// 요청 검사 → 오류 목록 (오류: { in, field, code, message })
+// request: { params, query, body, contentType(JSON 본문이면 'application/json') }
+function validateRequest(spec, entry, request) {
+    const errors = [];
+    for (const parameter of entry.parameters) {
+        if (parameter.in !== 'path' && parameter.in !== 'query') continue;
+        const source = parameter.in === 'path' ? request.params : request.query;
+        const raw = source ? source[parameter.name] : undefined;
+        if (raw === undefined || (parameter.in === 'query' && raw === '' && !parameter.required)) {
+            if (parameter.required) errors.push({ in: parameter.in, field: parameter.name, code: 'required', message: '필수 입력값입니다.' });
+            continue;
+        }
+        const value = coerceParameter(spec, parameter.schema, raw);
+        validateValue(spec, parameter.schema, value, parameter.name).forEach(error => errors.push({ in: parameter.in, ...error }));
+    }
+
+    const requestBody = deref(spec, entry.operation.requestBody);
+    const jsonBody = requestBody && requestBody.content && requestBody.content['application/json'];
+    if (jsonBody && request.contentType === 'application/json') {
+        const body = request.body === undefined ? {} : request.body;
+        validateValue(spec, jsonBody.schema, body).forEach(error => errors.push({ in: 'body', ...error, field: error.field || '(body)' }));
+    } else if (requestBody && requestBody.required && request.body === undefined && !request.contentType) {
+        errors.push({ in: 'body', field: '(body)', code: 'required', message: '요청 본문이 필요합니다.' });
+    }
+    return errors;
+}
+
+// 스키마에서 지원하지 않는 키워드/풀리지 않는 $ref 를 찾아 문제 목록 반환 (명세 점검용)
+function lintSchema(spec, schema, where, seen = new Set()) {
+    if (!schema || typeof schema !== 'object') return [];
+    if (schema.$ref) {
+        if (seen.has(schema.$ref)) return [];
+        seen.add(schema.$ref);
+        try {
+            return lintSchema(spec, resolveRef(spec, schema.$ref), where, seen);
+        } catch (error) {
+            return [`${where}: ${error.message}`];
+        }
+    }
+    const problems = Object.keys(schema).filter(key => !SUPPORTED_KEYWORDS.has(key)).map(key => `${where}: 지원하지 않는 스키마 키워드 '${key}'`);
+    if (schema.type && !['string', 'integer', 'number', 'boolean', 'array', 'object'].includes(schema.type)) problems.push(`${where}: 알 수 없는 type '${schema.type}'`);
+    if (schema.format && schema.type === 'string' && !['date', 'date-time', 'binary', 'email', 'uri', 'password'].includes(schema.format)) {
+        problems.push(`${where}: 지원하지 않는 format '${schema.format}'`);
+    }
+    if (schema.required && schema.properties) {
+        schema.required.filter(key => !schema.properties[key]).forEach(key => problems.push(`${where}: required 의 '${key}' 가 properties 에 없음`));
+    }
+    const children = [
+        ...Object.entries(schema.properties || {}).map(([key, child]) => [`${where}.${key}`, child]),
+        ...(schema.items ? [[`${where}[]`, schema.items]] : []),
+        ...(typeof schema.additionalProperties === 'object' ? [[`${where}{}`, schema.additionalProperties]] : []),
+        ...['allOf', 'oneOf', 'anyOf'].flatMap(k => (schema[k] || []).map((child, i) => [`${where}.${k}[${i}]`, child]))
+    ];
+    return problems.concat(...children.map(([path, child]) => lintSchema(spec, child, path, seen)));
+}
+
+module.exports = {
+    HTTP_METHODS,
+    resolveRef,
+    validateValue,
+    coerceParameter,
+    listOperations,
+    findOperation,
+    validateRequest,
+    lintSchema
+};
@@ -0,0 +1,97 @@
+// src/services/qif.service.js
+// QIF 거래내역 파일을 import.service 의 가져오기 레코드로 변환
+//
+// QIF 는 한 줄에 한 항목(첫 글자가 항목 코드)이며 거래는 ^ 줄로 끝난다.
+//   !Type:Bank / !Type:CCard / !Type:Cash ... 거래 종류 (이 외의 !Type 은 계정/카테고리 목록이므로 건너뜀)
+//   D 날짜, T(U) 금액, P 거래처, M 메모, L 카테고리([계좌] 는 이체), N 번호
+// QIF 에는 거래 고유 번호가 없어 중복은 날짜/금액/내용으로 판단한다.
+const { DEFAULT_CURRENCY } = require('./currency.service');
+const { ImportFormatError, normalizeDate, parseAmount, setRecordAmount } = require('./import.service');
+
+// 거래로 가져오는 !Type 과 지출일 때의 결제 수단
+const TRANSACTION_TYPES = {
+    bank: '계좌이체',
+    cash: '현금',
+    ccard: '카드',
+    'oth a': null,
+    'oth l': null
+};
+const DATE_ORDERS = ['mdy', 'dmy', 'ymd'];
+
+// QIF 날짜 → YYYY-MM-DD (구분자 / - . ' 와 두 자리 연도 허용), order 는 연도가 앞에 오지 않을 때의 순서
+function parseQifDate(value, order = 'mdy') {
+    const text = String(value || '').trim();
+    if (/^\d{4}/.test(text)) return normalizeDate(text);
+    const parts = text.split(/\s*['/.-]\s*/).filter(Boolean);
+    if (parts.length !== 3 || parts.some(p => !/^\d+$/.test(p))) return null;
+
+    let [month, day, year] = parts;
+    if (order === 'dmy') [day, month, year] = parts;
+    if (order === 'ymd') [year, month, day] = parts;
+    if (year.length === 2) year = `${Number(year) < 70 ? '20' : '19'}${year}`;
+    return normalizeDate(`${year}-${month}-${day}`);
+}
+
+// QIF 문자열 → 가져오기 레코드 목록 (row 는 파일 안의 거래 순번)
+// options: { dateOrder: mdy|dmy|ymd, currency: 금액 통화 (기본값 KRW) }
+function parseQif(text, { dateOrder = 'mdy', currency = DEFAULT_CURRENCY } = {}) {
+    if (!/^\s*!Type:/im.test(text)) throw new ImportFormatError('QIF 파일이 아닙니다. !Type: 줄을 찾을 수 없습니다.');
+    if (!DATE_ORDERS.includes(dateOrder)) throw new ImportFormatError(`dateOrder 는 ${DATE_ORDERS.join(', ')} 중 하나여야 합니다.`);
+
+    const records = [];
+    let section = null;
+    let fields = {};
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line) continue;
+        if (line.startsWith('!')) {
+            const match = /^!Type:(.+)$/i.exec(line);
+            section = match ? match[1].trim().toLowerCase() : null;
+            fields = {};
+            continue;
+        }
+        if (line === '^') {
+            if (section in TRANSACTION_TYPES && Object.keys(fields).length) {
+                records.push(recordOf(fields, records.length + 1, TRANSACTION_TYPES[section], dateOrder, currency));
+            }
+            fields = {};
+            continue;
+        }
+        // 분할 거래(S, E, $) 는 합계(T)만 사용
+        const code = line[0];
+        if (!(code in fields)) fields[code] = line.slice(1).trim();
+    }
+    return records;
+}
+
+// 거래 한 건 → 가져오기 레코드 (음수는 지출, 양수는 수입)
+function recordOf(fields, row, paymentMethod, dateOrder, currency) {
+    const amount = parseAmount(fields.T !== undefined ? fields.T : fields.U);
+    const payee = fields.P || null;
+    // [계좌 이름] 은 계좌 간 이체이므로 카테고리로 쓰지 않음, 하위 카테고리(식비:외식)는 가장 하위 이름 사용
+    const category = fields.L && !/^\[.*\]$/.test(fields.L) ? fields.L.split(':').pop().trim() : null;
+
+    const record = {
+        row,
+        type: amount < 0 ? 'expense' : 'income',
+        date: parseQifDate(fields.D, dateOrder),
+        currency,
+        description: (payee || fields.M || '').replace(/\s+/g, ' '),
+        payee,
+        category: category || null,
+        paymentMethod,
+        externalId: null,
+        errors: []
+    };
+    if (!record.date) record.errors.push(`날짜를 읽을 수 없습니다: "${fields.D || ''}"`);
+
+    setRecordAmount(record, amount && Math.abs(amount));
+    return record;
+}
+
+module.exports = {
+    DATE_ORDERS,
+    parseQifDate,
+    parseQif
+};
@@ -0,0 +1,284 @@
+// src/services/recurrence.service.js
+// recurring_rules 의 반복 주기 계산과 발생 회차를 수입/지출로 기록하는 처리
+const { v4: uuidv4 } = require('uuid');
+const { addDays, addWeeks, addMonths, addYears, format, parseISO } = require('date-fns');
+const { RRule, rrulestr } = require('rrule');
+const { createExpense } = require('./expense.service');
+const { AccountError, resolveAccount } = require('./account.service');
+
+const toDateString = (date) => format(date, 'yyyy-MM-dd');
+
+// RRULE 계산은 날짜만 다루므로 UTC 자정 기준으로 변환
+const toUtcDate = (dateString) => new Date(`${dateString}T00:00:00Z`);
+const fromUtcDate = (date) => date.toISOString().slice(0, 10);
+
+// RRule.FREQUENCIES 중 recurring_rules.frequency 로 표현할 수 있는 값
+const RRULE_FREQUENCIES = {
+    [RRule.YEARLY]: 'yearly',
+    [RRule.MONTHLY]: 'monthly',
+    [RRule.WEEKLY]: 'weekly',
+    [RRule.DAILY]: 'daily'
+};
+
+// RFC 5545 RRULE 문자열을 검사하고 frequency/interval/occurrences/endDate 로 풀어서 반환
+// 예: FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1 (매월 마지막 평일)
+function parseRRule(value) {
+    const text = String(value || '').trim().replace(/^RRULE:/i, '');
+    if (!text) return { error: 'rrule 이 비어 있습니다.' };
+    if (/DTSTART|\n/i.test(text)) return { error: 'rrule 에는 RRULE 부분만 넣고 시작일은 startDate 로 지정하세요.' };
+
+    let options;
+    try {
+        options = RRule.parseString(text);
+        new RRule(options); // 잘못된 BYxxx 조합 검사
+    } catch (error) {
+        return { error: `잘못된 RRULE 입니다: ${error.message}` };
+    }
+    if (options.freq === undefined || !RRULE_FREQUENCIES[options.freq]) {
+        return { error: 'FREQ 는 DAILY, WEEKLY, MONTHLY, YEARLY 중 하나여야 합니다.' };
+    }
+
+    return {
+        rrule: text.toUpperCase(),
+        frequency: RRULE_FREQUENCIES[options.freq],
+        interval: options.interval || 1,
+        occurrences: options.count || null,
+        endDate: options.until ? fromUtcDate(options.until) : null
+    };
+}
+
+function buildRRule(rule) {
+    return rrulestr(rule.rrule, { dtstart: toUtcDate(rule.startDate) });
+}
+
+// 시작일로부터 n 번째 주기 날짜 (말일 보정을 위해 매번 시작일 기준으로 계산)
+function addInterval(date, frequency, interval) {
+    switch (frequency) {
+        case 'daily': return addDays(date, interval);
+        case 'weekly': return addWeeks(date, interval);
+        case 'monthly': return addMonths(date, interval);
+        case 'yearly': return addYears(date, interval);
+        default: return addMonths(date, interval);
+    }
+}
+
+// from ~ to (포함) 사이에 발생하는 규칙의 날짜 목록 (occurrences, endDate 제한 적용)
+function occurrencesBetween(rule, from, to) {
+    const last = rule.endDate && rule.endDate < to ? rule.endDate : to;
+    if (rule.rrule) {
+        if (from > last) return [];
+        // COUNT 는 시작일부터 세야 하므로 between 대신 처음부터 순회
+        const dates = [];
+        buildRRule(rule).all((date, n) => {
+            const day = fromUtcDate(date);
+            if (day > last || (rule.occurrences && n >= rule.occurrences)) return false;
+            if (day >= from) dates.push(day);
+            return true;
+        });
+        return dates;
+    }
+
+    const start = parseISO(rule.startDate);
+    const dates = [];
+    for (let n = 0; ; n++) {
+        if (rule.occurrences && n >= rule.occurrences) break;
+        const date = toDateString(addInterval(start, rule.frequency, n * (rule.interval || 1)));
+        if (date > last) break;
+        if (date >= from) dates.push(date);
+    }
+    return dates;
+}
+
+// from 이후(포함) 첫 발생일, 더 이상 없으면 null
+function nextOccurrence(rule, from) {
+    if (rule.rrule) {
+        let next = null;
+        buildRRule(rule).all((date, n) => {
+            if (rule.occurrences && n >= rule.occurrences) return false;
+            const day = fromUtcDate(date);
+            if (rule.endDate && day > rule.endDate) return false;
+            if (day >= from) {
+                next = day;
+                return false;
+            }
+            return true;
+        });
+        return next;
+    }
+
+    const start = parseISO(rule.startDate);
+    for (let n = 0; ; n++) {
+        if (rule.occurrences && n >= rule.occurrences) return null;
+        const date = toDateString(addInterval(start, rule.frequency, n * (rule.interval || 1)));
+        if (rule.endDate && date > rule.endDate) return null;
+        if (date >= from) return date;
+    }
+}
+
+// 규칙의 회차별 예외 Map (원래 발생일 → 예외)
+function exceptionsByDate(db, ruleId) {
+    const rows = db.prepare('SELECT * FROM recurring_exceptions WHERE ruleId = ?').all(ruleId);
+    return new Map(rows.map(r => [r.occurrenceDate, r]));
+}
+
+// lastProcessedDate 까지는 이미 기록(또는 건너뜀) 처리된 회차
+function isProcessed(rule, occurrenceDate) {
+    return !!rule.lastProcessedDate && occurrenceDate <= rule.lastProcessedDate;
+}
+
+// asOf 와 lastProcessedDate 다음 날 중 늦은 날부터 아직 기록되지 않은 첫 회차의 원래 발생일, 없으면 null (건너뛴 회차 제외)
+function upcomingOccurrence(db, rule, asOf) {
+    const exceptions = exceptionsByDate(db, rule.id);
+    const afterProcessed = rule.lastProcessedDate ? toDateString(addDays(parseISO(rule.lastProcessedDate), 1)) : null;
+    let from = afterProcessed && afterProcessed > asOf ? afterProcessed : asOf;
+    for (;;) {
+        const date = nextOccurrence(rule, from);
+        if (!date) return null;
+        const exception = exceptions.get(date);
+        if (!exception || exception.action !== 'skip') return date;
+        from = toDateString(addDays(parseISO(date), 1));
+    }
+}
+
+// from ~ to 회차 목록에 예외와 처리 여부를 반영
+// status: scheduled(예정) | overridden(변경 예정) | skipped(건너뜀) | posted(기록됨)
+function expandOccurrences(db, rule, from, to) {
+    const exceptions = exceptionsByDate(db, rule.id);
+    return occurrencesBetween(rule, from, to).map(occurrenceDate => {
+        const exception = exceptions.get(occurrenceDate);
+        const override = exception && exception.action === 'override' ? exception : null;
+        let status = 'scheduled';
+        if (exception && exception.action === 'skip') status = 'skipped';
+        else if (isProcessed(rule, occurrenceDate)) status = 'posted';
+        else if (override) status = 'overridden';
+
+        return {
+            occurrenceDate,
+            date: (override && override.date) || occurrenceDate,
+            amount: override && override.amount !== null ? override.amount : rule.amount,
+            description: (override && override.description) || rule.description || '',
+            status
+        };
+    });
+}
+
+// 회차를 기록할 계좌 (규칙에 계좌가 없거나 계좌가 보관/삭제되었으면 기본 계좌)
+function occurrenceAccountId(db, rule) {
+    if (rule.accountId) {
+        try {
+            return resolveAccount(db, rule.userId, { accountId: rule.accountId }).id;
+        } catch (error) {
+            if (!(error instanceof AccountError)) throw error;
+        }
+    }
+    return resolveAccount(db, rule.userId).id;
+}
+
+// 회차 하나를 규칙 유형에 맞는 수입/지출로 저장하고 생성된 id 반환
+function insertOccurrence(db, rule, occurrence, now) {
+    const accountId = occurrenceAccountId(db, rule);
+    if (rule.type === 'expense') {
+        return createExpense(db, {
+            userId: rule.userId,
+            amount: occurrence.amount,
+            currency: rule.currency,
+            categoryId: rule.categoryId,
+            description: occurrence.description,
+            date: occurrence.date,
+            isFixed: true,
+            recurringId: rule.id,
+            accountId,
+            createdAt: now
+        }).id;
+    }
+
+    const id = uuidv4();
+    db.prepare(`
+        INSERT INTO incomes (id, userId, amount, currency, categoryId, description, date, isRecurring, recurringId, accountId, createdAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?)
+    `).run(id, rule.userId, Number(occurrence.amount), rule.currency, rule.categoryId, occurrence.description, occurrence.date, rule.id, accountId, now);
+    return id;
+}
+
+// lastProcessedDate 다음 날부터 until 까지의 회차를 기록하고 lastProcessedDate 를 until 로 옮김
+// 같은 until 로 여러 번 실행해도 이미 처리된 회차는 다시 기록하지 않음
+function postDueOccurrences(db, rule, until) {
+    const from = rule.lastProcessedDate
+        ? toDateString(addDays(parseISO(rule.lastProcessedDate), 1))
+        : rule.startDate;
+    if (from > until) return { created: [], skipped: [] };
+
+    const occurrences = expandOccurrences(db, rule, from, until);
+    const now = new Date().toISOString();
+    const result = { created: [], skipped: [] };
+
+    db.transaction(() => {
+        for (const occurrence of occurrences) {
+            if (occurrence.status === 'skipped') {
+                result.skipped.push(occurrence.occurrenceDate);
+                continue;
+            }
+            const id = insertOccurrence(db, rule, occurrence, now);
+            result.created.push({ id, type: rule.type, ...occurrence, status: 'posted' });
+        }
+        db.prepare('UPDATE recurring_rules SET lastProcessedDate = ?, updatedAt = ? WHERE id = ?').run(until, now, rule.id);
+    })();
+
+    return result;
+}
+
+// 활성 규칙 전체(userId 가 있으면 그 사용자의 규칙)에서 until 까지 밀린 회차를 기록 (규칙 하나가 실패해도 나머지는 계속 처리)
+function materializeDueRules(db, until, userId = null) {
+    const rules = userId
+        ? db.prepare('SELECT * FROM recurring_rules WHERE isActive = 1 AND userId = ? ORDER BY createdAt').all(userId)
+        : db.prepare('SELECT * FROM recurring_rules WHERE isActive = 1 ORDER BY createdAt').all();
+    const summary = { rulesProcessed: 0, rowsCreated: 0, errors: [] };
+    for (const rule of rules) {
+        try {
+            const result = postDueOccurrences(db, rule, until);
+            summary.rulesProcessed++;
+            summary.rowsCreated += result.created.length;
+        } catch (error) {
+            summary.errors.push({ ruleId: rule.id, message: error.message });
+        }
+    }
+    return summary;
+}
+
+// 규칙을 RRULE 문자열로 표현 (ICS 내보내기용)
+// addMonths 는 31일 시작 규칙을 짧은 달의 말일로 옮기므로 BYMONTHDAY + BYSETPOS=-1 로 같은 동작을 표현
+function toRRuleString(rule) {
+    if (rule.rrule) {
+        const parts = [rule.rrule];
+        if (rule.occurrences && !/COUNT=/.test(rule.rrule)) parts.push(`COUNT=${rule.occurrences}`);
+        if (rule.endDate && !/UNTIL=/.test(rule.rrule)) parts.push(`UNTIL=${rule.endDate.replace(/-/g, '')}`);
+        return parts.join(';');
+    }
+
+    const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+    if ((rule.interval || 1) > 1) parts.push(`INTERVAL=${rule.interval}`);
+    const [, month, day] = rule.startDate.split('-').map(Number);
+    const clampDays = (upTo, from) => Array.from({ length: upTo - from + 1 }, (v, i) => from + i).join(',');
+    if (rule.frequency === 'monthly' && day > 28) {
+        parts.push(`BYMONTHDAY=${clampDays(day, 28)}`, 'BYSETPOS=-1');
+    } else if (rule.frequency === 'yearly' && month === 2 && day === 29) {
+        parts.push('BYMONTH=2', 'BYMONTHDAY=28,29', 'BYSETPOS=-1');
+    }
+    if (rule.occurrences) parts.push(`COUNT=${rule.occurrences}`);
+    if (rule.endDate) parts.push(`UNTIL=${rule.endDate.replace(/-/g, '')}`);
+    return parts.join(';');
+}
+
+module.exports = {
+    parseRRule,
+    toRRuleString,
+    addInterval,
+    occurrencesBetween,
+    nextOccurrence,
+    upcomingOccurrence,
+    exceptionsByDate,
+    isProcessed,
+    expandOccurrences,
+    postDueOccurrences,
+    materializeDueRules
+};
@@ -0,0 +1,312 @@
+// src/services/rule.service.js
+// 사용자 정의 자동 분류 규칙(category_rules)으로 수입/지출의 카테고리, 태그, 고정 지출 여부를 정하고
+// 예전에 비슷한 내용의 거래를 어느 카테고리로 분류했는지 보고 카테고리를 추천
+//
+// 조건(condition, 적힌 항목을 모두 만족해야 일치)
+//   descriptionContains / locationContains  포함할 문자열 (대소문자 무시, 배열이면 하나라도 포함)
+//   descriptionRegex / locationRegex        정규식 (대소문자 무시)
+//   minAmount / maxAmount                   금액 범위 (currency 의 최소 단위 정수, 이상/이하)
+//   currency                                통화 (없으면 모든 통화)
+//   paymentMethod                           결제 수단 (지출만, 배열이면 하나라도 일치)
+// 동작: categoryId(카테고리), tags(붙일 태그), isFixed(고정 지출 여부, 지출만)
+//
+// 규칙은 priority 가 작은 순(같으면 먼저 만든 순)으로 검사하고 처음 일치한 규칙 하나만 적용한다.
+// 새 거래에는 요청에 없는 값만 채우고(태그는 합침), 지난 거래에 다시 적용할 때는 규칙 값으로 바꾼다.
+const { DEFAULT_CATEGORY_IDS, VISIBLE_TO_USER } = require('./category.service');
+const { normalizeCurrency, isValidCurrency } = require('./currency.service');
+const { PAYMENT_METHODS, parseBoolean, toExpenses, updateExpense } = require('./expense.service');
+const { normalizeTags, setTransactionTags, attachTags } = require('./tag.service');
+
+const RULE_TYPES = ['income', 'expense'];
+const TEXT_CONDITIONS = ['descriptionContains', 'descriptionRegex', 'locationContains', 'locationRegex'];
+const CONDITION_FIELDS = [...TEXT_CONDITIONS, 'minAmount', 'maxAmount', 'currency', 'paymentMethod'];
+// 지출에만 있는 거래 항목
+const EXPENSE_ONLY_CONDITIONS = ['locationContains', 'locationRegex', 'paymentMethod'];
+
+// 정규식 길이 제한 (사용자 입력 정규식으로 처리가 오래 걸리지 않도록)
+const MAX_REGEX_LENGTH = 200;
+// 추천에 사용할 최근 거래 수와 비슷하다고 볼 최소 유사도
+const SUGGESTION_HISTORY = 2000;
+const SUGGESTION_THRESHOLD = 0.5;
+
+const TRANSACTION_TABLES = { income: 'incomes', expense: 'expenses' };
+
+function parseJson(value, fallback) {
+    if (typeof value !== 'string') return value === undefined || value === null ? fallback : value;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return fallback;
+    }
+}
+
+const toList = (value) => (Array.isArray(value) ? value : [value]);
+
+function compileRegex(pattern) {
+    try {
+        return new RegExp(pattern, 'i');
+    } catch (e) {
+        return null;
+    }
+}
+
+// 규칙 입력 검사, 문제가 있으면 오류 메시지 반환
+function validateRule(db, rule, userId) {
+    if (!rule.name || !String(rule.name).trim()) return '규칙 이름은 필수 입력값입니다.';
+    if (!RULE_TYPES.includes(rule.type)) return `type 은 ${RULE_TYPES.join(', ')} 중 하나여야 합니다.`;
+    if (rule.priority !== undefined && rule.priority !== null && !Number.isInteger(Number(rule.priority))) return 'priority 는 정수여야 합니다.';
+
+    const condition = parseJson(rule.condition, null);
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) return 'condition 은 JSON 객체여야 합니다.';
+    const unknown = Object.keys(condition).find(key => !CONDITION_FIELDS.includes(key));
+    if (unknown) return `알 수 없는 조건입니다: ${unknown} (사용 가능: ${CONDITION_FIELDS.join(', ')})`;
+    if (!Object.keys(condition).length) return '조건을 하나 이상 지정해야 합니다.';
+    if (rule.type === 'income') {
+        const expenseOnly = EXPENSE_ONLY_CONDITIONS.find(key => condition[key] !== undefined);
+        if (expenseOnly) return `${expenseOnly} 조건은 지출 규칙에만 사용할 수 있습니다.`;
+    }
+
+    for (const key of TEXT_CONDITIONS) {
+        if (condition[key] === undefined) continue;
+        const values = toList(condition[key]);
+        if (!values.length || values.some(v => typeof v !== 'string' || !v.trim())) return `${key} 는 비어 있지 않은 문자열(또는 문자열 배열)이어야 합니다.`;
+        if (key.endsWith('Regex')) {
+            if (values.some(v => v.length > MAX_REGEX_LENGTH)) return `${key} 는 ${MAX_REGEX_LENGTH}자 이하여야 합니다.`;
+            if (values.some(v => !compileRegex(v))) return `${key} 가 올바른 정규식이 아닙니다.`;
+        }
+    }
+    for (const key of ['minAmount', 'maxAmount']) {
+        if (condition[key] !== undefined && (!Number.isInteger(condition[key]) || condition[key] < 0)) return `${key} 는 0 이상의 정수(최소 단위)여야 합니다.`;
+    }
+    if (condition.minAmount !== undefined && condition.maxAmount !== undefined && condition.minAmount > condition.maxAmount) {
+        return 'minAmount 는 maxAmount 보다 클 수 없습니다.';
+    }
+    if (condition.currency !== undefined && !isValidCurrency(normalizeCurrency(condition.currency))) return `지원하지 않는 통화 코드입니다: ${condition.currency}`;
+    if (condition.paymentMethod !== undefined && toList(condition.paymentMethod).some(m => !PAYMENT_METHODS.includes(m))) {
+        return `결제 수단은 ${PAYMENT_METHODS.join(', ')} 중 하나여야 합니다.`;
+    }
+
+    const tags = normalizeTags(rule.tags);
+    const hasFixed = rule.isFixed !== undefined && rule.isFixed !== null;
+    if (!rule.categoryId && !tags.length && !hasFixed) return 'categoryId, tags, isFixed 중 하나 이상을 지정해야 합니다.';
+    if (hasFixed && rule.type === 'income') return 'isFixed 는 지출 규칙에만 사용할 수 있습니다.';
+    if (rule.categoryId) {
+        const category = db.prepare(`SELECT id FROM categories WHERE id = ? AND type = ? AND ${VISIBLE_TO_USER}`).get(rule.categoryId, rule.type, userId);
+        if (!category) return `존재하지 않는 ${rule.type === 'income' ? '수입' : '지출'} 카테고리입니다.`;
+    }
+    return null;
+}
+
+// DB 행 → API 응답 형태
+function toRule(row) {
+    return {
+        ...row,
+        condition: parseJson(row.condition, {}),
+        tags: parseJson(row.tags, []),
+        isFixed: row.isFixed === null ? null : !!row.isFixed,
+        isActive: !!row.isActive
+    };
+}
+
+// 사용자의 규칙 목록 (검사 순서대로), activeOnly 면 사용 중인 규칙만
+function listRules(db, userId, type, { activeOnly = false } = {}) {
+    let sql = 'SELECT * FROM category_rules WHERE userId = ?';
+    const params = [userId];
+    if (type) { sql += ' AND type = ?'; params.push(type); }
+    if (activeOnly) sql += ' AND isActive = 1';
+    return db.prepare(`${sql} ORDER BY priority, createdAt`).all(...params).map(toRule);
+}
+
+function containsAny(text, needles) {
+    const haystack = String(text || '').toLowerCase();
+    return toList(needles).some(needle => haystack.includes(needle.toLowerCase()));
+}
+
+function matchesAnyRegex(text, patterns) {
+    return toList(patterns).some(pattern => {
+        const regex = compileRegex(pattern);
+        return !!regex && regex.test(String(text || ''));
+    });
+}
+
+// 거래({ description, location, amount, currency, paymentMethod })가 규칙 조건을 모두 만족하는지
+function matchesRule(rule, transaction) {
+    const condition = rule.condition || {};
+    if (condition.descriptionContains !== undefined && !containsAny(transaction.description, condition.descriptionContains)) return false;
+    if (condition.descriptionRegex !== undefined && !matchesAnyRegex(transaction.description, condition.descriptionRegex)) return false;
+    if (condition.locationContains !== undefined && !containsAny(transaction.location, condition.locationContains)) return false;
+    if (condition.locationRegex !== undefined && !matchesAnyRegex(transaction.location, condition.locationRegex)) return false;
+    const amount = Number(transaction.amount);
+    if (condition.minAmount !== undefined && !(amount >= condition.minAmount)) return false;
+    if (condition.maxAmount !== undefined && !(amount <= condition.maxAmount)) return false;
+    if (condition.currency !== undefined && normalizeCurrency(condition.currency) !== normalizeCurrency(transaction.currency)) return false;
+    if (condition.paymentMethod !== undefined && !toList(condition.paymentMethod).includes(transaction.paymentMethod)) return false;
+    return true;
+}
+
+// 처음 일치한 규칙의 동작 { ruleId, ruleName, categoryId, tags, isFixed }, 없으면 null
+function applyRules(rules, transaction) {
+    const rule = rules.find(r => r.isActive && matchesRule(r, transaction));
+    if (!rule) return null;
+    return {
+        ruleId: rule.id,
+        ruleName: rule.name,
+        categoryId: rule.categoryId || null,
+        tags: rule.tags || [],
+        isFixed: rule.type === 'expense' ? rule.isFixed : null
+    };
+}
+
+// 새 거래 한 건에 사용자의 규칙 적용 (요청에 카테고리/고정 지출 여부가 없을 때만 채우고 태그는 합침)
+// 반환: { categoryId, tags, isFixed, ruleId } (일치한 규칙이 없으면 ruleId 가 null 이고 입력 그대로)
+function categorizeTransaction(db, userId, type, transaction, { categoryId = null, tags, isFixed } = {}) {
+    const matched = applyRules(listRules(db, userId, type, { activeOnly: true }), transaction);
+    const given = normalizeTags(tags);
+    if (!matched) return { categoryId, tags: given, isFixed, ruleId: null };
+    return {
+        categoryId: categoryId || matched.categoryId,
+        tags: [...new Set([...given, ...matched.tags])],
+        isFixed: isFixed !== undefined && isFixed !== null ? isFixed : matched.isFixed,
+        ruleId: matched.ruleId
+    };
+}
+
+// 비교용 단어 목록 (소문자, 글자/숫자 외는 구분자, 숫자만 있는 단어와 한 글자 단어 제외)
+function tokensOf(text) {
+    return [...new Set(String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(t => t.length >= 2 && !/^\d+$/.test(t)))];
+}
+
+// 두 내용의 유사도 (0~1): 같으면 1, 한쪽이 다른 쪽을 포함하면 0.8, 아니면 겹치는 단어 비율(Dice 계수)
+function similarity(a, b, tokensA, tokensB) {
+    const left = String(a || '').trim().toLowerCase();
+    const right = String(b || '').trim().toLowerCase();
+    if (!left || !right) return 0;
+    if (left === right) return 1;
+    if (Math.min(left.length, right.length) >= 2 && (left.includes(right) || right.includes(left))) return 0.8;
+    if (!tokensA.length || !tokensB.length) return 0;
+    const shared = tokensA.filter(t => tokensB.includes(t)).length;
+    return (2 * shared) / (tokensA.length + tokensB.length);
+}
+
+// 최근 거래 중 내용이 비슷한 거래의 카테고리로 추천 목록 (유사도 높은 순)
+// 기본 카테고리('기타')로 남아 있는 거래는 분류한 것으로 보지 않음
+function suggestCategories(db, userId, type, description, { limit = 3 } = {}) {
+    const table = TRANSACTION_TABLES[type];
+    if (!table || !String(description || '').trim()) return [];
+    const rows = db.prepare(`
+        SELECT t.description, t.categoryId, c.name as categoryName
+        FROM ${table} t JOIN categories c ON c.id = t.categoryId
+        WHERE t.userId = ? AND t.description != '' AND t.categoryId != ?
+        ORDER BY t.date DESC, t.createdAt DESC
+        LIMIT ?
+    `).all(userId, DEFAULT_CATEGORY_IDS[type], SUGGESTION_HISTORY);
+
+    const tokens = tokensOf(description);
+    const byCategory = new Map();
+    for (const row of rows) {
+        const score = similarity(description, row.description, tokens, tokensOf(row.description));
+        if (score < SUGGESTION_THRESHOLD) continue;
+        const entry = byCategory.get(row.categoryId) || { categoryId: row.categoryId, categoryName: row.categoryName, score: 0, matches: 0, examples: [] };
+        entry.score = Math.max(entry.score, score);
+        entry.matches++;
+        if (entry.examples.length < 3 && !entry.examples.includes(row.description)) entry.examples.push(row.description);
+        byCategory.set(row.categoryId, entry);
+    }
+    return [...byCategory.values()]
+        .sort((a, b) => b.score - a.score || b.matches - a.matches)
+        .slice(0, limit)
+        .map(entry => ({ ...entry, score: Math.round(entry.score * 100) / 100 }));
+}
+
+// 지난 거래에 규칙을 다시 적용 (dryRun 이면 바뀔 내용만 반환)
+// options: { type, startDate, endDate, ruleId(이 규칙만), onlyUncategorized(기본 카테고리인 거래만), dryRun }
+// 규칙에 카테고리/고정 지출 여부가 있으면 그 값으로 바꾸고 태그는 합친다.
+function rerunRules(db, userId, { type, startDate, endDate, ruleId, onlyUncategorized = false, dryRun = false } = {}) {
+    const types = type ? [type] : RULE_TYPES;
+    const changes = [];
+    let checked = 0;
+    let matched = 0;
+
+    for (const kind of types) {
+        let rules = listRules(db, userId, kind, { activeOnly: !ruleId });
+        if (ruleId) rules = rules.filter(rule => rule.id === ruleId);
+        if (!rules.length) continue;
+
+        let sql = `SELECT * FROM ${TRANSACTION_TABLES[kind]} WHERE userId = ?`;
+        const params = [userId];
+        if (startDate) { sql += ' AND date >= ?'; params.push(startDate); }
+        if (endDate) { sql += ' AND date <= ?'; params.push(endDate); }
+        if (onlyUncategorized) { sql += ' AND categoryId = ?'; params.push(DEFAULT_CATEGORY_IDS[kind]); }
+        const rows = db.prepare(`${sql} ORDER BY date, createdAt`).all(...params);
+        const transactions = kind === 'expense' ? toExpenses(db, rows) : attachTags(db, 'income', rows);
+        checked += transactions.length;
+
+        for (const transaction of transactions) {
+            // ruleId 로 고른 규칙은 사용 중지 상태여도 적용
+            const result = applyRules(rules.map(rule => ({ ...rule, isActive: true })), transaction);
+            if (!result) continue;
+            matched++;
+
+            const after = {
+                categoryId: result.categoryId || transaction.categoryId,
+                tags: [...new Set([...transaction.tags, ...result.tags])].sort(),
+                isFixed: kind === 'expense' && result.isFixed !== null && result.isFixed !== undefined ? result.isFixed : transaction.isFixed
+            };
+            const before = { categoryId: transaction.categoryId, tags: [...transaction.tags].sort(), isFixed: transaction.isFixed };
+            if (after.categoryId === before.categoryId && after.isFixed === before.isFixed && after.tags.join('\u0000') === before.tags.join('\u0000')) continue;
+
+            changes.push({
+                type: kind,
+                id: transaction.id,
+                date: transaction.date,
+                description: transaction.description,
+                amount: transaction.amount,
+                currency: transaction.currency,
+                ruleId: result.ruleId,
+                ruleName: result.ruleName,
+                before: kind === 'expense' ? before : { categoryId: before.categoryId, tags: before.tags },
+                after: kind === 'expense' ? after : { categoryId: after.categoryId, tags: after.tags }
+            });
+        }
+    }
+
+    if (!dryRun && changes.length) {
+        const updateIncome = db.prepare('UPDATE incomes SET categoryId = ?, updatedAt = ? WHERE id = ?');
+        db.transaction(() => {
+            const now = new Date().toISOString();
+            for (const change of changes) {
+                if (change.type === 'expense') {
+                    updateExpense(db, change.id, change.after, userId);
+                } else {
+                    updateIncome.run(change.after.categoryId, now, change.id);
+                    setTransactionTags(db, 'income', change.id, change.after.tags);
+                }
+            }
+        })();
+    }
+    return { dryRun, checked, matched, changed: changes.length, changes };
+}
+
+// 규칙 입력의 tags/isFixed/isActive 를 DB 값으로 변환
+function ruleColumns(rule) {
+    return {
+        tags: JSON.stringify(normalizeTags(rule.tags)),
+        isFixed: rule.isFixed === undefined || rule.isFixed === null ? null : (parseBoolean(rule.isFixed) ? 1 : 0),
+        isActive: rule.isActive === undefined ? 1 : (parseBoolean(rule.isActive) ? 1 : 0)
+    };
+}
+
+module.exports = {
+    RULE_TYPES,
+    CONDITION_FIELDS,
+    validateRule,
+    toRule,
+    listRules,
+    matchesRule,
+    applyRules,
+    categorizeTransaction,
+    suggestCategories,
+    rerunRules,
+    ruleColumns,
+    parseJson
+};
@@ -0,0 +1,163 @@
+// src/services/search.service.js
+// 수입/지출 목록의 검색(q), 금액/결제 수단 필터, 정렬과 커서 기반 페이지 나누기
+//
+// 검색어는 공백으로 나눈 단어가 모두 내용(지출은 장소 포함)에 들어 있는 거래를 찾는다.
+// 3글자 이상인 단어는 FTS5 trigram 색인(income_search, expense_search)으로 찾고,
+// trigram 색인을 쓸 수 없는 1~2글자 단어(예: '커피', '택시')는 LIKE 로 찾는다.
+// 페이지는 OFFSET 대신 마지막 행의 정렬 값을 담은 커서로 넘기므로 중간에 거래가 추가되어도 건너뛰거나 겹치지 않는다.
+const { PAYMENT_METHODS } = require('./expense.service');
+
+const SEARCH_TARGETS = {
+    income: { table: 'incomes', index: 'income_search', columns: ['description'] },
+    expense: { table: 'expenses', index: 'expense_search', columns: ['description', 'location'] }
+};
+
+// 정렬 기준 → 정렬 열 (뒤의 열은 같은 값끼리의 순서를 정해 커서가 한 행을 가리키도록 함)
+// category 는 카테고리 이름 순, amount 는 통화 변환 없이 저장된 금액 순
+const SORT_COLUMNS = {
+    date: (p) => [`${p}date`, `${p}createdAt`, `${p}id`],
+    amount: (p) => [`${p}amount`, `${p}date`, `${p}id`],
+    category: (p) => ['COALESCE(c.name, \'\')', `${p}date`, `${p}id`]
+};
+const SORT_FIELDS = Object.keys(SORT_COLUMNS);
+const SORT_ORDERS = ['asc', 'desc'];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+// trigram 색인으로 찾을 수 있는 최소 글자 수
+const TRIGRAM_LENGTH = 3;
+
+// 목록 조회 조건(q, minAmount, limit, cursor 등)이 잘못되었을 때
+class ListQueryError extends Error {}
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, ch => `\\${ch}`);
+
+// q → 검색 조건 { clause, params }, 검색어가 없으면 null
+// 색인 행의 rowid 는 원본 거래 행의 rowid 와 같음
+function searchFilter(kind, q, rowidColumn = 'rowid', prefix = '') {
+    const terms = String(q || '').trim().split(/\s+/).filter(Boolean);
+    if (!terms.length) return null;
+    const { index, columns } = SEARCH_TARGETS[kind];
+    const clauses = [];
+    const params = [];
+    for (const term of terms) {
+        if ([...term].length >= TRIGRAM_LENGTH) {
+            clauses.push(`${rowidColumn} IN (SELECT rowid FROM ${index} WHERE ${index} MATCH ?)`);
+            params.push(`"${term.replace(/"/g, '""')}"`);
+        } else {
+            clauses.push(`(${columns.map(c => `${prefix}${c} LIKE ? ESCAPE '\\'`).join(' OR ')})`);
+            columns.forEach(() => params.push(`%${escapeLike(term)}%`));
+        }
+    }
+    return { clause: clauses.join(' AND '), params };
+}
+
+function parseAmount(value, name) {
+    if (value === undefined || value === '') return null;
+    const amount = Number(value);
+    if (!Number.isInteger(amount) || amount < 0) throw new ListQueryError(`${name} 은 0 이상의 정수(통화의 최소 단위)여야 합니다.`);
+    return amount;
+}
+
+// 목록/CSV 내보내기에 함께 쓰는 추가 필터 (q, minAmount, maxAmount, 지출의 paymentMethod) → { where: [], params: [] }
+// paymentMethod 는 쉼표로 여러 개를 줄 수 있음
+function listFilters(kind, query, prefix = '') {
+    const where = [];
+    const params = [];
+    const byText = searchFilter(kind, query.q, `${prefix}rowid`, prefix);
+    if (byText) { where.push(byText.clause); params.push(...byText.params); }
+
+    const minAmount = parseAmount(query.minAmount, 'minAmount');
+    const maxAmount = parseAmount(query.maxAmount, 'maxAmount');
+    if (minAmount !== null && maxAmount !== null && minAmount > maxAmount) throw new ListQueryError('minAmount 가 maxAmount 보다 클 수 없습니다.');
+    if (minAmount !== null) { where.push(`${prefix}amount >= ?`); params.push(minAmount); }
+    if (maxAmount !== null) { where.push(`${prefix}amount <= ?`); params.push(maxAmount); }
+
+    if (kind === 'expense' && query.paymentMethod) {
+        const methods = String(query.paymentMethod).split(',').map(m => m.trim()).filter(Boolean);
+        const invalid = methods.find(m => !PAYMENT_METHODS.includes(m));
+        if (invalid) throw new ListQueryError(`paymentMethod 는 ${PAYMENT_METHODS.join(', ')} 중에서 골라야 합니다.`);
+        where.push(`${prefix}paymentMethod IN (${methods.map(() => '?').join(', ')})`);
+        params.push(...methods);
+    }
+    return { where, params };
+}
+
+function encodeCursor(sort, order, values) {
+    return Buffer.from(JSON.stringify({ sort, order, values })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort, order) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (e) {
+        decoded = null;
+    }
+    if (!decoded || !Array.isArray(decoded.values) || decoded.values.length !== SORT_COLUMNS[sort]('').length) {
+        throw new ListQueryError('cursor 가 올바르지 않습니다.');
+    }
+    if (decoded.sort !== sort || decoded.order !== order) throw new ListQueryError('cursor 는 같은 sort, order 로만 사용할 수 있습니다.');
+    return decoded.values;
+}
+
+// ?sort, order, limit, cursor 검사 → { sort, order, limit, cursor, paginate }
+// limit 이나 cursor 가 있을 때만 페이지를 나눔 (없으면 이전처럼 전체 목록)
+function parseListQuery(query) {
+    const sort = query.sort || 'date';
+    if (!SORT_FIELDS.includes(sort)) throw new ListQueryError(`sort 는 ${SORT_FIELDS.join(', ')} 중 하나여야 합니다.`);
+    const order = String(query.order || 'desc').toLowerCase();
+    if (!SORT_ORDERS.includes(order)) throw new ListQueryError('order 는 asc 또는 desc 여야 합니다.');
+
+    const paginate = query.limit !== undefined || query.cursor !== undefined;
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) throw new ListQueryError(`limit 은 1~${MAX_LIMIT} 사이의 정수여야 합니다.`);
+    const cursor = query.cursor ? decodeCursor(query.cursor, sort, order) : null;
+    return { sort, order, limit, cursor, paginate };
+}
+
+// filter({ sql: ' WHERE ...', params }, 열 이름은 t. 접두어)에 맞는 거래를 정렬해 반환
+// paginate 면 { rows, total, nextCursor, hasMore }, 아니면 { rows, total } (전체)
+function listTransactions(db, kind, filter, { sort, order, limit, cursor, paginate }) {
+    const { table } = SEARCH_TARGETS[kind];
+    const columns = SORT_COLUMNS[sort]('t.');
+    const direction = order.toUpperCase();
+    const from = `FROM ${table} t LEFT JOIN categories c ON c.id = t.categoryId${filter.sql}`;
+
+    const total = db.prepare(`SELECT COUNT(*) as count ${from}`).get(...filter.params).count;
+
+    const keys = columns.map((column, i) => `${column} as sortKey${i}`).join(', ');
+    const after = cursor ? ` AND (${columns.join(', ')}) ${direction === 'DESC' ? '<' : '>'} (${columns.map(() => '?').join(', ')})` : '';
+    const rows = db.prepare(`
+        SELECT t.*, ${keys} ${from}${after}
+        ORDER BY ${columns.map(column => `${column} ${direction}`).join(', ')}
+        ${paginate ? 'LIMIT ?' : ''}
+    `).all(...filter.params, ...(cursor || []), ...(paginate ? [limit + 1] : []));
+
+    const hasMore = paginate && rows.length > limit;
+    const page = hasMore ? rows.slice(0, limit) : rows;
+    const sortValues = (row) => columns.map((_, i) => row[`sortKey${i}`]);
+    const stripped = page.map(row => {
+        const copy = { ...row };
+        columns.forEach((_, i) => delete copy[`sortKey${i}`]);
+        return copy;
+    });
+    if (!paginate) return { rows: stripped, total };
+    return {
+        rows: stripped,
+        total,
+        nextCursor: hasMore ? encodeCursor(sort, order, sortValues(page[page.length - 1])) : null,
+        hasMore
+    };
+}
+
+module.exports = {
+    SORT_FIELDS,
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    ListQueryError,
+    searchFilter,
+    listFilters,
+    parseListQuery,
+    listTransactions
+};
@@ -0,0 +1,141 @@
+// src/services/split.service.js
+// 수입/지출 한 건을 카테고리가 다른 여러 줄(분할 줄)로 나누기
+//
+// 분할한 거래는 목록, 계좌 잔액, 카드 명세서에서는 부모 거래 한 건으로 남고
+// 카테고리별 통계, 예산, 예측, CSV 내보내기에서는 부모 대신 분할 줄을 센다 (transactionLines).
+// 분할 줄 amount 는 부모 거래 통화의 최소 단위이며 합계는 항상 부모 거래 amount 와 같다.
+const { v4: uuidv4 } = require('uuid');
+const { findCategoryId } = require('./category.service');
+const { normalizeTags, setTransactionTags, attachTags, tagFilter } = require('./tag.service');
+
+// 거래 종류별 분할 테이블 (tagKind 는 tag.service 의 분할 줄 태그 연결)
+const SPLIT_TABLES = {
+    income: { table: 'income_splits', column: 'incomeId', parent: 'incomes', tagKind: 'incomeSplit' },
+    expense: { table: 'expense_splits', column: 'expenseId', parent: 'expenses', tagKind: 'expenseSplit' }
+};
+const MIN_SPLIT_LINES = 2;
+
+// 잘못된 분할 입력 (메시지를 그대로 400 으로 응답)
+class SplitError extends Error {}
+
+// 분할 입력 검사 후 저장할 줄 목록 [{ categoryId, amount, description, tags }] 반환, 빈 배열이면 분할 해제
+// 각 줄은 categoryId 또는 category(이름)와 amount. 줄 금액의 합이 total 과 다르면 SplitError
+function prepareSplits(db, kind, userId, splits, total) {
+    if (!Array.isArray(splits)) throw new SplitError('splits 는 배열이어야 합니다.');
+    if (!splits.length) return [];
+    if (splits.length < MIN_SPLIT_LINES) throw new SplitError(`분할은 ${MIN_SPLIT_LINES}줄 이상이어야 합니다. (분할을 없애려면 빈 배열)`);
+
+    const lines = splits.map((split, index) => {
+        const where = `splits[${index}]`;
+        if (!split || typeof split !== 'object') throw new SplitError(`${where}: 객체여야 합니다.`);
+        const categoryId = findCategoryId(db, kind, split.categoryId || split.category, userId);
+        if (!categoryId) throw new SplitError(`${where}: 존재하지 않는 ${kind === 'income' ? '수입' : '지출'} 카테고리입니다.`);
+        const amount = Number(split.amount);
+        if (!Number.isSafeInteger(amount) || amount <= 0) throw new SplitError(`${where}: 금액은 거래 통화의 최소 단위 기준 0보다 큰 정수여야 합니다.`);
+        return { categoryId, amount, description: split.description ? String(split.description) : '', tags: normalizeTags(split.tags) };
+    });
+    const sum = lines.reduce((acc, line) => acc + line.amount, 0);
+    if (sum !== Number(total)) throw new SplitError(`분할 금액의 합(${sum})이 거래 금액(${Number(total)})과 같아야 합니다.`);
+    return lines;
+}
+
+// 거래의 분할 줄을 lines 로 교체 (빈 배열이면 분할 해제, 호출하는 쪽에서 트랜잭션으로 감쌀 것)
+function setSplits(db, kind, transactionId, userId, lines) {
+    const { table, column, tagKind } = SPLIT_TABLES[kind];
+    db.prepare(`DELETE FROM ${table} WHERE ${column} = ?`).run(transactionId);
+    const insert = db.prepare(`
+        INSERT INTO ${table} (id, userId, ${column}, categoryId, amount, description, position, createdAt, updatedAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const now = new Date().toISOString();
+    lines.forEach((line, position) => {
+        const id = uuidv4();
+        insert.run(id, userId, transactionId, line.categoryId, line.amount, line.description, position, now, now);
+        if (line.tags.length) setTransactionTags(db, tagKind, id, line.tags);
+    });
+}
+
+// 분할 줄을 바꾸지 않고 거래 금액만 바꿀 때 기존 분할 줄 합계와 맞는지 확인 (맞지 않으면 SplitError)
+function checkSplitTotal(db, kind, transactionId, total) {
+    const { table, column } = SPLIT_TABLES[kind];
+    const row = db.prepare(`SELECT COUNT(*) as count, COALESCE(SUM(amount), 0) as sum FROM ${table} WHERE ${column} = ?`).get(transactionId);
+    if (row.count && row.sum !== Number(total)) {
+        throw new SplitError(`분할된 거래입니다. 금액을 바꾸려면 합계가 ${Number(total)} 인 splits 를 함께 보내세요. (지금 분할 합계 ${row.sum})`);
+    }
+}
+
+// 거래 행 목록에 splits([{ id, categoryId, category, amount, description, tags }], 분할하지 않았으면 빈 배열)를 채워서 반환
+function attachSplits(db, kind, rows) {
+    const { table, column, tagKind } = SPLIT_TABLES[kind];
+    const result = new Map(rows.map(row => [row.id, []]));
+    const ids = rows.map(row => row.id);
+    // SQLite 변수 개수 제한을 넘지 않도록 나눠서 조회
+    for (let i = 0; i < ids.length; i += 500) {
+        const chunk = ids.slice(i, i + 500);
+        const splits = db.prepare(`
+            SELECT s.id, s.${column} as transactionId, s.categoryId, c.name as category, s.amount, s.description
+            FROM ${table} s LEFT JOIN categories c ON c.id = s.categoryId
+            WHERE s.${column} IN (${chunk.map(() => '?').join(',')})
+            ORDER BY s.position
+        `).all(...chunk);
+        attachTags(db, tagKind, splits).forEach(({ transactionId, ...split }) => result.get(transactionId).push(split));
+    }
+    return rows.map(row => ({ ...row, splits: result.get(row.id) || [] }));
+}
+
+// attachSplits 를 거친 거래 행 목록을 분할 줄 단위로 펼침 (CSV 내보내기)
+// 분할 줄은 부모 행의 값에 줄의 splitId, amount, categoryId, category, description(비어 있으면 부모 것), tags(부모 태그 + 줄 태그)를 덮어씀
+function toLineRows(rows) {
+    return rows.flatMap(({ splits, ...row }) => {
+        if (!splits || !splits.length) return [{ ...row, splitId: null }];
+        return splits.map(split => ({
+            ...row,
+            splitId: split.id,
+            amount: split.amount,
+            categoryId: split.categoryId,
+            category: split.category,
+            description: split.description || row.description,
+            tags: [...new Set([...(row.tags || []), ...split.tags])]
+        }));
+    });
+}
+
+// 분할한 거래는 분할 줄, 분할하지 않은 거래는 거래 자체를 한 줄로 하는 FROM 절 하위 쿼리
+// 열: id(부모 거래 id), splitId(분할 줄이 아니면 NULL), userId, date, currency, amount, categoryId, description, recurringId, accountId
+function transactionLines(kind) {
+    const { table, column, parent } = SPLIT_TABLES[kind];
+    return `(
+        SELECT p.id, NULL as splitId, p.userId, p.date, p.currency, p.amount, p.categoryId, p.description, p.recurringId, p.accountId
+        FROM ${parent} p WHERE NOT EXISTS (SELECT 1 FROM ${table} s WHERE s.${column} = p.id)
+        UNION ALL
+        SELECT p.id, s.id, p.userId, p.date, p.currency, s.amount, s.categoryId, COALESCE(NULLIF(s.description, ''), p.description), p.recurringId, p.accountId
+        FROM ${table} s JOIN ${parent} p ON p.id = s.${column}
+    )`;
+}
+
+// transactionLines 의 ?tag= 필터 (부모 거래의 태그 또는 분할 줄의 태그), 태그가 없으면 null
+function lineTagFilter(kind, tagParam, prefix = '') {
+    const byParent = tagFilter(kind, tagParam, `${prefix}id`);
+    if (!byParent) return null;
+    const bySplit = tagFilter(SPLIT_TABLES[kind].tagKind, tagParam, `${prefix}splitId`);
+    return { clause: `(${byParent.clause} OR ${bySplit.clause})`, params: [...byParent.params, ...bySplit.params] };
+}
+
+// 거래 목록의 카테고리 필터 (거래의 카테고리 또는 분할 줄 중 하나의 카테고리), categoryIds 는 SQL 식 또는 '?'
+function splitCategoryClause(kind, prefix, categoryIds) {
+    const { table, column } = SPLIT_TABLES[kind];
+    return `(${prefix}categoryId IN (${categoryIds}) OR ${prefix}id IN (SELECT ${column} FROM ${table} WHERE categoryId IN (${categoryIds})))`;
+}
+
+module.exports = {
+    SPLIT_TABLES,
+    SplitError,
+    prepareSplits,
+    setSplits,
+    checkSplitTotal,
+    attachSplits,
+    toLineRows,
+    transactionLines,
+    lineTagFilter,
+    splitCategoryClause
+};
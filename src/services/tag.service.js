@@ -0,0 +1,108 @@
+// src/services/tag.service.js
+// 사용자별 태그 마스터(tags)와 수입/지출 태그 연결(income_tags, expense_tags), 분할 줄 태그 연결(income_split_tags, expense_split_tags) 처리
+// 태그 이름은 사용자 안에서만 겹치지 않으며 거래에는 그 거래 소유자의 태그만 연결한다.
+const { v4: uuidv4 } = require('uuid');
+
+// 거래 종류별 연결 테이블 (incomeSplit, expenseSplit 은 분할 줄), parent 는 소유자(userId)를 가진 테이블
+const LINK_TABLES = {
+    income: { table: 'income_tags', column: 'incomeId', parent: 'incomes' },
+    expense: { table: 'expense_tags', column: 'expenseId', parent: 'expenses' },
+    incomeSplit: { table: 'income_split_tags', column: 'splitId', parent: 'income_splits' },
+    expenseSplit: { table: 'expense_split_tags', column: 'splitId', parent: 'expense_splits' }
+};
+
+// 태그 입력(배열, JSON 문자열, 쉼표 구분 문자열)을 중복 없는 문자열 배열로 정규화
+function normalizeTags(tags) {
+    if (tags === undefined || tags === null || tags === '') return [];
+    let list = tags;
+    if (typeof tags === 'string') {
+        try {
+            list = JSON.parse(tags);
+        } catch (e) {
+            list = tags.split(',');
+        }
+    }
+    if (!Array.isArray(list)) list = [list];
+    return [...new Set(list.map(t => String(t).trim()).filter(Boolean))];
+}
+
+// 사용자의 태그 이름(또는 id) 목록을 태그 id 목록으로 변환, 없는 이름은 그 사용자의 새 태그로 생성
+function ensureTagIds(db, userId, tags) {
+    const findTag = db.prepare('SELECT id FROM tags WHERE userId IS ? AND (id = ? OR name = ?)');
+    const insertTag = db.prepare('INSERT INTO tags (id, userId, name, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?)');
+    return normalizeTags(tags).map(nameOrId => {
+        const found = findTag.get(userId, nameOrId, nameOrId);
+        if (found) return found.id;
+        const id = uuidv4();
+        const now = new Date().toISOString();
+        insertTag.run(id, userId, nameOrId, now, now);
+        return id;
+    });
+}
+
+// 거래의 태그를 주어진 목록으로 교체 (거래 소유자의 태그로 연결)
+function setTransactionTags(db, kind, transactionId, tags) {
+    const { table, column, parent } = LINK_TABLES[kind];
+    const owner = db.prepare(`SELECT userId FROM ${parent} WHERE id = ?`).get(transactionId);
+    const tagIds = ensureTagIds(db, owner ? owner.userId : null, tags);
+    db.prepare(`DELETE FROM ${table} WHERE ${column} = ?`).run(transactionId);
+    const link = db.prepare(`INSERT OR IGNORE INTO ${table} (${column}, tagId) VALUES (?, ?)`);
+    tagIds.forEach(tagId => link.run(transactionId, tagId));
+}
+
+// 거래 id 목록 → 태그 이름 배열 Map
+function tagsByTransaction(db, kind, ids) {
+    const { table, column } = LINK_TABLES[kind];
+    const result = new Map(ids.map(id => [id, []]));
+    if (!ids.length) return result;
+
+    // SQLite 변수 개수 제한을 넘지 않도록 나눠서 조회
+    for (let i = 0; i < ids.length; i += 500) {
+        const chunk = ids.slice(i, i + 500);
+        const rows = db.prepare(`
+            SELECT l.${column} as transactionId, t.name
+            FROM ${table} l JOIN tags t ON t.id = l.tagId
+            WHERE l.${column} IN (${chunk.map(() => '?').join(',')})
+            ORDER BY t.name
+        `).all(...chunk);
+        rows.forEach(r => result.get(r.transactionId).push(r.name));
+    }
+    return result;
+}
+
+// 거래 행 목록에 tags(이름 배열)를 채워서 반환
+function attachTags(db, kind, rows) {
+    const tags = tagsByTransaction(db, kind, rows.map(r => r.id));
+    return rows.map(r => ({ ...r, tags: tags.get(r.id) || [] }));
+}
+
+// ?tag=이름1,이름2 필터 조건 (하나라도 붙어있으면 포함), 태그가 없으면 null
+function tagFilter(kind, tagParam, idColumn = 'id') {
+    const names = normalizeTags(tagParam);
+    if (!names.length) return null;
+    const { table, column } = LINK_TABLES[kind];
+    const placeholders = names.map(() => '?').join(',');
+    return {
+        clause: `${idColumn} IN (SELECT l.${column} FROM ${table} l JOIN tags t ON t.id = l.tagId WHERE t.name IN (${placeholders}) OR t.id IN (${placeholders}))`,
+        params: [...names, ...names]
+    };
+}
+
+// 태그가 붙은 해당 사용자의 수입/지출 건수
+function countTagUsage(db, tagId, userId) {
+    return {
+        incomes: db.prepare('SELECT COUNT(*) as count FROM income_tags l JOIN incomes i ON i.id = l.incomeId WHERE l.tagId = ? AND i.userId = ?').get(tagId, userId).count,
+        expenses: db.prepare('SELECT COUNT(*) as count FROM expense_tags l JOIN expenses e ON e.id = l.expenseId WHERE l.tagId = ? AND e.userId = ?').get(tagId, userId).count
+    };
+}
+
+module.exports = {
+    LINK_TABLES,
+    normalizeTags,
+    ensureTagIds,
+    setTransactionTags,
+    tagsByTransaction,
+    attachTags,
+    tagFilter,
+    countTagUsage
+};
@@ -6,11 +6,45 @@ const options = {
     info: {
       title: 'Money Map API',
       version: '1.0.0',
-      description: '간단한 수입/지출 관리 API'
+      description: '간단한 수입/지출 관리 API. 요청은 이 명세의 스키마로 검사하며 오류 응답은 모두 Error 형식'
     },
     servers: [
       { url: 'http://localhost:3000', description: 'Local server' }
-    ]
+    ],
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      },
+      schemas: {
+        // 모든 오류 응답 형식 (src/middleware/error.middleware.js)
+        Error: {
+          type: 'object',
+          required: ['code', 'message', 'details'],
+          properties: {
+            code: {
+              type: 'string',
+              description: 'VALIDATION_FAILED, INVALID_JSON, BAD_REQUEST, UNAUTHORIZED, FORBIDDEN, NOT_FOUND, ROUTE_NOT_FOUND, CONFLICT, PAYLOAD_TOO_LARGE, UNPROCESSABLE_ENTITY, INTERNAL_ERROR'
+            },
+            message: { type: 'string' },
+            details: {
+              type: 'array',
+              description: '항목별 오류 (요청 검사 실패면 in, field, code 포함)',
+              items: {
+                type: 'object',
+                properties: {
+                  in: { type: 'string', enum: ['path', 'query', 'body'] },
+                  field: { type: 'string' },
+                  code: { type: 'string', description: 'required, type, enum, format, minimum, maximum, pattern 등' },
+                  message: { type: 'string' }
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    // /api/auth/register, /api/auth/login 을 제외한 모든 API 는 로그인 필요
+    security: [{ bearerAuth: [] }]
   },
   // API 라우트 파일에서 JSDoc 주석을 읽도록 경로를 지정
   apis: ['./src/routes/*.js']
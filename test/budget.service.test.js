@@ -0,0 +1,25 @@
+// test/budget.service.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { periodAt, listPeriods } = require('../src/services/budget.service');
+
+test('2월에 시작한 월 반복 예산은 기간이 빈 날 없이 이어진다', () => {
+    const budget = { repeat: 'monthly', startDate: '2026-02-01', endDate: '2026-02-28' };
+    const periods = listPeriods(budget, '2026-10-30').map(({ startDate, endDate }) => [startDate, endDate]);
+
+    assert.deepEqual(periods[0], ['2026-02-01', '2026-02-28']);
+    assert.deepEqual(periods[1], ['2026-03-01', '2026-03-31']);
+    assert.deepEqual(periods[8], ['2026-10-01', '2026-10-31']);
+    assert.equal(periods.length, 9);
+});
+
+test('말일에 시작한 월 반복 예산도 다음 기간 시작일 전날까지 이어진다', () => {
+    const budget = { repeat: 'monthly', startDate: '2026-01-31', endDate: '2026-02-27' };
+    assert.deepEqual(periodAt(budget, 0), { index: 0, startDate: '2026-01-31', endDate: '2026-02-27' });
+    assert.deepEqual(periodAt(budget, 1), { index: 1, startDate: '2026-02-28', endDate: '2026-03-30' });
+});
+
+test('반복하지 않는 예산은 지정한 기간 하나', () => {
+    const budget = { repeat: 'none', startDate: '2026-02-01', endDate: '2026-02-20' };
+    assert.deepEqual(listPeriods(budget, '2026-10-30'), [{ index: 0, startDate: '2026-02-01', endDate: '2026-02-20' }]);
+});
@@ -0,0 +1,46 @@
+// test/card.service.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { statementCutoff, statementPeriod, installmentSchedule } = require('../src/services/card.service');
+
+const cycle = { statementDay: 31, paymentDay: 14 };
+
+test('할부 원금을 개월 수로 나누고 남는 금액은 첫 회에 더한다', () => {
+    const schedule = installmentSchedule(100000, '2026-01-15', cycle, { installmentMonths: 3 });
+
+    assert.deepEqual(schedule.map(s => s.principal), [33334, 33333, 33333]);
+    assert.deepEqual(schedule.map(s => s.interest), [0, 0, 0]);
+    assert.deepEqual(schedule.map(s => s.remaining), [66666, 33333, 0]);
+    assert.equal(schedule.reduce((sum, s) => sum + s.amount, 0), 100000);
+});
+
+test('할부 수수료는 회차마다 남은 원금 × 연이율 / 12 를 반올림한 금액', () => {
+    const schedule = installmentSchedule(100000, '2026-01-15', cycle, { installmentMonths: 3, installmentRate: 12 });
+
+    assert.deepEqual(schedule.map(s => s.interest), [1000, 667, 333]);
+    assert.deepEqual(schedule.map(s => s.amount), [34334, 34000, 33666]);
+});
+
+test('할부 회차는 구매일이 속한 명세서부터 한 달씩 이어진다', () => {
+    const schedule = installmentSchedule(90000, '2026-01-15', cycle, { installmentMonths: 3 });
+
+    assert.deepEqual(schedule.map(({ periodStart, periodEnd, dueDate }) => [periodStart, periodEnd, dueDate]), [
+        ['2026-01-01', '2026-01-31', '2026-02-14'],
+        ['2026-02-01', '2026-02-28', '2026-03-14'],
+        ['2026-03-01', '2026-03-31', '2026-04-14']
+    ]);
+});
+
+test('마감일 31일은 짧은 달에서 그 달 말일이 된다', () => {
+    assert.equal(statementCutoff('2026-02-10', cycle), '2026-02-28');
+    assert.equal(statementCutoff('2028-02-10', cycle), '2028-02-29');
+    assert.equal(statementCutoff('2026-04-30', cycle), '2026-04-30');
+
+    assert.deepEqual(statementPeriod('2026-01-31', cycle, 1), { periodStart: '2026-02-01', periodEnd: '2026-02-28', dueDate: '2026-03-14' });
+    assert.deepEqual(statementPeriod('2026-01-31', cycle, 3), { periodStart: '2026-04-01', periodEnd: '2026-04-30', dueDate: '2026-05-14' });
+});
+
+test('마감일이 결제일보다 앞서면 같은 달, 아니면 다음 달 결제일에 청구된다', () => {
+    assert.equal(statementPeriod('2026-03-05', { statementDay: 5, paymentDay: 25 }).dueDate, '2026-03-25');
+    assert.equal(statementPeriod('2026-03-25', { statementDay: 25, paymentDay: 10 }).dueDate, '2026-04-10');
+});
@@ -0,0 +1,27 @@
+// test/import.service.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { decodeText, parseCsv } = require('../src/services/import.service');
+
+// '날짜,내용,출금\n2024-04-01,스타벅스 강남,5100\n' 의 EUC-KR 바이트
+const EUC_KR_CSV = Buffer.from([
+    179, 175, 194, 165, 44, 179, 187, 191, 235, 44, 195, 226, 177, 221, 10,
+    50, 48, 50, 52, 45, 48, 52, 45, 48, 49, 44, 189, 186, 197, 184, 185, 247, 189, 186, 32, 176, 173, 179, 178, 44, 53, 49, 48, 48, 10
+]);
+const TEXT = '날짜,내용,출금\n2024-04-01,스타벅스 강남,5100\n';
+
+test('auto 인코딩은 UTF-8 로 읽을 수 없는 파일을 EUC-KR 로 읽는다', () => {
+    assert.equal(decodeText(EUC_KR_CSV), TEXT);
+    assert.deepEqual(parseCsv(decodeText(EUC_KR_CSV)), [['날짜', '내용', '출금'], ['2024-04-01', '스타벅스 강남', '5100']]);
+});
+
+test('cp949, euc-kr 로 지정한 인코딩은 EUC-KR 로 읽는다', () => {
+    assert.equal(decodeText(EUC_KR_CSV, 'cp949'), TEXT);
+    assert.equal(decodeText(EUC_KR_CSV, 'EUC-KR'), TEXT);
+});
+
+test('UTF-8 파일은 그대로 읽고 앞의 BOM 은 제거한다', () => {
+    const utf8 = Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from(TEXT, 'utf8')]);
+    assert.equal(decodeText(utf8), TEXT);
+    assert.equal(decodeText(utf8, 'utf-8'), TEXT);
+});
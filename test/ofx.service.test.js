@@ -0,0 +1,55 @@
+// test/ofx.service.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+const { migrate } = require('../src/migrator');
+const { importRecords } = require('../src/services/import.service');
+const { parseOfx } = require('../src/services/ofx.service');
+
+const USER_ID = 'user-1';
+
+function ofx(transactions) {
+    return [
+        'OFXHEADER:100', 'DATA:OFXSGML', 'VERSION:102', '',
+        '<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><CURDEF>KRW',
+        '<BANKACCTFROM><BANKID>004<ACCTID>123-456<ACCTTYPE>CHECKING</BANKACCTFROM>',
+        '<BANKTRANLIST><DTSTART>20240301<DTEND>20240310',
+        ...transactions.map(([fitId, date, amount, name]) => `<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>${date}<TRNAMT>${amount}<FITID>${fitId}<NAME>${name}</STMTTRN>`),
+        '</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>'
+    ].join('\n');
+}
+
+function openDb() {
+    const db = new Database(':memory:');
+    db.pragma('foreign_keys = ON');
+    migrate(db);
+    db.prepare('INSERT INTO users (id, email, passwordHash, createdAt) VALUES (?, ?, ?, ?)').run(USER_ID, 'a@example.com', 'x', new Date().toISOString());
+    return db;
+}
+
+test('FITID 는 계좌 번호를 붙여 externalId 로 쓴다', () => {
+    const { records } = parseOfx(ofx([['A1', '20240305120000[+9:KST]', '-4500', '스타벅스 강남점']]));
+    assert.equal(records[0].externalId, '123-456:A1');
+    assert.equal(records[0].type, 'expense');
+    assert.equal(records[0].amount, 4500);
+    assert.equal(records[0].date, '2024-03-05');
+});
+
+test('이미 가져온 FITID 는 다시 가져와도 중복으로 건너뛴다', () => {
+    const db = openDb();
+    const first = importRecords(db, USER_ID, parseOfx(ofx([['A1', '20240305', '-4500', '스타벅스'], ['A2', '20240306', '-3000', '편의점']])).records);
+    assert.equal(first.imported, 2);
+
+    // 다음 파일이 기간이 겹쳐 A2 를 다시 담고 있어도 새 거래 A3 만 저장
+    const second = importRecords(db, USER_ID, parseOfx(ofx([['A2', '20240306', '-3000', '편의점'], ['A3', '20240307', '-3000', '편의점']])).records);
+    assert.deepEqual(second.rows.map(row => row.status), ['duplicate', 'new']);
+    assert.equal(second.imported, 1);
+    assert.equal(db.prepare('SELECT COUNT(*) as count FROM expenses').get().count, 3);
+});
+
+test('FITID 가 다르면 날짜, 금액, 내용이 같아도 서로 다른 거래', () => {
+    const db = openDb();
+    const result = importRecords(db, USER_ID, parseOfx(ofx([['B1', '20240305', '-4500', '스타벅스'], ['B2', '20240305', '-4500', '스타벅스'], ['B1', '20240305', '-4500', '스타벅스']])).records);
+    assert.deepEqual(result.rows.map(row => row.status), ['new', 'new', 'duplicate']);
+    assert.equal(result.imported, 2);
+});
@@ -0,0 +1,45 @@
+// test/recurrence.service.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { occurrencesBetween, nextOccurrence, toRRuleString } = require('../src/services/recurrence.service');
+
+test('31일에 시작한 월 반복은 짧은 달에는 말일, 긴 달에는 다시 31일에 발생한다', () => {
+    const rule = { frequency: 'monthly', interval: 1, startDate: '2026-01-31' };
+    assert.deepEqual(occurrencesBetween(rule, '2026-01-01', '2026-05-31'), ['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30', '2026-05-31']);
+    assert.deepEqual(occurrencesBetween({ ...rule, startDate: '2028-01-31' }, '2028-02-01', '2028-02-29'), ['2028-02-29']);
+});
+
+test('31일 월 반복의 다음 발생일도 말일로 보정한다', () => {
+    const rule = { frequency: 'monthly', interval: 1, startDate: '2026-01-31' };
+    assert.equal(nextOccurrence(rule, '2026-02-01'), '2026-02-28');
+    assert.equal(nextOccurrence(rule, '2026-03-01'), '2026-03-31');
+    assert.equal(nextOccurrence(rule, '2026-04-01'), '2026-04-30');
+});
+
+test('2월 29일에 시작한 연 반복은 평년에는 2월 28일에 발생한다', () => {
+    const rule = { frequency: 'yearly', interval: 1, startDate: '2024-02-29' };
+    assert.deepEqual(occurrencesBetween(rule, '2024-01-01', '2028-12-31'), ['2024-02-29', '2025-02-28', '2026-02-28', '2027-02-28', '2028-02-29']);
+});
+
+// 내보낸 RRULE 로 계산한 날짜가 규칙 자체의 발생일과 같은지 확인
+function sameDates(rule, from, to) {
+    const exported = { rrule: toRRuleString(rule), startDate: rule.startDate };
+    assert.deepEqual(occurrencesBetween(exported, from, to), occurrencesBetween(rule, from, to));
+}
+
+test('29~31일에 시작한 월 반복은 BYMONTHDAY + BYSETPOS=-1 로 말일 보정을 표현한다', () => {
+    assert.equal(toRRuleString({ frequency: 'monthly', interval: 1, startDate: '2026-01-31' }), 'FREQ=MONTHLY;BYMONTHDAY=28,29,30,31;BYSETPOS=-1');
+    assert.equal(toRRuleString({ frequency: 'monthly', interval: 1, startDate: '2026-01-30' }), 'FREQ=MONTHLY;BYMONTHDAY=28,29,30;BYSETPOS=-1');
+    assert.equal(toRRuleString({ frequency: 'monthly', interval: 1, startDate: '2026-01-15' }), 'FREQ=MONTHLY');
+});
+
+test('내보낸 RRULE 의 발생일은 규칙의 발생일과 같다', () => {
+    sameDates({ frequency: 'monthly', interval: 1, startDate: '2026-01-31' }, '2026-01-01', '2028-12-31');
+    sameDates({ frequency: 'monthly', interval: 2, startDate: '2026-01-30' }, '2026-01-01', '2028-12-31');
+    sameDates({ frequency: 'yearly', interval: 1, startDate: '2024-02-29' }, '2024-01-01', '2032-12-31');
+});
+
+test('횟수, 종료일 제한은 COUNT, UNTIL 로 붙인다', () => {
+    assert.equal(toRRuleString({ frequency: 'monthly', interval: 1, startDate: '2026-01-31', occurrences: 3 }), 'FREQ=MONTHLY;BYMONTHDAY=28,29,30,31;BYSETPOS=-1;COUNT=3');
+    assert.equal(toRRuleString({ frequency: 'weekly', interval: 2, startDate: '2026-01-31', endDate: '2026-06-30' }), 'FREQ=WEEKLY;INTERVAL=2;UNTIL=20260630');
+});